@@ -0,0 +1,38 @@
+// index.js
+// Adaptadores de canal: cada canal sabe ler a mensagem recebida e devolver a
+// resposta no formato que o remetente entende. O motor da conversa só lida
+// com texto.
+const twilio = require("./twilio");
+const webchat = require("./webchat");
+
+const CANAIS = { twilio, webchat };
+
+/**
+ * Identifica o canal pelo conteúdo da requisição: o Twilio sempre envia From
+ * e X-Twilio-Signature; o resto é tratado como chat web (JSON).
+ * @param {Object} req - Requisição do Express.
+ * @returns {Object} Adaptador do canal.
+ */
+function detectarCanal(req) {
+  const veioDoTwilio =
+    req.get("X-Twilio-Signature") !== undefined || req.body?.From !== undefined;
+  return veioDoTwilio ? twilio : webchat;
+}
+
+/**
+ * Middleware que define req.canal, fixo pela rota ou detectado pelo conteúdo.
+ * @param {string} [nome] - "twilio" ou "webchat". Sem nome, detecta.
+ * @returns {Function} Middleware do Express.
+ */
+function usarCanal(nome) {
+  return (req, res, next) => {
+    req.canal = nome ? CANAIS[nome] : detectarCanal(req);
+    next();
+  };
+}
+
+module.exports = {
+  CANAIS,
+  detectarCanal,
+  usarCanal,
+};
@@ -0,0 +1,67 @@
+// twilio.js
+// Canal WhatsApp/SMS do Twilio: lê os campos do formulário que o Twilio envia
+// e responde em TwiML, que o Twilio entrega como mensagem ao cliente.
+const { twiml } = require("twilio");
+
+// Limite de caracteres de uma mensagem do Twilio (WhatsApp e SMS concatenado)
+const TAMANHO_MAXIMO_TWILIO = 1600;
+
+/**
+ * Divide uma resposta em partes que cabem numa mensagem, quebrando entre
+ * linhas para não cortar um item de lista (ex: "3. Sexta 10:00") ao meio.
+ * Só uma linha maior que o limite é cortada no meio.
+ * @param {string} texto - Resposta completa.
+ * @param {number} [limite] - Máximo de caracteres por parte.
+ * @returns {Array<string>} Partes, na ordem.
+ */
+function dividirMensagem(texto, limite = TAMANHO_MAXIMO_TWILIO) {
+  const partes = [];
+  let atual = "";
+  for (let linha of texto.split("\n")) {
+    while (linha.length > limite) {
+      if (atual) partes.push(atual);
+      atual = "";
+      partes.push(linha.slice(0, limite));
+      linha = linha.slice(limite);
+    }
+    const candidata = atual ? `${atual}\n${linha}` : linha;
+    if (candidata.length > limite) {
+      partes.push(atual);
+      atual = linha;
+    } else {
+      atual = candidata;
+    }
+  }
+  if (atual.trim()) partes.push(atual);
+  return partes.map((parte) => parte.trim()).filter(Boolean);
+}
+
+function lerMensagem(req) {
+  return {
+    texto: req.body?.Body,
+    remetente: req.body?.From,
+    nome: req.body?.ProfileName,
+  };
+}
+
+function responder(res, resposta) {
+  const mensagem = new twiml.MessagingResponse();
+  for (const parte of dividirMensagem(resposta || "")) {
+    mensagem.message(parte);
+  }
+  res.type("text/xml").send(mensagem.toString());
+}
+
+function responderErro(res, status, erro) {
+  // O Twilio não mostra o corpo de erros ao cliente; basta o status
+  res.status(status).type("text/plain").send(erro);
+}
+
+module.exports = {
+  nome: "twilio",
+  TAMANHO_MAXIMO_TWILIO,
+  dividirMensagem,
+  lerMensagem,
+  responder,
+  responderErro,
+};
@@ -0,0 +1,26 @@
+// webchat.js
+// Canal JSON para um chat web próprio: { text, sessionId, nome? } na entrada,
+// { reply } na saída.
+
+function lerMensagem(req) {
+  return {
+    texto: req.body?.text,
+    remetente: req.body?.sessionId,
+    nome: req.body?.nome,
+  };
+}
+
+function responder(res, resposta) {
+  res.json({ reply: resposta });
+}
+
+function responderErro(res, status, erro) {
+  res.status(status).json({ error: erro });
+}
+
+module.exports = {
+  nome: "webchat",
+  lerMensagem,
+  responder,
+  responderErro,
+};
@@ -0,0 +1,116 @@
+// agenda.js
+// Definição do horário de funcionamento usada para gerar horarios_disponiveis.
+// O arquivo padrão é config/agenda.json; AGENDA_ARQUIVO aponta para outro.
+const fs = require("fs");
+const { obterConfig } = require("./index");
+
+const DIAS_SEMANA = [
+  "domingo",
+  "segunda",
+  "terca",
+  "quarta",
+  "quinta",
+  "sexta",
+  "sabado",
+];
+
+const HORA_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converte "HH:MM" em minutos desde a meia-noite.
+ * @param {string} hora - Hora no formato "HH:MM".
+ * @returns {number} Minutos.
+ */
+function horaParaMinutos(hora) {
+  const [h, m] = hora.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function validarJanela(janela, onde, erros) {
+  if (
+    !HORA_REGEX.test(janela.abre || "") ||
+    !HORA_REGEX.test(janela.fecha || "")
+  ) {
+    erros.push(`${onde}: "abre" e "fecha" devem estar no formato HH:MM.`);
+    return;
+  }
+  if (horaParaMinutos(janela.abre) >= horaParaMinutos(janela.fecha)) {
+    erros.push(`${onde}: "abre" precisa ser antes de "fecha".`);
+  }
+}
+
+/**
+ * Valida a definição da agenda.
+ * @param {Object} agenda - Conteúdo do agenda.json.
+ * @returns {Array<string>} Lista de erros (vazia se estiver tudo certo).
+ */
+function validarAgenda(agenda) {
+  const erros = [];
+  if (
+    !Number.isInteger(agenda.duracaoSlotMinutos) ||
+    agenda.duracaoSlotMinutos <= 0
+  ) {
+    erros.push('"duracaoSlotMinutos" deve ser um inteiro positivo.');
+  }
+  if (!Number.isInteger(agenda.semanasAFrente) || agenda.semanasAFrente <= 0) {
+    erros.push('"semanasAFrente" deve ser um inteiro positivo.');
+  }
+
+  const funcionamento = agenda.funcionamento || {};
+  for (const dia of Object.keys(funcionamento)) {
+    if (!DIAS_SEMANA.includes(dia)) {
+      erros.push(`funcionamento.${dia}: dia da semana desconhecido.`);
+      continue;
+    }
+    const config = funcionamento[dia];
+    if (!config) continue; // Fechado
+    validarJanela(config, `funcionamento.${dia}`, erros);
+    for (const intervalo of config.intervalos || []) {
+      if (
+        !HORA_REGEX.test(intervalo.inicio || "") ||
+        !HORA_REGEX.test(intervalo.fim || "")
+      ) {
+        erros.push(
+          `funcionamento.${dia}.intervalos: use "inicio" e "fim" no formato HH:MM.`
+        );
+      }
+    }
+  }
+
+  for (const data of agenda.datasFechadas || []) {
+    if (!DATA_REGEX.test(data)) {
+      erros.push(`datasFechadas: "${data}" deve estar no formato AAAA-MM-DD.`);
+    }
+  }
+  for (const extra of agenda.horariosExtras || []) {
+    if (!DATA_REGEX.test(extra.data || "")) {
+      erros.push(
+        `horariosExtras: "${extra.data}" deve estar no formato AAAA-MM-DD.`
+      );
+    }
+    validarJanela(extra, `horariosExtras ${extra.data}`, erros);
+  }
+  return erros;
+}
+
+/**
+ * Lê e valida a agenda.
+ * @param {string} [arquivo] - Caminho do JSON. Padrão: AGENDA_ARQUIVO ou config/agenda.json.
+ * @returns {Object} Agenda validada.
+ */
+function carregarAgenda(arquivo = obterConfig().agenda.arquivo) {
+  const agenda = JSON.parse(fs.readFileSync(arquivo, "utf8"));
+  const erros = validarAgenda(agenda);
+  if (erros.length) {
+    throw new Error(`Agenda inválida (${arquivo}):\n- ${erros.join("\n- ")}`);
+  }
+  return agenda;
+}
+
+module.exports = {
+  DIAS_SEMANA,
+  horaParaMinutos,
+  validarAgenda,
+  carregarAgenda,
+};
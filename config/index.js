@@ -0,0 +1,387 @@
+// index.js
+// Configuração da aplicação. Os valores vêm, nesta ordem de prioridade, de:
+// variáveis de ambiente, arquivo JSON opcional (CONFIG_ARQUIVO ou
+// config/config.json) e padrões de desenvolvimento. A configuração é validada
+// de uma vez e os problemas aparecem todos juntos numa mensagem legível.
+const fs = require("fs");
+const path = require("path");
+
+const ARQUIVO_PADRAO = path.join(__dirname, "config.json");
+
+// Em produção (NODE_ENV=production) o banco não tem usuário/senha padrão
+const PADROES_DESENVOLVIMENTO = {
+  banco: { usuario: "root", senha: "root" },
+};
+
+const PADROES = {
+  porta: 3000,
+  fusoHorario: "America/Sao_Paulo",
+  // Padrões de todas as barbearias; cada uma pode sobrescrever nome, fuso e
+  // textos na tabela barbearias
+  barbearia: { nome: "Barbearia" },
+  // Atende as rotas sem prefixo /b/<slug>; vazio exige sempre o prefixo ou
+  // um número do Twilio cadastrado
+  barbeariaPadrao: "principal",
+  banco: {
+    host: "localhost",
+    porta: 3306,
+    usuario: null,
+    senha: null,
+    nome: "barbearia",
+    conexoes: 10,
+  },
+  dialogflow: {
+    projectId: "reservai-twilio-qrps",
+    keyFilename: "./reservai_twilio.json",
+  },
+  nlu: { motor: "dialogflow", timeoutMs: 5000 },
+  twilio: { accountSid: null, authToken: null, from: null },
+  webhook: {
+    url: null,
+    validacao: true,
+    segredoWebchat: null,
+    limiteMensagensPorMinuto: 20,
+  },
+  admin: { token: null },
+  sessoes: { store: "mysql" },
+  mensagens: { transporte: "fake" },
+  agenda: { arquivo: path.join(__dirname, "agenda.json") },
+  tarefas: {
+    gerarHorarios: true,
+    lembretes: true,
+    listaEspera: true,
+    presenca: true,
+  },
+  // Minutos que o cliente da lista de espera tem para aceitar uma vaga
+  listaEspera: { prazoOfertaMinutos: 15 },
+  // Regras para o cliente cancelar ou reagendar e, a partir de limiteFaltas
+  // faltas, a exigência de confirmar o lembrete ("confirmar") ou o bloqueio
+  // do agendamento pelo chat ("bloquear") (services/politica.js); 0 desliga
+  // a regra. Cada barbearia pode ter as suas (coluna politica)
+  politica: {
+    antecedenciaMinimaHoras: 2,
+    maxReagendamentos: 2,
+    limiteFaltas: 2,
+    aposLimiteFaltas: "confirmar",
+    prazoConfirmacaoHoras: 3,
+  },
+  // Horas depois do horário até a marcação automática de comparecimento
+  presenca: { marcarAposHoras: 12 },
+  // Textos fixos do bot; {barbearia} vira o nome da barbearia
+  textos: {
+    boasVindas: "Opa, seja bem-vindo à {barbearia}!",
+    naoEntendi: "Desculpe, não entendi. Pode repetir, por favor?",
+    semHorarios:
+      "Não temos horários disponíveis no momento. Tente novamente mais tarde!",
+    erro: "Ops, algo deu errado. Tente novamente?",
+  },
+};
+
+// Variável de ambiente -> caminho na configuração e tipo do valor
+const VARIAVEIS = [
+  ["PORT", "porta", "numero"],
+  ["TZ", "fusoHorario"],
+  ["BARBEARIA_NOME", "barbearia.nome"],
+  ["BARBEARIA_PADRAO", "barbeariaPadrao"],
+  ["DB_HOST", "banco.host"],
+  ["DB_PORTA", "banco.porta", "numero"],
+  ["DB_USUARIO", "banco.usuario"],
+  ["DB_SENHA", "banco.senha"],
+  ["DB_NOME", "banco.nome"],
+  ["DB_CONEXOES", "banco.conexoes", "numero"],
+  ["DIALOGFLOW_PROJECT_ID", "dialogflow.projectId"],
+  ["DIALOGFLOW_CHAVE", "dialogflow.keyFilename"],
+  ["NLU_MOTOR", "nlu.motor"],
+  ["NLU_TIMEOUT_MS", "nlu.timeoutMs", "numero"],
+  ["TWILIO_ACCOUNT_SID", "twilio.accountSid"],
+  ["TWILIO_AUTH_TOKEN", "twilio.authToken"],
+  ["TWILIO_FROM", "twilio.from"],
+  ["WEBHOOK_URL", "webhook.url"],
+  ["WEBHOOK_VALIDACAO", "webhook.validacao", "booleano"],
+  ["WEBCHAT_SECRET", "webhook.segredoWebchat"],
+  ["LIMITE_MENSAGENS_POR_MINUTO", "webhook.limiteMensagensPorMinuto", "numero"],
+  ["ADMIN_TOKEN", "admin.token"],
+  ["SESSAO_STORE", "sessoes.store"],
+  ["MENSAGENS_TRANSPORTE", "mensagens.transporte"],
+  ["AGENDA_ARQUIVO", "agenda.arquivo"],
+  ["GERAR_HORARIOS", "tarefas.gerarHorarios", "booleano"],
+  ["LEMBRETES", "tarefas.lembretes", "booleano"],
+  ["LISTA_ESPERA", "tarefas.listaEspera", "booleano"],
+  ["LISTA_ESPERA_PRAZO_MINUTOS", "listaEspera.prazoOfertaMinutos", "numero"],
+  ["POLITICA_ANTECEDENCIA_HORAS", "politica.antecedenciaMinimaHoras", "numero"],
+  ["POLITICA_MAX_REAGENDAMENTOS", "politica.maxReagendamentos", "numero"],
+  ["POLITICA_LIMITE_FALTAS", "politica.limiteFaltas", "numero"],
+  ["POLITICA_APOS_LIMITE_FALTAS", "politica.aposLimiteFaltas"],
+  [
+    "POLITICA_PRAZO_CONFIRMACAO_HORAS",
+    "politica.prazoConfirmacaoHoras",
+    "numero",
+  ],
+  ["PRESENCA", "tarefas.presenca", "booleano"],
+  ["PRESENCA_MARCAR_APOS_HORAS", "presenca.marcarAposHoras", "numero"],
+];
+
+const OPCOES = {
+  "nlu.motor": ["dialogflow", "local"],
+  "sessoes.store": ["mysql", "memoria"],
+  "mensagens.transporte": ["twilio", "fake"],
+  "politica.aposLimiteFaltas": ["confirmar", "bloquear"],
+};
+
+function ler(objeto, caminho) {
+  return caminho.split(".").reduce((atual, chave) => atual?.[chave], objeto);
+}
+
+function gravar(objeto, caminho, valor) {
+  const chaves = caminho.split(".");
+  const ultima = chaves.pop();
+  const alvo = chaves.reduce((atual, chave) => {
+    if (!atual[chave] || typeof atual[chave] !== "object") atual[chave] = {};
+    return atual[chave];
+  }, objeto);
+  alvo[ultima] = valor;
+}
+
+// Mescla objetos simples; arrays e valores são substituídos
+function mesclar(base, extra) {
+  const resultado = { ...base };
+  for (const [chave, valor] of Object.entries(extra || {})) {
+    resultado[chave] =
+      valor && typeof valor === "object" && !Array.isArray(valor)
+        ? mesclar(base[chave] || {}, valor)
+        : valor;
+  }
+  return resultado;
+}
+
+// Nome que aparece nas mensagens de erro: a variável de ambiente, se houver
+function nomeDaOpcao(caminho) {
+  const variavel = VARIAVEIS.find(([, c]) => c === caminho);
+  return variavel ? `${caminho} (${variavel[0]})` : caminho;
+}
+
+function converter(valor, tipo, variavel, erros) {
+  if (tipo === "numero") {
+    const numero = Number(valor);
+    if (valor.trim() === "" || Number.isNaN(numero)) {
+      erros.push(`${variavel}: "${valor}" não é um número.`);
+    }
+    return numero;
+  }
+  if (tipo === "booleano") {
+    if (["true", "1"].includes(valor)) return true;
+    if (["false", "0"].includes(valor)) return false;
+    erros.push(`${variavel}: use true ou false.`);
+    return undefined;
+  }
+  return valor;
+}
+
+function fusoValido(fuso) {
+  try {
+    new Intl.DateTimeFormat("pt-BR", { timeZone: fuso });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Valida a configuração já mesclada.
+ * @param {Object} config - Configuração completa.
+ * @returns {Array<string>} Lista de erros (vazia se estiver tudo certo).
+ */
+function validarConfig(config) {
+  const erros = [];
+  const obrigatorio = (caminho) => {
+    const valor = ler(config, caminho);
+    if (valor === null || valor === undefined || valor === "") {
+      erros.push(`${nomeDaOpcao(caminho)} é obrigatório.`);
+      return false;
+    }
+    return true;
+  };
+  const inteiroPositivo = (caminho) => {
+    const valor = ler(config, caminho);
+    if (!Number.isInteger(valor) || valor <= 0) {
+      erros.push(`${nomeDaOpcao(caminho)} deve ser um inteiro positivo.`);
+    }
+  };
+  const inteiroNaoNegativo = (caminho) => {
+    const valor = ler(config, caminho);
+    if (!Number.isInteger(valor) || valor < 0) {
+      erros.push(`${nomeDaOpcao(caminho)} deve ser um inteiro (0 ou mais).`);
+    }
+  };
+
+  inteiroPositivo("porta");
+  if (!fusoValido(config.fusoHorario)) {
+    erros.push(
+      `${nomeDaOpcao("fusoHorario")}: "${config.fusoHorario}" não é um fuso horário válido (ex: America/Sao_Paulo).`
+    );
+  }
+  obrigatorio("barbearia.nome");
+
+  ["banco.host", "banco.usuario", "banco.nome"].forEach(obrigatorio);
+  if (config.banco.senha === null || config.banco.senha === undefined) {
+    erros.push(`${nomeDaOpcao("banco.senha")} é obrigatório.`);
+  }
+  inteiroPositivo("banco.porta");
+  inteiroPositivo("banco.conexoes");
+
+  for (const [caminho, opcoes] of Object.entries(OPCOES)) {
+    const valor = ler(config, caminho);
+    if (!opcoes.includes(valor)) {
+      erros.push(
+        `${nomeDaOpcao(caminho)}: "${valor}" inválido (use ${opcoes.join(" ou ")}).`
+      );
+    }
+  }
+  inteiroPositivo("nlu.timeoutMs");
+  inteiroPositivo("webhook.limiteMensagensPorMinuto");
+  inteiroPositivo("listaEspera.prazoOfertaMinutos");
+  inteiroNaoNegativo("politica.antecedenciaMinimaHoras");
+  inteiroNaoNegativo("politica.maxReagendamentos");
+  inteiroNaoNegativo("politica.limiteFaltas");
+  inteiroPositivo("politica.prazoConfirmacaoHoras");
+  inteiroPositivo("presenca.marcarAposHoras");
+  if (config.webhook.url && !URL.canParse(config.webhook.url)) {
+    erros.push(
+      `${nomeDaOpcao("webhook.url")}: "${config.webhook.url}" não é uma URL válida.`
+    );
+  }
+
+  if (config.mensagens.transporte === "twilio") {
+    ["twilio.accountSid", "twilio.authToken", "twilio.from"].forEach(
+      obrigatorio
+    );
+  }
+  if (!fs.existsSync(config.agenda.arquivo)) {
+    erros.push(
+      `${nomeDaOpcao("agenda.arquivo")}: arquivo "${config.agenda.arquivo}" não encontrado.`
+    );
+  }
+  for (const [chave, texto] of Object.entries(config.textos)) {
+    if (typeof texto !== "string" || !texto.trim()) {
+      erros.push(`textos.${chave} deve ser um texto não vazio.`);
+    }
+  }
+  return erros;
+}
+
+/**
+ * Valida o que só o servidor (index.js) usa: o Dialogflow e os segredos do
+ * webhook. Os scripts (migrações, geração de horários, seed) rodam sem eles.
+ * @param {Object} config - Configuração completa.
+ * @returns {Array<string>} Lista de erros (vazia se estiver tudo certo).
+ */
+function validarConfigServidor(config) {
+  const erros = [];
+  const faltando = (caminho) => {
+    const valor = ler(config, caminho);
+    return valor === null || valor === undefined || valor === "";
+  };
+
+  if (config.nlu.motor === "dialogflow") {
+    const ausentes = ["dialogflow.projectId", "dialogflow.keyFilename"].filter(
+      faltando
+    );
+    for (const caminho of ausentes) {
+      erros.push(`${nomeDaOpcao(caminho)} é obrigatório.`);
+    }
+    if (!ausentes.length && !fs.existsSync(config.dialogflow.keyFilename)) {
+      erros.push(
+        `${nomeDaOpcao("dialogflow.keyFilename")}: arquivo "${config.dialogflow.keyFilename}" não encontrado. Use NLU_MOTOR=local para rodar sem o Dialogflow.`
+      );
+    }
+  }
+  // Sem os segredos, cada mensagem dos canais seria recusada com 403
+  if (config.webhook.validacao) {
+    for (const caminho of ["twilio.authToken", "webhook.segredoWebchat"]) {
+      if (faltando(caminho)) {
+        erros.push(
+          `${nomeDaOpcao(caminho)} é obrigatório com a validação do webhook ligada (WEBHOOK_VALIDACAO=false a desliga, só em desenvolvimento).`
+        );
+      }
+    }
+  }
+  return erros;
+}
+
+function erroDeConfig(erros) {
+  return new Error(`Configuração inválida:\n- ${erros.join("\n- ")}`);
+}
+
+/**
+ * Monta e valida a configuração.
+ * @param {Object} [opcoes]
+ * @param {Object} [opcoes.env] - Variáveis de ambiente. Padrão: process.env.
+ * @param {string} [opcoes.arquivo] - JSON opcional. Padrão: CONFIG_ARQUIVO ou config/config.json.
+ * @param {boolean} [opcoes.servidor] - Também valida o que só o servidor usa
+ *   (validarConfigServidor).
+ * @returns {Object} Configuração validada.
+ */
+function carregarConfig({ env = process.env, arquivo, servidor = false } = {}) {
+  const caminhoArquivo = arquivo || env.CONFIG_ARQUIVO || ARQUIVO_PADRAO;
+  const erros = [];
+
+  let doArquivo = {};
+  if (fs.existsSync(caminhoArquivo)) {
+    try {
+      doArquivo = JSON.parse(fs.readFileSync(caminhoArquivo, "utf8"));
+    } catch (error) {
+      erros.push(`${caminhoArquivo}: JSON inválido (${error.message}).`);
+    }
+  } else if (arquivo || env.CONFIG_ARQUIVO) {
+    erros.push(`Arquivo de configuração "${caminhoArquivo}" não encontrado.`);
+  }
+
+  const padroes =
+    env.NODE_ENV === "production"
+      ? PADROES
+      : mesclar(PADROES, PADROES_DESENVOLVIMENTO);
+  const config = mesclar(padroes, doArquivo);
+
+  for (const [variavel, caminho, tipo] of VARIAVEIS) {
+    if (env[variavel] === undefined) continue;
+    gravar(config, caminho, converter(env[variavel], tipo, variavel, erros));
+  }
+
+  erros.push(...validarConfig(config));
+  if (servidor) erros.push(...validarConfigServidor(config));
+  if (erros.length) throw erroDeConfig(erros);
+  return config;
+}
+
+let configAtual = null;
+let validadaParaServidor = false;
+
+/**
+ * Configuração do processo, carregada uma vez. O fuso horário configurado
+ * passa a valer para todas as datas locais (gerador, lembretes, mensagens).
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.servidor] - Também valida o que só o servidor usa.
+ * @returns {Object} Configuração validada.
+ */
+function obterConfig({ servidor = false } = {}) {
+  if (!configAtual) {
+    configAtual = carregarConfig({ servidor });
+    process.env.TZ = configAtual.fusoHorario;
+    validadaParaServidor = servidor;
+  } else if (servidor && !validadaParaServidor) {
+    const erros = validarConfigServidor(configAtual);
+    if (erros.length) throw erroDeConfig(erros);
+    validadaParaServidor = true;
+  }
+  return configAtual;
+}
+
+module.exports = {
+  PADROES,
+  VARIAVEIS,
+  validarConfig,
+  validarConfigServidor,
+  fusoValido,
+  carregarConfig,
+  obterConfig,
+};
@@ -1,70 +1,370 @@
 const pool = require("../db");
+const { carregarAgenda } = require("../config/agenda");
+const { executarTransacao } = require("../services/transacao");
+const { agoraNaBarbearia } = require("../services/barbearias");
 
-async function buscarHorariosDisponiveis() {
+// Duração de cada linha de horarios_disponiveis (config/agenda.json).
+// Serviços mais longos ocupam vários horários consecutivos do mesmo barbeiro.
+const DURACAO_SLOT_MINUTOS = carregarAgenda().duracaoSlotMinutos;
+
+/**
+ * Quantos horários consecutivos um atendimento ocupa.
+ * @param {number} duracaoMinutos - Duração total dos serviços.
+ * @returns {number} Quantidade de horários (mínimo 1).
+ */
+function calcularQuantidadeSlots(duracaoMinutos) {
+  return Math.max(1, Math.ceil((duracaoMinutos || 0) / DURACAO_SLOT_MINUTOS));
+}
+
+/**
+ * Mantém apenas os horários em que cabe o bloco inteiro: os próximos
+ * `quantidade - 1` horários do mesmo barbeiro precisam estar na lista,
+ * um logo após o outro.
+ * @param {Array<Object>} horarios - Horários livres (id, dia_horario, barbeiro_id).
+ * @param {number} quantidade - Tamanho do bloco.
+ * @returns {Array<Object>} Horários de início possíveis, na ordem original.
+ */
+function filtrarIniciosComBloco(horarios, quantidade) {
+  if (quantidade <= 1) return horarios;
+  const passoMs = DURACAO_SLOT_MINUTOS * 60 * 1000;
+  const livres = new Set(
+    horarios.map((h) => `${h.barbeiro_id}|${new Date(h.dia_horario).getTime()}`)
+  );
+  return horarios.filter((h) => {
+    const inicio = new Date(h.dia_horario).getTime();
+    for (let i = 1; i < quantidade; i++) {
+      if (!livres.has(`${h.barbeiro_id}|${inicio + i * passoMs}`)) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Resultado de quando outro cliente reservou o horário primeiro. `ocupado`
+ * permite ao chat oferecer alternativas em vez de encerrar a conversa.
+ * @param {string} message - Mensagem ao cliente.
+ * @returns {{success: false, ocupado: true, message: string}}
+ */
+function horarioOcupado(message) {
+  return { success: false, ocupado: true, message };
+}
+
+/**
+ * Busca o bloco de horários consecutivos que começa em horarioId. As linhas
+ * ficam bloqueadas (FOR UPDATE) até o fim da transação, então duas reservas
+ * do mesmo horário são atendidas uma depois da outra.
+ * @param {Object} executor - Conexão do mysql2 com transação aberta.
+ * @param {Object} barbearia - Barbearia; horários de outra não são achados.
+ * @param {number} horarioId - Horário de início.
+ * @param {number} quantidade - Quantidade de horários do bloco.
+ * @param {Array<number>} [horariosProprios] - Horários que já são do agendamento
+ *   sendo movido e, portanto, podem ser reaproveitados mesmo indisponíveis.
+ * @returns {Promise<Array<Object>|null>} Os horários do bloco ou null se não couber.
+ */
+async function buscarBloco(
+  executor,
+  barbearia,
+  horarioId,
+  quantidade,
+  horariosProprios = []
+) {
+  const [inicio] = await executor.query(
+    `SELECT h.id, h.barbeiro_id, h.dia_horario
+     FROM horarios_disponiveis h
+     JOIN barbeiros b ON h.barbeiro_id = b.id
+     WHERE h.id = ? AND b.barbearia_id = ?
+     FOR UPDATE OF h`,
+    [horarioId, barbearia.id]
+  );
+  if (!inicio.length) return null;
+
+  const [bloco] = await executor.query(
+    `SELECT id, dia_horario, disponivel
+     FROM horarios_disponiveis
+     WHERE barbeiro_id = ?
+     AND dia_horario >= ?
+     AND dia_horario < DATE_ADD(?, INTERVAL ? MINUTE)
+     ORDER BY dia_horario
+     FOR UPDATE`,
+    [
+      inicio[0].barbeiro_id,
+      inicio[0].dia_horario,
+      inicio[0].dia_horario,
+      quantidade * DURACAO_SLOT_MINUTOS,
+    ]
+  );
+  if (bloco.length !== quantidade) return null;
+
+  const passoMs = DURACAO_SLOT_MINUTOS * 60 * 1000;
+  const inicioMs = new Date(inicio[0].dia_horario).getTime();
+  const valido = bloco.every(
+    (h, i) =>
+      new Date(h.dia_horario).getTime() === inicioMs + i * passoMs &&
+      (h.disponivel || horariosProprios.includes(h.id))
+  );
+  return valido ? bloco : null;
+}
+
+/**
+ * Indica se algum dos horários está segurado por outra conversa
+ * (reservas_temporarias ainda válidas). Bloqueia as reservas lidas.
+ * @param {Object} executor - Conexão do mysql2 com transação aberta.
+ * @param {Array<number>} horarioIds - Horários do bloco.
+ * @param {string|null} [chaveReserva] - Conversa dona da reserva, que pode usá-los.
+ * @returns {Promise<boolean>}
+ */
+async function reservadoPorOutro(executor, horarioIds, chaveReserva = null) {
+  const [rows] = await executor.query(
+    `SELECT 1 FROM reservas_temporarias
+     WHERE horario_id IN (?)
+     AND expira_em > NOW()
+     AND (? IS NULL OR chave <> ?)
+     LIMIT 1
+     FOR UPDATE`,
+    [horarioIds, chaveReserva, chaveReserva]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Horários ocupados por um agendamento. Agendamentos anteriores ao
+ * agendamentos_horarios só têm o horario_id de início.
+ * @param {Object} executor - Pool ou conexão do mysql2.
+ * @param {Object} agendamento - Linha de agendamentos (id, horario_id).
+ * @returns {Promise<Array<number>>} IDs dos horários.
+ */
+async function listarHorariosDoAgendamento(executor, agendamento) {
+  const [rows] = await executor.query(
+    "SELECT horario_id FROM agendamentos_horarios WHERE agendamento_id = ?",
+    [agendamento.id]
+  );
+  return rows.length ? rows.map((r) => r.horario_id) : [agendamento.horario_id];
+}
+
+/**
+ * Soma a duração dos serviços informados, direto do banco.
+ * @param {Object} executor - Pool ou conexão do mysql2.
+ * @param {Object} barbearia - Barbearia dona dos serviços.
+ * @param {Array<number>} servicoIds - IDs dos serviços.
+ * @returns {Promise<number|null>} Duração em minutos, ou null se algum
+ *   serviço não existir nessa barbearia.
+ */
+async function somarDuracaoServicos(executor, barbearia, servicoIds) {
+  const [rows] = await executor.query(
+    `SELECT COUNT(*) AS quantidade, COALESCE(SUM(duracao_minutos), 0) AS total
+     FROM servicos
+     WHERE id IN (?) AND barbearia_id = ?`,
+    [servicoIds, barbearia.id]
+  );
+  if (Number(rows[0].quantidade) !== new Set(servicoIds).size) return null;
+  return Number(rows[0].total);
+}
+
+/**
+ * Inícios livres para um atendimento. Horários segurados por uma conversa
+ * (reservas_temporarias) não aparecem.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number|null} [barbeiroId] - Barbeiro. Nulo traz todos ("qualquer um").
+ * @param {number} [duracaoMinutos] - Só entram os inícios em que o atendimento
+ *   inteiro cabe.
+ * @param {Object} [filtros]
+ * @param {Date} [filtros.de] - Início mínimo (nunca antes de agora).
+ * @param {Date} [filtros.ate] - Início máximo (exclusivo).
+ * @param {number} [filtros.deMinutos] - Hora do dia mínima, em minutos (ex: 720 = 12:00).
+ * @param {number} [filtros.ateMinutos] - Hora do dia máxima, em minutos (exclusiva).
+ * @returns {Promise<Array<Object>>} Horários em ordem cronológica.
+ */
+async function buscarHorariosDisponiveis(
+  barbearia,
+  barbeiroId = null,
+  duracaoMinutos = DURACAO_SLOT_MINUTOS,
+  filtros = {}
+) {
+  const { de = null, ate = null, deMinutos, ateMinutos } = filtros;
+  const quantidade = calcularQuantidadeSlots(duracaoMinutos);
+  const agora = agoraNaBarbearia(barbearia);
   try {
+    // O fim da busca vai além de `ate` para enxergar o bloco inteiro do último início
     const [rows] = await pool.query(
-      `SELECT id, dia_horario, dia_semana 
-       FROM horarios_disponiveis 
-       WHERE disponivel = TRUE 
-       AND dia_horario >= NOW()
-       ORDER BY dia_horario`
+      `SELECT h.id, h.dia_horario, h.dia_semana, h.barbeiro_id, b.nome AS barbeiro
+       FROM horarios_disponiveis h
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       WHERE b.barbearia_id = ?
+       AND h.disponivel = TRUE
+       AND b.ativo = TRUE
+       AND NOT EXISTS (
+         SELECT 1 FROM reservas_temporarias r
+         WHERE r.horario_id = h.id AND r.expira_em > NOW()
+       )
+       AND h.dia_horario >= GREATEST(?, COALESCE(?, ?))
+       AND (? IS NULL OR h.dia_horario < DATE_ADD(?, INTERVAL ? MINUTE))
+       AND (? IS NULL OR h.barbeiro_id = ?)
+       ORDER BY h.dia_horario, b.nome`,
+      [
+        barbearia.id,
+        agora,
+        de,
+        agora,
+        ate,
+        ate,
+        quantidade * DURACAO_SLOT_MINUTOS,
+        barbeiroId,
+        barbeiroId,
+      ]
     );
-    return rows;
+    return filtrarIniciosComBloco(rows, quantidade).filter((h) => {
+      const inicio = new Date(h.dia_horario);
+      const minutos = inicio.getHours() * 60 + inicio.getMinutes();
+      return (
+        (!ate || inicio < ate) &&
+        (deMinutos === undefined || minutos >= deMinutos) &&
+        (ateMinutos === undefined || minutos < ateMinutos)
+      );
+    });
   } catch (error) {
     console.error("Erro ao buscar horários disponíveis:", error);
     throw new Error("Erro ao buscar horários disponíveis.");
   }
 }
 
-async function agendarServico(clienteId, horarioId, servicoIds) {
+// Busca um horário livre pelo dia da semana (ex: "sexta-feira") e hora ("10:00").
+async function buscarHorarioPorDiaSemanaEHora(
+  barbearia,
+  diaSemana,
+  hora,
+  barbeiroId = null,
+  duracaoMinutos = DURACAO_SLOT_MINUTOS
+) {
+  const horarios = await buscarHorariosDisponiveis(
+    barbearia,
+    barbeiroId,
+    duracaoMinutos
+  );
+  return (
+    horarios.find((h) => {
+      const data = new Date(h.dia_horario);
+      return (
+        data.toLocaleDateString("pt-BR", { weekday: "long" }).toLowerCase() ===
+          diaSemana &&
+        data.toLocaleTimeString("pt-BR", {
+          hour: "2-digit",
+          minute: "2-digit",
+          hour12: false,
+        }) === hora
+      );
+    }) || null
+  );
+}
+
+/**
+ * Cria o agendamento e ocupa os horários do atendimento. Cliente, horário e
+ * serviços precisam ser da barbearia informada.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} clienteId - Cliente.
+ * @param {number} horarioId - Horário de início.
+ * @param {Array<number>} servicoIds - Serviços.
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.chaveReserva] - Conversa que segurou o horário; a
+ *   reserva temporária dela vira o agendamento.
+ * @param {number} [opcoes.serieId] - Série recorrente (serieController) da data.
+ * @returns {Promise<Object>} { success, agendamentoId } ou { success: false, message, ocupado? }.
+ */
+async function agendarServico(
+  barbearia,
+  clienteId,
+  horarioId,
+  servicoIds,
+  { chaveReserva = null, serieId = null } = {}
+) {
+  // Validate inputs
+  if (!clienteId || !horarioId) {
+    return { success: false, message: "Cliente ou horário inválido." };
+  }
+  if (!Array.isArray(servicoIds) || servicoIds.length === 0) {
+    return { success: false, message: "Nenhum serviço selecionado." };
+  }
+
   try {
-    // Validate inputs
-    if (!clienteId || !horarioId) {
-      return { success: false, message: "Cliente ou horário inválido." };
-    }
-    if (!Array.isArray(servicoIds) || servicoIds.length === 0) {
-      return { success: false, message: "Nenhum serviço selecionado." };
-    }
+    return await executarTransacao(async (connection) => {
+      const [cliente] = await connection.query(
+        "SELECT id FROM clientes WHERE id = ? AND barbearia_id = ?",
+        [clienteId, barbearia.id]
+      );
+      const duracaoMinutos = await somarDuracaoServicos(
+        connection,
+        barbearia,
+        servicoIds
+      );
+      if (!cliente.length || duracaoMinutos === null) {
+        return { success: false, message: "Cliente ou serviço inválido." };
+      }
 
-    await pool.query("START TRANSACTION");
+      // Verificar (e bloquear) todos os horários do atendimento
+      const bloco = await buscarBloco(
+        connection,
+        barbearia,
+        horarioId,
+        calcularQuantidadeSlots(duracaoMinutos)
+      );
+      if (
+        !bloco ||
+        (await reservadoPorOutro(
+          connection,
+          bloco.map((h) => h.id),
+          chaveReserva
+        ))
+      ) {
+        return horarioOcupado("Horário indisponível.");
+      }
+      // Pela administração chega qualquer horário; pelo chat, um que passou
+      // enquanto o cliente decidia
+      if (new Date(bloco[0].dia_horario) <= agoraNaBarbearia(barbearia)) {
+        return horarioOcupado("Esse horário já passou.");
+      }
 
-    // Verificar se o horário está disponível
-    const [horario] = await pool.query(
-      "SELECT disponivel FROM horarios_disponiveis WHERE id = ?",
-      [horarioId]
-    );
-    if (!horario.length || !horario[0].disponivel) {
-      await pool.query("ROLLBACK");
-      return { success: false, message: "Horário indisponível." };
-    }
+      // Criar o agendamento (data no relógio da barbearia, como os horários)
+      const [result] = await connection.query(
+        `INSERT INTO agendamentos
+           (cliente_id, horario_id, status, data_agendamento, serie_id)
+         VALUES (?, ?, 'ativo', ?, ?)`,
+        [clienteId, horarioId, agoraNaBarbearia(barbearia), serieId]
+      );
+      const agendamentoId = result.insertId;
 
-    // Criar o agendamento
-    const [result] = await pool.query(
-      `INSERT INTO agendamentos (cliente_id, horario_id, status, data_agendamento) 
-       VALUES (?, ?, 'ativo', NOW())`,
-      [clienteId, horarioId]
-    );
-    const agendamentoId = result.insertId;
-
-    // Associar serviços ao agendamento
-    for (const servicoId of servicoIds) {
-      await pool.query(
-        `INSERT INTO agendamentos_servicos (agendamento_id, servico_id) 
-         VALUES (?, ?)`,
-        [agendamentoId, servicoId]
+      // Associar serviços ao agendamento
+      for (const servicoId of servicoIds) {
+        await connection.query(
+          `INSERT INTO agendamentos_servicos (agendamento_id, servico_id)
+           VALUES (?, ?)`,
+          [agendamentoId, servicoId]
+        );
+      }
+
+      // Associar e marcar todos os horários do bloco como indisponíveis.
+      // A chave única de agendamentos_horarios barra uma segunda ocupação ativa.
+      const horarioIds = bloco.map((h) => h.id);
+      await connection.query(
+        "INSERT INTO agendamentos_horarios (agendamento_id, horario_id) VALUES ?",
+        [horarioIds.map((id) => [agendamentoId, id])]
+      );
+      await connection.query(
+        "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE id IN (?)",
+        [horarioIds]
       );
-    }
 
-    // Marcar horário como indisponível
-    await pool.query(
-      "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE id = ?",
-      [horarioId]
-    );
+      if (chaveReserva) {
+        await connection.query(
+          "DELETE FROM reservas_temporarias WHERE chave = ?",
+          [chaveReserva]
+        );
+      }
 
-    await pool.query("COMMIT");
-    return { success: true };
+      return { success: true, agendamentoId };
+    });
   } catch (error) {
-    await pool.query("ROLLBACK");
+    if (error.code === "ER_DUP_ENTRY") {
+      return horarioOcupado("Horário indisponível.");
+    }
     console.error("Erro ao agendar serviço:", error);
     return {
       success: false,
@@ -73,4 +373,14 @@ async function agendarServico(clienteId, horarioId, servicoIds) {
   }
 }
 
-module.exports = { buscarHorariosDisponiveis, agendarServico };
+module.exports = {
+  DURACAO_SLOT_MINUTOS,
+  calcularQuantidadeSlots,
+  horarioOcupado,
+  buscarBloco,
+  reservadoPorOutro,
+  listarHorariosDoAgendamento,
+  buscarHorariosDisponiveis,
+  buscarHorarioPorDiaSemanaEHora,
+  agendarServico,
+};
@@ -0,0 +1,129 @@
+// barbeariaController.js
+// Barbearias atendidas por este deploy (tabela barbearias). Colunas nulas
+// herdam os padrões da configuração: nome, fuso, textos, agenda e política.
+const pool = require("../db");
+const { obterConfig, fusoValido } = require("../config");
+const { validarAgenda, carregarAgenda } = require("../config/agenda");
+const { validarPolitica } = require("../services/politica");
+
+// Barbearias mudam raramente; evita uma consulta por mensagem.
+const CACHE_BARBEARIAS_MS = 60 * 1000;
+let cacheBarbearias = null;
+let cacheExpiraEm = 0;
+
+/**
+ * Número do Twilio sem o prefixo do canal ("whatsapp:+55..." -> "+55...").
+ * @param {string} telefone - Número como o Twilio envia em To.
+ * @returns {string} Número para comparação.
+ */
+function normalizarNumero(telefone) {
+  return String(telefone || "")
+    .replace(/^\w+:/, "")
+    .replace(/\s+/g, "");
+}
+
+/**
+ * Monta a barbearia a partir da linha do banco, completando com a configuração.
+ * @param {Object} linha - Linha de barbearias.
+ * @returns {Object} Barbearia (id, slug, nome, telefone, fusoHorario, textos, agenda, politica, tokenAdmin).
+ * @throws {Error} Se o fuso ou a agenda próprios forem inválidos.
+ */
+function montarBarbearia(linha) {
+  const config = obterConfig();
+  const erros = [];
+  const fusoHorario = linha.fuso_horario || config.fusoHorario;
+  if (!fusoValido(fusoHorario)) {
+    erros.push(`fuso_horario "${fusoHorario}" inválido.`);
+  }
+  // A duração do horário é a mesma para todas: os controllers calculam os
+  // blocos de atendimento com a duração da agenda padrão
+  const agendaPadrao = carregarAgenda();
+  const agenda = linha.agenda || agendaPadrao;
+  erros.push(...validarAgenda(agenda));
+  if (agenda.duracaoSlotMinutos !== agendaPadrao.duracaoSlotMinutos) {
+    erros.push(
+      "agenda.duracaoSlotMinutos precisa ser igual ao da agenda padrão."
+    );
+  }
+  const politica = { ...config.politica, ...(linha.politica || {}) };
+  erros.push(...validarPolitica(politica));
+  if (erros.length) {
+    throw new Error(
+      `Barbearia "${linha.slug}" inválida:\n- ${erros.join("\n- ")}`
+    );
+  }
+  return {
+    id: linha.id,
+    slug: linha.slug,
+    nome: linha.nome || config.barbearia.nome,
+    telefone: linha.telefone || null,
+    fusoHorario,
+    textos: { ...config.textos, ...(linha.textos || {}) },
+    agenda,
+    politica,
+    tokenAdmin: linha.token_admin || null,
+  };
+}
+
+/**
+ * Barbearias ativas. Uma barbearia com configuração inválida fica de fora
+ * (com o erro no log) sem derrubar as outras.
+ * @returns {Promise<Array<Object>>} Barbearias montadas por montarBarbearia.
+ */
+async function listarBarbeariasAtivas() {
+  if (cacheBarbearias && Date.now() < cacheExpiraEm) return cacheBarbearias;
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, slug, nome, telefone, fuso_horario, textos, agenda, politica,
+         token_admin
+       FROM barbearias
+       WHERE ativo = TRUE
+       ORDER BY id`
+    );
+    cacheBarbearias = rows.flatMap((linha) => {
+      try {
+        return [montarBarbearia(linha)];
+      } catch (error) {
+        console.error(error.message);
+        return [];
+      }
+    });
+    cacheExpiraEm = Date.now() + CACHE_BARBEARIAS_MS;
+    return cacheBarbearias;
+  } catch (error) {
+    console.error("Erro ao listar barbearias:", error);
+    throw new Error("Erro ao listar barbearias.");
+  }
+}
+
+// Chamado quando uma barbearia é alterada, para não esperar o cache expirar.
+function invalidarCacheBarbearias() {
+  cacheBarbearias = null;
+  cacheExpiraEm = 0;
+}
+
+async function buscarBarbeariaPorSlug(slug) {
+  if (!slug) return null;
+  const barbearias = await listarBarbeariasAtivas();
+  return barbearias.find((b) => b.slug === slug) || null;
+}
+
+async function buscarBarbeariaPorTelefone(telefone) {
+  const numero = normalizarNumero(telefone);
+  if (!numero) return null;
+  const barbearias = await listarBarbeariasAtivas();
+  return (
+    barbearias.find(
+      (b) => b.telefone && normalizarNumero(b.telefone) === numero
+    ) || null
+  );
+}
+
+module.exports = {
+  normalizarNumero,
+  montarBarbearia,
+  listarBarbeariasAtivas,
+  invalidarCacheBarbearias,
+  buscarBarbeariaPorSlug,
+  buscarBarbeariaPorTelefone,
+};
@@ -0,0 +1,19 @@
+const pool = require("../db");
+
+async function listarBarbeirosAtivos(barbearia) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, nome
+       FROM barbeiros
+       WHERE barbearia_id = ? AND ativo = TRUE
+       ORDER BY nome`,
+      [barbearia.id]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar barbeiros:", error);
+    throw new Error("Erro ao listar barbeiros.");
+  }
+}
+
+module.exports = { listarBarbeirosAtivos };
@@ -1,15 +1,19 @@
 const pool = require("../db");
 
-// Encontra ou cria um cliente no banco de dados.
+// Encontra ou cria um cliente da barbearia no banco de dados.
 // Se o cliente existir, ele é retornado. Se não, um novo é criado.
 // Tenta usar profileName do Twilio, se disponível.
-async function encontrarOuCriarCliente(telefone, profileName = "Cliente") {
+async function encontrarOuCriarCliente(
+  barbearia,
+  telefone,
+  profileName = "Cliente"
+) {
   let client;
   try {
     client = await pool.getConnection();
     let [rows] = await client.query(
-      "SELECT id, nome, telefone FROM clientes WHERE telefone = ?",
-      [telefone]
+      "SELECT id, nome, telefone FROM clientes WHERE barbearia_id = ? AND telefone = ?",
+      [barbearia.id, telefone]
     );
 
     let cliente;
@@ -33,8 +37,8 @@ async function encontrarOuCriarCliente(telefone, profileName = "Cliente") {
       // Cliente não encontrado, cria um novo
       const nomeParaSalvar = profileName || "Cliente"; // Usa profileName se existir, senão 'Cliente'
       const [result] = await client.query(
-        "INSERT INTO clientes (nome, telefone) VALUES (?, ?)",
-        [nomeParaSalvar, telefone]
+        "INSERT INTO clientes (barbearia_id, nome, telefone) VALUES (?, ?, ?)",
+        [barbearia.id, nomeParaSalvar, telefone]
       );
       cliente = {
         id: result.insertId,
@@ -53,15 +57,15 @@ async function encontrarOuCriarCliente(telefone, profileName = "Cliente") {
 }
 
 // Atualiza o nome de um cliente existente.
-async function atualizarNomeCliente(clienteId, novoNome) {
+async function atualizarNomeCliente(barbearia, clienteId, novoNome) {
   let client;
   console.log("aqui");
 
   try {
     client = await pool.getConnection();
     const [result] = await client.query(
-      "UPDATE clientes SET nome = ? WHERE id = ?",
-      [novoNome, clienteId]
+      "UPDATE clientes SET nome = ? WHERE id = ? AND barbearia_id = ?",
+      [novoNome, clienteId, barbearia.id]
     );
     if (result.affectedRows > 0) {
       console.log(`Nome do cliente ${clienteId} atualizado para: ${novoNome}`);
@@ -84,7 +88,112 @@ async function atualizarNomeCliente(clienteId, novoNome) {
   }
 }
 
+// Busca por parte do nome ou do telefone (administração).
+async function buscarClientes(barbearia, termo = "") {
+  try {
+    const filtro = `%${termo.trim()}%`;
+    const [rows] = await pool.query(
+      `SELECT id, nome, telefone
+       FROM clientes
+       WHERE barbearia_id = ? AND (nome LIKE ? OR telefone LIKE ?)
+       ORDER BY nome
+       LIMIT 50`,
+      [barbearia.id, filtro, filtro]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao buscar clientes:", error);
+    throw new Error("Erro ao buscar clientes.");
+  }
+}
+
+// Com a quantidade de cancelamentos fora do prazo da política e de faltas.
+async function buscarClientePorId(barbearia, clienteId) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT c.id, c.nome, c.telefone,
+         (SELECT COUNT(*) FROM agendamentos a
+          WHERE a.cliente_id = c.id AND a.cancelamento_tardio = TRUE)
+           AS cancelamentos_tardios,
+         (SELECT COUNT(*) FROM agendamentos a
+          WHERE a.cliente_id = c.id AND a.status = 'faltou') AS faltas
+       FROM clientes c
+       WHERE c.id = ? AND c.barbearia_id = ?`,
+      [clienteId, barbearia.id]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    console.error("Erro ao buscar cliente:", error);
+    throw new Error("Erro ao buscar cliente.");
+  }
+}
+
+async function atualizarCliente(barbearia, clienteId, { nome, telefone }) {
+  const campos = {};
+  if (nome !== undefined) {
+    if (String(nome).trim().length < 2) {
+      return { success: false, message: "Nome inválido." };
+    }
+    campos.nome = String(nome).trim();
+  }
+  if (telefone !== undefined) {
+    if (!String(telefone).trim()) {
+      return { success: false, message: "Telefone inválido." };
+    }
+    campos.telefone = String(telefone).trim();
+  }
+  if (!Object.keys(campos).length) {
+    return { success: false, message: "Nenhum campo para atualizar." };
+  }
+  try {
+    const [result] = await pool.query(
+      "UPDATE clientes SET ? WHERE id = ? AND barbearia_id = ?",
+      [campos, clienteId, barbearia.id]
+    );
+    if (!result.affectedRows) {
+      return { success: false, message: "Cliente não encontrado." };
+    }
+    return { success: true };
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return {
+        success: false,
+        message: "Já existe um cliente com esse telefone.",
+      };
+    }
+    console.error("Erro ao atualizar cliente:", error);
+    return { success: false, message: "Erro interno ao atualizar o cliente." };
+  }
+}
+
+// Clientes com histórico de agendamentos são mantidos.
+async function removerCliente(barbearia, clienteId) {
+  try {
+    const [result] = await pool.query(
+      `DELETE FROM clientes
+       WHERE id = ?
+       AND barbearia_id = ?
+       AND NOT EXISTS (SELECT 1 FROM agendamentos a WHERE a.cliente_id = ?)`,
+      [clienteId, barbearia.id, clienteId]
+    );
+    if (!result.affectedRows) {
+      return {
+        success: false,
+        message: "Cliente não encontrado ou com agendamentos registrados.",
+      };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao remover cliente:", error);
+    return { success: false, message: "Erro interno ao remover o cliente." };
+  }
+}
+
 module.exports = {
   encontrarOuCriarCliente,
   atualizarNomeCliente,
+  buscarClientes,
+  buscarClientePorId,
+  atualizarCliente,
+  removerCliente,
 };
@@ -1,45 +1,93 @@
 // gerenciamentoController.js
 const pool = require("../db");
+const { executarTransacao } = require("../services/transacao");
+const { avisarHorariosLiberados } = require("../services/horariosLiberados");
+const { verificarPolitica } = require("../services/politica");
+const { agoraNaBarbearia } = require("../services/barbearias");
+const {
+  calcularQuantidadeSlots,
+  horarioOcupado,
+  buscarBloco,
+  reservadoPorOutro,
+  listarHorariosDoAgendamento,
+} = require("./agendamentoController");
 
-async function cancelarAgendamento(agendamentoId) {
-  const connection = await pool.getConnection(); // Usa pool em vez de db
+/**
+ * Cancela o agendamento e libera os horários, respeitando a política de
+ * cancelamento (services/politica.js).
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} agendamentoId - Agendamento.
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.forcar] - Ignora a política (só a administração);
+ *   o cancelamento fora do prazo fica registrado contra o cliente.
+ * @param {boolean} [opcoes.registrarTardio] - false não registra o
+ *   cancelamento forçado contra o cliente (ex: liberação automática).
+ * @returns {Promise<Object>} { success, message?, politica? }.
+ */
+async function cancelarAgendamento(
+  barbearia,
+  agendamentoId,
+  { forcar = false, registrarTardio = true } = {}
+) {
   try {
-    // Inicia uma transação para garantir consistência
-    await connection.beginTransaction();
+    const result = await executarTransacao(async (connection) => {
+      // Verifica se o agendamento existe, está ativo e é da barbearia (e o
+      // bloqueia até o commit, para não correr junto com um reagendamento)
+      const [agendamento] = await connection.query(
+        `SELECT a.*, h.dia_horario
+         FROM agendamentos a
+         JOIN clientes c ON a.cliente_id = c.id
+         JOIN horarios_disponiveis h ON a.horario_id = h.id
+         WHERE a.id = ? AND a.status = "ativo" AND c.barbearia_id = ?
+         FOR UPDATE OF a`,
+        [agendamentoId, barbearia.id]
+      );
 
-    // Verifica se o agendamento existe e está ativo
-    const [agendamento] = await connection.query(
-      'SELECT * FROM agendamentos WHERE id = ? AND status = "ativo"',
-      [agendamentoId]
-    );
+      if (!agendamento || agendamento.length === 0) {
+        return {
+          success: false,
+          message: "Agendamento não encontrado ou já cancelado.",
+        };
+      }
 
-    if (!agendamento || agendamento.length === 0) {
-      await connection.release();
-      return {
-        success: false,
-        message: "Agendamento não encontrado ou já cancelado.",
-      };
-    }
+      const bloqueio = verificarPolitica(barbearia, agendamento[0], "cancelar");
+      if (bloqueio && !forcar) {
+        return { success: false, politica: true, message: bloqueio };
+      }
 
-    // Atualiza o status do agendamento para 'cancelado'
-    await connection.query(
-      'UPDATE agendamentos SET status = "cancelado" WHERE id = ?',
-      [agendamentoId]
-    );
+      // Atualiza o status do agendamento para 'cancelado'; fora do prazo, só
+      // chega aqui forçado, e conta como cancelamento tardio do cliente
+      await connection.query(
+        `UPDATE agendamentos
+         SET status = "cancelado", cancelado_em = NOW(), cancelamento_tardio = ?
+         WHERE id = ?`,
+        [Boolean(bloqueio) && registrarTardio, agendamentoId]
+      );
 
-    // Libera o horário associado (torna disponível novamente)
-    await connection.query(
-      "UPDATE horarios_disponiveis SET disponivel = TRUE WHERE id = ?",
-      [agendamento[0].horario_id] // Ajuste para acessar o primeiro elemento
-    );
+      // Libera todos os horários do atendimento (torna disponíveis novamente)
+      const horarioIds = await listarHorariosDoAgendamento(
+        connection,
+        agendamento[0]
+      );
+      await connection.query(
+        "UPDATE agendamentos_horarios SET ativo = NULL WHERE agendamento_id = ?",
+        [agendamentoId]
+      );
+      await connection.query(
+        "UPDATE horarios_disponiveis SET disponivel = TRUE WHERE id IN (?)",
+        [horarioIds]
+      );
 
-    // Confirma a transação
-    await connection.commit();
-    await connection.release();
-    return { success: true };
+      return { success: true, horarioIds };
+    });
+    // Depois do commit: a lista de espera já enxerga os horários livres
+    if (result.success) {
+      const { horarioIds, ...resposta } = result;
+      avisarHorariosLiberados(barbearia, horarioIds);
+      return resposta;
+    }
+    return result;
   } catch (error) {
-    await connection.rollback(); // Desfaz a transação em caso de erro
-    await connection.release();
     console.error("Erro em cancelarAgendamento:", error);
     return {
       success: false,
@@ -48,17 +96,29 @@ async function cancelarAgendamento(agendamentoId) {
   }
 }
 
-// Resto do arquivo permanece igual
-async function listarAgendamentosAtivos(clienteId) {
+// Uma linha por agendamento, com os serviços juntos (ex: "Corte e Barba").
+// serie_id só vem preenchido enquanto a série do agendamento está ativa.
+async function listarAgendamentosAtivos(barbearia, clienteId) {
   try {
     const [rows] = await pool.query(
-      `SELECT a.id, a.horario_id, s.nome AS servico, h.dia_horario
+      `SELECT a.id, a.horario_id, a.reagendamentos,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         SUM(s.duracao_minutos) AS duracao_minutos,
+         h.dia_horario, h.barbeiro_id, b.nome AS barbeiro,
+         sa.id AS serie_id, sa.intervalo_semanas
        FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
        JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
        JOIN servicos s ON asv.servico_id = s.id
        JOIN horarios_disponiveis h ON a.horario_id = h.id
-       WHERE a.cliente_id = ? AND a.status = 'ativo'`,
-      [clienteId]
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       LEFT JOIN series_agendamentos sa
+         ON a.serie_id = sa.id AND sa.status = 'ativa'
+       WHERE a.cliente_id = ? AND c.barbearia_id = ? AND a.status = 'ativo'
+       GROUP BY a.id, a.horario_id, a.reagendamentos, h.dia_horario,
+         h.barbeiro_id, b.nome, sa.id, sa.intervalo_semanas
+       ORDER BY h.dia_horario`,
+      [clienteId, barbearia.id]
     );
     return rows;
   } catch (error) {
@@ -67,50 +127,255 @@ async function listarAgendamentosAtivos(clienteId) {
   }
 }
 
-async function reagendarAgendamento(agendamentoId, novoHorarioId) {
+/**
+ * Histórico do cliente: agendamentos não cancelados, do mais recente para o
+ * mais antigo, com os IDs dos serviços para repetir a visita.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} clienteId - Cliente.
+ * @param {Object} [opcoes]
+ * @param {Date} [opcoes.antesDe] - Só os que começaram antes dessa data.
+ * @param {number} [opcoes.limite] - Quantidade máxima.
+ * @returns {Promise<Array<Object>>} Agendamentos com servicoIds (números).
+ */
+async function listarHistoricoCliente(
+  barbearia,
+  clienteId,
+  { antesDe = null, limite = 10 } = {}
+) {
   try {
-    await pool.query("START TRANSACTION");
-
-    const [agendamento] = await pool.query(
-      'SELECT horario_id FROM agendamentos WHERE id = ? AND status = "ativo"',
-      [agendamentoId]
+    const [rows] = await pool.query(
+      `SELECT a.id, a.status,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         GROUP_CONCAT(s.id ORDER BY s.id SEPARATOR ',') AS servico_ids,
+         h.dia_horario, h.barbeiro_id, b.nome AS barbeiro
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
+       JOIN servicos s ON asv.servico_id = s.id
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       WHERE a.cliente_id = ? AND c.barbearia_id = ?
+       AND a.status <> 'cancelado'
+       AND (? IS NULL OR h.dia_horario < ?)
+       GROUP BY a.id, a.status, h.dia_horario, h.barbeiro_id, b.nome
+       ORDER BY h.dia_horario DESC
+       LIMIT ?`,
+      [clienteId, barbearia.id, antesDe, antesDe, limite]
     );
-    if (!agendamento.length) {
-      await pool.query("ROLLBACK");
-      return {
-        success: false,
-        message: "Agendamento não encontrado ou já cancelado.",
-      };
-    }
+    return rows.map(({ servico_ids: ids, ...agendamento }) => ({
+      ...agendamento,
+      servicoIds: String(ids).split(",").map(Number),
+    }));
+  } catch (error) {
+    console.error("Erro ao listar histórico do cliente:", error);
+    throw new Error("Erro ao listar histórico do cliente.");
+  }
+}
 
-    const [novoHorario] = await pool.query(
-      "SELECT disponivel FROM horarios_disponiveis WHERE id = ?",
-      [novoHorarioId]
+/**
+ * Lista agendamentos da barbearia para a administração.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} filtros
+ * @param {string} [filtros.data] - Dia ("AAAA-MM-DD").
+ * @param {string} [filtros.ate] - Último dia de um intervalo começando em `data`.
+ * @param {number} [filtros.barbeiroId] - Barbeiro.
+ * @param {string} [filtros.status] - "ativo", "cancelado"... (vários separados por vírgula)
+ * @param {number} [filtros.clienteId] - Cliente.
+ * @returns {Promise<Array<Object>>} Agendamentos com cliente, serviços, barbeiro
+ *   e a série ativa (serie_id, intervalo_semanas), se houver.
+ */
+async function listarAgendamentos(
+  barbearia,
+  { data, ate, barbeiroId, status, clienteId } = {}
+) {
+  const condicoes = ["c.barbearia_id = ?"];
+  const valores = [barbearia.id];
+  if (data) {
+    condicoes.push("DATE(h.dia_horario) BETWEEN ? AND ?");
+    valores.push(data, ate || data);
+  }
+  if (barbeiroId) {
+    condicoes.push("h.barbeiro_id = ?");
+    valores.push(barbeiroId);
+  }
+  if (status) {
+    condicoes.push("a.status IN (?)");
+    valores.push(status.split(","));
+  }
+  if (clienteId) {
+    condicoes.push("a.cliente_id = ?");
+    valores.push(clienteId);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.id, a.status, a.horario_id, a.data_agendamento, a.confirmado_em,
+         a.reagendamentos, a.cancelado_em, a.cancelamento_tardio,
+         a.presenca_automatica, c.id AS cliente_id, c.nome AS cliente, c.telefone,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         SUM(s.duracao_minutos) AS duracao_minutos,
+         SUM(s.preco) AS preco,
+         h.dia_horario, h.barbeiro_id, b.nome AS barbeiro,
+         sa.id AS serie_id, sa.intervalo_semanas
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
+       JOIN servicos s ON asv.servico_id = s.id
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       LEFT JOIN series_agendamentos sa
+         ON a.serie_id = sa.id AND sa.status = 'ativa'
+       WHERE ${condicoes.join(" AND ")}
+       GROUP BY a.id, a.status, a.horario_id, a.data_agendamento, a.confirmado_em,
+         a.reagendamentos, a.cancelado_em, a.cancelamento_tardio,
+         a.presenca_automatica, c.id, c.nome, c.telefone, h.dia_horario, h.barbeiro_id, b.nome,
+         sa.id, sa.intervalo_semanas
+       ORDER BY h.dia_horario`,
+      valores
     );
-    if (!novoHorario.length || !novoHorario[0].disponivel) {
-      await pool.query("ROLLBACK");
-      return { success: false, message: "Novo horário indisponível." };
-    }
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar agendamentos:", error);
+    throw new Error("Erro ao listar agendamentos.");
+  }
+}
 
-    await pool.query("UPDATE agendamentos SET horario_id = ? WHERE id = ?", [
-      novoHorarioId,
-      agendamentoId,
-    ]);
+// Com barbeiroId informado, o novo horário precisa ser do mesmo barbeiro.
+// chaveReserva é a conversa que segurou o novo horário (reservaController);
+// forcar ignora a política de reagendamento (só a administração).
+async function reagendarAgendamento(
+  barbearia,
+  agendamentoId,
+  novoHorarioId,
+  barbeiroId = null,
+  { chaveReserva = null, forcar = false } = {}
+) {
+  try {
+    const result = await executarTransacao(async (connection) => {
+      const [agendamento] = await connection.query(
+        `SELECT a.id, a.horario_id, a.reagendamentos, h.dia_horario
+         FROM agendamentos a
+         JOIN clientes c ON a.cliente_id = c.id
+         JOIN horarios_disponiveis h ON a.horario_id = h.id
+         WHERE a.id = ? AND a.status = "ativo" AND c.barbearia_id = ?
+         FOR UPDATE OF a`,
+        [agendamentoId, barbearia.id]
+      );
+      if (!agendamento.length) {
+        return {
+          success: false,
+          message: "Agendamento não encontrado ou já cancelado.",
+        };
+      }
+      const bloqueio = verificarPolitica(
+        barbearia,
+        agendamento[0],
+        "reagendar"
+      );
+      if (bloqueio && !forcar) {
+        return { success: false, politica: true, message: bloqueio };
+      }
 
-    await pool.query(
-      "UPDATE horarios_disponiveis SET disponivel = TRUE WHERE id = ?",
-      [agendamento[0].horario_id]
-    );
+      const [novoHorario] = await connection.query(
+        "SELECT barbeiro_id FROM horarios_disponiveis WHERE id = ?",
+        [novoHorarioId]
+      );
+      if (barbeiroId && novoHorario[0]?.barbeiro_id !== barbeiroId) {
+        return {
+          success: false,
+          message: "O novo horário não é com o mesmo barbeiro.",
+        };
+      }
 
-    await pool.query(
-      "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE id = ?",
-      [novoHorarioId]
-    );
+      // O novo bloco precisa ter o mesmo tamanho do atendimento; horários do
+      // próprio agendamento podem ser reaproveitados (ex: adiar 30 minutos).
+      const [duracao] = await connection.query(
+        `SELECT COALESCE(SUM(s.duracao_minutos), 0) AS total
+         FROM agendamentos_servicos asv
+         JOIN servicos s ON asv.servico_id = s.id
+         WHERE asv.agendamento_id = ?`,
+        [agendamentoId]
+      );
+      const horariosAntigos = await listarHorariosDoAgendamento(
+        connection,
+        agendamento[0]
+      );
+      const novoBloco = await buscarBloco(
+        connection,
+        barbearia,
+        novoHorarioId,
+        calcularQuantidadeSlots(Number(duracao[0].total)),
+        horariosAntigos
+      );
+      const horariosNovos = novoBloco?.map((h) => h.id);
+      if (
+        !novoBloco ||
+        (await reservadoPorOutro(connection, horariosNovos, chaveReserva))
+      ) {
+        return horarioOcupado("Novo horário indisponível.");
+      }
+      if (new Date(novoBloco[0].dia_horario) <= agoraNaBarbearia(barbearia)) {
+        return horarioOcupado("O novo horário já passou.");
+      }
 
-    await pool.query("COMMIT");
-    return { success: true };
+      // Lembretes e confirmação eram do horário antigo: o novo recebe os seus
+      await connection.query(
+        `UPDATE agendamentos
+         SET horario_id = ?, reagendamentos = reagendamentos + 1,
+           confirmado_em = NULL
+         WHERE id = ?`,
+        [novoHorarioId, agendamentoId]
+      );
+      await connection.query(
+        "DELETE FROM lembretes_enviados WHERE agendamento_id = ?",
+        [agendamentoId]
+      );
+
+      await connection.query(
+        "UPDATE horarios_disponiveis SET disponivel = TRUE WHERE id IN (?)",
+        [horariosAntigos]
+      );
+
+      await connection.query(
+        "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE id IN (?)",
+        [horariosNovos]
+      );
+
+      await connection.query(
+        "DELETE FROM agendamentos_horarios WHERE agendamento_id = ?",
+        [agendamentoId]
+      );
+      await connection.query(
+        "INSERT INTO agendamentos_horarios (agendamento_id, horario_id) VALUES ?",
+        [horariosNovos.map((id) => [agendamentoId, id])]
+      );
+
+      if (chaveReserva) {
+        await connection.query(
+          "DELETE FROM reservas_temporarias WHERE chave = ?",
+          [chaveReserva]
+        );
+      }
+
+      return {
+        success: true,
+        horariosLiberados: horariosAntigos.filter(
+          (id) => !horariosNovos.includes(id)
+        ),
+      };
+    });
+    if (result.success) {
+      const { horariosLiberados, ...resposta } = result;
+      if (horariosLiberados.length) {
+        avisarHorariosLiberados(barbearia, horariosLiberados);
+      }
+      return resposta;
+    }
+    return result;
   } catch (error) {
-    await pool.query("ROLLBACK");
+    if (error.code === "ER_DUP_ENTRY") {
+      return horarioOcupado("Novo horário indisponível.");
+    }
     console.error("Erro ao reagendar:", error);
     return {
       success: false,
@@ -119,8 +384,36 @@ async function reagendarAgendamento(agendamentoId, novoHorarioId) {
   }
 }
 
+// Registra que o cliente confirmou presença (resposta a um lembrete).
+async function confirmarPresenca(barbearia, agendamentoId) {
+  try {
+    const [result] = await pool.query(
+      `UPDATE agendamentos SET confirmado_em = NOW()
+       WHERE id = ? AND status = 'ativo'
+       AND cliente_id IN (SELECT id FROM clientes WHERE barbearia_id = ?)`,
+      [agendamentoId, barbearia.id]
+    );
+    if (!result.affectedRows) {
+      return {
+        success: false,
+        message: "Agendamento não encontrado ou já cancelado.",
+      };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao confirmar presença:", error);
+    return {
+      success: false,
+      message: "Ops, algo deu errado ao confirmar. Tente novamente.",
+    };
+  }
+}
+
 module.exports = {
+  listarAgendamentos,
   listarAgendamentosAtivos,
+  listarHistoricoCliente,
+  confirmarPresenca,
   cancelarAgendamento,
   reagendarAgendamento,
 };
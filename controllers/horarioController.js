@@ -0,0 +1,156 @@
+const pool = require("../db");
+const { avisarHorariosLiberados } = require("../services/horariosLiberados");
+
+/**
+ * Lista horários da barbearia para a administração.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} filtros
+ * @param {string} [filtros.data] - Dia no formato "AAAA-MM-DD".
+ * @param {number} [filtros.barbeiroId] - Barbeiro.
+ * @param {boolean} [filtros.disponivel] - Só livres (true) ou só ocupados (false).
+ * @returns {Promise<Array<Object>>} Horários com o agendamento que os ocupa, se houver.
+ */
+async function listarHorarios(
+  barbearia,
+  { data, barbeiroId, disponivel } = {}
+) {
+  const condicoes = ["b.barbearia_id = ?"];
+  const valores = [barbearia.id];
+  if (data) {
+    condicoes.push("DATE(h.dia_horario) = ?");
+    valores.push(data);
+  }
+  if (barbeiroId) {
+    condicoes.push("h.barbeiro_id = ?");
+    valores.push(barbeiroId);
+  }
+  if (typeof disponivel === "boolean") {
+    condicoes.push("h.disponivel = ?");
+    valores.push(disponivel);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT h.id, h.dia_horario, h.dia_semana, h.disponivel,
+         h.barbeiro_id, b.nome AS barbeiro,
+         (SELECT ah.agendamento_id
+          FROM agendamentos_horarios ah
+          JOIN agendamentos a ON ah.agendamento_id = a.id
+          WHERE ah.horario_id = h.id AND a.status = 'ativo'
+          LIMIT 1) AS agendamento_id
+       FROM horarios_disponiveis h
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       WHERE ${condicoes.join(" AND ")}
+       ORDER BY h.dia_horario, b.nome`,
+      valores
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar horários:", error);
+    throw new Error("Erro ao listar horários.");
+  }
+}
+
+async function criarHorario(barbearia, barbeiroId, diaHorario) {
+  try {
+    const data = new Date(diaHorario);
+    if (!barbeiroId || isNaN(data.getTime())) {
+      return { success: false, message: "Barbeiro ou data/hora inválidos." };
+    }
+    const [result] = await pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel, origem)
+       SELECT id, ?, ?, TRUE, 'manual' FROM barbeiros WHERE id = ? AND barbearia_id = ?`,
+      [
+        data,
+        data.toLocaleDateString("pt-BR", { weekday: "long" }).toLowerCase(),
+        barbeiroId,
+        barbearia.id,
+      ]
+    );
+    if (!result.affectedRows) {
+      return { success: false, message: "Barbeiro não encontrado." };
+    }
+    return { success: true, horarioId: result.insertId };
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return {
+        success: false,
+        message: "Esse barbeiro já tem um horário nesse dia e hora.",
+      };
+    }
+    console.error("Erro ao criar horário:", error);
+    return { success: false, message: "Erro interno ao criar o horário." };
+  }
+}
+
+// Horários da barbearia (pelos barbeiros dela), para restringir UPDATE e DELETE
+const DA_BARBEARIA =
+  "barbeiro_id IN (SELECT id FROM barbeiros WHERE barbearia_id = ?)";
+
+// Bloqueia (disponivel = false) ou libera um horário que não tem agendamento.
+async function alterarDisponibilidadeHorario(barbearia, horarioId, disponivel) {
+  try {
+    const [ocupado] = await pool.query(
+      `SELECT 1
+       FROM agendamentos_horarios ah
+       JOIN agendamentos a ON ah.agendamento_id = a.id
+       JOIN clientes c ON a.cliente_id = c.id
+       WHERE ah.horario_id = ? AND a.status = 'ativo' AND c.barbearia_id = ?
+       LIMIT 1`,
+      [horarioId, barbearia.id]
+    );
+    if (ocupado.length) {
+      return {
+        success: false,
+        message:
+          "Horário ocupado por um agendamento. Cancele ou reagende o agendamento.",
+      };
+    }
+    const [result] = await pool.query(
+      `UPDATE horarios_disponiveis SET disponivel = ? WHERE id = ? AND ${DA_BARBEARIA}`,
+      [Boolean(disponivel), horarioId, barbearia.id]
+    );
+    if (!result.affectedRows) {
+      return { success: false, message: "Horário não encontrado." };
+    }
+    if (disponivel) avisarHorariosLiberados(barbearia, [horarioId]);
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao alterar horário:", error);
+    return { success: false, message: "Erro interno ao alterar o horário." };
+  }
+}
+
+// Só remove horários que nunca foram usados por um agendamento.
+async function removerHorario(barbearia, horarioId) {
+  try {
+    const [result] = await pool.query(
+      `DELETE FROM horarios_disponiveis
+       WHERE id = ?
+       AND ${DA_BARBEARIA}
+       AND NOT EXISTS (SELECT 1 FROM agendamentos a WHERE a.horario_id = ?)
+       AND NOT EXISTS (
+         SELECT 1 FROM agendamentos_horarios ah WHERE ah.horario_id = ?
+       )`,
+      [horarioId, barbearia.id, horarioId, horarioId]
+    );
+    if (!result.affectedRows) {
+      return {
+        success: false,
+        message:
+          "Horário não encontrado ou já usado por um agendamento (bloqueie-o em vez de remover).",
+      };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao remover horário:", error);
+    return { success: false, message: "Erro interno ao remover o horário." };
+  }
+}
+
+module.exports = {
+  listarHorarios,
+  criarHorario,
+  alterarDisponibilidadeHorario,
+  removerHorario,
+};
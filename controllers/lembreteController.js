@@ -0,0 +1,91 @@
+const pool = require("../db");
+const { agoraNaBarbearia } = require("../services/barbearias");
+
+/**
+ * Agendamentos ativos que entram na janela de um lembrete e ainda não o receberam.
+ * Agendamentos marcados depois que a janela abriu ficam de fora: quem marcou
+ * para daqui a uma hora não precisa de lembrete.
+ * @param {Object} barbearia - Barbearia (a janela usa o relógio dela).
+ * @param {string} tipo - Tipo do lembrete (ex: "24h").
+ * @param {number} antecedenciaMinutos - Início da janela antes do horário.
+ * @param {number} limiteMinutos - Fim da janela (a janela do próximo lembrete).
+ * @returns {Promise<Array<Object>>} Agendamentos com telefone, serviços, barbeiro,
+ *   horário e as faltas do cliente.
+ */
+async function listarAgendamentosParaLembrete(
+  barbearia,
+  tipo,
+  antecedenciaMinutos,
+  limiteMinutos
+) {
+  const agora = agoraNaBarbearia(barbearia);
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.id, c.telefone, c.nome AS cliente,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         h.dia_horario, b.nome AS barbeiro,
+         (SELECT COUNT(*) FROM agendamentos f
+          WHERE f.cliente_id = c.id AND f.status = 'faltou') AS faltas
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
+       JOIN servicos s ON asv.servico_id = s.id
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       JOIN barbeiros b ON h.barbeiro_id = b.id
+       WHERE c.barbearia_id = ?
+       AND a.status = 'ativo'
+       AND h.dia_horario > DATE_ADD(?, INTERVAL ? MINUTE)
+       AND h.dia_horario <= DATE_ADD(?, INTERVAL ? MINUTE)
+       AND a.data_agendamento <= DATE_SUB(h.dia_horario, INTERVAL ? MINUTE)
+       AND NOT EXISTS (
+         SELECT 1 FROM lembretes_enviados l
+         WHERE l.agendamento_id = a.id AND l.tipo = ?
+       )
+       GROUP BY a.id, c.id, c.telefone, c.nome, h.dia_horario, b.nome
+       ORDER BY h.dia_horario`,
+      [
+        barbearia.id,
+        agora,
+        limiteMinutos,
+        agora,
+        antecedenciaMinutos,
+        antecedenciaMinutos,
+        tipo,
+      ]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar agendamentos para lembrete:", error);
+    throw new Error("Erro ao listar agendamentos para lembrete.");
+  }
+}
+
+/**
+ * Reserva o envio de um lembrete. Retorna false se outro processo
+ * (ou uma execução anterior) já reservou, evitando envio duplicado.
+ * @param {number} agendamentoId - ID do agendamento.
+ * @param {string} tipo - Tipo do lembrete.
+ * @returns {Promise<boolean>} true se este processo deve enviar.
+ */
+async function registrarLembreteEnviado(agendamentoId, tipo) {
+  const [result] = await pool.query(
+    `INSERT IGNORE INTO lembretes_enviados (agendamento_id, tipo, enviado_em)
+     VALUES (?, ?, NOW())`,
+    [agendamentoId, tipo]
+  );
+  return result.affectedRows === 1;
+}
+
+// Desfaz a reserva quando o envio falha, para tentar de novo depois.
+async function removerRegistroLembrete(agendamentoId, tipo) {
+  await pool.query(
+    "DELETE FROM lembretes_enviados WHERE agendamento_id = ? AND tipo = ?",
+    [agendamentoId, tipo]
+  );
+}
+
+module.exports = {
+  listarAgendamentosParaLembrete,
+  registrarLembreteEnviado,
+  removerRegistroLembrete,
+};
@@ -0,0 +1,332 @@
+// listaEsperaController.js
+// Lista de espera por um dia ou faixa de horário sem vaga. Quem oferece as
+// vagas é services/listaEspera.js; aqui ficam as entradas e as ofertas
+// (lista_espera_ofertas). Enquanto a oferta está pendente, o horário fica
+// segurado para a conversa do cliente em reservas_temporarias.
+const pool = require("../db");
+const { executarTransacao } = require("../services/transacao");
+const { agoraNaBarbearia } = require("../services/barbearias");
+const { avisarHorariosLiberados } = require("../services/horariosLiberados");
+
+/**
+ * Coloca o cliente na lista de espera. Pedir de novo a mesma janela não
+ * cria outra entrada.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} espera
+ * @param {number} espera.clienteId - Cliente.
+ * @param {number|null} espera.barbeiroId - Barbeiro ou null ("qualquer um").
+ * @param {Array<number>} espera.servicoIds - Serviços do atendimento.
+ * @param {Date} espera.inicio - Primeiro início aceito.
+ * @param {Date} espera.fim - Limite dos inícios (exclusivo).
+ * @param {number} [espera.deMinutos] - Hora do dia mínima, em minutos.
+ * @param {number} [espera.ateMinutos] - Hora do dia máxima, em minutos (exclusiva).
+ * @param {string} espera.descricao - Janela como o cliente pediu.
+ * @returns {Promise<Object>} { success, id } ou { success: false, message }.
+ */
+async function entrarNaListaEspera(
+  barbearia,
+  {
+    clienteId,
+    barbeiroId = null,
+    servicoIds,
+    inicio,
+    fim,
+    deMinutos = null,
+    ateMinutos = null,
+    descricao,
+  }
+) {
+  if (!Array.isArray(servicoIds) || !servicoIds.length) {
+    return { success: false, message: "Nenhum serviço selecionado." };
+  }
+  try {
+    return await executarTransacao(async (connection) => {
+      const [cliente] = await connection.query(
+        "SELECT id FROM clientes WHERE id = ? AND barbearia_id = ?",
+        [clienteId, barbearia.id]
+      );
+      if (!cliente.length) {
+        return { success: false, message: "Cliente não encontrado." };
+      }
+
+      const [existente] = await connection.query(
+        `SELECT id FROM lista_espera
+         WHERE cliente_id = ? AND status = 'aguardando'
+         AND inicio = ? AND fim = ?
+         LIMIT 1`,
+        [clienteId, inicio, fim]
+      );
+      if (existente.length) return { success: true, id: existente[0].id };
+
+      const [result] = await connection.query(
+        `INSERT INTO lista_espera
+           (cliente_id, barbeiro_id, inicio, fim, de_minutos, ate_minutos, descricao)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [clienteId, barbeiroId, inicio, fim, deMinutos, ateMinutos, descricao]
+      );
+      await connection.query(
+        "INSERT INTO lista_espera_servicos (lista_espera_id, servico_id) VALUES ?",
+        [servicoIds.map((servicoId) => [result.insertId, servicoId])]
+      );
+      return { success: true, id: result.insertId };
+    });
+  } catch (error) {
+    console.error("Erro ao entrar na lista de espera:", error);
+    return {
+      success: false,
+      message:
+        "Ops, não consegui te colocar na lista de espera. Tente novamente.",
+    };
+  }
+}
+
+/**
+ * Entradas aguardando vaga, na ordem de chegada, sem oferta pendente e com a
+ * janela ainda aberta.
+ * @param {Object} barbearia - Barbearia.
+ * @returns {Promise<Array<Object>>} Entradas com telefone, serviços (nomes,
+ *   servicoIds e duração) e os horários já oferecidos (horariosOferecidos).
+ */
+async function listarEsperasAguardando(barbearia) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT le.id, le.cliente_id, le.barbeiro_id, le.inicio, le.fim,
+         le.de_minutos, le.ate_minutos, le.descricao, c.telefone,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         GROUP_CONCAT(s.id ORDER BY s.id SEPARATOR ',') AS servico_ids,
+         SUM(s.duracao_minutos) AS duracao_minutos,
+         (SELECT GROUP_CONCAT(o.horario_id)
+          FROM lista_espera_ofertas o
+          WHERE o.lista_espera_id = le.id) AS horarios_oferecidos
+       FROM lista_espera le
+       JOIN clientes c ON le.cliente_id = c.id
+       JOIN lista_espera_servicos les ON le.id = les.lista_espera_id
+       JOIN servicos s ON les.servico_id = s.id
+       WHERE c.barbearia_id = ?
+       AND le.status = 'aguardando'
+       AND le.fim > ?
+       AND NOT EXISTS (
+         SELECT 1 FROM lista_espera_ofertas o
+         WHERE o.lista_espera_id = le.id AND o.status = 'pendente'
+       )
+       GROUP BY le.id, le.cliente_id, le.barbeiro_id, le.inicio, le.fim,
+         le.de_minutos, le.ate_minutos, le.descricao, c.telefone, le.criado_em
+       ORDER BY le.criado_em, le.id`,
+      [barbearia.id, agoraNaBarbearia(barbearia)]
+    );
+    const ids = (lista) => (lista ? String(lista).split(",").map(Number) : []);
+    return rows.map(({ servico_ids, horarios_oferecidos, ...espera }) => ({
+      ...espera,
+      servicoIds: ids(servico_ids),
+      horariosOferecidos: ids(horarios_oferecidos),
+    }));
+  } catch (error) {
+    console.error("Erro ao listar a lista de espera:", error);
+    throw new Error("Erro ao listar a lista de espera.");
+  }
+}
+
+/**
+ * Registra a oferta de um horário (já reservado para a conversa do cliente).
+ * @param {number} esperaId - Entrada da lista de espera.
+ * @param {number} horarioId - Horário oferecido.
+ * @param {number} prazoMinutos - Prazo para aceitar.
+ * @returns {Promise<number>} ID da oferta.
+ */
+async function registrarOferta(esperaId, horarioId, prazoMinutos) {
+  const [result] = await pool.query(
+    `INSERT INTO lista_espera_ofertas (lista_espera_id, horario_id, expira_em)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [esperaId, horarioId, prazoMinutos]
+  );
+  return result.insertId;
+}
+
+// Depois do agendamento feito com a vaga: a oferta e a entrada se encerram.
+async function aceitarOferta(ofertaId) {
+  try {
+    await executarTransacao(async (connection) => {
+      await connection.query(
+        "UPDATE lista_espera_ofertas SET status = 'aceita' WHERE id = ?",
+        [ofertaId]
+      );
+      await connection.query(
+        `UPDATE lista_espera SET status = 'atendida'
+         WHERE id = (SELECT lista_espera_id FROM lista_espera_ofertas WHERE id = ?)`,
+        [ofertaId]
+      );
+    });
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao aceitar oferta da lista de espera:", error);
+    return { success: false, message: "Erro interno ao aceitar a oferta." };
+  }
+}
+
+/**
+ * O cliente dispensou a vaga: libera o horário e avisa a lista de espera,
+ * que o oferece ao próximo. Uma oferta que já não estava pendente (aceita,
+ * recusada ou vencida) só perde a reserva; o aviso não se repete.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} ofertaId - Oferta.
+ * @param {string} chave - Conversa do cliente, dona da reserva.
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.sairDaLista] - Também tira o cliente da lista.
+ * @returns {Promise<Object>} { success } ou { success: false, message }.
+ */
+async function recusarOferta(
+  barbearia,
+  ofertaId,
+  chave,
+  { sairDaLista = false } = {}
+) {
+  try {
+    const result = await executarTransacao(async (connection) => {
+      const [oferta] = await connection.query(
+        `SELECT o.id, o.lista_espera_id, o.horario_id, o.status
+         FROM lista_espera_ofertas o
+         JOIN lista_espera le ON o.lista_espera_id = le.id
+         JOIN clientes c ON le.cliente_id = c.id
+         WHERE o.id = ? AND c.barbearia_id = ?
+         FOR UPDATE OF o`,
+        [ofertaId, barbearia.id]
+      );
+      if (!oferta.length) {
+        return { success: false, message: "Oferta não encontrada." };
+      }
+      const [recusada] = await connection.query(
+        `UPDATE lista_espera_ofertas SET status = 'recusada'
+         WHERE id = ? AND status = 'pendente'`,
+        [ofertaId]
+      );
+      if (sairDaLista) {
+        await connection.query(
+          `UPDATE lista_espera SET status = 'cancelada'
+           WHERE id = ? AND status = 'aguardando'`,
+          [oferta[0].lista_espera_id]
+        );
+      }
+      await connection.query(
+        "DELETE FROM reservas_temporarias WHERE chave = ?",
+        [chave]
+      );
+      return {
+        success: true,
+        horarioId: oferta[0].horario_id,
+        liberado: recusada.affectedRows > 0,
+      };
+    });
+    if (!result.success) return result;
+    if (result.liberado) avisarHorariosLiberados(barbearia, [result.horarioId]);
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao recusar oferta da lista de espera:", error);
+    return { success: false, message: "Erro interno ao recusar a oferta." };
+  }
+}
+
+/**
+ * Encerra as ofertas sem resposta dentro do prazo. A reserva do horário
+ * vence junto, então ele fica livre para o próximo da lista.
+ * @param {Object} barbearia - Barbearia.
+ * @returns {Promise<Array<Object>>} Ofertas encerradas (id, horario_id,
+ *   dia_horario, telefone).
+ */
+async function expirarOfertasVencidas(barbearia) {
+  const [ofertas] = await pool.query(
+    `SELECT o.id, o.horario_id, h.dia_horario, c.telefone
+     FROM lista_espera_ofertas o
+     JOIN lista_espera le ON o.lista_espera_id = le.id
+     JOIN clientes c ON le.cliente_id = c.id
+     JOIN horarios_disponiveis h ON o.horario_id = h.id
+     WHERE c.barbearia_id = ? AND o.status = 'pendente' AND o.expira_em <= NOW()`,
+    [barbearia.id]
+  );
+  if (!ofertas.length) return [];
+  await pool.query(
+    `UPDATE lista_espera_ofertas SET status = 'expirada'
+     WHERE id IN (?) AND status = 'pendente'`,
+    [ofertas.map((o) => o.id)]
+  );
+  return ofertas;
+}
+
+// Entradas cuja janela já passou sem vaga saem da lista.
+async function encerrarEsperasVencidas(barbearia) {
+  const [result] = await pool.query(
+    `UPDATE lista_espera SET status = 'expirada'
+     WHERE status = 'aguardando' AND fim <= ?
+     AND cliente_id IN (SELECT id FROM clientes WHERE barbearia_id = ?)`,
+    [agoraNaBarbearia(barbearia), barbearia.id]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Lista de espera para a administração.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} [filtros]
+ * @param {string} [filtros.status] - "aguardando", "atendida", "expirada" ou "cancelada".
+ * @returns {Promise<Array<Object>>} Entradas com cliente, serviços e barbeiro.
+ */
+async function listarListaEspera(barbearia, { status } = {}) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT le.id, le.status, le.inicio, le.fim, le.descricao, le.criado_em,
+         c.id AS cliente_id, c.nome AS cliente, c.telefone,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         le.barbeiro_id, b.nome AS barbeiro
+       FROM lista_espera le
+       JOIN clientes c ON le.cliente_id = c.id
+       JOIN lista_espera_servicos les ON le.id = les.lista_espera_id
+       JOIN servicos s ON les.servico_id = s.id
+       LEFT JOIN barbeiros b ON le.barbeiro_id = b.id
+       WHERE c.barbearia_id = ? AND (? IS NULL OR le.status = ?)
+       GROUP BY le.id, le.status, le.inicio, le.fim, le.descricao, le.criado_em,
+         c.id, c.nome, c.telefone, le.barbeiro_id, b.nome
+       ORDER BY le.criado_em, le.id`,
+      [barbearia.id, status || null, status || null]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar a lista de espera:", error);
+    throw new Error("Erro ao listar a lista de espera.");
+  }
+}
+
+// Tira uma entrada da lista (pelo painel); ofertas já enviadas seguem até o prazo.
+async function removerDaListaEspera(barbearia, esperaId) {
+  try {
+    const [result] = await pool.query(
+      `UPDATE lista_espera SET status = 'cancelada'
+       WHERE id = ? AND status = 'aguardando'
+       AND cliente_id IN (SELECT id FROM clientes WHERE barbearia_id = ?)`,
+      [esperaId, barbearia.id]
+    );
+    if (!result.affectedRows) {
+      return {
+        success: false,
+        message: "Entrada da lista de espera não encontrada ou já encerrada.",
+      };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao remover da lista de espera:", error);
+    return {
+      success: false,
+      message: "Erro interno ao remover da lista de espera.",
+    };
+  }
+}
+
+module.exports = {
+  entrarNaListaEspera,
+  listarEsperasAguardando,
+  registrarOferta,
+  aceitarOferta,
+  recusarOferta,
+  expirarOfertasVencidas,
+  encerrarEsperasVencidas,
+  listarListaEspera,
+  removerDaListaEspera,
+};
@@ -0,0 +1,171 @@
+// presencaController.js
+// Comparecimento aos agendamentos: o dono marca "concluido" ou "faltou" pelo
+// painel e services/presenca.js marca sozinho o que ficou para trás. As
+// faltas de cada cliente alimentam a política (services/politica.js).
+const pool = require("../db");
+const { agoraNaBarbearia } = require("../services/barbearias");
+
+const STATUS_PRESENCA = ["concluido", "faltou"];
+
+// Quantidade de agendamentos do cliente marcados como falta.
+async function contarFaltas(barbearia, clienteId) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS faltas
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       WHERE a.cliente_id = ? AND c.barbearia_id = ? AND a.status = 'faltou'`,
+      [clienteId, barbearia.id]
+    );
+    return Number(rows[0].faltas);
+  } catch (error) {
+    console.error("Erro ao contar faltas:", error);
+    throw new Error("Erro ao contar faltas.");
+  }
+}
+
+/**
+ * Marca se o cliente compareceu. Vale para agendamentos que já começaram,
+ * ativos ou já marcados (para corrigir uma marcação).
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} agendamentoId - Agendamento.
+ * @param {string} status - "concluido" ou "faltou".
+ * @returns {Promise<Object>} { success, message? }.
+ */
+async function registrarPresenca(barbearia, agendamentoId, status) {
+  if (!STATUS_PRESENCA.includes(status)) {
+    return {
+      success: false,
+      message: `Status inválido (use ${STATUS_PRESENCA.join(" ou ")}).`,
+    };
+  }
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.status, h.dia_horario
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       WHERE a.id = ? AND c.barbearia_id = ?`,
+      [agendamentoId, barbearia.id]
+    );
+    const agendamento = rows[0];
+    if (!agendamento || agendamento.status === "cancelado") {
+      return {
+        success: false,
+        message: "Agendamento não encontrado ou cancelado.",
+      };
+    }
+    if (new Date(agendamento.dia_horario) > agoraNaBarbearia(barbearia)) {
+      return {
+        success: false,
+        message: "O agendamento ainda não aconteceu.",
+      };
+    }
+    await pool.query(
+      `UPDATE agendamentos
+       SET status = ?, presenca_marcada_em = NOW(), presenca_automatica = FALSE
+       WHERE id = ?`,
+      [status, agendamentoId]
+    );
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao registrar presença:", error);
+    return {
+      success: false,
+      message: "Erro interno ao registrar a presença.",
+    };
+  }
+}
+
+/**
+ * Marca os agendamentos ativos que começaram há mais de `horas` horas: falta
+ * para quem recebeu lembrete e não confirmou (todo lembrete pede a
+ * confirmação, então é assim que a primeira falta entra na contagem da
+ * política), comparecimento para os demais.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} horas - Tempo que o dono tem para marcar pelo painel.
+ * @returns {Promise<number>} Quantidade de agendamentos marcados.
+ */
+async function marcarPresencasVencidas(barbearia, horas) {
+  const limite = new Date(
+    agoraNaBarbearia(barbearia).getTime() - horas * 60 * 60 * 1000
+  );
+  try {
+    const [result] = await pool.query(
+      `UPDATE agendamentos
+       SET status = CASE
+           WHEN confirmado_em IS NULL AND EXISTS (
+             SELECT 1 FROM lembretes_enviados l
+             WHERE l.agendamento_id = agendamentos.id
+           ) THEN 'faltou'
+           ELSE 'concluido'
+         END,
+         presenca_marcada_em = NOW(),
+         presenca_automatica = TRUE
+       WHERE status = 'ativo'
+       AND cliente_id IN (SELECT id FROM clientes WHERE barbearia_id = ?)
+       AND horario_id IN (
+         SELECT id FROM horarios_disponiveis WHERE dia_horario <= ?
+       )`,
+      [barbearia.id, limite]
+    );
+    return result.affectedRows;
+  } catch (error) {
+    console.error("Erro ao marcar presenças vencidas:", error);
+    throw new Error("Erro ao marcar presenças vencidas.");
+  }
+}
+
+/**
+ * Agendamentos de clientes que precisam confirmar o lembrete (política
+ * "confirmar") e não confirmaram até o prazo. Só entram os que receberam o
+ * lembrete de 24h, para o cliente ter tido a chance de responder.
+ * @param {Object} barbearia - Barbearia, com a política.
+ * @returns {Promise<Array<Object>>} Agendamentos com telefone, serviço e horário.
+ */
+async function listarSemConfirmacaoObrigatoria(barbearia) {
+  const { limiteFaltas, aposLimiteFaltas, prazoConfirmacaoHoras } =
+    barbearia.politica;
+  if (!limiteFaltas || aposLimiteFaltas !== "confirmar") return [];
+  const agora = agoraNaBarbearia(barbearia);
+  try {
+    const [rows] = await pool.query(
+      `SELECT a.id, c.telefone,
+         GROUP_CONCAT(s.nome ORDER BY s.id SEPARATOR ' e ') AS servico,
+         h.dia_horario
+       FROM agendamentos a
+       JOIN clientes c ON a.cliente_id = c.id
+       JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
+       JOIN servicos s ON asv.servico_id = s.id
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       WHERE c.barbearia_id = ?
+       AND a.status = 'ativo'
+       AND a.confirmado_em IS NULL
+       AND h.dia_horario > ?
+       AND h.dia_horario <= DATE_ADD(?, INTERVAL ? HOUR)
+       AND EXISTS (
+         SELECT 1 FROM lembretes_enviados l
+         WHERE l.agendamento_id = a.id AND l.tipo = '24h'
+       )
+       AND (
+         SELECT COUNT(*) FROM agendamentos f
+         WHERE f.cliente_id = c.id AND f.status = 'faltou'
+       ) >= ?
+       GROUP BY a.id, c.telefone, h.dia_horario
+       ORDER BY h.dia_horario`,
+      [barbearia.id, agora, agora, prazoConfirmacaoHoras, limiteFaltas]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar agendamentos sem confirmação:", error);
+    throw new Error("Erro ao listar agendamentos sem confirmação.");
+  }
+}
+
+module.exports = {
+  STATUS_PRESENCA,
+  contarFaltas,
+  registrarPresenca,
+  marcarPresencasVencidas,
+  listarSemConfirmacaoObrigatoria,
+};
@@ -0,0 +1,117 @@
+// reservaController.js
+// Reservas temporárias: quando o cliente escolhe um horário, ele fica
+// segurado por alguns minutos enquanto a conversa pede o nome e a
+// confirmação. Outras conversas (e o painel) não veem o horário como livre;
+// a confirmação transforma a reserva em agendamento (agendarServico e
+// reagendarAgendamento com chaveReserva).
+const pool = require("../db");
+const { executarTransacao } = require("../services/transacao");
+const {
+  calcularQuantidadeSlots,
+  horarioOcupado,
+  buscarBloco,
+  reservadoPorOutro,
+  listarHorariosDoAgendamento,
+} = require("./agendamentoController");
+
+const DURACAO_RESERVA_MINUTOS = 5;
+
+/**
+ * Segura o bloco de horários que começa em horarioId para uma conversa,
+ * substituindo a reserva anterior dela.
+ * @param {Object} barbearia - Barbearia do horário.
+ * @param {string} chave - Chave da conversa (chaveConversa).
+ * @param {number} horarioId - Horário de início.
+ * @param {number} duracaoMinutos - Duração do atendimento.
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.agendamentoId] - Agendamento sendo reagendado: os
+ *   horários dele podem ser reaproveitados.
+ * @param {number} [opcoes.minutos] - Prazo da reserva (a oferta da lista de
+ *   espera usa um prazo maior).
+ * @returns {Promise<Object>} { success } ou { success: false, ocupado, message }.
+ */
+async function reservarHorario(
+  barbearia,
+  chave,
+  horarioId,
+  duracaoMinutos,
+  { agendamentoId = null, minutos = DURACAO_RESERVA_MINUTOS } = {}
+) {
+  try {
+    return await executarTransacao(async (connection) => {
+      let horariosProprios = [];
+      if (agendamentoId) {
+        const [agendamento] = await connection.query(
+          "SELECT id, horario_id FROM agendamentos WHERE id = ?",
+          [agendamentoId]
+        );
+        if (agendamento.length) {
+          horariosProprios = await listarHorariosDoAgendamento(
+            connection,
+            agendamento[0]
+          );
+        }
+      }
+      const bloco = await buscarBloco(
+        connection,
+        barbearia,
+        horarioId,
+        calcularQuantidadeSlots(duracaoMinutos),
+        horariosProprios
+      );
+      const horarioIds = bloco?.map((h) => h.id);
+      if (!bloco || (await reservadoPorOutro(connection, horarioIds, chave))) {
+        return horarioOcupado("Horário indisponível.");
+      }
+
+      await connection.query(
+        "DELETE FROM reservas_temporarias WHERE chave = ?",
+        [chave]
+      );
+      // Reservas vencidas de outras conversas são sobrescritas. O prazo usa o
+      // relógio do banco, o mesmo das consultas que comparam com NOW().
+      for (const id of horarioIds) {
+        await connection.query(
+          `INSERT INTO reservas_temporarias (horario_id, chave, expira_em)
+           VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+           ON DUPLICATE KEY UPDATE chave = VALUES(chave), expira_em = VALUES(expira_em)`,
+          [id, chave, minutos]
+        );
+      }
+      return { success: true };
+    });
+  } catch (error) {
+    console.error("Erro ao reservar horário:", error);
+    return {
+      success: false,
+      message: "Ops, algo deu errado ao reservar o horário. Tente novamente.",
+    };
+  }
+}
+
+// Libera o horário segurado por uma conversa (desistência ou nova escolha).
+async function liberarReserva(chave) {
+  try {
+    await pool.query("DELETE FROM reservas_temporarias WHERE chave = ?", [
+      chave,
+    ]);
+  } catch (error) {
+    console.error("Erro ao liberar reserva temporária:", error);
+    throw new Error("Erro ao liberar reserva temporária.");
+  }
+}
+
+// Apaga reservas vencidas (elas já não seguram nada; é só limpeza).
+async function removerReservasExpiradas() {
+  const [result] = await pool.query(
+    "DELETE FROM reservas_temporarias WHERE expira_em <= NOW()"
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  DURACAO_RESERVA_MINUTOS,
+  reservarHorario,
+  liberarReserva,
+  removerReservasExpiradas,
+};
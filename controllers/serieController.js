@@ -0,0 +1,355 @@
+// serieController.js
+// Agendamentos recorrentes: o mesmo horário, barbeiro e serviços a cada N
+// semanas, até uma data ou por K vezes. Cada data vira um agendamento comum
+// por agendarServico, com as mesmas verificações; as que não estão livres
+// ficam de fora e são informadas. Cancelar a série cancela as próximas datas
+// pelo mesmo caminho (e política) de um cancelamento avulso.
+const pool = require("../db");
+const { executarTransacao } = require("../services/transacao");
+const { agoraNaBarbearia } = require("../services/barbearias");
+const { garantirHorariosAte } = require("../services/geradorHorarios");
+const { agendarServico } = require("./agendamentoController");
+const { cancelarAgendamento } = require("./gerenciamentoController");
+
+const MAX_INTERVALO_SEMANAS = 8;
+const MAX_OCORRENCIAS = 12;
+
+/**
+ * Datas de uma série, a partir da primeira, no mesmo horário do relógio.
+ * @param {Date} inicio - Primeira data.
+ * @param {Object} recorrencia
+ * @param {number} recorrencia.intervaloSemanas - Semanas entre as datas.
+ * @param {number} [recorrencia.ocorrencias] - Total de datas.
+ * @param {Date} [recorrencia.ate] - Limite (exclusivo) das datas.
+ * @returns {Array<Date>} No máximo MAX_OCORRENCIAS + 1 datas: passar do
+ *   limite indica uma série longa demais.
+ */
+function calcularDatasDaSerie(inicio, { intervaloSemanas, ocorrencias, ate }) {
+  const datas = [];
+  const data = new Date(inicio);
+  while (
+    datas.length <= MAX_OCORRENCIAS &&
+    (ocorrencias ? datas.length < ocorrencias : data < ate)
+  ) {
+    datas.push(new Date(data));
+    data.setDate(data.getDate() + intervaloSemanas * 7);
+  }
+  return datas;
+}
+
+/**
+ * Confere a recorrência pedida para uma série que começa em `inicio`.
+ * @param {Date} inicio - Primeira data.
+ * @param {Object} recorrencia - Como em calcularDatasDaSerie.
+ * @returns {string|null} O problema, para mostrar a quem pediu, ou null.
+ */
+function validarRecorrencia(inicio, recorrencia) {
+  const { intervaloSemanas, ocorrencias, ate } = recorrencia;
+  if (
+    !Number.isInteger(intervaloSemanas) ||
+    intervaloSemanas < 1 ||
+    intervaloSemanas > MAX_INTERVALO_SEMANAS
+  ) {
+    return `O intervalo da série deve ser de 1 a ${MAX_INTERVALO_SEMANAS} semanas.`;
+  }
+  if (Boolean(ocorrencias) === Boolean(ate)) {
+    return "Informe quantas vezes ou até quando a série vai (só um dos dois).";
+  }
+  if (ate && isNaN(new Date(ate).getTime())) return "Data final inválida.";
+  if (!ate && (!Number.isInteger(ocorrencias) || ocorrencias < 2)) {
+    return "A série precisa de pelo menos 2 vezes.";
+  }
+  const datas = calcularDatasDaSerie(inicio, recorrencia);
+  if (datas.length > MAX_OCORRENCIAS) {
+    return `A série pode ter no máximo ${MAX_OCORRENCIAS} datas.`;
+  }
+  if (datas.length < 2) return "Até essa data não cabe nenhuma repetição.";
+  return null;
+}
+
+// Primeira data a partir de um agendamento ativo que ainda não é de uma série
+async function buscarAgendamentoBase(barbearia, agendamentoId) {
+  const [rows] = await pool.query(
+    `SELECT a.id, a.cliente_id, a.serie_id, h.dia_horario, h.barbeiro_id,
+       GROUP_CONCAT(asv.servico_id ORDER BY asv.servico_id SEPARATOR ',')
+         AS servico_ids
+     FROM agendamentos a
+     JOIN clientes c ON a.cliente_id = c.id
+     JOIN horarios_disponiveis h ON a.horario_id = h.id
+     JOIN agendamentos_servicos asv ON a.id = asv.agendamento_id
+     WHERE a.id = ? AND c.barbearia_id = ? AND a.status = 'ativo'
+     GROUP BY a.id, a.cliente_id, a.serie_id, h.dia_horario, h.barbeiro_id`,
+    [agendamentoId, barbearia.id]
+  );
+  const agendamento = rows[0];
+  if (!agendamento) {
+    return { message: "Agendamento não encontrado ou cancelado." };
+  }
+  if (agendamento.serie_id) {
+    return { message: "Esse agendamento já faz parte de uma série." };
+  }
+  return {
+    ...agendamento,
+    servicoIds: String(agendamento.servico_ids).split(",").map(Number),
+  };
+}
+
+// Primeira data a partir de um horário livre, para um cliente da barbearia
+async function buscarHorarioBase(
+  barbearia,
+  { clienteId, horarioId, servicoIds }
+) {
+  if (!Array.isArray(servicoIds) || !servicoIds.length) {
+    return { message: "Nenhum serviço selecionado." };
+  }
+  const [cliente] = await pool.query(
+    "SELECT id FROM clientes WHERE id = ? AND barbearia_id = ?",
+    [clienteId, barbearia.id]
+  );
+  if (!cliente.length) return { message: "Cliente não encontrado." };
+  const [horario] = await pool.query(
+    `SELECT h.id, h.dia_horario, h.barbeiro_id
+     FROM horarios_disponiveis h
+     JOIN barbeiros b ON h.barbeiro_id = b.id
+     WHERE h.id = ? AND b.barbearia_id = ?`,
+    [horarioId, barbearia.id]
+  );
+  if (!horario.length) return { message: "Horário não encontrado." };
+  if (new Date(horario[0].dia_horario) <= agoraNaBarbearia(barbearia)) {
+    return { message: "A série precisa começar num horário futuro." };
+  }
+  return { ...horario[0], cliente_id: clienteId, servicoIds };
+}
+
+// Registra a série e, se ela parte de um agendamento, liga-o a ela. O
+// agendamento fica bloqueado até o commit: dois pedidos para o mesmo
+// agendamento não abrem duas séries.
+async function abrirSerie(primeiro, agendamentoId, intervaloSemanas) {
+  return executarTransacao(async (connection) => {
+    if (agendamentoId) {
+      const [livre] = await connection.query(
+        `SELECT id FROM agendamentos
+         WHERE id = ? AND status = 'ativo' AND serie_id IS NULL
+         FOR UPDATE`,
+        [agendamentoId]
+      );
+      if (!livre.length) {
+        return {
+          success: false,
+          message:
+            "Esse agendamento foi cancelado ou já faz parte de uma série.",
+        };
+      }
+    }
+    const [serie] = await connection.query(
+      `INSERT INTO series_agendamentos (cliente_id, barbeiro_id, intervalo_semanas)
+       VALUES (?, ?, ?)`,
+      [primeiro.cliente_id, primeiro.barbeiro_id, intervaloSemanas]
+    );
+    if (agendamentoId) {
+      await connection.query(
+        "UPDATE agendamentos SET serie_id = ? WHERE id = ? AND serie_id IS NULL",
+        [serie.insertId, agendamentoId]
+      );
+    }
+    return { success: true, serieId: serie.insertId };
+  });
+}
+
+// Desfaz uma série que não chegou a agendar nenhuma data nova
+async function descartarSerie(serieId) {
+  await pool.query(
+    "UPDATE agendamentos SET serie_id = NULL WHERE serie_id = ?",
+    [serieId]
+  );
+  await pool.query("DELETE FROM series_agendamentos WHERE id = ?", [serieId]);
+}
+
+/**
+ * Cria uma série recorrente. A primeira data é um agendamento que já existe
+ * (ex: o que o cliente acabou de marcar pelo chat) ou um horário livre,
+ * agendado como as demais datas. Datas além da janela de horários gerados
+ * ganham os horários da agenda antes de serem agendadas.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} pedido
+ * @param {number} [pedido.agendamentoId] - Agendamento que abre a série.
+ * @param {number} [pedido.clienteId] - Sem agendamentoId: o cliente,
+ * @param {number} [pedido.horarioId] - o primeiro horário
+ * @param {Array<number>} [pedido.servicoIds] - e os serviços.
+ * @param {number} pedido.intervaloSemanas - Semanas entre as datas.
+ * @param {number} [pedido.ocorrencias] - Total de datas, contando a primeira.
+ * @param {Date|string} [pedido.ate] - Limite (exclusivo) das datas.
+ * @returns {Promise<Object>} { success, serieId, agendados, indisponiveis },
+ *   com agendados [{ agendamentoId, dia_horario }] e indisponiveis
+ *   [{ dia_horario, motivo }], ou { success: false, message }.
+ */
+async function criarSerie(
+  barbearia,
+  { agendamentoId, clienteId, horarioId, servicoIds, ...recorrencia }
+) {
+  let serieId = null;
+  const agendados = [];
+  try {
+    const primeiro = agendamentoId
+      ? await buscarAgendamentoBase(barbearia, agendamentoId)
+      : await buscarHorarioBase(barbearia, {
+          clienteId,
+          horarioId,
+          servicoIds,
+        });
+    if (primeiro.message) return { success: false, message: primeiro.message };
+    // Vindo de uma sessão salva, a data final chega como texto
+    if (recorrencia.ate) recorrencia.ate = new Date(recorrencia.ate);
+    const inicio = new Date(primeiro.dia_horario);
+    const problema = validarRecorrencia(inicio, recorrencia);
+    if (problema) return { success: false, message: problema };
+
+    const datas = calcularDatasDaSerie(inicio, recorrencia);
+    await garantirHorariosAte(barbearia, datas[datas.length - 1]);
+    const aberta = await abrirSerie(
+      primeiro,
+      agendamentoId,
+      recorrencia.intervaloSemanas
+    );
+    if (!aberta.success) return aberta;
+    serieId = aberta.serieId;
+
+    const indisponiveis = [];
+    if (agendamentoId) agendados.push({ agendamentoId, dia_horario: inicio });
+    for (const data of agendamentoId ? datas.slice(1) : datas) {
+      const [horario] = await pool.query(
+        "SELECT id FROM horarios_disponiveis WHERE barbeiro_id = ? AND dia_horario = ?",
+        [primeiro.barbeiro_id, data]
+      );
+      const result = horario.length
+        ? await agendarServico(
+            barbearia,
+            primeiro.cliente_id,
+            horario[0].id,
+            primeiro.servicoIds,
+            { serieId }
+          )
+        : { success: false, message: "A barbearia não abre nesse horário." };
+      if (result.success) {
+        agendados.push({
+          agendamentoId: result.agendamentoId,
+          dia_horario: data,
+        });
+      } else {
+        indisponiveis.push({ dia_horario: data, motivo: result.message });
+      }
+    }
+
+    if (!agendados.length) {
+      await descartarSerie(serieId);
+      return {
+        success: false,
+        message: "Nenhuma data da série está livre.",
+        indisponiveis,
+      };
+    }
+    return { success: true, serieId, agendados, indisponiveis };
+  } catch (error) {
+    console.error("Erro ao criar série:", error);
+    // Sem nenhuma data além da primeira, não sobra série órfã
+    if (serieId && agendados.length === (agendamentoId ? 1 : 0)) {
+      await descartarSerie(serieId).catch((erro) =>
+        console.error(`Erro ao descartar a série ${serieId}:`, erro)
+      );
+    }
+    return {
+      success: false,
+      message: "Ops, algo deu errado ao criar a série. Tente novamente.",
+    };
+  }
+}
+
+/**
+ * Cancela as próximas datas da série. Cada data passa pela política de
+ * cancelamento; as recusadas continuam marcadas e voltam em `recusados`. A
+ * série só é encerrada quando não sobra nenhuma data futura marcada.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} serieId - Série.
+ * @param {Object} [opcoes]
+ * @param {boolean} [opcoes.forcar] - Ignora a política (só a administração).
+ * @returns {Promise<Object>} { success, encerrada, cancelados, recusados },
+ *   com as datas de cada um, ou { success: false, message, politica? } se
+ *   nada pôde ser cancelado.
+ */
+async function cancelarSerie(barbearia, serieId, { forcar = false } = {}) {
+  try {
+    const [series] = await pool.query(
+      `SELECT s.id
+       FROM series_agendamentos s
+       JOIN clientes c ON s.cliente_id = c.id
+       WHERE s.id = ? AND c.barbearia_id = ? AND s.status = 'ativa'`,
+      [serieId, barbearia.id]
+    );
+    if (!series.length) {
+      return {
+        success: false,
+        message: "Série não encontrada ou já cancelada.",
+      };
+    }
+    const [agendamentos] = await pool.query(
+      `SELECT a.id, h.dia_horario
+       FROM agendamentos a
+       JOIN horarios_disponiveis h ON a.horario_id = h.id
+       WHERE a.serie_id = ? AND a.status = 'ativo' AND h.dia_horario > ?
+       ORDER BY h.dia_horario`,
+      [serieId, agoraNaBarbearia(barbearia)]
+    );
+
+    const cancelados = [];
+    const recusados = [];
+    for (const agendamento of agendamentos) {
+      const result = await cancelarAgendamento(barbearia, agendamento.id, {
+        forcar,
+      });
+      if (result.success) {
+        cancelados.push({
+          agendamentoId: agendamento.id,
+          dia_horario: agendamento.dia_horario,
+        });
+      } else {
+        recusados.push({
+          agendamentoId: agendamento.id,
+          dia_horario: agendamento.dia_horario,
+          message: result.message,
+          politica: Boolean(result.politica),
+        });
+      }
+    }
+    // Só a política barrou: a administração pode repetir com forcar
+    if (!cancelados.length && recusados.some((r) => r.politica)) {
+      return { success: false, politica: true, message: recusados[0].message };
+    }
+
+    // Com datas recusadas ainda marcadas, a série continua valendo para elas
+    const encerrada = !recusados.length;
+    if (encerrada) {
+      await pool.query(
+        `UPDATE series_agendamentos
+         SET status = 'cancelada', cancelada_em = NOW()
+         WHERE id = ?`,
+        [serieId]
+      );
+    }
+    return { success: true, encerrada, cancelados, recusados };
+  } catch (error) {
+    console.error("Erro ao cancelar série:", error);
+    return {
+      success: false,
+      message: "Erro interno ao cancelar a série.",
+    };
+  }
+}
+
+module.exports = {
+  MAX_INTERVALO_SEMANAS,
+  MAX_OCORRENCIAS,
+  calcularDatasDaSerie,
+  validarRecorrencia,
+  criarSerie,
+  cancelarSerie,
+};
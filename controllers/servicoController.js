@@ -0,0 +1,260 @@
+const pool = require("../db");
+
+// O catálogo muda pouco; evita uma consulta por mensagem.
+// Um cache por barbearia: barbeariaId -> { servicos, expiraEm }.
+const CACHE_SERVICOS_MS = 5 * 60 * 1000;
+const cacheServicos = new Map();
+
+/**
+ * Normaliza o nome de um serviço para comparação.
+ * @param {string} servicoNome - Nome do serviço.
+ * @returns {string} Nome em minúsculas, sem acentos e sem espaços.
+ */
+function normalizarServico(servicoNome) {
+  return servicoNome
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, "");
+}
+
+async function listarServicosAtivos(barbearia) {
+  const cache = cacheServicos.get(barbearia.id);
+  if (cache && Date.now() < cache.expiraEm) return cache.servicos;
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, nome, sinonimos, duracao_minutos, preco
+       FROM servicos
+       WHERE barbearia_id = ? AND ativo = TRUE
+       ORDER BY id`,
+      [barbearia.id]
+    );
+    const servicos = rows.map((s) => ({
+      id: s.id,
+      nome: s.nome,
+      sinonimos: (s.sinonimos || "")
+        .split(",")
+        .map((sinonimo) => sinonimo.trim())
+        .filter(Boolean),
+      duracaoMinutos: Number(s.duracao_minutos),
+      preco: Number(s.preco),
+    }));
+    cacheServicos.set(barbearia.id, {
+      servicos,
+      expiraEm: Date.now() + CACHE_SERVICOS_MS,
+    });
+    return servicos;
+  } catch (error) {
+    console.error("Erro ao listar serviços:", error);
+    throw new Error("Erro ao listar serviços.");
+  }
+}
+
+// Chamado quando o catálogo é alterado, para não esperar o cache expirar.
+function invalidarCacheServicos(barbearia) {
+  cacheServicos.delete(barbearia.id);
+}
+
+/**
+ * Procura um serviço ativo pelo nome ou sinônimo. Aceita a mensagem inteira
+ * do cliente (ex: "quero fazer a barba") quando não há correspondência exata.
+ * @param {Object} barbearia - Barbearia do catálogo.
+ * @param {string} texto - Nome do serviço ou mensagem do cliente.
+ * @returns {Promise<Object|null>} O serviço encontrado ou null.
+ */
+async function encontrarServicoPorNome(barbearia, texto) {
+  if (!texto) return null;
+  const servicos = await listarServicosAtivos(barbearia);
+  const normalizado = normalizarServico(texto);
+
+  const exato = servicos.find((s) => termosServico(s).includes(normalizado));
+  if (exato) return exato;
+
+  const encontrado = termosPorTamanho(servicos).find(({ termo }) =>
+    normalizado.includes(termo)
+  );
+  return encontrado ? encontrado.servico : null;
+}
+
+/**
+ * Todos os serviços ativos citados na mensagem (ex: "quero corte e barba"),
+ * na ordem em que aparecem.
+ * @param {Object} barbearia - Barbearia do catálogo.
+ * @param {string} texto - Mensagem do cliente.
+ * @returns {Promise<Array<Object>>} Os serviços encontrados, sem repetição.
+ */
+async function encontrarServicosNoTexto(barbearia, texto) {
+  if (!texto) return [];
+  const servicos = await listarServicosAtivos(barbearia);
+  let restante = normalizarServico(texto);
+
+  const exato = servicos.find((s) => termosServico(s).includes(restante));
+  if (exato) return [exato];
+
+  const encontrados = [];
+  for (const { servico, termo } of termosPorTamanho(servicos)) {
+    const posicao = restante.indexOf(termo);
+    if (posicao === -1) continue;
+    // Apaga o termo achado: "barba" dentro de "fazer barba" não conta de novo
+    restante =
+      restante.slice(0, posicao) +
+      " ".repeat(termo.length) +
+      restante.slice(posicao + termo.length);
+    if (!encontrados.some((e) => e.servico.id === servico.id)) {
+      encontrados.push({ servico, posicao });
+    }
+  }
+  return encontrados
+    .sort((a, b) => a.posicao - b.posicao)
+    .map(({ servico }) => servico);
+}
+
+// Nome e sinônimos normalizados de um serviço do catálogo
+function termosServico(servico) {
+  return [servico.nome, ...servico.sinonimos].map(normalizarServico);
+}
+
+// Termos mais longos primeiro: "fazer barba" antes de "barba"
+function termosPorTamanho(servicos) {
+  return servicos
+    .flatMap((s) => termosServico(s).map((termo) => ({ servico: s, termo })))
+    .sort((a, b) => b.termo.length - a.termo.length);
+}
+
+/**
+ * Soma duração e preço dos serviços escolhidos.
+ * @param {Object} barbearia - Barbearia do catálogo.
+ * @param {Array<number>} servicoIds - IDs dos serviços.
+ * @returns {Promise<{duracaoMinutos: number, preco: number}>} Totais.
+ */
+async function calcularTotaisServicos(barbearia, servicoIds) {
+  const servicos = await listarServicosAtivos(barbearia);
+  return servicoIds.reduce(
+    (totais, id) => {
+      const servico = servicos.find((s) => s.id === id);
+      if (!servico) return totais;
+      return {
+        duracaoMinutos: totais.duracaoMinutos + servico.duracaoMinutos,
+        preco: totais.preco + servico.preco,
+      };
+    },
+    { duracaoMinutos: 0, preco: 0 }
+  );
+}
+
+/**
+ * Valida e normaliza os campos de um serviço vindos da administração.
+ * @param {Object} dados - nome, sinonimos (array ou texto), duracaoMinutos, preco, ativo.
+ * @param {boolean} parcial - Em atualizações, campos ausentes são ignorados.
+ * @returns {{campos: Object, erro: string|null}} Colunas a gravar ou o erro.
+ */
+function prepararCamposServico(dados, parcial) {
+  const campos = {};
+  if (dados.nome !== undefined || !parcial) {
+    if (!dados.nome || !String(dados.nome).trim()) {
+      return { campos, erro: "Informe o nome do serviço." };
+    }
+    campos.nome = String(dados.nome).trim();
+  }
+  if (dados.sinonimos !== undefined) {
+    campos.sinonimos = (
+      Array.isArray(dados.sinonimos)
+        ? dados.sinonimos
+        : String(dados.sinonimos).split(",")
+    )
+      .map((sinonimo) => sinonimo.trim())
+      .filter(Boolean)
+      .join(",");
+  }
+  if (dados.duracaoMinutos !== undefined || !parcial) {
+    const duracao = Number(dados.duracaoMinutos);
+    if (!Number.isInteger(duracao) || duracao <= 0) {
+      return {
+        campos,
+        erro: "A duração deve ser um número inteiro de minutos.",
+      };
+    }
+    campos.duracao_minutos = duracao;
+  }
+  if (dados.preco !== undefined || !parcial) {
+    const preco = Number(dados.preco);
+    if (isNaN(preco) || preco < 0) {
+      return { campos, erro: "Preço inválido." };
+    }
+    campos.preco = preco;
+  }
+  if (dados.ativo !== undefined) campos.ativo = Boolean(dados.ativo);
+  return { campos, erro: null };
+}
+
+// Todos os serviços, inclusive inativos, para a administração.
+async function listarServicos(barbearia) {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, nome, sinonimos, duracao_minutos, preco, ativo
+       FROM servicos
+       WHERE barbearia_id = ?
+       ORDER BY id`,
+      [barbearia.id]
+    );
+    return rows;
+  } catch (error) {
+    console.error("Erro ao listar serviços:", error);
+    throw new Error("Erro ao listar serviços.");
+  }
+}
+
+async function criarServico(barbearia, dados) {
+  const { campos, erro } = prepararCamposServico(dados, false);
+  if (erro) return { success: false, message: erro };
+  try {
+    const [result] = await pool.query("INSERT INTO servicos SET ?", [
+      { ...campos, barbearia_id: barbearia.id },
+    ]);
+    invalidarCacheServicos(barbearia);
+    return { success: true, servicoId: result.insertId };
+  } catch (error) {
+    console.error("Erro ao criar serviço:", error);
+    return { success: false, message: "Erro interno ao criar o serviço." };
+  }
+}
+
+async function atualizarServico(barbearia, servicoId, dados) {
+  const { campos, erro } = prepararCamposServico(dados, true);
+  if (erro) return { success: false, message: erro };
+  if (!Object.keys(campos).length) {
+    return { success: false, message: "Nenhum campo para atualizar." };
+  }
+  try {
+    const [result] = await pool.query(
+      "UPDATE servicos SET ? WHERE id = ? AND barbearia_id = ?",
+      [campos, servicoId, barbearia.id]
+    );
+    if (!result.affectedRows) {
+      return { success: false, message: "Serviço não encontrado." };
+    }
+    invalidarCacheServicos(barbearia);
+    return { success: true };
+  } catch (error) {
+    console.error("Erro ao atualizar serviço:", error);
+    return { success: false, message: "Erro interno ao atualizar o serviço." };
+  }
+}
+
+// Serviços já usados em agendamentos não podem sumir: apenas saem do catálogo.
+async function desativarServico(barbearia, servicoId) {
+  return atualizarServico(barbearia, servicoId, { ativo: false });
+}
+
+module.exports = {
+  normalizarServico,
+  listarServicosAtivos,
+  invalidarCacheServicos,
+  encontrarServicoPorNome,
+  encontrarServicosNoTexto,
+  calcularTotaisServicos,
+  listarServicos,
+  criarServico,
+  atualizarServico,
+  desativarServico,
+};
@@ -0,0 +1,89 @@
+// catalogo.js
+// Textos do catálogo de serviços no chat: menu, nomes para mensagens de ajuda
+// e totais de preço e duração.
+
+/**
+ * Formata um valor em reais.
+ * @param {number} valor - Valor numérico.
+ * @returns {string} Valor formatado (ex: "R$ 35,00").
+ */
+function formatarPreco(valor) {
+  return new Intl.NumberFormat("pt-BR", {
+    style: "currency",
+    currency: "BRL",
+  }).format(valor);
+}
+
+/**
+ * Formata uma duração em minutos.
+ * @param {number} minutos - Duração em minutos.
+ * @returns {string} Duração formatada (ex: "45 min", "1h30").
+ */
+function formatarDuracao(minutos) {
+  if (minutos < 60) return `${minutos} min`;
+  const horas = Math.floor(minutos / 60);
+  const resto = minutos % 60;
+  return resto ? `${horas}h${String(resto).padStart(2, "0")}` : `${horas}h`;
+}
+
+/**
+ * Cria as funções de catálogo.
+ * @param {Object} deps
+ * @param {Function} deps.listarServicosAtivos - De servicoController.
+ * @param {Function} deps.calcularTotaisServicos - De servicoController.
+ * @returns {Object} montarMenuServicos, nomesServicos e resumirTotais.
+ */
+function criarCatalogo({ listarServicosAtivos, calcularTotaisServicos }) {
+  /**
+   * Monta o menu de serviços a partir do catálogo do banco.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @returns {Promise<string>} Menu com nome, preço e duração de cada serviço.
+   */
+  async function montarMenuServicos(barbearia) {
+    const servicos = await listarServicosAtivos(barbearia);
+    const linhas = servicos.map(
+      (s) =>
+        `${s.nome} - ${formatarPreco(s.preco)} (${formatarDuracao(
+          s.duracaoMinutos
+        )})`
+    );
+    return `Qual serviço deseja agendar?\n${linhas.join(
+      "\n"
+    )}\n\nSe quiser cancelar digite: 'Cancelar'`;
+  }
+
+  /**
+   * Lista os nomes dos serviços ativos para mensagens de ajuda.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @returns {Promise<string>} Nomes separados por vírgula (ex: "Corte, Barba ou Sobrancelha").
+   */
+  async function nomesServicos(barbearia) {
+    const nomes = (await listarServicosAtivos(barbearia)).map((s) => s.nome);
+    if (nomes.length <= 1) return nomes.join("");
+    return `${nomes.slice(0, -1).join(", ")} ou ${nomes[nomes.length - 1]}`;
+  }
+
+  /**
+   * Resume preço e duração totais dos serviços escolhidos.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {Array<number>} servicoIds - IDs dos serviços.
+   * @returns {Promise<string>} Resumo (ex: "Total: R$ 60,00 | Duração: 1h").
+   */
+  async function resumirTotais(barbearia, servicoIds) {
+    const { preco, duracaoMinutos } = await calcularTotaisServicos(
+      barbearia,
+      servicoIds
+    );
+    return `Total: *${formatarPreco(preco)}* | Duração: *${formatarDuracao(
+      duracaoMinutos
+    )}*`;
+  }
+
+  return { montarMenuServicos, nomesServicos, resumirTotais };
+}
+
+module.exports = {
+  formatarPreco,
+  formatarDuracao,
+  criarCatalogo,
+};
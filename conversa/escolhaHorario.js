@@ -0,0 +1,502 @@
+// escolhaHorario.js
+// Escolha de horário no chat, comum ao agendamento e ao reagendamento: lista
+// de dias, horários do dia, "mais horários", data/hora em português, sugestão
+// do horário livre mais próximo e a reserva temporária do escolhido.
+const { formatarData, chaveData, normalizarTexto } = require("../utils");
+const { agoraNaBarbearia, texto } = require("../services/barbearias");
+const {
+  PERIODOS,
+  interpretarDataHora,
+  dataHoraDosParametros,
+  descreverPedido,
+} = require("../nlu/dataHora");
+const {
+  DIAS_POR_PAGINA,
+  HORARIOS_POR_PAGINA,
+  agruparPorDia,
+  inicioDoDia,
+  formatarDia,
+  montarListaDias,
+  montarListaHorarios,
+  pedeMaisHorarios,
+  indiceEscolhido,
+} = require("./horarios");
+
+// Etapas da escolha em cada fluxo; o reagendamento é o estado com agendamentoId
+const ETAPAS_AGENDAMENTO = {
+  escolha: "awaiting_date_time",
+  proximo: "confirmar_horario_proximo",
+};
+const ETAPAS_REAGENDAMENTO = {
+  escolha: "awaiting_reagendamento_datahora",
+  proximo: "confirmar_horario_proximo_reagendamento",
+};
+
+function etapasDaEscolha(estado) {
+  return estado.agendamentoId ? ETAPAS_REAGENDAMENTO : ETAPAS_AGENDAMENTO;
+}
+
+/**
+ * Encontra o horário disponível mais próximo a uma data/hora solicitada.
+ * @param {string} horarioSolicitadoStr - String da data/hora solicitada (ISO 8601).
+ * @param {Array<Object>} horariosDisponiveis - Lista de objetos de horários disponíveis.
+ * @returns {Object|null} O objeto do horário mais próximo ou null se nenhum for encontrado.
+ */
+function encontrarHorarioProximo(horarioSolicitadoStr, horariosDisponiveis) {
+  if (
+    !horarioSolicitadoStr ||
+    !horariosDisponiveis ||
+    !horariosDisponiveis.length
+  )
+    return null;
+  const solicitado = new Date(horarioSolicitadoStr);
+  if (isNaN(solicitado.getTime())) return null;
+
+  return horariosDisponiveis.reduce(
+    (maisProximo, horario) => {
+      const disponivel = new Date(horario.dia_horario);
+      if (isNaN(disponivel.getTime())) return maisProximo;
+      const diferenca = Math.abs(solicitado - disponivel);
+      if (diferenca < maisProximo.diferenca) {
+        return { horario, diferenca };
+      }
+      return maisProximo;
+    },
+    { horario: null, diferenca: Infinity }
+  ).horario;
+}
+
+// Quantos dias à frente a lista de dias cobre
+const JANELA_DIAS_HORARIOS = 28;
+// Distância máxima (em dias) da alternativa sugerida a um pedido sem horário livre
+const JANELA_HORARIO_PROXIMO_DIAS = 7;
+
+function somarDias(data, dias) {
+  const nova = new Date(data);
+  nova.setDate(nova.getDate() + dias);
+  return nova;
+}
+
+/**
+ * Janela da lista de espera para um pedido sem vaga: o horário exato ou o
+ * intervalo pedido, com o período do dia ("à tarde") quando houver.
+ * @param {Object} pedido - Pedido de nlu/dataHora.js.
+ * @returns {Object} { inicio, fim, deMinutos?, ateMinutos?, descricao }.
+ */
+function janelaDeEspera(pedido) {
+  const descricao = descreverPedido(pedido);
+  if (pedido.tipo === "exato") {
+    return {
+      inicio: pedido.data,
+      fim: new Date(pedido.data.getTime() + 60 * 1000),
+      descricao,
+    };
+  }
+  const periodo = pedido.periodo ? PERIODOS[pedido.periodo] : null;
+  return {
+    inicio: pedido.inicio,
+    fim: pedido.fim,
+    ...(periodo && { deMinutos: periodo.inicio, ateMinutos: periodo.fim }),
+    descricao,
+  };
+}
+
+// Os filtros ficam na sessão como JSON; as datas voltam como string
+function lerFiltros(filtros) {
+  return {
+    ...filtros,
+    de: filtros.de ? new Date(filtros.de) : undefined,
+    ate: filtros.ate ? new Date(filtros.ate) : undefined,
+  };
+}
+
+/**
+ * Cria as funções de escolha de horário.
+ * @param {Object} deps
+ * @param {Function} deps.buscarHorariosDisponiveis - De agendamentoController.
+ * @param {Function} deps.reservarHorario - De reservaController.
+ * @returns {Object} apresentarDias, processarEscolhaHorario, segurarHorario,
+ *   oferecerAlternativas e as demais funções da escolha.
+ */
+function criarEscolhaHorario({ buscarHorariosDisponiveis, reservarHorario }) {
+  /**
+   * Busca os horários livres de um barbeiro em que cabe o atendimento inteiro.
+   * Sem barbeiro ("qualquer um"), cada início aparece uma só vez, ficando com
+   * o primeiro barbeiro livre.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {number|null} barbeiroId - ID do barbeiro ou null.
+   * @param {number} [duracaoMinutos] - Duração total dos serviços.
+   * @param {Object} [filtros] - Data, intervalo e período (ver buscarHorariosDisponiveis).
+   * @returns {Promise<Array<Object>>} Horários disponíveis.
+   */
+  async function buscarHorariosDoBarbeiro(
+    barbearia,
+    barbeiroId,
+    duracaoMinutos,
+    filtros
+  ) {
+    const horarios = await buscarHorariosDisponiveis(
+      barbearia,
+      barbeiroId || null,
+      duracaoMinutos,
+      filtros
+    );
+    if (barbeiroId) return horarios;
+    const vistos = new Set();
+    return horarios.filter((h) => {
+      const inicio = new Date(h.dia_horario).getTime();
+      if (vistos.has(inicio)) return false;
+      vistos.add(inicio);
+      return true;
+    });
+  }
+
+  /**
+   * Lista os dias com horário livre (primeira etapa da escolha de horário) e
+   * guarda a navegação no estado. Quem chama salva a sessão.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {Object} estado - Estado da sessão (barbeiroId, duracaoMinutos).
+   * @param {number} [pagina] - Página da lista de dias.
+   * @returns {Promise<string|null>} Mensagem com os dias ou null se não houver horários.
+   */
+  async function apresentarDias(barbearia, estado, pagina = 0) {
+    const horarios = await buscarHorariosDoBarbeiro(
+      barbearia,
+      estado.barbeiroId,
+      estado.duracaoMinutos,
+      { ate: somarDias(agoraNaBarbearia(barbearia), JANELA_DIAS_HORARIOS) }
+    );
+    if (!horarios.length) return null;
+    const dias = agruparPorDia(horarios);
+    // Voltou a escolher: a reserva do horário anterior é liberada no fim da mensagem
+    delete estado.horarioReservado;
+    estado.navegacaoHorarios = {
+      modo: "dias",
+      dias: dias.map((d) => d.dia),
+      pagina,
+    };
+    return `Dias com horários disponíveis:\n\n${montarListaDias(
+      dias,
+      pagina
+    )}\n\nDigite o número do dia ou informe um dia e horário (exemplo: Sexta 10:00 ou amanhã à tarde).`;
+  }
+
+  /**
+   * Lista os horários livres de um dia ou período e guarda a navegação no estado.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {Object} estado - Estado da sessão.
+   * @param {Object} filtros - Filtros de buscarHorariosDisponiveis.
+   * @param {string} titulo - Descrição do dia/período (ex: "Terça-feira, 20/10").
+   * @param {number} [pagina] - Página da lista.
+   * @returns {Promise<string|null>} Mensagem com os horários ou null se não houver.
+   */
+  async function apresentarHorarios(
+    barbearia,
+    estado,
+    filtros,
+    titulo,
+    pagina = 0
+  ) {
+    const horarios = await buscarHorariosDoBarbeiro(
+      barbearia,
+      estado.barbeiroId,
+      estado.duracaoMinutos,
+      filtros
+    );
+    if (!horarios.length) return null;
+    delete estado.horarioReservado;
+    estado.navegacaoHorarios = {
+      modo: "horarios",
+      ids: horarios.map((h) => h.id),
+      filtros,
+      titulo,
+      pagina,
+    };
+    return `Horários disponíveis para *${titulo}*:\n\n${montarListaHorarios(
+      horarios,
+      pagina
+    )}\n\nDigite o número do horário desejado ou *voltar aos dias*.`;
+  }
+
+  /**
+   * Segura o horário escolhido (estado.horarioId) enquanto o cliente confirma,
+   * para que outras conversas não o vejam como livre.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {string} chave - Chave da conversa, dona da reserva.
+   * @param {Object} estado - Estado da sessão; ganha `horarioReservado`.
+   * @returns {Promise<boolean>} false se outra conversa pegou o horário antes.
+   */
+  async function segurarHorario(barbearia, chave, estado) {
+    const reserva = await reservarHorario(
+      barbearia,
+      chave,
+      estado.horarioId,
+      estado.duracaoMinutos,
+      { agendamentoId: estado.agendamentoId }
+    );
+    // Uma falha inesperada não impede a confirmação; agendarServico confere de novo
+    estado.horarioReservado = reserva.success;
+    return !reserva.ocupado;
+  }
+
+  /**
+   * Quando outro cliente reserva o horário entre a escolha e a confirmação:
+   * volta para a escolha de horário mostrando o que sobrou no mesmo dia (ou os
+   * dias com horário livre).
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {Object} estado - Estado da sessão com o horário perdido em dia_horario.
+   * @returns {Promise<string>} Mensagem ao cliente.
+   */
+  async function oferecerAlternativas(barbearia, estado) {
+    const dia = chaveData(new Date(estado.dia_horario));
+    const de = inicioDoDia(dia);
+    estado.confirmationStep = etapasDaEscolha(estado).escolha;
+    delete estado.horarioReservado;
+    const lista =
+      (await apresentarHorarios(
+        barbearia,
+        estado,
+        { de, ate: somarDias(de, 1) },
+        formatarDia(dia)
+      )) || (await apresentarDias(barbearia, estado));
+    return lista
+      ? `😕 Alguém acabou de reservar *${formatarData(
+          estado.dia_horario
+        )}*. Escolha outro horário.\n${lista}`
+      : `😕 Alguém acabou de reservar esse horário. ${texto(barbearia, "semHorarios")}`;
+  }
+
+  /**
+   * Procura a alternativa mais próxima de um pedido sem horário livre e deixa a
+   * sessão aguardando a confirmação dela. No agendamento, o pedido fica em
+   * `pedidoEspera` para o cliente poder entrar na lista de espera.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {Object} estado - Estado da sessão.
+   * @param {Object} pedido - Pedido de nlu/dataHora.js.
+   * @returns {Promise<{resposta: string}>}
+   */
+  async function sugerirHorarioProximo(barbearia, estado, pedido) {
+    const referencia = pedido.tipo === "exato" ? pedido.data : pedido.inicio;
+    const horarios = await buscarHorariosDoBarbeiro(
+      barbearia,
+      estado.barbeiroId,
+      estado.duracaoMinutos,
+      {
+        de: somarDias(referencia, -JANELA_HORARIO_PROXIMO_DIAS),
+        ate: somarDias(referencia, JANELA_HORARIO_PROXIMO_DIAS),
+      }
+    );
+    const proximo = encontrarHorarioProximo(referencia.toISOString(), horarios);
+    const indisponivel =
+      pedido.tipo === "exato"
+        ? `O horário *${descreverPedido(pedido)}* não está disponível.`
+        : `Não há horários livres para *${descreverPedido(pedido)}*.`;
+    let convite = "";
+    if (!estado.agendamentoId) {
+      estado.pedidoEspera = janelaDeEspera(pedido);
+      convite = `\nSe preferir esperar por *${descreverPedido(
+        pedido
+      )}*, responda *lista de espera* e eu te aviso se vagar.`;
+    }
+
+    if (!proximo) {
+      const dias = await apresentarDias(barbearia, estado);
+      return {
+        resposta: `${indisponivel}\n${
+          dias || texto(barbearia, "semHorarios")
+        }${convite}`,
+      };
+    }
+
+    Object.assign(estado, {
+      confirmationStep: etapasDaEscolha(estado).proximo,
+      horarioProximoId: proximo.id,
+      diaHorarioProximo: proximo.dia_horario,
+      barbeiroProximo: proximo.barbeiro,
+    });
+    return {
+      resposta: `${indisponivel} O mais próximo é *${formatarData(
+        proximo.dia_horario
+      )}*. Deseja escolher este? Responda 'Sim' ou escolha outro horário.${convite}`,
+    };
+  }
+
+  /**
+   * Trata a resposta do cliente na escolha de horário, no agendamento e no
+   * reagendamento: número da lista exibida (dia ou horário), "mais horários",
+   * "voltar aos dias" ou uma data/hora em português (nlu/dataHora.js).
+   * Atualiza o estado; quem chama salva a sessão.
+   * @param {Object} barbearia - Barbearia da conversa.
+   * @param {string} msg - Mensagem do cliente.
+   * @param {Object} parametros - Parâmetros da intent (date-time do Dialogflow).
+   * @param {Object} estado - Estado da sessão (barbeiroId, duracaoMinutos, navegacaoHorarios).
+   * @returns {Promise<{horario?: Object, resposta?: string}>} O horário escolhido
+   *   ou a próxima mensagem ao cliente.
+   */
+  async function processarEscolhaHorario(barbearia, msg, parametros, estado) {
+    // Outra escolha em vez de aceitar a sugestão: descarta a sugestão
+    const etapas = etapasDaEscolha(estado);
+    delete estado.pedidoEspera;
+    if (estado.confirmationStep === etapas.proximo) {
+      estado.confirmationStep = etapas.escolha;
+      delete estado.horarioProximoId;
+      delete estado.diaHorarioProximo;
+      delete estado.barbeiroProximo;
+    }
+    const navegacao = estado.navegacaoHorarios;
+
+    if (navegacao && pedeMaisHorarios(msg)) {
+      const porPagina =
+        navegacao.modo === "dias" ? DIAS_POR_PAGINA : HORARIOS_POR_PAGINA;
+      const total =
+        navegacao.modo === "dias"
+          ? navegacao.dias.length
+          : navegacao.ids.length;
+      if ((navegacao.pagina + 1) * porPagina >= total) {
+        return {
+          resposta:
+            "Esses são todos os horários dessa lista. Digite um dos números ou informe outro dia (exemplo: Sexta 10:00 ou amanhã à tarde).",
+        };
+      }
+      const resposta =
+        navegacao.modo === "dias"
+          ? await apresentarDias(barbearia, estado, navegacao.pagina + 1)
+          : await apresentarHorarios(
+              barbearia,
+              estado,
+              lerFiltros(navegacao.filtros),
+              navegacao.titulo,
+              navegacao.pagina + 1
+            );
+      return {
+        resposta:
+          resposta ||
+          (await apresentarDias(barbearia, estado)) ||
+          texto(barbearia, "semHorarios"),
+      };
+    }
+
+    if (/^voltar( aos dias| para os dias)?$/.test(normalizarTexto(msg))) {
+      return {
+        resposta:
+          (await apresentarDias(barbearia, estado)) ||
+          texto(barbearia, "semHorarios"),
+      };
+    }
+
+    const indice = indiceEscolhido(msg);
+    if (
+      indice !== null &&
+      navegacao?.modo === "dias" &&
+      navegacao.dias[indice]
+    ) {
+      const dia = navegacao.dias[indice];
+      const de = inicioDoDia(dia);
+      const lista = await apresentarHorarios(
+        barbearia,
+        estado,
+        { de, ate: somarDias(de, 1) },
+        formatarDia(dia)
+      );
+      if (lista) return { resposta: lista };
+      const dias = await apresentarDias(barbearia, estado);
+      return {
+        resposta: `Os horários de *${formatarDia(dia)}* acabaram de ser ocupados.\n${
+          dias || texto(barbearia, "semHorarios")
+        }`,
+      };
+    }
+    if (
+      indice !== null &&
+      navegacao?.modo === "horarios" &&
+      navegacao.ids[indice]
+    ) {
+      const filtros = lerFiltros(navegacao.filtros);
+      const horarios = await buscarHorariosDoBarbeiro(
+        barbearia,
+        estado.barbeiroId,
+        estado.duracaoMinutos,
+        filtros
+      );
+      const horario = horarios.find((h) => h.id === navegacao.ids[indice]);
+      if (horario) {
+        delete estado.navegacaoHorarios;
+        return { horario };
+      }
+      const lista = await apresentarHorarios(
+        barbearia,
+        estado,
+        filtros,
+        navegacao.titulo
+      );
+      return {
+        resposta: `Esse horário acabou de ser ocupado.\n${
+          lista ||
+          (await apresentarDias(barbearia, estado)) ||
+          texto(barbearia, "semHorarios")
+        }`,
+      };
+    }
+
+    const pedido =
+      interpretarDataHora(msg, agoraNaBarbearia(barbearia)) ||
+      dataHoraDosParametros(parametros);
+    if (pedido?.tipo === "exato") {
+      const [horario] = await buscarHorariosDoBarbeiro(
+        barbearia,
+        estado.barbeiroId,
+        estado.duracaoMinutos,
+        { de: pedido.data, ate: new Date(pedido.data.getTime() + 1) }
+      );
+      if (horario) {
+        delete estado.navegacaoHorarios;
+        return { horario };
+      }
+      return sugerirHorarioProximo(barbearia, estado, pedido);
+    }
+    if (pedido) {
+      const periodo = pedido.periodo ? PERIODOS[pedido.periodo] : null;
+      const lista = await apresentarHorarios(
+        barbearia,
+        estado,
+        {
+          de: pedido.inicio,
+          ate: pedido.fim,
+          ...(periodo && {
+            deMinutos: periodo.inicio,
+            ateMinutos: periodo.fim,
+          }),
+        },
+        descreverPedido(pedido)
+      );
+      if (lista) return { resposta: lista };
+      return sugerirHorarioProximo(barbearia, estado, pedido);
+    }
+
+    const dias = await apresentarDias(barbearia, estado);
+    return {
+      resposta: dias
+        ? `Não entendi qual horário você quer.\n${dias}`
+        : texto(barbearia, "semHorarios"),
+    };
+  }
+
+  return {
+    buscarHorariosDoBarbeiro,
+    apresentarDias,
+    apresentarHorarios,
+    segurarHorario,
+    oferecerAlternativas,
+    sugerirHorarioProximo,
+    processarEscolhaHorario,
+  };
+}
+
+module.exports = {
+  ETAPAS_AGENDAMENTO,
+  ETAPAS_REAGENDAMENTO,
+  etapasDaEscolha,
+  encontrarHorarioProximo,
+  somarDias,
+  criarEscolhaHorario,
+};
@@ -0,0 +1,552 @@
+// agendamento.js
+// Fluxo de agendamento: serviço(s) -> barbeiro (só se houver mais de um) ->
+// dia e horário -> confirmação com o nome do cliente. A troca de nome fica
+// em fluxos/nome.js. Sem vaga no horário pedido, o cliente pode entrar na
+// lista de espera (a resposta à oferta fica em fluxos/listaEspera.js).
+// Clientes com faltas acima do limite da política são bloqueados ou avisados
+// de que precisam confirmar o lembrete. "O de sempre" começa o agendamento
+// já com os serviços e o barbeiro da última visita.
+const { formatarData, normalizarTexto } = require("../../utils");
+const { texto, agoraNaBarbearia } = require("../../services/barbearias");
+const {
+  exigenciaPorFaltas,
+  avisarSobreFaltas,
+} = require("../../services/politica");
+const { contemAlguma } = require("../maquina");
+
+/**
+ * Monta a lista numerada de barbeiros, com a opção "qualquer um" no final.
+ * @param {Array<Object>} barbeiros - Barbeiros ativos.
+ * @returns {string} Uma linha por opção.
+ */
+function listarBarbeirosNumerados(barbeiros) {
+  return [...barbeiros.map((b) => b.nome), "Qualquer um"]
+    .map((nome, index) => `${index + 1}. ${nome}`)
+    .join("\n");
+}
+
+/**
+ * Identifica o barbeiro escolhido pelo número da lista ou pelo nome.
+ * @param {string} msg - Mensagem do cliente.
+ * @param {Array<Object>} barbeiros - Barbeiros ativos, na ordem exibida.
+ * @returns {Object|null|undefined} O barbeiro, null para "qualquer um" ou undefined se não entendeu.
+ */
+function identificarBarbeiro(msg, barbeiros) {
+  const texto = msg.toLowerCase().trim();
+  const escolhaNumero = parseInt(texto, 10);
+  if (!isNaN(escolhaNumero)) {
+    if (escolhaNumero === barbeiros.length + 1) return null;
+    return barbeiros[escolhaNumero - 1];
+  }
+  if (
+    ["qualquer", "tanto faz", "sem preferência", "sem preferencia"].some((k) =>
+      texto.includes(k)
+    )
+  ) {
+    return null;
+  }
+  return barbeiros.find((b) => texto.includes(b.nome.toLowerCase()));
+}
+
+/**
+ * Próxima data no mesmo dia da semana e horário de uma visita anterior.
+ * @param {Date|string} visita - Início da visita anterior.
+ * @param {Date} agora - Hora atual no relógio da barbearia.
+ * @returns {Date} A primeira ocorrência depois de agora.
+ */
+function mesmoHorarioDaSemana(visita, agora) {
+  const anterior = new Date(visita);
+  const alvo = new Date(agora);
+  alvo.setHours(anterior.getHours(), anterior.getMinutes(), 0, 0);
+  alvo.setDate(alvo.getDate() + ((anterior.getDay() - alvo.getDay() + 7) % 7));
+  if (alvo <= agora) alvo.setDate(alvo.getDate() + 7);
+  return alvo;
+}
+
+/**
+ * Cria o fluxo de agendamento.
+ * @param {Object} deps - Controllers e funções de conversa/escolhaHorario.js e
+ *   conversa/catalogo.js (ver conversa/index.js).
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoAgendamento({
+  listarBarbeirosAtivos,
+  encontrarServicoPorNome,
+  encontrarServicosNoTexto,
+  calcularTotaisServicos,
+  agendarServico,
+  apresentarDias,
+  processarEscolhaHorario,
+  segurarHorario,
+  oferecerAlternativas,
+  nomesServicos,
+  resumirTotais,
+  entrarNaListaEspera,
+  contarFaltas,
+  listarServicosAtivos,
+  listarHistoricoCliente,
+  buscarHorariosDoBarbeiro,
+  sugerirHorarioProximo,
+  montarMenuServicos,
+}) {
+  // Estado de um agendamento novo, ou a recusa se a política de faltas
+  // bloqueia o cliente
+  async function comecarAgendamento(ctx) {
+    const faltas = await contarFaltas(ctx.barbearia, ctx.cliente.id);
+    if (exigenciaPorFaltas(ctx.barbearia, faltas) === "bloquear") {
+      return { recusa: avisarSobreFaltas(ctx.barbearia, faltas) };
+    }
+    return { estado: { servicos: [], servicoIds: [], faltas } };
+  }
+
+  // Nenhum horário livre: o cliente ainda pode dizer quando prefere e entrar
+  // na lista de espera (ver sugerirHorarioProximo)
+  function semHorarios(ctx, estado) {
+    estado.confirmationStep = "awaiting_date_time";
+    return {
+      resposta: `${texto(
+        ctx.barbearia,
+        "semHorarios"
+      )}\nSe quiser entrar na lista de espera, me diga o dia e o horário que prefere (exemplo: sexta à tarde).`,
+      estado,
+    };
+  }
+
+  async function mostrarDias(ctx, estado, introducao) {
+    const dias = await apresentarDias(ctx.barbearia, estado);
+    if (!dias) return semHorarios(ctx, estado);
+    estado.confirmationStep = "awaiting_date_time";
+    return { resposta: `${introducao}\n${dias}`, estado };
+  }
+
+  // "lista de espera" logo depois de um pedido sem vaga
+  function pedeListaEspera(ctx) {
+    return (
+      Boolean(ctx.estado.pedidoEspera) &&
+      contemAlguma(ctx.msg, ["espera", "me avisa"])
+    );
+  }
+
+  async function entrarNaEspera(ctx) {
+    const estado = ctx.estado;
+    const pedido = estado.pedidoEspera;
+    const result = await entrarNaListaEspera(ctx.barbearia, {
+      clienteId: ctx.cliente.id,
+      barbeiroId: estado.barbeiroId || null,
+      servicoIds: estado.servicoIds,
+      inicio: new Date(pedido.inicio),
+      fim: new Date(pedido.fim),
+      deMinutos: pedido.deMinutos,
+      ateMinutos: pedido.ateMinutos,
+      descricao: pedido.descricao,
+    });
+    if (!result.success) return { resposta: result.message, estado };
+    return {
+      resposta: `✅ Você está na lista de espera de *${estado.servicos.join(
+        " e "
+      )}* para *${
+        pedido.descricao
+      }*. Se vagar um horário, te mando uma mensagem para você confirmar.`,
+      estado: null,
+    };
+  }
+
+  // Horário seguro: mostra o resumo e pergunta pelo nome do agendamento
+  async function pedirConfirmacao(ctx, estado) {
+    Object.assign(estado, {
+      clienteId: ctx.cliente.id,
+      nomeSugerido: ctx.cliente.nome,
+      confirmationStep: "awaiting_name_choice",
+    });
+    return {
+      resposta: `Você escolheu *${estado.servicos.join(" e ")}* com *${
+        estado.barbeiro
+      }* para *${formatarData(estado.dia_horario)}*.\n${await resumirTotais(
+        ctx.barbearia,
+        estado.servicoIds
+      )}\nO nome que usaremos para o agendamento é *${
+        ctx.cliente.nome
+      }*.\nGostaria de manter este nome ou informar outro? (Responda 'Sim' ou 'Trocar')`,
+      estado,
+    };
+  }
+
+  async function escolherServico(ctx) {
+    // O parâmetro traz um serviço ou, em "corte e barba", uma lista
+    const parametro = ctx.parametros?.servico;
+    const nomes = parametro?.listValue
+      ? parametro.listValue.values.map((valor) => valor.stringValue)
+      : [parametro?.stringValue].filter(Boolean);
+    const novos = [];
+    for (const nome of nomes) {
+      const servicoInfo = await encontrarServicoPorNome(ctx.barbearia, nome);
+      if (!servicoInfo) {
+        return {
+          resposta: `Desculpe, o serviço "${nome}" não foi reconhecido. Escolha entre ${await nomesServicos(ctx.barbearia)}.`,
+          estado: null,
+        };
+      }
+      novos.push(servicoInfo);
+    }
+    // A mensagem pode citar mais serviços do que o parâmetro trouxe; sem ele,
+    // vale só o que está nela
+    for (const servicoInfo of await encontrarServicosNoTexto(
+      ctx.barbearia,
+      ctx.msg
+    )) {
+      if (!novos.some(({ id }) => id === servicoInfo.id)) {
+        novos.push(servicoInfo);
+      }
+    }
+    if (!novos.length) {
+      return {
+        resposta: `Não entendi qual serviço você deseja. Escolha entre ${await nomesServicos(ctx.barbearia)}.`,
+        estado: null,
+      };
+    }
+
+    // Outro serviço no meio do agendamento soma ao que já foi escolhido
+    let estado = ctx.estado;
+    if (ctx.etapa?.fluxo !== "agendamento") {
+      const inicio = await comecarAgendamento(ctx);
+      if (inicio.recusa) return { resposta: inicio.recusa, estado: null };
+      estado = inicio.estado;
+    }
+    descartarHorario(estado);
+    for (const servicoInfo of novos) {
+      if (!estado.servicos.includes(servicoInfo.nome)) {
+        estado.servicos.push(servicoInfo.nome);
+        estado.servicoIds.push(servicoInfo.id);
+      }
+    }
+    estado.duracaoMinutos = (
+      await calcularTotaisServicos(ctx.barbearia, estado.servicoIds)
+    ).duracaoMinutos;
+    const escolhidos = `Ótimo! Você escolheu *${estado.servicos.join(" e ")}*.`;
+
+    // Pergunta o barbeiro apenas uma vez por agendamento
+    if (!estado.barbeiroDefinido) {
+      const barbeiros = await listarBarbeirosAtivos(ctx.barbearia);
+      if (barbeiros.length > 1) {
+        estado.confirmationStep = "awaiting_barbeiro";
+        return {
+          resposta: `${escolhidos}\nCom qual barbeiro você prefere?\n\n${listarBarbeirosNumerados(
+            barbeiros
+          )}\n\nDigite o número ou o nome do barbeiro.`,
+          estado,
+        };
+      }
+      estado.barbeiroDefinido = true;
+      estado.barbeiroId = barbeiros[0]?.id || null;
+    }
+    return mostrarDias(ctx, estado, escolhidos);
+  }
+
+  // "O de sempre": os serviços e o barbeiro da última visita, no mesmo dia da
+  // semana e horário (ou no horário livre mais próximo)
+  async function repetirUltimaVisita(ctx) {
+    const inicio = await comecarAgendamento(ctx);
+    if (inicio.recusa) return { resposta: inicio.recusa, estado: null };
+    const agora = agoraNaBarbearia(ctx.barbearia);
+    let ultima;
+    try {
+      [ultima] = await listarHistoricoCliente(ctx.barbearia, ctx.cliente.id, {
+        antesDe: agora,
+        limite: 1,
+      });
+    } catch (error) {
+      console.error("ERRO: Erro ao buscar a última visita:", error);
+      return {
+        resposta:
+          "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.",
+        estado: null,
+      };
+    }
+    if (!ultima) {
+      return {
+        resposta: `Ainda não encontrei uma visita sua para repetir.\n${await montarMenuServicos(
+          ctx.barbearia
+        )}`,
+        estado: null,
+      };
+    }
+
+    const servicos = (await listarServicosAtivos(ctx.barbearia)).filter((s) =>
+      ultima.servicoIds.includes(s.id)
+    );
+    if (!servicos.length) {
+      return {
+        resposta: `*${ultima.servico}* não está mais disponível. Escolha entre ${await nomesServicos(
+          ctx.barbearia
+        )}.`,
+        estado: null,
+      };
+    }
+    const barbeiro = (await listarBarbeirosAtivos(ctx.barbearia)).find(
+      (b) => b.id === ultima.barbeiro_id
+    );
+    const estado = Object.assign(inicio.estado, {
+      servicos: servicos.map((s) => s.nome),
+      servicoIds: servicos.map((s) => s.id),
+      barbeiroDefinido: true,
+      barbeiroId: barbeiro ? barbeiro.id : null,
+      confirmationStep: "awaiting_date_time",
+    });
+    estado.duracaoMinutos = (
+      await calcularTotaisServicos(ctx.barbearia, estado.servicoIds)
+    ).duracaoMinutos;
+    const lembranca = `Da última vez foi *${ultima.servico}* com *${
+      ultima.barbeiro
+    }* em *${formatarData(ultima.dia_horario)}*.${
+      barbeiro
+        ? ""
+        : ` O *${ultima.barbeiro}* não está mais atendendo, então procurei com os outros barbeiros.`
+    }`;
+
+    const alvo = mesmoHorarioDaSemana(ultima.dia_horario, agora);
+    const [horario] = await buscarHorariosDoBarbeiro(
+      ctx.barbearia,
+      estado.barbeiroId,
+      estado.duracaoMinutos,
+      { de: alvo, ate: new Date(alvo.getTime() + 1) }
+    );
+    if (!horario) {
+      const sugestao = await sugerirHorarioProximo(ctx.barbearia, estado, {
+        tipo: "exato",
+        data: alvo,
+      });
+      return { resposta: `${lembranca}\n${sugestao.resposta}`, estado };
+    }
+    Object.assign(estado, {
+      confirmationStep: "confirmar_horario_proximo",
+      horarioProximoId: horario.id,
+      diaHorarioProximo: horario.dia_horario,
+      barbeiroProximo: horario.barbeiro,
+    });
+    return {
+      resposta: `${lembranca}\nPosso agendar *${estado.servicos.join(
+        " e "
+      )}* com *${horario.barbeiro}* para *${formatarData(
+        horario.dia_horario
+      )}*? Responda 'Sim' ou escolha outro horário.`,
+      estado,
+    };
+  }
+
+  async function escolherBarbeiro(ctx) {
+    const barbeiros = await listarBarbeirosAtivos(ctx.barbearia);
+    const escolha = identificarBarbeiro(ctx.msg, barbeiros);
+    if (escolha === undefined) {
+      return {
+        resposta: `Não entendi qual barbeiro você prefere. Escolha um da lista:\n\n${listarBarbeirosNumerados(
+          barbeiros
+        )}`,
+      };
+    }
+
+    const estado = ctx.estado;
+    estado.barbeiroDefinido = true;
+    estado.barbeiroId = escolha ? escolha.id : null;
+    const dias = await apresentarDias(ctx.barbearia, estado);
+    if (!dias) {
+      return escolha
+        ? {
+            resposta: `O *${escolha.nome}* não tem horários disponíveis no momento. Digite outro número ou 'Qualquer um'.`,
+          }
+        : semHorarios(ctx, estado);
+    }
+    estado.confirmationStep = "awaiting_date_time";
+    return {
+      resposta: `${
+        escolha ? `Beleza, com *${escolha.nome}*!` : "Beleza!"
+      }\n${dias}`,
+      estado,
+    };
+  }
+
+  async function escolherHorario(ctx) {
+    const estado = ctx.estado;
+    const escolha = await processarEscolhaHorario(
+      ctx.barbearia,
+      ctx.msg,
+      ctx.parametros,
+      estado
+    );
+    if (!escolha.horario) return { resposta: escolha.resposta, estado };
+
+    Object.assign(estado, {
+      horarioId: escolha.horario.id,
+      dia_horario: escolha.horario.dia_horario,
+      barbeiro: escolha.horario.barbeiro,
+    });
+    if (!(await segurarHorario(ctx.barbearia, ctx.chave, estado))) {
+      return {
+        resposta: await oferecerAlternativas(ctx.barbearia, estado),
+        estado,
+      };
+    }
+    return pedirConfirmacao(ctx, estado);
+  }
+
+  // Desiste da sugestão ou do horário escolhido e volta para a lista de dias
+  function descartarHorario(estado) {
+    delete estado.horarioProximoId;
+    delete estado.diaHorarioProximo;
+    delete estado.barbeiroProximo;
+    delete estado.horarioReservado;
+  }
+
+  async function confirmarAgendamento(ctx) {
+    const estado = ctx.estado;
+    const result = await agendarServico(
+      ctx.barbearia,
+      estado.clienteId,
+      estado.horarioId,
+      estado.servicoIds,
+      { chaveReserva: ctx.chave }
+    );
+    if (result.ocupado) {
+      return {
+        resposta: await oferecerAlternativas(ctx.barbearia, estado),
+        estado,
+      };
+    }
+    if (!result.success) {
+      return {
+        resposta:
+          result.message || "Ops, algo deu errado ao agendar. Tente novamente.",
+        estado: null,
+      };
+    }
+    const aviso = avisarSobreFaltas(ctx.barbearia, estado.faltas || 0);
+    return {
+      resposta: `✅ Agendamento confirmado para *${estado.servicos.join(
+        " e "
+      )}* com *${estado.barbeiro}* na *${formatarData(
+        estado.dia_horario
+      )}*\n${await resumirTotais(ctx.barbearia, estado.servicoIds)}\nNo nome de: *${
+        ctx.cliente.nome
+      }*!${
+        aviso ? `\n${aviso}` : ""
+      }\n🔁 Para repetir esse horário, responda por exemplo *a cada 2 semanas, 4 vezes*.`,
+      estado: null,
+    };
+  }
+
+  return {
+    nome: "agendamento",
+    inicios: {
+      escolha_servico: {
+        transicoes: ["awaiting_barbeiro", "awaiting_date_time"],
+        tratar: escolherServico,
+      },
+      repetir_agendamento: {
+        transicoes: ["awaiting_date_time", "confirmar_horario_proximo"],
+        tratar: repetirUltimaVisita,
+      },
+    },
+    etapas: {
+      awaiting_barbeiro: {
+        transicoes: ["awaiting_date_time"],
+        tratar: escolherBarbeiro,
+      },
+
+      // "mais horários" e "voltar aos dias" não têm intent própria: tudo o
+      // que não for um serviço é tratado como escolha de horário
+      awaiting_date_time: {
+        transicoes: ["confirmar_horario_proximo", "awaiting_name_choice"],
+        async tratar(ctx) {
+          if (pedeListaEspera(ctx)) return entrarNaEspera(ctx);
+          if (
+            ctx.intent === "default" &&
+            (await encontrarServicoPorNome(ctx.barbearia, ctx.msg))
+          ) {
+            return escolherServico(ctx);
+          }
+          return escolherHorario(ctx);
+        },
+        voltar: escolherHorario,
+      },
+
+      // Um número ou outra data em vez de "sim" volta para a escolha de horário
+      confirmar_horario_proximo: {
+        transicoes: ["awaiting_date_time", "awaiting_name_choice"],
+        async tratar(ctx) {
+          const estado = ctx.estado;
+          if (pedeListaEspera(ctx)) return entrarNaEspera(ctx);
+          if (/^(nao|n)\b/.test(normalizarTexto(ctx.msg))) {
+            descartarHorario(estado);
+            const dias = await apresentarDias(ctx.barbearia, estado);
+            estado.confirmationStep = "awaiting_date_time";
+            return {
+              resposta: dias
+                ? `Ok, escolha outro horário.\n${dias}`
+                : texto(ctx.barbearia, "semHorarios"),
+              estado,
+            };
+          }
+          if (
+            !contemAlguma(ctx.msg, ["sim", "confirmar"]) &&
+            ctx.intent !== "confirmar_horario_proximo"
+          ) {
+            return escolherHorario(ctx);
+          }
+          Object.assign(estado, {
+            horarioId: estado.horarioProximoId,
+            dia_horario: estado.diaHorarioProximo,
+            barbeiro: estado.barbeiroProximo,
+          });
+          if (!(await segurarHorario(ctx.barbearia, ctx.chave, estado))) {
+            return {
+              resposta: await oferecerAlternativas(ctx.barbearia, estado),
+              estado,
+            };
+          }
+          return pedirConfirmacao(ctx, estado);
+        },
+        voltar: (ctx) =>
+          mostrarDias(ctx, ctx.estado, "Ok, escolha outro horário."),
+      },
+
+      awaiting_name_choice: {
+        transicoes: ["awaiting_new_name", "awaiting_date_time"],
+        async tratar(ctx) {
+          if (
+            contemAlguma(ctx.msg, [
+              "sim",
+              "manter",
+              "confirmar",
+              "pode agendar",
+              "agendar",
+            ]) ||
+            [
+              "confirmar_agendamento_com_nome",
+              "confirmar_agendamento",
+            ].includes(ctx.intent)
+          ) {
+            return confirmarAgendamento(ctx);
+          }
+          if (contemAlguma(ctx.msg, ["não", "nao", "trocar", "outro"])) {
+            ctx.estado.confirmationStep = "awaiting_new_name";
+            return {
+              resposta:
+                "Ok, por favor, me diga o nome que você gostaria de usar para o agendamento.",
+            };
+          }
+          return undefined;
+        },
+        voltar(ctx) {
+          descartarHorario(ctx.estado);
+          return mostrarDias(ctx, ctx.estado, "Ok, escolha outro horário.");
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  listarBarbeirosNumerados,
+  identificarBarbeiro,
+  mesmoHorarioDaSemana,
+  criarFluxoAgendamento,
+};
@@ -0,0 +1,297 @@
+// cancelamento.js
+// Fluxo de cancelamento: escolha do agendamento (se houver mais de um) ->
+// confirmação. O cancelamento pelo lembrete fica em fluxos/lembrete.js.
+// Agendamentos fora da política (services/politica.js) são recusados já na
+// escolha, com a explicação. Um horário de série (fluxos/recorrencia.js)
+// pergunta se o cancelamento é só dele ou da série toda.
+const { formatarData, normalizarTexto } = require("../../utils");
+const {
+  verificarPolitica,
+  explicarRecusa,
+} = require("../../services/politica");
+const { contemAlguma } = require("../maquina");
+const {
+  listarAgendamentosNumerados,
+  agendamentoEscolhido,
+} = require("./reagendamento");
+const { descreverIntervalo } = require("./recorrencia");
+
+/**
+ * Cancela o agendamento e monta a resposta. Compartilhado com o lembrete.
+ * @param {Function} cancelarAgendamento - De gerenciamentoController.
+ * @param {Object} barbearia - Barbearia da conversa.
+ * @param {Object} estado - Estado com agendamentoId e servico.
+ * @returns {Promise<string>} Mensagem para o cliente.
+ */
+async function cancelarEResponder(cancelarAgendamento, barbearia, estado) {
+  try {
+    const result = await cancelarAgendamento(barbearia, estado.agendamentoId);
+    if (result.politica) return explicarRecusa(barbearia, result.message);
+    if (!result.success) {
+      return `${
+        result.message ||
+        "Ops, algo deu errado ao cancelar o agendamento. Por favor, tente novamente."
+      }\nSe o problema persistir, entre em contato conosco diretamente para obter ajuda.`;
+    }
+    return `✅ Agendamento de *${estado.servico}* cancelado com sucesso!`;
+  } catch (error) {
+    console.error("Erro ao processar cancelamento:", error);
+    return "Ops, algo deu errado ao processar o cancelamento. Tente novamente mais tarde.";
+  }
+}
+
+// Cancela as próximas datas da série; as que a política segura continuam
+async function cancelarSerieEResponder(cancelarSerie, barbearia, estado) {
+  try {
+    const result = await cancelarSerie(barbearia, estado.serieId);
+    if (result.politica) return explicarRecusa(barbearia, result.message);
+    if (!result.success) {
+      return `${
+        result.message ||
+        "Ops, algo deu errado ao cancelar a série. Por favor, tente novamente."
+      }\nSe o problema persistir, entre em contato conosco diretamente para obter ajuda.`;
+    }
+    const total = result.cancelados.length;
+    const horarios = `${total} ${
+      total === 1 ? "horário cancelado" : "horários cancelados"
+    }`;
+    if (result.encerrada) {
+      return `✅ Série de *${estado.servico}* cancelada (${horarios}).`;
+    }
+    return `✅ Série de *${estado.servico}*: ${horarios}. Estes não puderam ser cancelados por aqui e continuam marcados:\n${result.recusados
+      .map((r) => `• *${formatarData(r.dia_horario)}*`)
+      .join("\n")}`;
+  } catch (error) {
+    console.error("Erro ao processar cancelamento da série:", error);
+    return "Ops, algo deu errado ao processar o cancelamento. Tente novamente mais tarde.";
+  }
+}
+
+/**
+ * Cria o fluxo de cancelamento.
+ * @param {Object} deps
+ * @param {Function} deps.listarAgendamentosAtivos - De gerenciamentoController.
+ * @param {Function} deps.cancelarAgendamento - De gerenciamentoController.
+ * @param {Function} deps.cancelarSerie - De serieController.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoCancelamento({
+  listarAgendamentosAtivos,
+  cancelarAgendamento,
+  cancelarSerie,
+}) {
+  // Pergunta de quem escolheu um horário de série: só ele ou a série toda
+  function perguntarSobreSerie(clienteId, agendamento, introducao) {
+    return {
+      resposta: `${introducao}, que faz parte de uma série (${descreverIntervalo(
+        agendamento.intervalo_semanas
+      )}). O que deseja cancelar?\n\n1. Só este horário\n2. A série toda (este e os próximos)`,
+      estado: {
+        clienteId,
+        agendamentoId: agendamento.id,
+        serieId: agendamento.serie_id,
+        servico: agendamento.servico,
+        confirmationStep: "escolher_cancelamento_serie",
+      },
+    };
+  }
+
+  async function iniciar(ctx) {
+    let agendamentosAtivos;
+    try {
+      agendamentosAtivos = await listarAgendamentosAtivos(
+        ctx.barbearia,
+        ctx.cliente.id
+      );
+    } catch (error) {
+      console.error(
+        "ERRO: Erro ao listar agendamentos para cancelamento:",
+        error
+      );
+      return {
+        resposta:
+          "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.",
+        estado: null,
+      };
+    }
+
+    if (!agendamentosAtivos.length) {
+      return {
+        resposta: "Você não tem agendamentos ativos para cancelar.",
+        estado: null,
+      };
+    }
+    if (agendamentosAtivos.length === 1) {
+      const [agendamento] = agendamentosAtivos;
+      const bloqueio = verificarPolitica(
+        ctx.barbearia,
+        agendamento,
+        "cancelar"
+      );
+      if (bloqueio) {
+        return {
+          resposta: explicarRecusa(ctx.barbearia, bloqueio),
+          estado: null,
+        };
+      }
+      if (agendamento.serie_id) {
+        return perguntarSobreSerie(
+          ctx.cliente.id,
+          agendamento,
+          `Você tem um agendamento para *${
+            agendamento.servico
+          }* em *${formatarData(agendamento.dia_horario)}*`
+        );
+      }
+      return {
+        resposta: `Você tem um agendamento para *${
+          agendamento.servico
+        }* em *${formatarData(
+          agendamento.dia_horario
+        )}*. Deseja cancelar? Responda 'Sim' ou 'Não'.`,
+        estado: {
+          clienteId: ctx.cliente.id,
+          agendamentoId: agendamento.id,
+          servico: agendamento.servico,
+          confirmationStep: "confirmar_cancelamento",
+        },
+      };
+    }
+    return {
+      resposta: `Você tem ${
+        agendamentosAtivos.length
+      } agendamentos ativos. Qual deseja cancelar?\n\n${listarAgendamentosNumerados(
+        agendamentosAtivos
+      )}\n\nDigite o número do agendamento (exemplo: 1).`,
+      estado: {
+        clienteId: ctx.cliente.id,
+        agendamentosAtivos,
+        confirmationStep: "selecionar_cancelamento",
+      },
+    };
+  }
+
+  return {
+    nome: "cancelamento",
+    inicios: {
+      cancelar_agendamento: {
+        transicoes: [
+          "confirmar_cancelamento",
+          "selecionar_cancelamento",
+          "escolher_cancelamento_serie",
+        ],
+        tratar: iniciar,
+      },
+    },
+    etapas: {
+      selecionar_cancelamento: {
+        transicoes: ["confirmar_cancelamento", "escolher_cancelamento_serie"],
+        tratar(ctx) {
+          const agendamento = agendamentoEscolhido(
+            ctx.msg,
+            ctx.estado.agendamentosAtivos
+          );
+          if (!agendamento) {
+            return {
+              resposta:
+                "Escolha um número válido do agendamento que deseja cancelar.",
+            };
+          }
+          const bloqueio = verificarPolitica(
+            ctx.barbearia,
+            agendamento,
+            "cancelar"
+          );
+          if (bloqueio) {
+            return {
+              resposta: `${explicarRecusa(
+                ctx.barbearia,
+                bloqueio
+              )}\nSe quiser, escolha outro número da lista.`,
+            };
+          }
+          if (agendamento.serie_id) {
+            return perguntarSobreSerie(
+              ctx.estado.clienteId,
+              agendamento,
+              `Você escolheu o agendamento de *${
+                agendamento.servico
+              }* em *${formatarData(agendamento.dia_horario)}*`
+            );
+          }
+          return {
+            resposta: `Você escolheu cancelar o agendamento de *${
+              agendamento.servico
+            }* em *${formatarData(
+              agendamento.dia_horario
+            )}*. Confirma o cancelamento? Responda 'Sim' ou 'Não'.`,
+            estado: {
+              clienteId: ctx.estado.clienteId,
+              agendamentoId: agendamento.id,
+              servico: agendamento.servico,
+              confirmationStep: "confirmar_cancelamento",
+            },
+          };
+        },
+      },
+
+      // Qualquer resposta que não seja "sim" desiste do cancelamento
+      confirmar_cancelamento: {
+        captura: true,
+        async tratar(ctx) {
+          if (!contemAlguma(ctx.msg, ["sim", "confirmar"])) {
+            return {
+              resposta: "Cancelamento não confirmado. Deseja fazer algo mais?",
+              estado: null,
+            };
+          }
+          return {
+            resposta: await cancelarEResponder(
+              cancelarAgendamento,
+              ctx.barbearia,
+              ctx.estado
+            ),
+            estado: null,
+          };
+        },
+      },
+
+      // Escolher já confirma; qualquer outra resposta desiste do cancelamento
+      escolher_cancelamento_serie: {
+        captura: true,
+        async tratar(ctx) {
+          const escolha = normalizarTexto(ctx.msg);
+          if (/^2\b|\b(serie|todos|todas|toda)\b/.test(escolha)) {
+            return {
+              resposta: await cancelarSerieEResponder(
+                cancelarSerie,
+                ctx.barbearia,
+                ctx.estado
+              ),
+              estado: null,
+            };
+          }
+          if (/^1\b|\b(so|apenas|este|esse)\b/.test(escolha)) {
+            return {
+              resposta: await cancelarEResponder(
+                cancelarAgendamento,
+                ctx.barbearia,
+                ctx.estado
+              ),
+              estado: null,
+            };
+          }
+          return {
+            resposta: "Cancelamento não confirmado. Deseja fazer algo mais?",
+            estado: null,
+          };
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  cancelarEResponder,
+  criarFluxoCancelamento,
+};
@@ -0,0 +1,96 @@
+// historico.js
+// "Meus agendamentos": os próximos agendamentos e as últimas visitas do
+// cliente, sem etapas. Repetir a última visita ("o de sempre") é um início do
+// fluxo de agendamento (fluxos/agendamento.js).
+const { formatarData } = require("../../utils");
+const { agoraNaBarbearia } = require("../../services/barbearias");
+
+// Quantas visitas anteriores a resposta mostra
+const VISITAS_ANTERIORES = 5;
+
+const ROTULOS_STATUS = {
+  faltou: " (falta)",
+};
+
+/**
+ * Linha de um agendamento no histórico.
+ * @param {Object} agendamento - Com servico, barbeiro, dia_horario e status.
+ * @returns {string}
+ */
+function descreverVisita(agendamento) {
+  return `• *${agendamento.servico}* com *${
+    agendamento.barbeiro
+  }* em *${formatarData(agendamento.dia_horario)}*${
+    ROTULOS_STATUS[agendamento.status] || ""
+  }`;
+}
+
+/**
+ * Cria o fluxo de consulta do histórico.
+ * @param {Object} deps - Controllers (ver conversa/index.js).
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoHistorico({
+  listarAgendamentosAtivos,
+  listarHistoricoCliente,
+}) {
+  async function mostrarHistorico(ctx) {
+    const agora = agoraNaBarbearia(ctx.barbearia);
+    let proximos;
+    let anteriores;
+    try {
+      proximos = (
+        await listarAgendamentosAtivos(ctx.barbearia, ctx.cliente.id)
+      ).filter((agendamento) => new Date(agendamento.dia_horario) > agora);
+      anteriores = await listarHistoricoCliente(ctx.barbearia, ctx.cliente.id, {
+        antesDe: agora,
+        limite: VISITAS_ANTERIORES,
+      });
+    } catch (error) {
+      console.error("ERRO: Erro ao listar o histórico do cliente:", error);
+      return {
+        resposta:
+          "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.",
+        estado: null,
+      };
+    }
+
+    if (!proximos.length && !anteriores.length) {
+      return {
+        resposta:
+          "Você ainda não tem agendamentos por aqui. Digite *menu* para ver os serviços.",
+        estado: null,
+      };
+    }
+    const partes = [];
+    if (proximos.length) {
+      partes.push(
+        `📅 *Próximos agendamentos:*\n${proximos
+          .map(descreverVisita)
+          .join("\n")}\nPara mudar algum, digite *reagendar* ou *cancelar*.`
+      );
+    } else {
+      partes.push("Você não tem agendamentos marcados.");
+    }
+    if (anteriores.length) {
+      partes.push(
+        `🕘 *Últimas visitas:*\n${anteriores
+          .map(descreverVisita)
+          .join("\n")}\nPara marcar igual à última, digite *o de sempre*.`
+      );
+    }
+    return { resposta: partes.join("\n\n"), estado: null };
+  }
+
+  return {
+    nome: "historico",
+    inicios: {
+      meus_agendamentos: { tratar: mostrarHistorico },
+    },
+  };
+}
+
+module.exports = {
+  descreverVisita,
+  criarFluxoHistorico,
+};
@@ -0,0 +1,62 @@
+// lembrete.js
+// Resposta ao lembrete enviado por services/lembretes.js, que abre a sessão
+// já na etapa responder_lembrete: confirmar presença ou cancelar.
+const { formatarData } = require("../../utils");
+const { contemAlguma } = require("../maquina");
+const { cancelarEResponder } = require("./cancelamento");
+
+/**
+ * Cria o fluxo de resposta ao lembrete.
+ * @param {Object} deps
+ * @param {Function} deps.confirmarPresenca - De gerenciamentoController.
+ * @param {Function} deps.cancelarAgendamento - De gerenciamentoController.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoLembrete({ confirmarPresenca, cancelarAgendamento }) {
+  return {
+    nome: "lembrete",
+    etapas: {
+      // "Cancelar" aqui cancela o agendamento do lembrete, sem perguntar qual
+      responder_lembrete: {
+        captura: ["cancelar_agendamento"],
+        async tratar(ctx) {
+          if (
+            ctx.intent === "cancelar_agendamento" ||
+            contemAlguma(ctx.msg, ["cancelar"])
+          ) {
+            return {
+              resposta: await cancelarEResponder(
+                cancelarAgendamento,
+                ctx.barbearia,
+                ctx.estado
+              ),
+              estado: null,
+            };
+          }
+          if (
+            contemAlguma(ctx.msg, ["confirmar", "confirmo", "sim"]) ||
+            ctx.intent === "confirmar_presenca"
+          ) {
+            const result = await confirmarPresenca(
+              ctx.barbearia,
+              ctx.estado.agendamentoId
+            );
+            return {
+              resposta: result.success
+                ? `✅ Presença confirmada! Te esperamos em *${formatarData(
+                    ctx.estado.dia_horario
+                  )}*.`
+                : result.message,
+              estado: null,
+            };
+          }
+          return undefined;
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  criarFluxoLembrete,
+};
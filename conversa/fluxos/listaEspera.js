@@ -0,0 +1,105 @@
+// listaEspera.js
+// Resposta à oferta de vaga enviada por services/listaEspera.js, que abre a
+// sessão já na etapa responder_oferta_espera com o horário segurado para a
+// conversa. A entrada na lista fica no fluxo de agendamento.
+const { formatarData } = require("../../utils");
+const { contemAlguma } = require("../maquina");
+
+/**
+ * Cria o fluxo de resposta à oferta da lista de espera.
+ * @param {Object} deps
+ * @param {Function} deps.agendarServico - De agendamentoController.
+ * @param {Function} deps.aceitarOferta - De listaEsperaController.
+ * @param {Function} deps.recusarOferta - De listaEsperaController.
+ * @param {Function} deps.resumirTotais - De conversa/catalogo.js.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoListaEspera({
+  agendarServico,
+  aceitarOferta,
+  recusarOferta,
+  resumirTotais,
+}) {
+  async function aceitar(ctx) {
+    const estado = ctx.estado;
+    const result = await agendarServico(
+      ctx.barbearia,
+      estado.clienteId,
+      estado.horarioId,
+      estado.servicoIds,
+      { chaveReserva: ctx.chave }
+    );
+    // Reserva vencida e horário já oferecido ao próximo da lista
+    if (result.ocupado) {
+      return {
+        resposta:
+          "😕 O prazo para aceitar acabou e a vaga foi oferecida a outra pessoa. Você continua na lista de espera.",
+        estado: null,
+      };
+    }
+    if (!result.success) {
+      return {
+        resposta:
+          result.message || "Ops, algo deu errado ao agendar. Tente novamente.",
+        estado: null,
+      };
+    }
+    await aceitarOferta(estado.ofertaId);
+    return {
+      resposta: `✅ Agendamento confirmado para *${estado.servicos.join(
+        " e "
+      )}* com *${estado.barbeiro}* na *${formatarData(
+        estado.dia_horario
+      )}*\n${await resumirTotais(ctx.barbearia, estado.servicoIds)}\nNo nome de: *${
+        ctx.cliente.nome
+      }*!`,
+      estado: null,
+    };
+  }
+
+  async function recusar(ctx, sairDaLista) {
+    const result = await recusarOferta(
+      ctx.barbearia,
+      ctx.estado.ofertaId,
+      ctx.chave,
+      { sairDaLista }
+    );
+    if (!result.success) return { resposta: result.message, estado: null };
+    return {
+      resposta: sairDaLista
+        ? "Ok, você saiu da lista de espera. Quando quiser, é só pedir um novo horário."
+        : "Ok, vou oferecer a vaga para outra pessoa. Você continua na lista de espera.",
+      estado: null,
+    };
+  }
+
+  return {
+    nome: "listaEspera",
+    etapas: {
+      responder_oferta_espera: {
+        async tratar(ctx) {
+          if (contemAlguma(ctx.msg, ["sair da lista"])) {
+            return recusar(ctx, true);
+          }
+          if (contemAlguma(ctx.msg, ["não", "nao", "dispenso"])) {
+            return recusar(ctx, false);
+          }
+          if (
+            contemAlguma(ctx.msg, ["sim", "quero", "aceito"]) ||
+            ctx.intent === "confirmar_agendamento"
+          ) {
+            return aceitar(ctx);
+          }
+          return {
+            resposta:
+              "Responda *Sim* para ficar com a vaga, *Não* para deixá-la passar ou *Sair da lista* para não receber mais ofertas.",
+          };
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  criarFluxoListaEspera,
+};
@@ -0,0 +1,65 @@
+// nome.js
+// Troca do nome do agendamento, a partir da confirmação do agendamento
+// ("Trocar"). Salvo o nome, a conversa volta para a confirmação.
+const { formatarData } = require("../../utils");
+
+// Menor nome aceito (descarta respostas como "a" ou "?")
+const TAMANHO_MINIMO_NOME = 2;
+
+/**
+ * Cria o fluxo de troca de nome.
+ * @param {Object} deps
+ * @param {Function} deps.atualizarNomeCliente - De clienteController.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoNome({ atualizarNomeCliente }) {
+  function perguntarDeNovo(estado, introducao) {
+    estado.confirmationStep = "awaiting_name_choice";
+    return {
+      resposta: `${introducao}Confirma o agendamento de *${estado.servicos.join(
+        " e "
+      )}* para *${formatarData(estado.dia_horario)}*? (Responda 'Sim' ou 'Não')`,
+      estado,
+    };
+  }
+
+  return {
+    nome: "nome",
+    etapas: {
+      // Qualquer texto que não seja um comando global ("menu", "sair") é o nome
+      awaiting_new_name: {
+        captura: true,
+        transicoes: ["awaiting_name_choice"],
+        async tratar(ctx) {
+          const novoNome = ctx.msg.trim();
+          if (novoNome.length < TAMANHO_MINIMO_NOME) {
+            return {
+              resposta: `Por favor, me diga um nome válido (com pelo menos ${TAMANHO_MINIMO_NOME} caracteres).`,
+            };
+          }
+          const clienteAtualizado = await atualizarNomeCliente(
+            ctx.barbearia,
+            ctx.estado.clienteId,
+            novoNome
+          );
+          if (!clienteAtualizado) {
+            return {
+              resposta:
+                "Não consegui atualizar seu nome. Por favor, tente novamente.",
+            };
+          }
+          ctx.estado.nomeSugerido = novoNome;
+          return perguntarDeNovo(
+            ctx.estado,
+            `Nome atualizado para *${novoNome}*.\n`
+          );
+        },
+        voltar: (ctx) => perguntarDeNovo(ctx.estado, ""),
+      },
+    },
+  };
+}
+
+module.exports = {
+  criarFluxoNome,
+};
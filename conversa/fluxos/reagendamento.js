@@ -0,0 +1,361 @@
+// reagendamento.js
+// Fluxo de reagendamento: escolha do agendamento (se houver mais de um) ->
+// novo dia e horário com o mesmo barbeiro -> confirmação. Agendamentos fora
+// da política (services/politica.js) são recusados já na escolha.
+const { formatarData, normalizarTexto } = require("../../utils");
+const { texto } = require("../../services/barbearias");
+const {
+  verificarPolitica,
+  explicarRecusa,
+} = require("../../services/politica");
+const { contemAlguma } = require("../maquina");
+
+/**
+ * Lista numerada de agendamentos para o cliente escolher um.
+ * @param {Array<Object>} agendamentos - De listarAgendamentosAtivos.
+ * @returns {string} Uma linha por agendamento (🔁 nos que são de uma série).
+ */
+function listarAgendamentosNumerados(agendamentos) {
+  return agendamentos
+    .map(
+      (agendamento, index) =>
+        `${index + 1}. *${agendamento.servico}* em *${formatarData(
+          agendamento.dia_horario
+        )}*${agendamento.serie_id ? " 🔁" : ""}`
+    )
+    .join("\n");
+}
+
+/**
+ * Agendamento escolhido pelo número da lista ("2").
+ * @param {string} msg - Mensagem do cliente.
+ * @param {Array<Object>} agendamentos - Lista exibida.
+ * @returns {Object|undefined} O agendamento ou undefined.
+ */
+function agendamentoEscolhido(msg, agendamentos) {
+  const indice = parseInt(msg, 10) - 1;
+  return isNaN(indice) ? undefined : agendamentos[indice];
+}
+
+/**
+ * Cria o fluxo de reagendamento.
+ * @param {Object} deps - Controllers e funções de conversa/escolhaHorario.js.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoReagendamento({
+  listarAgendamentosAtivos,
+  reagendarAgendamento,
+  apresentarDias,
+  processarEscolhaHorario,
+  segurarHorario,
+  oferecerAlternativas,
+}) {
+  // O reagendamento mantém o mesmo barbeiro e a mesma duração
+  function estadoDoAgendamento(ctx, agendamento, confirmationStep) {
+    return {
+      clienteId: ctx.cliente.id,
+      agendamentoId: agendamento.id,
+      servico: agendamento.servico,
+      barbeiroId: agendamento.barbeiro_id,
+      duracaoMinutos: Number(agendamento.duracao_minutos),
+      barbeiro: agendamento.barbeiro,
+      confirmationStep,
+    };
+  }
+
+  async function mostrarDias(ctx, estado, introducao) {
+    const dias = await apresentarDias(ctx.barbearia, estado);
+    if (!dias) {
+      return { resposta: texto(ctx.barbearia, "semHorarios"), estado: null };
+    }
+    estado.confirmationStep = "awaiting_reagendamento_datahora";
+    return { resposta: `${introducao}\n${dias}`, estado };
+  }
+
+  function pedirConfirmacao(estado) {
+    estado.confirmationStep = "awaiting_reagendamento_confirmation";
+    return {
+      resposta: `Você escolheu reagendar *${estado.servico}* para *${formatarData(
+        estado.dia_horario
+      )}*. Confirma? Responda 'Sim' ou 'Não'.`,
+      estado,
+    };
+  }
+
+  async function segurarEConfirmar(ctx, estado) {
+    if (!(await segurarHorario(ctx.barbearia, ctx.chave, estado))) {
+      return {
+        resposta: await oferecerAlternativas(ctx.barbearia, estado),
+        estado,
+      };
+    }
+    return pedirConfirmacao(estado);
+  }
+
+  async function escolherHorario(ctx) {
+    const estado = ctx.estado;
+    const escolha = await processarEscolhaHorario(
+      ctx.barbearia,
+      ctx.msg,
+      ctx.parametros,
+      estado
+    );
+    if (!escolha.horario) return { resposta: escolha.resposta, estado };
+    estado.horarioId = escolha.horario.id;
+    estado.dia_horario = escolha.horario.dia_horario;
+    return segurarEConfirmar(ctx, estado);
+  }
+
+  // Desiste do horário novo (e da reserva dele) e mostra os dias de novo
+  function voltarAosDias(ctx, introducao = "Ok, escolha outro horário.") {
+    const estado = ctx.estado;
+    delete estado.horarioProximoId;
+    delete estado.diaHorarioProximo;
+    delete estado.barbeiroProximo;
+    delete estado.horarioReservado;
+    return mostrarDias(ctx, estado, introducao);
+  }
+
+  async function iniciar(ctx) {
+    let agendamentosAtivos;
+    try {
+      agendamentosAtivos = await listarAgendamentosAtivos(
+        ctx.barbearia,
+        ctx.cliente.id
+      );
+    } catch (error) {
+      console.error(
+        "ERRO: Erro ao listar agendamentos para reagendamento:",
+        error
+      );
+      return {
+        resposta:
+          "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.",
+        estado: null,
+      };
+    }
+
+    if (!agendamentosAtivos.length) {
+      return {
+        resposta: "Você não tem agendamentos ativos para reagendar.",
+        estado: null,
+      };
+    }
+    if (agendamentosAtivos.length === 1) {
+      const [agendamento] = agendamentosAtivos;
+      const bloqueio = verificarPolitica(
+        ctx.barbearia,
+        agendamento,
+        "reagendar"
+      );
+      if (bloqueio) {
+        return {
+          resposta: explicarRecusa(ctx.barbearia, bloqueio),
+          estado: null,
+        };
+      }
+      return {
+        resposta: `Você tem um agendamento para *${agendamento.servico}* com *${
+          agendamento.barbeiro
+        }* em *${formatarData(
+          agendamento.dia_horario
+        )}*. Deseja reagendar? Responda 'Sim' ou 'Não'.`,
+        estado: estadoDoAgendamento(
+          ctx,
+          agendamento,
+          "confirmar_inicio_reagendamento"
+        ),
+      };
+    }
+    return {
+      resposta: `Você tem ${
+        agendamentosAtivos.length
+      } agendamentos ativos. Qual deseja reagendar?\n\n${listarAgendamentosNumerados(
+        agendamentosAtivos
+      )}\n\nDigite o número do agendamento (exemplo: 1).`,
+      estado: {
+        clienteId: ctx.cliente.id,
+        agendamentosAtivos,
+        confirmationStep: "selecionar_reagendamento",
+      },
+    };
+  }
+
+  async function confirmar(ctx) {
+    const estado = ctx.estado;
+    const result = await reagendarAgendamento(
+      ctx.barbearia,
+      estado.agendamentoId,
+      estado.horarioId,
+      estado.barbeiroId,
+      { chaveReserva: ctx.chave }
+    );
+    if (result.ocupado) {
+      return {
+        resposta: await oferecerAlternativas(ctx.barbearia, estado),
+        estado,
+      };
+    }
+    // Ex: o prazo da política acabou enquanto o cliente escolhia o horário
+    if (result.politica) {
+      return {
+        resposta: explicarRecusa(ctx.barbearia, result.message),
+        estado: null,
+      };
+    }
+    if (!result.success) {
+      return {
+        resposta:
+          result.message ||
+          "Ops, algo deu errado ao reagendar. Tente novamente.",
+        estado: null,
+      };
+    }
+    return {
+      resposta: `✅ Agendamento reagendado para *${estado.servico}* com *${
+        estado.barbeiro
+      }* em *${formatarData(estado.dia_horario)}*!`,
+      estado: null,
+    };
+  }
+
+  return {
+    nome: "reagendamento",
+    inicios: {
+      reagendar_agendamento: {
+        transicoes: [
+          "confirmar_inicio_reagendamento",
+          "selecionar_reagendamento",
+        ],
+        tratar: iniciar,
+      },
+    },
+    etapas: {
+      selecionar_reagendamento: {
+        transicoes: ["awaiting_reagendamento_datahora"],
+        async tratar(ctx) {
+          const agendamento = agendamentoEscolhido(
+            ctx.msg,
+            ctx.estado.agendamentosAtivos
+          );
+          if (!agendamento) {
+            return {
+              resposta:
+                "Escolha um número válido do agendamento que deseja reagendar.",
+            };
+          }
+          const bloqueio = verificarPolitica(
+            ctx.barbearia,
+            agendamento,
+            "reagendar"
+          );
+          if (bloqueio) {
+            return {
+              resposta: `${explicarRecusa(
+                ctx.barbearia,
+                bloqueio
+              )}\nSe quiser, escolha outro número da lista.`,
+            };
+          }
+          return mostrarDias(
+            ctx,
+            estadoDoAgendamento(
+              ctx,
+              agendamento,
+              "awaiting_reagendamento_datahora"
+            ),
+            `Beleza! Você escolheu reagendar o agendamento de *${
+              agendamento.servico
+            }* em *${formatarData(
+              agendamento.dia_horario
+            )}*. Escolha o novo horário.`
+          );
+        },
+      },
+
+      confirmar_inicio_reagendamento: {
+        transicoes: ["awaiting_reagendamento_datahora"],
+        tratar(ctx) {
+          if (
+            contemAlguma(ctx.msg, ["sim", "confirmar", "quero continuar"]) ||
+            ctx.intent === "confirmar_inicio_reagendamento"
+          ) {
+            return mostrarDias(
+              ctx,
+              ctx.estado,
+              "Beleza! Escolha o novo horário."
+            );
+          }
+          return {
+            resposta: "Reagendamento cancelado. Deseja fazer algo mais?",
+            estado: null,
+          };
+        },
+      },
+
+      awaiting_reagendamento_datahora: {
+        transicoes: [
+          "confirmar_horario_proximo_reagendamento",
+          "awaiting_reagendamento_confirmation",
+        ],
+        tratar: escolherHorario,
+        voltar: escolherHorario,
+      },
+
+      // Um número ou outra data em vez de "sim" volta para a escolha de horário
+      confirmar_horario_proximo_reagendamento: {
+        transicoes: [
+          "awaiting_reagendamento_datahora",
+          "awaiting_reagendamento_confirmation",
+        ],
+        tratar(ctx) {
+          const estado = ctx.estado;
+          if (/^(nao|n)\b/.test(normalizarTexto(ctx.msg))) {
+            return voltarAosDias(ctx);
+          }
+          if (
+            !contemAlguma(ctx.msg, ["sim", "confirmar"]) &&
+            ctx.intent !== "confirmar_horario_proximo"
+          ) {
+            return escolherHorario(ctx);
+          }
+          estado.horarioId = estado.horarioProximoId;
+          estado.dia_horario = estado.diaHorarioProximo;
+          return segurarEConfirmar(ctx, estado);
+        },
+        voltar: (ctx) => voltarAosDias(ctx),
+      },
+
+      // "Não" ou "cancelar" aqui desistem só do horário novo, não do agendamento
+      awaiting_reagendamento_confirmation: {
+        captura: ["cancelar_agendamento"],
+        transicoes: ["awaiting_reagendamento_datahora"],
+        tratar(ctx) {
+          if (
+            contemAlguma(ctx.msg, ["sim", "confirmar"]) ||
+            ctx.intent === "confirmar_reagendamento"
+          ) {
+            return confirmar(ctx);
+          }
+          if (
+            contemAlguma(ctx.msg, ["não", "nao", "cancelar"]) ||
+            ctx.intent === "cancelar_agendamento"
+          ) {
+            return voltarAosDias(
+              ctx,
+              "Reagendamento não confirmado. Escolha outro horário, se quiser."
+            );
+          }
+          return undefined;
+        },
+        voltar: (ctx) => voltarAosDias(ctx),
+      },
+    },
+  };
+}
+
+module.exports = {
+  listarAgendamentosNumerados,
+  agendamentoEscolhido,
+  criarFluxoReagendamento,
+};
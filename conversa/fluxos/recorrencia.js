@@ -0,0 +1,235 @@
+// recorrencia.js
+// Série de agendamentos pelo chat ("a cada 2 semanas, 4 vezes"): repete um
+// agendamento já marcado no mesmo dia da semana e horário. O pedido pode vir
+// em partes; o que faltar (de quanto em quanto tempo, quantas vezes ou até
+// quando) é perguntado. O cancelamento da série fica em fluxos/cancelamento.js.
+const { formatarData, normalizarTexto } = require("../../utils");
+const { agoraNaBarbearia } = require("../../services/barbearias");
+const { interpretarRecorrencia } = require("../../nlu/dataHora");
+const {
+  exigenciaPorFaltas,
+  avisarSobreFaltas,
+} = require("../../services/politica");
+const {
+  listarAgendamentosNumerados,
+  agendamentoEscolhido,
+} = require("./reagendamento");
+
+const EXEMPLO = "*a cada 2 semanas, 4 vezes*";
+
+/**
+ * Intervalo de uma série para mensagens ao cliente.
+ * @param {number} intervaloSemanas - Semanas entre as datas.
+ * @returns {string} Ex: "toda semana", "a cada 2 semanas".
+ */
+function descreverIntervalo(intervaloSemanas) {
+  return Number(intervaloSemanas) === 1
+    ? "toda semana"
+    : `a cada ${intervaloSemanas} semanas`;
+}
+
+// O que ainda falta saber para criar a série, ou null se nada
+function perguntaPendente(estado) {
+  const { intervaloSemanas, ocorrencias, ate } = estado.recorrencia;
+  const agendamento = `*${estado.servico}* de *${formatarData(
+    estado.dia_horario
+  )}*`;
+  if (!intervaloSemanas) {
+    return `De quanto em quanto tempo repito ${agendamento}? (ex: *toda semana* ou *a cada 2 semanas*)`;
+  }
+  if (!ocorrencias && !ate) {
+    return `Repito ${agendamento} ${descreverIntervalo(
+      intervaloSemanas
+    )} quantas vezes, contando esse? (ex: *4 vezes* ou *até 20/12*)`;
+  }
+  return null;
+}
+
+function listarDatas(itens, comMotivo = false) {
+  return itens
+    .map(
+      (item) =>
+        `• *${formatarData(item.dia_horario)}*${
+          comMotivo ? `: ${item.motivo}` : ""
+        }`
+    )
+    .join("\n");
+}
+
+/**
+ * Cria o fluxo de séries de agendamentos.
+ * @param {Object} deps
+ * @param {Function} deps.listarAgendamentosAtivos - De gerenciamentoController.
+ * @param {Function} deps.criarSerie - De serieController.
+ * @param {Function} deps.contarFaltas - De presencaController.
+ * @returns {Object} Fluxo para criarMaquina.
+ */
+function criarFluxoRecorrencia({
+  listarAgendamentosAtivos,
+  criarSerie,
+  contarFaltas,
+}) {
+  async function criar(ctx, estado) {
+    const result = await criarSerie(ctx.barbearia, {
+      agendamentoId: estado.agendamentoId,
+      ...estado.recorrencia,
+    });
+    if (!result.success) {
+      return {
+        resposta: `${
+          result.message || "Ops, algo deu errado ao criar a série."
+        }\nSe quiser, tente de novo (ex: ${EXEMPLO}).`,
+        estado: null,
+      };
+    }
+    const partes = [
+      `🔁 Pronto! *${estado.servico}* ${descreverIntervalo(
+        estado.recorrencia.intervaloSemanas
+      )}, no mesmo horário:\n${listarDatas(result.agendados)}`,
+    ];
+    if (result.indisponiveis.length) {
+      partes.push(
+        `⚠️ Estas datas não estavam livres e ficaram de fora:\n${listarDatas(
+          result.indisponiveis,
+          true
+        )}`
+      );
+    }
+    partes.push(
+      "Para desmarcar um horário ou a série toda, digite *cancelar*."
+    );
+    return { resposta: partes.join("\n\n"), estado: null };
+  }
+
+  // Pergunta o que falta ou, com tudo em mãos, cria a série
+  function continuar(ctx, estado) {
+    const pergunta = perguntaPendente(estado);
+    if (!pergunta) return criar(ctx, estado);
+    estado.confirmationStep = "completar_recorrencia";
+    return { resposta: pergunta, estado };
+  }
+
+  function paraAgendamento(ctx, agendamento, recorrencia) {
+    return {
+      clienteId: ctx.cliente.id,
+      agendamentoId: agendamento.id,
+      servico: agendamento.servico,
+      dia_horario: agendamento.dia_horario,
+      recorrencia,
+    };
+  }
+
+  async function iniciar(ctx) {
+    const agora = agoraNaBarbearia(ctx.barbearia);
+    const recorrencia = interpretarRecorrencia(ctx.msg, agora) || {};
+    let agendamentos;
+    try {
+      // Quem a política bloqueia não agenda pelo chat, nem em série
+      const faltas = await contarFaltas(ctx.barbearia, ctx.cliente.id);
+      if (exigenciaPorFaltas(ctx.barbearia, faltas) === "bloquear") {
+        return {
+          resposta: avisarSobreFaltas(ctx.barbearia, faltas),
+          estado: null,
+        };
+      }
+      agendamentos = (
+        await listarAgendamentosAtivos(ctx.barbearia, ctx.cliente.id)
+      ).filter(
+        (agendamento) =>
+          !agendamento.serie_id && new Date(agendamento.dia_horario) > agora
+      );
+    } catch (error) {
+      console.error("ERRO: Erro ao listar agendamentos para a série:", error);
+      return {
+        resposta:
+          "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.",
+        estado: null,
+      };
+    }
+
+    if (!agendamentos.length) {
+      return {
+        resposta: `Para repetir um horário, marque o primeiro agendamento e depois me diga de quanto em quanto tempo (ex: ${EXEMPLO}).`,
+        estado: null,
+      };
+    }
+    if (agendamentos.length === 1) {
+      return continuar(ctx, paraAgendamento(ctx, agendamentos[0], recorrencia));
+    }
+    return {
+      resposta: `Qual agendamento deseja repetir?\n\n${listarAgendamentosNumerados(
+        agendamentos
+      )}\n\nDigite o número do agendamento (exemplo: 1).`,
+      estado: {
+        clienteId: ctx.cliente.id,
+        agendamentos,
+        recorrencia,
+        confirmationStep: "selecionar_agendamento_serie",
+      },
+    };
+  }
+
+  return {
+    nome: "recorrencia",
+    inicios: {
+      criar_serie: {
+        transicoes: ["completar_recorrencia", "selecionar_agendamento_serie"],
+        tratar: iniciar,
+      },
+    },
+    etapas: {
+      selecionar_agendamento_serie: {
+        transicoes: ["completar_recorrencia"],
+        tratar(ctx) {
+          const agendamento = agendamentoEscolhido(
+            ctx.msg,
+            ctx.estado.agendamentos
+          );
+          if (!agendamento) {
+            return {
+              resposta:
+                "Escolha um número válido do agendamento que deseja repetir.",
+            };
+          }
+          return continuar(
+            ctx,
+            paraAgendamento(ctx, agendamento, ctx.estado.recorrencia)
+          );
+        },
+      },
+
+      // "quinzenal" aqui completa o pedido em vez de recomeçá-lo
+      completar_recorrencia: {
+        captura: ["criar_serie"],
+        tratar(ctx) {
+          const estado = ctx.estado;
+          const parte = interpretarRecorrencia(
+            ctx.msg,
+            agoraNaBarbearia(ctx.barbearia)
+          );
+          if (!parte) {
+            if (/^(nao|n)\b/.test(normalizarTexto(ctx.msg))) {
+              return {
+                resposta: `Ok, fica só o agendamento de *${formatarData(
+                  estado.dia_horario
+                )}*.`,
+                estado: null,
+              };
+            }
+            return { resposta: `Não entendi. ${perguntaPendente(estado)}` };
+          }
+          // Quantas vezes e até quando se excluem: vale a resposta mais nova
+          if (parte.ocorrencias) delete estado.recorrencia.ate;
+          if (parte.ate) delete estado.recorrencia.ocorrencias;
+          Object.assign(estado.recorrencia, parte);
+          return continuar(ctx, estado);
+        },
+      },
+    },
+  };
+}
+
+module.exports = {
+  descreverIntervalo,
+  criarFluxoRecorrencia,
+};
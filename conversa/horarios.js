@@ -0,0 +1,133 @@
+// horarios.js
+// Apresentação paginada dos horários livres no chat: primeiro os dias com
+// horário, depois os horários do dia escolhido, com "mais horários" para
+// avançar. A numeração continua entre as páginas, então o número digitado
+// sempre aponta para o mesmo item da lista exibida.
+const { chaveData, formatarData, normalizarTexto } = require("../utils");
+
+const DIAS_POR_PAGINA = 7;
+const HORARIOS_POR_PAGINA = 8;
+
+/**
+ * Agrupa horários por dia (data local).
+ * @param {Array<Object>} horarios - Horários em ordem cronológica.
+ * @returns {Array<{dia: string, quantidade: number}>} Um item por dia.
+ */
+function agruparPorDia(horarios) {
+  const dias = new Map();
+  for (const horario of horarios) {
+    const dia = chaveData(new Date(horario.dia_horario));
+    dias.set(dia, (dias.get(dia) || 0) + 1);
+  }
+  return [...dias].map(([dia, quantidade]) => ({ dia, quantidade }));
+}
+
+/**
+ * Converte "AAAA-MM-DD" no início do dia local.
+ * @param {string} dia - Data.
+ * @returns {Date} Meia-noite do dia.
+ */
+function inicioDoDia(dia) {
+  const [ano, mes, d] = dia.split("-").map(Number);
+  return new Date(ano, mes - 1, d);
+}
+
+function formatarDia(dia) {
+  const texto = inicioDoDia(dia).toLocaleDateString("pt-BR", {
+    weekday: "long",
+    day: "2-digit",
+    month: "2-digit",
+  });
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+}
+
+function formatarHora(diaHorario) {
+  return new Date(diaHorario).toLocaleTimeString("pt-BR", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  });
+}
+
+function paginar(itens, pagina, porPagina) {
+  const inicio = pagina * porPagina;
+  return {
+    inicio,
+    itens: itens.slice(inicio, inicio + porPagina),
+    temMais: itens.length > inicio + porPagina,
+  };
+}
+
+/**
+ * Lista numerada de dias com horário livre.
+ * @param {Array<Object>} dias - Resultado de agruparPorDia.
+ * @param {number} [pagina] - Página (a partir de 0).
+ * @returns {string} Texto da página.
+ */
+function montarListaDias(dias, pagina = 0) {
+  const { inicio, itens, temMais } = paginar(dias, pagina, DIAS_POR_PAGINA);
+  const linhas = itens.map(
+    ({ dia, quantidade }, i) =>
+      `${inicio + i + 1}. *${formatarDia(dia)}* (${quantidade} ${
+        quantidade === 1 ? "horário" : "horários"
+      })`
+  );
+  if (temMais) linhas.push("\nDigite *mais horários* para ver outros dias.");
+  return linhas.join("\n");
+}
+
+/**
+ * Lista numerada de horários. Horários de um único dia mostram só a hora.
+ * @param {Array<Object>} horarios - Horários em ordem cronológica.
+ * @param {number} [pagina] - Página (a partir de 0).
+ * @returns {string} Texto da página.
+ */
+function montarListaHorarios(horarios, pagina = 0) {
+  const { inicio, itens, temMais } = paginar(
+    horarios,
+    pagina,
+    HORARIOS_POR_PAGINA
+  );
+  const umDia = agruparPorDia(horarios).length === 1;
+  const linhas = itens.map(
+    (h, i) =>
+      `${inicio + i + 1}. *${
+        umDia ? formatarHora(h.dia_horario) : formatarData(h.dia_horario)
+      }*`
+  );
+  if (temMais) linhas.push("\nDigite *mais horários* para ver outros.");
+  return linhas.join("\n");
+}
+
+/**
+ * Indica se a mensagem pede a próxima página ("mais", "mais horários"...).
+ * @param {string} msg - Mensagem do cliente.
+ * @returns {boolean}
+ */
+function pedeMaisHorarios(msg) {
+  return /^(mais|ver mais|mais horarios|mais opcoes|mais dias|outros|outros horarios|proxim[ao]s?)$/.test(
+    normalizarTexto(msg)
+  );
+}
+
+/**
+ * Número digitado para escolher um item da lista ("3" ou "3.").
+ * @param {string} msg - Mensagem do cliente.
+ * @returns {number|null} Índice (a partir de 0) ou null.
+ */
+function indiceEscolhido(msg) {
+  const numero = msg.trim().match(/^(\d{1,3})\.?$/);
+  return numero ? Number(numero[1]) - 1 : null;
+}
+
+module.exports = {
+  DIAS_POR_PAGINA,
+  HORARIOS_POR_PAGINA,
+  agruparPorDia,
+  inicioDoDia,
+  formatarDia,
+  montarListaDias,
+  montarListaHorarios,
+  pedeMaisHorarios,
+  indiceEscolhido,
+};
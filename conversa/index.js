@@ -0,0 +1,198 @@
+// index.js
+// Monta a conversa do chat: os fluxos de conversa/fluxos ligados aos
+// controllers, os comandos globais e a resposta para o que nenhum fluxo trata.
+// O webhook só detecta a intent e grava o estado devolvido; os testes podem
+// trocar qualquer controller por um dublê (criarMotor({ agendarServico })).
+const {
+  buscarHorariosDisponiveis,
+  agendarServico,
+} = require("../controllers/agendamentoController");
+const { listarBarbeirosAtivos } = require("../controllers/barbeiroController");
+const {
+  listarServicosAtivos,
+  encontrarServicoPorNome,
+  encontrarServicosNoTexto,
+  calcularTotaisServicos,
+} = require("../controllers/servicoController");
+const { atualizarNomeCliente } = require("../controllers/clienteController");
+const {
+  listarAgendamentosAtivos,
+  listarHistoricoCliente,
+  cancelarAgendamento,
+  reagendarAgendamento,
+  confirmarPresenca,
+} = require("../controllers/gerenciamentoController");
+const { reservarHorario } = require("../controllers/reservaController");
+const { contarFaltas } = require("../controllers/presencaController");
+const { criarSerie, cancelarSerie } = require("../controllers/serieController");
+const {
+  entrarNaListaEspera,
+  aceitarOferta,
+  recusarOferta,
+} = require("../controllers/listaEsperaController");
+const { texto } = require("../services/barbearias");
+const { reconhecerAtalho } = require("../nlu/local");
+const { criarMaquina } = require("./maquina");
+const { criarEscolhaHorario } = require("./escolhaHorario");
+const { criarCatalogo } = require("./catalogo");
+const { criarFluxoAgendamento } = require("./fluxos/agendamento");
+const { criarFluxoNome } = require("./fluxos/nome");
+const { criarFluxoReagendamento } = require("./fluxos/reagendamento");
+const { criarFluxoCancelamento } = require("./fluxos/cancelamento");
+const { criarFluxoLembrete } = require("./fluxos/lembrete");
+const { criarFluxoListaEspera } = require("./fluxos/listaEspera");
+const { criarFluxoHistorico } = require("./fluxos/historico");
+const { criarFluxoRecorrencia } = require("./fluxos/recorrencia");
+
+const CONTROLLERS = {
+  buscarHorariosDisponiveis,
+  agendarServico,
+  listarBarbeirosAtivos,
+  listarServicosAtivos,
+  encontrarServicoPorNome,
+  encontrarServicosNoTexto,
+  calcularTotaisServicos,
+  atualizarNomeCliente,
+  listarAgendamentosAtivos,
+  listarHistoricoCliente,
+  cancelarAgendamento,
+  reagendarAgendamento,
+  confirmarPresenca,
+  reservarHorario,
+  contarFaltas,
+  entrarNaListaEspera,
+  aceitarOferta,
+  recusarOferta,
+  criarSerie,
+  cancelarSerie,
+};
+
+/**
+ * Cria o motor da conversa.
+ * @param {Object} [dependencias] - Substitutos para os controllers (mesmos nomes).
+ * @returns {Object} processar(contexto), montarMenuServicos e a máquina.
+ */
+function criarMotor(dependencias = {}) {
+  const deps = { ...CONTROLLERS, ...dependencias };
+  Object.assign(deps, criarEscolhaHorario(deps), criarCatalogo(deps));
+
+  async function boasVindas(ctx) {
+    return {
+      resposta: `${texto(ctx.barbearia, "boasVindas")}\n${await deps.montarMenuServicos(ctx.barbearia)}`,
+      estado: null,
+    };
+  }
+
+  const comandos = [
+    {
+      nome: "menu",
+      padrao: /^(menu|inicio|comecar|recomecar)$/,
+      tratar: boasVindas,
+    },
+    {
+      nome: "voltar",
+      padrao: /^voltar$/,
+      tratar(ctx) {
+        if (ctx.etapa?.voltar) return ctx.etapa.voltar(ctx);
+        return {
+          resposta:
+            "Não há etapa anterior para voltar. Digite *menu* para ver os serviços ou *sair* para encerrar.",
+        };
+      },
+    },
+    {
+      nome: "sair",
+      padrao: /^(sair|cancelar fluxo|parar|encerrar)$/,
+      tratar(ctx) {
+        return {
+          resposta: ctx.estado
+            ? "Ok, deixei isso de lado. Nada foi agendado ou alterado. Digite *menu* quando quiser recomeçar."
+            : "Não há nada em andamento. Digite *menu* para ver os serviços.",
+          estado: null,
+        };
+      },
+    },
+  ];
+
+  async function semFluxo(ctx) {
+    if (!ctx.estado && ctx.intent === "confirmar_agendamento") {
+      return {
+        resposta:
+          "Desculpe, não entendi o que você quer confirmar. Por favor, comece o agendamento novamente.",
+      };
+    }
+    if (!ctx.estado && ctx.intent === "escolha_datahora") {
+      return {
+        resposta: `Escolha um serviço antes (${await deps.nomesServicos(
+          ctx.barbearia
+        )}). Qual prefere?`,
+      };
+    }
+    // No meio de um fluxo, a etapa continua esperando a resposta dela
+    return {
+      resposta: ctx.fulfillmentText || texto(ctx.barbearia, "naoEntendi"),
+    };
+  }
+
+  const maquina = criarMaquina({
+    fluxos: [
+      {
+        nome: "menu",
+        inicios: { welcome_intent: { tratar: boasVindas } },
+      },
+      criarFluxoAgendamento(deps),
+      criarFluxoNome(deps),
+      criarFluxoReagendamento(deps),
+      criarFluxoCancelamento(deps),
+      criarFluxoLembrete(deps),
+      criarFluxoListaEspera(deps),
+      criarFluxoHistorico(deps),
+      criarFluxoRecorrencia(deps),
+    ],
+    comandos,
+    semFluxo,
+  });
+
+  /**
+   * Processa uma mensagem já classificada pelo NLU.
+   * @param {Object} contexto
+   * @param {string} contexto.msg - Mensagem do cliente.
+   * @param {string} contexto.intent - Intent detectada.
+   * @param {Object} [contexto.parametros] - Parâmetros da intent.
+   * @param {string} [contexto.fulfillmentText] - Resposta padrão do Dialogflow.
+   * @param {Object|null} contexto.estado - Estado salvo da conversa.
+   * @param {Object} contexto.barbearia - Barbearia da conversa.
+   * @param {Object} contexto.cliente - Cliente (id, nome).
+   * @param {string} contexto.chave - Chave da conversa (dona das reservas).
+   * @returns {Promise<{resposta: string, estado: Object|null}>}
+   */
+  async function processar(contexto) {
+    // Serviços cadastrados depois do treino do Dialogflow não têm entidade:
+    // reconhece pelo catálogo quando nenhum fluxo está esperando outra resposta
+    if (
+      contexto.intent === "default" &&
+      !contexto.estado &&
+      (await deps.encontrarServicoPorNome(contexto.barbearia, contexto.msg))
+    ) {
+      contexto = { ...contexto, intent: "escolha_servico" };
+    }
+    // Idem para "o de sempre", "meus agendamentos" e "a cada 2 semanas"
+    // (nlu/local.js)
+    const atalho =
+      contexto.intent === "default" &&
+      !contexto.estado &&
+      reconhecerAtalho(contexto.msg);
+    if (atalho) contexto = { ...contexto, intent: atalho };
+    return maquina.processar(contexto);
+  }
+
+  return {
+    processar,
+    montarMenuServicos: deps.montarMenuServicos,
+    maquina,
+  };
+}
+
+module.exports = {
+  criarMotor,
+};
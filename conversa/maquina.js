@@ -0,0 +1,143 @@
+// maquina.js
+// Máquina de estados da conversa. Cada fluxo (agendamento, reagendamento...)
+// declara suas etapas, para onde cada uma pode ir e quem trata a mensagem
+// nela; a máquina escolhe o tratador e confere a transição. A etapa atual fica
+// em estado.confirmationStep, como nas sessões (services/sessoes.js).
+//
+// Ordem de decisão para uma mensagem:
+// 1. comandos globais ("menu", "voltar", "sair"), em qualquer etapa;
+// 2. intents que iniciam um fluxo (ex: cancelar_agendamento) interrompem a
+//    etapa atual, a menos que ela as capture;
+// 3. o tratador da etapa; se ele devolver undefined, a mensagem não era para
+//    ela e segue para o início de fluxo da intent ou para semFluxo.
+const { normalizarTexto } = require("../utils");
+
+/**
+ * Indica se a mensagem contém alguma das palavras (ex: "sim", "confirmar").
+ * @param {string} msg - Mensagem do cliente.
+ * @param {Array<string>} palavras - Palavras em minúsculas.
+ * @returns {boolean}
+ */
+function contemAlguma(msg, palavras) {
+  const texto = msg.toLowerCase();
+  return palavras.some((palavra) => texto.includes(palavra));
+}
+
+function capturada(etapa, intent) {
+  return etapa.captura === true || (etapa.captura || []).includes(intent);
+}
+
+/**
+ * Cria a máquina a partir dos fluxos. Etapas repetidas ou transições para
+ * etapas que não existem falham aqui, na partida, e não no meio de uma conversa.
+ * @param {Object} definicao
+ * @param {Array<Object>} definicao.fluxos - Cada um com nome, etapas
+ *   ({ [etapa]: { tratar, transicoes, captura?, voltar? } }) e inicios
+ *   ({ [intent]: { tratar, transicoes } }).
+ * @param {Array<Object>} [definicao.comandos] - { nome, padrao, tratar }, com
+ *   padrao testado na mensagem normalizada.
+ * @param {Function} definicao.semFluxo - Resposta quando ninguém trata a mensagem.
+ * @returns {Object} Máquina com processar(contexto) e etapas.
+ * @throws {Error} Se a definição for inconsistente.
+ */
+function criarMaquina({ fluxos, comandos = [], semFluxo }) {
+  const etapas = {};
+  const inicios = {};
+  for (const fluxo of fluxos) {
+    for (const [nome, etapa] of Object.entries(fluxo.etapas || {})) {
+      if (etapas[nome]) {
+        throw new Error(`Etapa "${nome}" declarada em dois fluxos.`);
+      }
+      etapas[nome] = { ...etapa, fluxo: fluxo.nome };
+    }
+    for (const [intent, inicio] of Object.entries(fluxo.inicios || {})) {
+      if (inicios[intent]) {
+        throw new Error(`Intent "${intent}" inicia dois fluxos.`);
+      }
+      inicios[intent] = { ...inicio, fluxo: fluxo.nome };
+    }
+  }
+  const origens = [
+    ...Object.entries(etapas),
+    ...Object.entries(inicios).map(([intent, inicio]) => [
+      `início ${intent}`,
+      inicio,
+    ]),
+  ];
+  for (const [origem, { transicoes = [] }] of origens) {
+    const desconhecida = transicoes.find((destino) => !etapas[destino]);
+    if (desconhecida) {
+      throw new Error(
+        `${origem}: transição para etapa inexistente "${desconhecida}".`
+      );
+    }
+  }
+
+  /**
+   * Executa um tratador e confere a etapa em que a conversa ficou.
+   * @returns {Promise<{resposta: string, estado: Object|null}>}
+   */
+  async function executar(origem, tratador, contexto) {
+    const resultado = await tratador.tratar(contexto);
+    if (!resultado) return null;
+    const estado =
+      resultado.estado === undefined ? contexto.estado : resultado.estado;
+    const de = contexto.estado?.confirmationStep;
+    const para = estado?.confirmationStep;
+    if (estado && para !== de && !(tratador.transicoes || []).includes(para)) {
+      throw new Error(`Transição não declarada: ${origem} -> ${para}.`);
+    }
+    return { resposta: resultado.resposta, estado: estado || null };
+  }
+
+  /**
+   * Decide a resposta e o próximo estado da conversa. Não grava nada: quem
+   * chama salva (ou apaga, se vier null) o estado devolvido.
+   * @param {Object} contexto
+   * @param {string} contexto.msg - Mensagem do cliente.
+   * @param {string} contexto.intent - Intent detectada.
+   * @param {Object|null} contexto.estado - Estado salvo da conversa.
+   * @returns {Promise<{resposta: string, estado: Object|null}>}
+   */
+  async function processar(contexto) {
+    let etapa = contexto.estado && etapas[contexto.estado.confirmationStep];
+    if (contexto.estado && !etapa) {
+      // Sessão de uma versão anterior, com etapa que não existe mais
+      console.warn(
+        `Etapa desconhecida "${contexto.estado.confirmationStep}"; recomeçando a conversa.`
+      );
+      contexto = { ...contexto, estado: null };
+    }
+    contexto = { ...contexto, etapa };
+
+    const normalizado = normalizarTexto(contexto.msg);
+    const comando = comandos.find(({ padrao }) => padrao.test(normalizado));
+    if (comando) {
+      return executar(
+        `comando ${comando.nome}`,
+        { tratar: comando.tratar, transicoes: etapa?.transicoes },
+        contexto
+      );
+    }
+
+    const inicio = inicios[contexto.intent];
+    if (etapa) {
+      const nome = contexto.estado.confirmationStep;
+      if (!(inicio && !capturada(etapa, contexto.intent))) {
+        const resultado = await executar(nome, etapa, contexto);
+        if (resultado) return resultado;
+      }
+    }
+    if (inicio) {
+      return executar(`início ${contexto.intent}`, inicio, contexto);
+    }
+    return executar("semFluxo", { tratar: semFluxo }, contexto);
+  }
+
+  return { etapas, inicios, processar };
+}
+
+module.exports = {
+  contemAlguma,
+  criarMaquina,
+};
@@ -1,12 +1,16 @@
 const mysql = require("mysql2/promise");
+const { obterConfig } = require("./config");
+
+const { banco } = obterConfig();
 
 const pool = mysql.createPool({
-  host: "localhost",
-  user: "root",
-  password: "root",
-  database: "barbearia",
+  host: banco.host,
+  port: banco.porta,
+  user: banco.usuario,
+  password: banco.senha,
+  database: banco.nome,
   waitForConnections: true,
-  connectionLimit: 10,
+  connectionLimit: banco.conexoes,
   queueLimit: 0,
 });
 
@@ -1,1149 +1,327 @@
+// A configuração é lida e validada antes de tudo: com ela inválida o processo
+// para aqui, com a lista do que corrigir, sem abrir conexões
+const { obterConfig } = require("./config");
+let config;
+try {
+  config = obterConfig({ servidor: true });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const express = require("express");
 const bodyParser = require("body-parser");
-const dialogflow = require("@google-cloud/dialogflow");
+const path = require("path");
+const { encontrarOuCriarCliente } = require("./controllers/clienteController");
 const {
-  buscarHorariosDisponiveis,
-  agendarServico,
-} = require("./controllers/agendamentoController");
+  liberarReserva,
+  removerReservasExpiradas,
+} = require("./controllers/reservaController");
+const { recusarOferta } = require("./controllers/listaEsperaController");
 const {
-  encontrarOuCriarCliente,
-  atualizarNomeCliente,
-} = require("./controllers/clienteController");
+  criarSessaoStore,
+  criarGerenciadorSessoes,
+} = require("./services/sessoes");
+const { gerarHorarios } = require("./services/geradorHorarios");
+const { criarTransporte } = require("./services/mensageiro");
+const { iniciarLembretes } = require("./services/lembretes");
+const { iniciarListaEspera } = require("./services/listaEspera");
+const { iniciarPresenca } = require("./services/presenca");
 const {
-  listarAgendamentosAtivos,
-  cancelarAgendamento,
-  reagendarAgendamento,
-} = require("./controllers/gerenciamentoController");
-const pool = require("./db");
-
-const app = express();
-const port = 3000;
-
-// Configuração do Dialogflow
-const sessionClient = new dialogflow.SessionsClient({
-  keyFilename: "./reservai_twilio.json", // Caminho para sua chave de serviço do Dialogflow
-});
-const projectId = "reservai-twilio-qrps"; // ID do seu projeto Dialogflow
-
-// Armazena estados temporários dos agendamentos por usuário
-const agendamentosPendentes = new Map();
-
-app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
-
-/**
- * Formata um objeto Date para uma string legível em português.
- * @param {Date|string} dia_horario - O objeto Date ou string de data/hora.
- * @returns {string} Data e hora formatadas (ex: "Sexta-feira, 30/05/2025, 09:00").
- */
-function formatarData(dia_horario) {
-  const data = new Date(dia_horario);
-  if (isNaN(data.getTime())) {
-    console.error(
-      "ERRO: Data inválida fornecida para formatarData:",
-      dia_horario
-    );
-    return "Data inválida";
-  }
-
-  const options = {
-    weekday: "long",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  };
-  const formattedDate = new Intl.DateTimeFormat("pt-BR", options).format(data);
-  // Capitaliza a primeira letra do dia da semana
-  return formattedDate.charAt(0).toUpperCase() + formattedDate.slice(1);
-}
-
-/**
- * Encontra o horário disponível mais próximo a uma data/hora solicitada.
- * @param {string} horarioSolicitadoStr - String da data/hora solicitada (ISO 8601).
- * @param {Array<Object>} horariosDisponiveis - Lista de objetos de horários disponíveis.
- * @returns {Object|null} O objeto do horário mais próximo ou null se nenhum for encontrado.
- */
-function encontrarHorarioProximo(horarioSolicitadoStr, horariosDisponiveis) {
-  if (
-    !horarioSolicitadoStr ||
-    !horariosDisponiveis ||
-    !horariosDisponiveis.length
-  )
-    return null;
-  const solicitado = new Date(horarioSolicitadoStr);
-  if (isNaN(solicitado.getTime())) return null;
-
-  return horariosDisponiveis.reduce(
-    (maisProximo, horario) => {
-      const disponivel = new Date(horario.dia_horario);
-      if (isNaN(disponivel.getTime())) return maisProximo;
-      const diferenca = Math.abs(solicitado - disponivel);
-      if (diferenca < maisProximo.diferenca) {
-        return { horario, diferenca };
-      }
-      return maisProximo;
-    },
-    { horario: null, diferenca: Infinity }
-  ).horario;
-}
-
-/**
- * Normaliza o nome de um serviço para comparação.
- * @param {string} servicoNome - Nome do serviço.
- * @returns {string} Nome do serviço em minúsculas, sem espaços.
- */
-function normalizarServico(servicoNome) {
-  return servicoNome.toLowerCase().replace(/\s+/g, "");
-}
-
-// Mapeamento de serviços válidos e seus IDs no banco de dados
-const SERVICOS_VALIDOS = {
-  corte: { id: 1, nome: "Corte" },
-  cortarcabelo: { id: 1, nome: "Corte" },
-  barba: { id: 2, nome: "Barba" },
-  fazerbarba: { id: 2, nome: "Barba" },
-  sobrancelha: { id: 3, nome: "Sobrancelha" },
-  fazersobrancelha: { id: 3, nome: "Sobrancelha" },
-};
+  agoraNaBarbearia,
+  texto,
+  chaveConversa,
+} = require("./services/barbearias");
+const autenticarAdmin = require("./middlewares/autenticarAdmin");
+const { identificarBarbearia } = require("./middlewares/identificarBarbearia");
+const {
+  validarWebhook,
+  guardarCorpoBruto,
+} = require("./middlewares/validarWebhook");
+const { criarLimitadorTaxa } = require("./middlewares/limitarTaxa");
+const { usarCanal } = require("./canais");
+const { criarNlu, criarDetectorDialogflow } = require("./nlu");
+const { criarMotor } = require("./conversa");
+const adminApi = require("./routes/adminApi");
+
+// Remove periodicamente as sessões abandonadas
+const INTERVALO_LIMPEZA_SESSOES_MS = 5 * 60 * 1000;
+
+// Mensagens de chat são pequenas; corpos maiores são recusados com 413
+const LIMITE_CORPO = "16kb";
+const TAMANHO_MAXIMO_MENSAGEM = 1000;
 
 /**
- * Calcula uma data futura com base no dia da semana e hora fornecidos.
- * Ajusta para a próxima semana se a data/hora já tiver passado no dia atual.
- * @param {string} diaSemanaStr - Nome do dia da semana (ex: "segunda").
- * @param {string} horaStr - Hora (ex: "10:00").
- * @returns {Date|null} Objeto Date correspondente ou null se inválido.
+ * Monta a aplicação (webhook, chat web e administração) sem abrir a porta.
+ * Sem opções, usa os serviços da configuração; os testes passam dublês.
+ * @param {Object} [opcoes]
+ * @param {Object} [opcoes.nlu] - Motor de NLU (criarNlu).
+ * @param {Object} [opcoes.sessoes] - Sessões de conversa (criarGerenciadorSessoes).
+ * @param {Object} [opcoes.motor] - Motor da conversa (criarMotor).
+ * @returns {Object} Aplicação Express.
  */
-function getDateFromWeekdayAndTime(diaSemanaStr, horaStr) {
-  const diasDaSemana = [
-    "domingo",
-    "segunda-feira",
-    "terça-feira",
-    "quarta-feira",
-    "quinta-feira",
-    "sexta-feira",
-    "sábado",
-  ];
-  const diaSemanaIndex = diasDaSemana.findIndex((d) =>
-    d.includes(diaSemanaStr.replace("-feira", ""))
+function criarApp({
+  // Detecção de intents: Dialogflow com fallback local, ou só local (NLU_MOTOR=local)
+  nlu = criarNlu({
+    detectarDialogflow: criarDetectorDialogflow(config.dialogflow),
+  }),
+  // Estados temporários dos agendamentos por usuário, com expiração por
+  // etapa. SESSAO_STORE=memoria usa um Map local (testes/desenvolvimento).
+  sessoes = criarGerenciadorSessoes(criarSessaoStore()),
+  // Fluxos da conversa (agendamento, reagendamento, cancelamento...)
+  motor = criarMotor(),
+} = {}) {
+  const app = express();
+
+  app.use(bodyParser.urlencoded({ extended: false, limit: LIMITE_CORPO }));
+  app.use(bodyParser.json({ limit: LIMITE_CORPO, verify: guardarCorpoBruto }));
+
+  // Limite de mensagens por remetente (From ou sessionId, conforme o canal)
+  // em cada barbearia
+  const limitarMensagens = criarLimitadorTaxa({
+    limite: config.webhook.limiteMensagensPorMinuto,
+    janelaMs: 60 * 1000,
+    chave: (req) =>
+      chaveConversa(req.barbearia, req.canal.lerMensagem(req).remetente),
+  });
+  setInterval(limitarMensagens.limpar, 60 * 1000).unref();
+
+  // API administrativa (agenda, horários, serviços e clientes). Com o prefixo
+  // /b/<slug>, atende a barbearia do slug; sem ele, a barbearia padrão.
+  app.use(
+    ["/admin/api", "/b/:barbearia/admin/api"],
+    identificarBarbearia,
+    autenticarAdmin,
+    adminApi
   );
-  if (diaSemanaIndex === -1) return null;
-
-  const [hora, minuto = "00"] = horaStr.split(":");
-  const hoje = new Date();
-  let data = new Date(hoje);
-
-  const diferencaDias = (diaSemanaIndex - hoje.getDay() + 7) % 7;
-  data.setDate(hoje.getDate() + diferencaDias);
 
-  data.setHours(parseInt(hora, 10), parseInt(minuto, 10), 0, 0);
-
-  // Se a data e hora calculadas já passaram hoje, avança para a próxima semana
-  if (data < hoje && diferencaDias === 0) {
-    data.setDate(data.getDate() + 7);
-  }
-
-  return data;
-}
-
-// --- Rota Principal do Webhook ---
-app.post("/webhook", async (req, res) => {
-  const msg = req.body.Body || req.body.text;
-  const from = req.body.From || req.body.sessionId;
-  const profileName = req.body.ProfileName || "Cliente";
-
-  if (!msg || !from) {
-    console.error("Requisição webhook inválida: 'Body' ou 'From' ausentes.");
-    return res.status(400).send("Requisição inválida.");
-  }
-
-  const msgLower = msg.toLowerCase().trim();
-  const sessionId = from;
-  const sessionPath = sessionClient.projectAgentSessionPath(
-    projectId,
-    sessionId
+  // Painel web do dono da barbearia (arquivos estáticos que usam a API acima)
+  app.use(
+    ["/admin", "/b/:barbearia/admin"],
+    express.static(path.join(__dirname, "public", "admin"))
   );
-  const request = {
-    session: sessionPath,
-    queryInput: {
-      text: { text: msg, languageCode: "pt-BR" },
-    },
-  };
-
-  let resposta = "";
-  let processamentoConcluido = false; // Nova flag para evitar sobrescrita
 
-  try {
-    const [response] = await sessionClient.detectIntent(request);
-    let intent = response.queryResult.intent?.displayName || "default";
-    const parametros = response.queryResult.parameters?.fields || {};
-
-    let cliente = await encontrarOuCriarCliente(from, profileName);
-    const estadoAgendamentoPendente = agendamentosPendentes.get(from);
+  /**
+   * Processa uma mensagem do cliente e devolve a resposta em texto, independente
+   * do canal (Twilio, chat web...). O que responder e para qual etapa ir fica
+   * com o motor da conversa (conversa/); aqui ficam a sessão, o NLU e a reserva.
+   * @param {Object} mensagem
+   * @param {string} mensagem.msg - Texto enviado pelo cliente.
+   * @param {string} mensagem.from - Identificador do remetente (telefone ou sessão).
+   * @param {string} mensagem.profileName - Nome do perfil, quando o canal informa.
+   * @param {Object} mensagem.barbearia - Barbearia que recebeu a mensagem.
+   * @returns {Promise<string>} Resposta a enviar.
+   */
+  async function processarMensagem({ msg, from, profileName, barbearia }) {
+    // Sessão, reserva temporária e sessão do NLU são por barbearia
+    const chave = chaveConversa(barbearia, from);
+    const sessionId = chave;
+
+    // Mensagens do mesmo remetente são processadas uma de cada vez,
+    // mesmo com vários processos do webhook atrás de um balanceador.
+    let liberarSessao = async () => {};
+    try {
+      liberarSessao = await sessoes.bloquear(chave);
+    } catch (error) {
+      console.error("Erro ao bloquear sessão:", error);
+    }
 
-    // --- Lógica para forçar intents com base no estado ---
-    if (estadoAgendamentoPendente) {
-      switch (estadoAgendamentoPendente.confirmationStep) {
-        case "awaiting_reagendamento_datahora":
-          if (intent === "default") {
-            intent = "escolha_datahora_reagendamento";
-          }
-          break;
-        case "awaiting_name_choice":
-          if (
-            ["sim", "manter", "confirmar", "pode agendar", "agendar"].some(
-              (k) => msgLower.includes(k)
-            )
-          ) {
-            intent = "confirmar_agendamento_com_nome";
-          } else if (
-            ["não", "trocar", "outro"].some((k) => msgLower.includes(k))
-          ) {
-            intent = "pedir_novo_nome";
-          }
-          break;
-        case "awaiting_new_name":
-          intent = "salvar_novo_nome";
-          break;
-        case "confirmar_inicio_reagendamento":
-          if (
-            ["sim", "confirmar", "quero continuar"].some((k) =>
-              msgLower.includes(k)
-            )
-          ) {
-            intent = "confirmar_inicio_reagendamento";
-          }
-          break;
-        case "awaiting_reagendamento_confirmation":
-          if (["sim", "confirmar"].some((k) => msgLower.includes(k))) {
-            intent = "confirmar_reagendamento";
-          } else if (["não", "cancelar"].some((k) => msgLower.includes(k))) {
-            resposta =
-              "Reagendamento cancelado. Deseja escolher outro horário?";
-            estadoAgendamentoPendente.confirmationStep =
-              "awaiting_reagendamento_datahora";
-            agendamentosPendentes.set(from, estadoAgendamentoPendente);
-            processamentoConcluido = true;
-            res.json({ reply: resposta });
-            return;
-          }
-          break;
-        case "confirmar_horario_proximo":
-          if (["sim", "confirmar"].some((k) => msgLower.includes(k))) {
-            intent = "confirmar_horario_proximo";
-          }
-          break;
-        case "confirmar_cancelamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          console.log(
-            "agendamentosPendentes para from:",
-            from,
-            agendamentoPendente
-          );
+    try {
+      const cliente = await encontrarOuCriarCliente(
+        barbearia,
+        from,
+        profileName
+      );
+      const { estado: estadoAgendamentoPendente, expirada } =
+        await sessoes.obter(chave);
+
+      // A etapa da sessão ajuda o classificador local com respostas curtas ("2", "sim")
+      const deteccao = await nlu.detectar(sessionId, msg, {
+        etapa: estadoAgendamentoPendente?.confirmationStep,
+        barbearia,
+        agora: agoraNaBarbearia(barbearia),
+      });
+
+      // Sessão abandonada no meio de um fluxo: recomeça do menu
+      if (expirada && deteccao.intent !== "welcome_intent") {
+        return `⏰ Sua sessão expirou por inatividade, então vamos começar de novo.\n${await motor.montarMenuServicos(barbearia)}`;
+      }
 
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !== "confirmar_cancelamento"
-          ) {
-            resposta =
-              "Nenhum cancelamento em andamento. Quer cancelar um agendamento?";
-            agendamentosPendentes.delete(from);
-            processamentoConcluido = true;
-            break;
-          }
+      // Os fluxos alteram o estado recebido; a reserva é conferida antes
+      const tinhaReserva = Boolean(estadoAgendamentoPendente?.horarioReservado);
+      const { resposta, estado } = await motor.processar({
+        msg,
+        intent: deteccao.intent,
+        parametros: deteccao.parametros,
+        fulfillmentText: deteccao.fulfillmentText,
+        estado: estadoAgendamentoPendente,
+        barbearia,
+        cliente,
+        chave,
+      });
+      if (estado) {
+        await sessoes.set(chave, estado);
+      } else {
+        await sessoes.delete(chave);
+      }
 
-          const isConfirmation = ["sim", "confirmar"].some((k) =>
-            msg.toLowerCase().includes(k)
+      // A reserva temporária só vale durante a confirmação: se a conversa saiu
+      // dela (desistiu, concluiu ou recomeçou), o horário volta a ficar livre
+      if (tinhaReserva && !estado?.horarioReservado) {
+        // Vaga da lista de espera deixada de lado (ex: o cliente começou outro
+        // agendamento): conta como recusa, e a vaga vai logo para o próximo
+        if (
+          estadoAgendamentoPendente.confirmationStep ===
+          "responder_oferta_espera"
+        ) {
+          await recusarOferta(
+            barbearia,
+            estadoAgendamentoPendente.ofertaId,
+            chave
           );
-
-          if (isConfirmation) {
-            console.log(
-              "Tentando cancelar agendamento com ID:",
-              agendamentoPendente.agendamentoId
-            );
-
-            if (!agendamentoPendente.agendamentoId) {
-              console.error("agendamentoId inválido:", agendamentoPendente);
-              resposta = "Erro: ID do agendamento inválido. Tente novamente.";
-              agendamentosPendentes.delete(from);
-              processamentoConcluido = true;
-              break;
-            }
-
-            try {
-              const result = await cancelarAgendamento(
-                agendamentoPendente.agendamentoId
-              );
-              console.log("Resultado de cancelarAgendamento:", result);
-
-              if (!result || typeof result.success !== "boolean") {
-                console.error("Formato de result inválido:", result);
-                resposta =
-                  "Ops, algo deu errado ao processar o cancelamento. Tente novamente mais tarde.";
-                agendamentosPendentes.delete(from);
-                processamentoConcluido = true;
-                break;
-              }
-
-              if (!result.success) {
-                console.log("Falha no cancelamento:", result.message);
-                resposta =
-                  result.message ||
-                  "Ops, algo deu errado ao cancelar o agendamento. Por favor, tente novamente.";
-                resposta +=
-                  "\nSe o problema persistir, entre em contato conosco diretamente para obter ajuda.";
-                agendamentosPendentes.delete(from);
-                processamentoConcluido = true;
-                break;
-              }
-
-              resposta = `✅ Agendamento de *${agendamentoPendente.servico}* cancelado com sucesso!`;
-              agendamentosPendentes.delete(from);
-              processamentoConcluido = true;
-            } catch (error) {
-              console.error("Erro ao processar cancelamento:", error);
-              resposta =
-                "Ops, algo deu errado ao processar o cancelamento. Tente novamente mais tarde.";
-              agendamentosPendentes.delete(from);
-              processamentoConcluido = true;
-            }
-          } else {
-            resposta = "Cancelamento não confirmado. Deseja fazer algo mais?";
-            agendamentosPendentes.delete(from);
-            processamentoConcluido = true;
-          }
-          break;
+        } else {
+          await liberarReserva(chave);
         }
       }
+      console.log("Resposta FINAL a ser enviada ao usuário:", resposta);
+      return resposta;
+    } catch (error) {
+      // Captura erros globais do webhook
+      console.error("ERRO GERAL no Dialogflow ou webhook:", error);
+      return texto(barbearia, "erro");
+    } finally {
+      await liberarSessao().catch((error) =>
+        console.error("Erro ao liberar sessão:", error)
+      );
     }
-    //processamento da Intent Detectada ---
-    if (!processamentoConcluido) {
-      switch (intent) {
-        case "welcome_intent":
-          resposta =
-            "Opa, seja bem-vindo à Barbearia!\nQual serviço deseja agendar?\nCorte\nBarba\n\nSe quiser cancelar digite: 'Cancelar'";
-          agendamentosPendentes.delete(from); // Garante que nenhum estado antigo atrapalhe
-          break;
-
-        case "escolha_servico": {
-          const servicoNome = parametros?.servico?.stringValue;
-          if (!servicoNome) {
-            resposta =
-              "Não entendi qual serviço você deseja. Escolha entre Corte, Barba ou Sobrancelha.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const servicoNormalizado = normalizarServico(servicoNome);
-          const servicoInfo = SERVICOS_VALIDOS[servicoNormalizado];
-
-          if (!servicoInfo) {
-            resposta = `Desculpe, o serviço "${servicoNome}" não foi reconhecido. Escolha entre Corte, Barba ou Sobrancelha.`;
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          let agendamentoPendente = agendamentosPendentes.get(from) || {
-            servicos: [],
-            servicoIds: [],
-            confirmationStep: "initial",
-          };
-
-          // Adiciona o serviço escolhido (evita duplicatas se o usuário repetir)
-          if (!agendamentoPendente.servicos.includes(servicoInfo.nome)) {
-            agendamentoPendente.servicos.push(servicoInfo.nome);
-            // Garante que servicoIds seja um array e adiciona o ID
-            agendamentoPendente.servicoIds = Array.isArray(
-              agendamentoPendente.servicoIds
-            )
-              ? agendamentoPendente.servicoIds
-              : [];
-            agendamentoPendente.servicoIds.push(servicoInfo.id);
-          }
-
-          const horarios = await buscarHorariosDisponiveis();
-          // Verifica se há horários ou se a busca falhou
-          if (!horarios || !horarios.length) {
-            resposta =
-              "Não temos horários disponíveis no momento. Tente novamente mais tarde!";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          resposta = `Ótimo! Você escolheu *${agendamentoPendente.servicos.join(
-            " e "
-          )}*.\nHorários disponíveis:\n\n${horarios
-            .map((h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`)
-            .join(
-              "\n"
-            )}\n\nDigite o número do horário desejado ou informe um dia e horário (exemplo: Sexta 10:00).`;
-          agendamentoPendente.confirmationStep = "awaiting_date_time";
-          agendamentosPendentes.set(from, agendamentoPendente);
-          break;
-        }
-
-        case "escolha_datahora": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          // Valida se há um agendamento em andamento e serviços selecionados
-          if (
-            !agendamentoPendente ||
-            !agendamentoPendente.servicos.length ||
-            !Array.isArray(agendamentoPendente.servicoIds) ||
-            !agendamentoPendente.servicoIds.length
-          ) {
-            resposta =
-              "Escolha um serviço antes (Corte, Barba ou Sobrancelha). Qual prefere?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const horarios = await buscarHorariosDisponiveis();
-          if (!horarios || !horarios.length) {
-            resposta =
-              "Não temos horários disponíveis no momento. Tente novamente mais tarde!";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          let horarioId, diaHorario;
-          const escolhaNumero = parseInt(msg) - 1; // Ajusta para índice 0
-          let dataSolicitada = null;
-
-          if (!isNaN(escolhaNumero) && horarios[escolhaNumero]) {
-            // Usuário escolheu por número
-            horarioId = horarios[escolhaNumero].id;
-            diaHorario = horarios[escolhaNumero].dia_horario;
-          } else {
-            // Usuário tentou informar dia e hora
-            const diaSemanaMatch = msg
-              .toLowerCase()
-              .match(/(segunda|terça|quarta|quinta|sexta|sábado|domingo)/);
-            const horaMatch = msg.match(
-              /\d{1,2}(?::\d{2})?(?:\s*(?:h|horas?|às))?/i
-            );
-
-            if (diaSemanaMatch && horaMatch) {
-              dataSolicitada = getDateFromWeekdayAndTime(
-                diaSemanaMatch[0],
-                horaMatch[0].replace(/h|horas?|às/i, "").trim()
-              );
-            } else if (parametros?.["date-time"]?.stringValue) {
-              // Se o Dialogflow detectou um @sys.date-time
-              dataSolicitada = new Date(parametros["date-time"].stringValue);
-            } else if (msg.match(/\d{1,2}:\d{2}/)) {
-              // Se o usuário digitou apenas um horário (ex: "10:00")
-              const [hora, minuto = "00"] = msg
-                .match(/\d{1,2}:\d{2}/)[0]
-                .split(":");
-              dataSolicitada = new Date();
-              dataSolicitada.setHours(
-                parseInt(hora, 10),
-                parseInt(minuto, 10),
-                0,
-                0
-              );
-              // Se o horário já passou hoje, sugere para o dia seguinte
-              if (dataSolicitada < new Date()) {
-                dataSolicitada.setDate(dataSolicitada.getDate() + 1);
-              }
-            }
-
-            if (dataSolicitada && !isNaN(dataSolicitada.getTime())) {
-              const diaDaSemanaFormatado = dataSolicitada
-                .toLocaleDateString("pt-BR", { weekday: "long" })
-                .toLowerCase();
-              const horaFormatada = dataSolicitada.toLocaleTimeString("pt-BR", {
-                hour: "2-digit",
-                minute: "2-digit",
-                hour12: false,
-              });
-
-              // Busca por horário exato no banco de dados
-              const [horarioRow] = await pool.query(
-                `SELECT id, dia_horario
-               FROM horarios_disponiveis
-               WHERE LOWER(dia_semana) = ?
-               AND DATE_FORMAT(dia_horario, '%H:%i') = ?
-               AND disponivel = TRUE
-               AND dia_horario >= NOW()
-               LIMIT 1`,
-                [diaDaSemanaFormatado, horaFormatada]
-              );
-
-              if (horarioRow.length) {
-                horarioId = horarioRow[0].id;
-                diaHorario = horarioRow[0].dia_horario;
-              } else {
-                // Se o horário exato não for encontrado, procura o mais próximo
-                const horarioMaisProximo = encontrarHorarioProximo(
-                  dataSolicitada.toISOString(),
-                  horarios
-                );
-                if (horarioMaisProximo) {
-                  resposta = `O horário *${diaDaSemanaFormatado} às ${horaFormatada}* não está disponível. O mais próximo é *${formatarData(
-                    horarioMaisProximo.dia_horario
-                  )}*. Deseja escolher este? Responda 'Sim' ou escolha outro horário.`;
-                  // Armazena o horário próximo para confirmação futura
-                  agendamentosPendentes.set(from, {
-                    ...agendamentoPendente,
-                    confirmationStep: "confirmar_horario_proximo",
-                    horarioProximoId: horarioMaisProximo.id,
-                    diaHorarioProximo: horarioMaisProximo.dia_horario,
-                  });
-                  break; // Sai do switch case, aguardando a confirmação do horário próximo
-                } else {
-                  resposta = `Nenhum horário disponível próximo a *${diaDaSemanaFormatado} às ${horaFormatada}*. Escolha outro:\n\n${horarios
-                    .map(
-                      (h, index) =>
-                        `${index + 1}. *${formatarData(h.dia_horario)}*`
-                    )
-                    .join("\n")}\n\nOu use o formato 'Sexta 10:00'.`;
-                  break;
-                }
-              }
-            } else {
-              resposta = `Formato inválido. Por favor, escolha um número da lista ou informe um dia e horário (exemplo: Sexta 10:00).\n\nHorários disponíveis:\n\n${horarios
-                .map(
-                  (h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`
-                )
-                .join("\n")}`;
-              break;
-            }
-          }
-
-          // Se um horário válido foi escolhido/encontrado, atualiza o estado
-          agendamentoPendente.horarioId = horarioId;
-          agendamentoPendente.dia_horario = diaHorario;
-
-          // O objeto 'cliente' já está atualizado no início do webhook
-          agendamentoPendente.clienteId = cliente.id;
-          agendamentoPendente.nomeSugerido = cliente.nome;
-
-          agendamentoPendente.confirmationStep = "awaiting_name_choice";
-          agendamentosPendentes.set(from, agendamentoPendente);
-
-          const horarioFormatado = formatarData(diaHorario);
-          resposta = `Você escolheu *${agendamentoPendente.servicos.join()}* para *${horarioFormatado}*.\nO nome que usaremos para o agendamento é *${
-            cliente.nome
-          }*.\nGostaria de manter este nome ou informar outro? (Responda 'Sim' ou 'Trocar')`;
-          break;
-        }
-
-        case "confirmar_agendamento_com_nome": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            (agendamentoPendente.confirmationStep !== "awaiting_name_choice" &&
-              agendamentoPendente.confirmationStep !==
-                "awaiting_new_name_confirmation") // Permite confirmar após digitar um novo nome
-          ) {
-            resposta =
-              "Nenhum agendamento em andamento ou etapa incorreta. Quer agendar um serviço?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          // A variável 'cliente' no escopo global do webhook já possui o nome correto.
-          const result = await agendarServico(
-            agendamentoPendente.clienteId,
-            agendamentoPendente.horarioId,
-            agendamentoPendente.servicoIds
-          );
-
-          if (!result.success) {
-            resposta =
-              result.message ||
-              "Ops, algo deu errado ao agendar. Tente novamente.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const horarioFormatado = formatarData(
-            agendamentoPendente.dia_horario
-          );
-          resposta = `✅ Agendamento confirmado para *${agendamentoPendente.servicos.join()}* na *${horarioFormatado}*\nNo nome de: *${
-            cliente.nome
-          }*!`;
-          agendamentosPendentes.delete(from);
-          break;
-        }
-
-        case "pedir_novo_nome": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !== "awaiting_name_choice"
-          ) {
-            resposta =
-              "Não estou esperando um nome agora. Por favor, comece o agendamento novamente.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-          console.log(agendamentoPendente);
-          resposta =
-            "Ok, por favor, me diga o nome que você gostaria de usar para o agendamento.";
-          agendamentosPendentes.set(from, {
-            ...agendamentoPendente,
-            confirmationStep: "awaiting_new_name",
-          });
-          break;
-        }
-
-        case "salvar_novo_nome": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !== "awaiting_new_name"
-          ) {
-            resposta =
-              "Não estou esperando um nome agora. Por favor, comece o agendamento novamente.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const novoNome = msg.trim();
-          if (novoNome.length < 2) {
-            resposta =
-              "Por favor, me diga um nome válido (com pelo menos 2 caracteres).";
-            break;
-          }
-
-          const clienteAtualizado = await atualizarNomeCliente(
-            agendamentoPendente.clienteId,
-            novoNome
-          );
-
-          if (clienteAtualizado) {
-            // ATUALIZA o objeto 'cliente' global na requisição com o nome recém-salvo
-            cliente = clienteAtualizado;
-
-            agendamentoPendente.nomeSugerido = novoNome;
-            const horarioFormatado = formatarData(
-              agendamentoPendente.dia_horario
-            );
-            resposta = `Nome atualizado para *${novoNome}*.\nConfirma o agendamento de *${agendamentoPendente.servicos.join(
-              " e "
-            )}* para *${horarioFormatado}*? (Responda 'Sim' ou 'Não')`;
-            agendamentosPendentes.set(from, {
-              ...agendamentoPendente,
-              confirmationStep: "awaiting_name_choice", // Volta para a etapa de escolha para confirmar o agendamento com o novo nome
-            });
-          } else {
-            resposta =
-              "Não consegui atualizar seu nome. Por favor, tente novamente.";
-          }
-          break;
-        }
-
-        case "reagendar_agendamento": {
-          // Cliente já foi obtido no início do webhook.
-          let agendamentosAtivos;
-          try {
-            agendamentosAtivos = await listarAgendamentosAtivos(cliente.id);
-          } catch (error) {
-            console.error(
-              "ERRO: Erro ao listar agendamentos para reagendamento:",
-              error
-            );
-            resposta =
-              "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          if (!agendamentosAtivos.length) {
-            resposta = "Você não tem agendamentos ativos para reagendar.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          if (agendamentosAtivos.length === 1) {
-            const agendamento = agendamentosAtivos[0];
-            const horarioFormatado = formatarData(agendamento.dia_horario);
-            resposta = `Você tem um agendamento para *${agendamento.servico}* em *${horarioFormatado}*. Deseja reagendar? Responda 'Sim' ou 'Não'.`;
-            agendamentosPendentes.set(from, {
-              clienteId: cliente.id,
-              agendamentoId: agendamento.id,
-              servico: agendamento.servico,
-              confirmationStep: "confirmar_inicio_reagendamento",
-            });
-          } else {
-            resposta = `Você tem ${agendamentosAtivos.length} agendamentos ativos. Qual deseja reagendar?\n\n`;
-            agendamentosAtivos.forEach((agendamento, index) => {
-              const horarioFormatado = formatarData(agendamento.dia_horario);
-              resposta += `${index + 1}. *${
-                agendamento.servico
-              }* em *${horarioFormatado}*\n`;
-            });
-            resposta += `\nDigite o número do agendamento (exemplo: 1).`;
-            agendamentosPendentes.set(from, {
-              clienteId: cliente.id,
-              agendamentosAtivos,
-              confirmationStep: "selecionar_reagendamento",
-            });
-          }
-          break;
-        }
-
-        case "selecionar_reagendamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "selecionar_reagendamento" ||
-            !agendamentoPendente.agendamentosAtivos
-          ) {
-            resposta =
-              "Nenhum reagendamento em andamento. Quer reagendar um agendamento?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const escolhaNumero = parseInt(msg) - 1;
-          const agendamentoEscolhido =
-            agendamentoPendente.agendamentosAtivos[escolhaNumero];
-
-          if (!isNaN(escolhaNumero) && agendamentoEscolhido) {
-            const horarios = await buscarHorariosDisponiveis();
-            if (!horarios || !horarios.length) {
-              resposta =
-                "Não temos horários disponíveis no momento. Tente novamente mais tarde!";
-              agendamentosPendentes.delete(from);
-              break;
-            }
-
-            resposta = `Beleza! Você escolheu reagendar o agendamento de *${
-              agendamentoEscolhido.servico
-            }* em *${formatarData(
-              agendamentoEscolhido.dia_horario
-            )}*. Escolha um novo horário:\n\n${horarios
-              .map(
-                (h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`
-              )
-              .join(
-                "\n"
-              )}\n\nDigite o número do horário ou informe um dia e horário (exemplo: Sexta 10:00).`;
-
-            agendamentosPendentes.set(from, {
-              ...agendamentoPendente,
-              agendamentoId: agendamentoEscolhido.id,
-              servico: agendamentoEscolhido.servico,
-              confirmationStep: "awaiting_reagendamento_datahora",
-              agendamentosAtivos: undefined, // Limpa agendamentosAtivos para evitar uso incorreto
-            });
-          } else {
-            resposta = `Escolha um número válido do agendamento que deseja reagendar.`;
-          }
-          break;
-        }
-
-        case "confirmar_inicio_reagendamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "confirmar_inicio_reagendamento"
-          ) {
-            resposta =
-              "Nenhum reagendamento em andamento. Quer reagendar um agendamento?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const isConfirmation = ["sim", "confirmar", "quero continuar"].some(
-            (k) => msg.toLowerCase().includes(k)
-          );
-
-          if (isConfirmation) {
-            const horarios = await buscarHorariosDisponiveis();
-            if (!horarios || !horarios.length) {
-              resposta =
-                "Não temos horários disponíveis no momento. Tente novamente mais tarde!";
-              agendamentosPendentes.delete(from);
-              break;
-            }
-
-            resposta = `Beleza! Escolha um novo horário:\n\n${horarios
-              .map(
-                (h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`
-              )
-              .join(
-                "\n"
-              )}\n\nDigite o número do horário ou informe um dia e horário (exemplo: Sexta 10:00).`;
-            agendamentoPendente.confirmationStep =
-              "awaiting_reagendamento_datahora";
-            agendamentosPendentes.set(from, agendamentoPendente);
-          } else {
-            resposta = "Reagendamento cancelado. Deseja fazer algo mais?";
-            agendamentosPendentes.delete(from);
-          }
-          break;
-        }
-
-        case "escolha_datahora_reagendamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "awaiting_reagendamento_datahora"
-          ) {
-            resposta =
-              "Nenhum reagendamento em andamento. Quer reagendar um agendamento?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const horarios = await buscarHorariosDisponiveis();
-          if (!horarios || !horarios.length) {
-            resposta =
-              "Não temos horários disponíveis no momento. Tente novamente mais tarde!";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          let horarioId, diaHorario;
-          const escolhaNumero = parseInt(msg) - 1;
-          let dataSolicitada = null;
-
-          if (!isNaN(escolhaNumero) && horarios[escolhaNumero]) {
-            horarioId = horarios[escolhaNumero].id;
-            diaHorario = horarios[escolhaNumero].dia_horario;
-          } else {
-            const diaSemanaMatch = msg
-              .toLowerCase()
-              .match(/(segunda|terça|quarta|quinta|sexta|sábado|domingo)/);
-            const horaMatch = msg.match(
-              /\d{1,2}(?::\d{2})?(?:\s*(?:h|horas?|às))?/i
-            );
-            const diaSemanaParam =
-              parametros?.dia_semana?.stringValue?.toLowerCase();
-
-            if ((diaSemanaMatch || diaSemanaParam) && horaMatch) {
-              const diaSemanaForParse = diaSemanaParam || diaSemanaMatch[0];
-              dataSolicitada = getDateFromWeekdayAndTime(
-                diaSemanaForParse,
-                horaMatch[0].replace(/h|horas?|às/i, "").trim()
-              );
-            } else if (parametros?.["date-time"]?.stringValue) {
-              dataSolicitada = new Date(parametros["date-time"].stringValue);
-            } else if (msg.match(/\d{1,2}:\d{2}/)) {
-              const [hora, minuto = "00"] = msg
-                .match(/\d{1,2}:\d{2}/)[0]
-                .split(":");
-              dataSolicitada = new Date();
-              dataSolicitada.setHours(
-                parseInt(hora, 10),
-                parseInt(minuto, 10),
-                0,
-                0
-              );
-              if (dataSolicitada < new Date()) {
-                dataSolicitada.setDate(dataSolicitada.getDate() + 1);
-              }
-            }
-
-            if (dataSolicitada && !isNaN(dataSolicitada.getTime())) {
-              const diaDaSemanaFormatado = dataSolicitada
-                .toLocaleDateString("pt-BR", { weekday: "long" })
-                .toLowerCase();
-              const horaFormatada = dataSolicitada.toLocaleTimeString("pt-BR", {
-                hour: "2-digit",
-                minute: "2-digit",
-                hour12: false,
-              });
-
-              const [horarioRow] = await pool.query(
-                `SELECT id, dia_horario
-               FROM horarios_disponiveis
-               WHERE LOWER(dia_semana) = ?
-               AND DATE_FORMAT(dia_horario, '%H:%i') = ?
-               AND disponivel = TRUE
-               AND dia_horario >= NOW()
-               LIMIT 1`,
-                [diaDaSemanaFormatado, horaFormatada]
-              );
-
-              if (horarioRow.length) {
-                horarioId = horarioRow[0].id;
-                diaHorario = horarioRow[0].dia_horario;
-              } else {
-                const horarioMaisProximo = encontrarHorarioProximo(
-                  dataSolicitada.toISOString(),
-                  horarios
-                );
-                if (horarioMaisProximo) {
-                  resposta = `O horário *${diaDaSemanaFormatado} às ${horaFormatada}* não está disponível. O mais próximo é *${formatarData(
-                    horarioMaisProximo.dia_horario
-                  )}*. Deseja escolher este? Responda 'Sim' ou escolha outro horário.`;
-                  agendamentosPendentes.set(from, {
-                    ...agendamentoPendente,
-                    confirmationStep: "confirmar_horario_proximo",
-                    horarioProximoId: horarioMaisProximo.id,
-                    diaHorarioProximo: horarioMaisProximo.dia_horario,
-                  });
-                  break;
-                } else {
-                  resposta = `Nenhum horário disponível próximo a *${diaDaSemanaFormatado} às ${horaFormatada}*. Escolha outro:\n\n${horarios
-                    .map(
-                      (h, index) =>
-                        `${index + 1}. *${formatarData(h.dia_horario)}*`
-                    )
-                    .join("\n")}\n\nOu use o formato 'Sexta 10:00'.`;
-                  break;
-                }
-              }
-            } else {
-              resposta = `Formato inválido. Escolha um horário da lista:\n\n${horarios
-                .map(
-                  (h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`
-                )
-                .join("\n")}\n\nOu use o formato 'Sexta 10:00'.`;
-              break;
-            }
-          }
-
-          agendamentoPendente.horarioId = horarioId;
-          agendamentoPendente.dia_horario = diaHorario;
-          agendamentoPendente.confirmationStep =
-            "awaiting_reagendamento_confirmation";
-          agendamentosPendentes.set(from, agendamentoPendente);
-
-          const horarioFormatado = formatarData(diaHorario);
-          resposta = `Você escolheu reagendar *${agendamentoPendente.servico}* para *${horarioFormatado}*. Confirma? Responda 'Sim' ou 'Não'.`;
-          break;
-        }
-
-        case "confirmar_reagendamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "awaiting_reagendamento_confirmation"
-          ) {
-            resposta =
-              "Nenhum reagendamento em andamento. Quer reagendar um agendamento?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const isConfirmation = ["sim", "confirmar"].some((k) =>
-            msg.toLowerCase().includes(k)
-          );
-
-          if (isConfirmation) {
-            const result = await reagendarAgendamento(
-              agendamentoPendente.agendamentoId,
-              agendamentoPendente.horarioId
-            );
-
-            if (!result.success) {
-              resposta =
-                result.message ||
-                "Ops, algo deu errado ao reagendar. Tente novamente.";
-              agendamentosPendentes.delete(from);
-              break;
-            }
-
-            const horarioFormatado = formatarData(
-              agendamentoPendente.dia_horario
-            );
-            resposta = `✅ Agendamento reagendado para *${agendamentoPendente.servico}* em *${horarioFormatado}*!`;
-            agendamentosPendentes.delete(from);
-          } else {
-            resposta =
-              "Reagendamento cancelado. Deseja escolher outro horário?";
-            agendamentoPendente.confirmationStep =
-              "awaiting_reagendamento_datahora"; // Permite que o usuário escolha outro horário imediatamente
-            agendamentosPendentes.set(from, agendamentoPendente);
-          }
-          break;
-        }
-
-        case "confirmar_horario_proximo": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "confirmar_horario_proximo" ||
-            !agendamentoPendente.horarioProximoId
-          ) {
-            resposta =
-              "Nenhuma sugestão de horário próximo para confirmar. Por favor, tente novamente.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          const isConfirmation = ["sim", "confirmar"].some((k) =>
-            msg.toLowerCase().includes(k)
-          );
-
-          if (isConfirmation) {
-            agendamentoPendente.horarioId =
-              agendamentoPendente.horarioProximoId;
-            agendamentoPendente.dia_horario =
-              agendamentoPendente.diaHorarioProximo;
-
-            if (agendamentoPendente.agendamentoId) {
-              // Se for um reagendamento
-              agendamentoPendente.confirmationStep =
-                "awaiting_reagendamento_confirmation";
-              const horarioFormatado = formatarData(
-                agendamentoPendente.dia_horario
-              );
-              resposta = `Você escolheu reagendar *${agendamentoPendente.servico}* para *${horarioFormatado}*. Confirma? Responda 'Sim' ou 'Não'.`;
-            } else {
-              // Se for um novo agendamento
-              agendamentoPendente.confirmationStep = "awaiting_name_choice";
-              // 'cliente' já está no escopo global do webhook com os dados atualizados
-              agendamentoPendente.clienteId = cliente.id;
-              agendamentoPendente.nomeSugerido = cliente.nome;
-              const horarioFormatado = formatarData(
-                agendamentoPendente.dia_horario
-              );
-              resposta = `Você escolheu *${agendamentoPendente.servicos.join(
-                " e "
-              )}* para *${horarioFormatado}*.\nO nome que usaremos para o agendamento é *${
-                cliente.nome
-              }*.\nGostaria de manter este nome ou informar outro? (Responda 'Sim' ou 'Trocar')`;
-            }
-            agendamentosPendentes.set(from, agendamentoPendente);
-          } else {
-            // Se o usuário não quiser o horário próximo, oferece a lista novamente
-            const horarios = await buscarHorariosDisponiveis();
-            resposta = `Ok, escolha outro horário:\n\n${horarios
-              .map(
-                (h, index) => `${index + 1}. *${formatarData(h.dia_horario)}*`
-              )
-              .join("\n")}\n\nOu use o formato 'Sexta 10:00'.`;
-
-            agendamentoPendente.confirmationStep =
-              agendamentoPendente.agendamentoId
-                ? "awaiting_reagendamento_datahora" // Volta para escolha de horário para reagendamento
-                : "awaiting_date_time"; // Volta para escolha de horário para novo agendamento
-            delete agendamentoPendente.horarioProximoId; // Limpa os dados do horário sugerido
-            delete agendamentoPendente.diaHorarioProximo;
-            agendamentosPendentes.set(from, agendamentoPendente);
-          }
-          break;
-        }
-
-        case "cancelar_agendamento": {
-          // 'cliente' já está no escopo global do webhook com os dados atualizados
-          let agendamentosAtivos;
-          try {
-            agendamentosAtivos = await listarAgendamentosAtivos(cliente.id);
-          } catch (error) {
-            console.error(
-              "ERRO: Erro ao listar agendamentos para cancelamento:",
-              error
-            );
-            resposta =
-              "Ops, não conseguimos verificar seus agendamentos. Tente novamente mais tarde.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
-
-          if (!agendamentosAtivos.length) {
-            resposta = "Você não tem agendamentos ativos para cancelar.";
-            agendamentosPendentes.delete(from);
-            break;
-          }
+  }
 
-          if (agendamentosAtivos.length === 1) {
-            const agendamento = agendamentosAtivos[0];
-            const horarioFormatado = formatarData(agendamento.dia_horario);
-            resposta = `Você tem um agendamento para *${agendamento.servico}* em *${horarioFormatado}*. Deseja cancelar? Responda 'Sim' ou 'Não'.`;
-            agendamentosPendentes.set(from, {
-              clienteId: cliente.id,
-              agendamentoId: agendamento.id,
-              servico: agendamento.servico,
-              confirmationStep: "confirmar_cancelamento",
-            });
-          } else {
-            resposta = `Você tem ${agendamentosAtivos.length} agendamentos ativos. Qual deseja cancelar?\n\n`;
-            agendamentosAtivos.forEach((agendamento, index) => {
-              const horarioFormatado = formatarData(agendamento.dia_horario);
-              resposta += `${index + 1}. *${
-                agendamento.servico
-              }* em *${horarioFormatado}*\n`;
-            });
-            resposta += `\nDigite o número do agendamento (exemplo: 1).`;
-            agendamentosPendentes.set(from, {
-              clienteId: cliente.id,
-              agendamentosAtivos,
-              confirmationStep: "selecionar_cancelamento",
-            });
-          }
-          break;
-        }
+  // Lê a mensagem no formato do canal, processa e responde no mesmo formato
+  async function atenderMensagem(req, res) {
+    const canal = req.canal;
+    const { texto, remetente, nome } = canal.lerMensagem(req);
+
+    if (
+      typeof texto !== "string" ||
+      typeof remetente !== "string" ||
+      !texto ||
+      !remetente
+    ) {
+      console.error(
+        `Mensagem inválida no canal ${canal.nome}: texto ou remetente ausentes.`
+      );
+      return canal.responderErro(res, 400, "Requisição inválida.");
+    }
+    if (texto.length > TAMANHO_MAXIMO_MENSAGEM) {
+      return canal.responderErro(res, 413, "Mensagem muito longa.");
+    }
 
-        case "selecionar_cancelamento": {
-          const agendamentoPendente = agendamentosPendentes.get(from);
-          if (
-            !agendamentoPendente ||
-            agendamentoPendente.confirmationStep !==
-              "selecionar_cancelamento" ||
-            !agendamentoPendente.agendamentosAtivos
-          ) {
-            resposta =
-              "Nenhum cancelamento em andamento. Quer cancelar um agendamento?";
-            agendamentosPendentes.delete(from);
-            break;
-          }
+    const resposta = await processarMensagem({
+      msg: texto,
+      from: remetente,
+      profileName: nome || "Cliente",
+      barbearia: req.barbearia,
+    });
+    canal.responder(res, resposta);
+  }
 
-          const escolhaNumero = parseInt(msg) - 1;
-          const agendamentoEscolhido =
-            agendamentoPendente.agendamentosAtivos[escolhaNumero];
+  // --- Rotas de mensagens ---
+  // /webhook detecta o canal pelo conteúdo (compatível com a configuração antiga);
+  // as outras rotas fixam o canal. Cada rota também existe com o prefixo
+  // /b/<slug>; sem ele, a barbearia vem do número do Twilio (To) ou é a padrão.
+  const rotaMensagens = (canal) => [
+    usarCanal(canal),
+    validarWebhook,
+    identificarBarbearia,
+    limitarMensagens,
+    atenderMensagem,
+  ];
+  for (const prefixo of ["", "/b/:barbearia"]) {
+    app.post(`${prefixo}/webhook`, ...rotaMensagens());
+    app.post(`${prefixo}/webhook/twilio`, ...rotaMensagens("twilio"));
+    app.post(`${prefixo}/api/chat`, ...rotaMensagens("webchat"));
+  }
 
-          if (!isNaN(escolhaNumero) && agendamentoEscolhido) {
-            const horarioFormatado = formatarData(
-              agendamentoEscolhido.dia_horario
-            );
-            resposta = `Você escolheu cancelar o agendamento de *${agendamentoEscolhido.servico}* em *${horarioFormatado}*. Confirma o cancelamento? Responda 'Sim' ou 'Não'.`;
-            agendamentosPendentes.set(from, {
-              ...agendamentoPendente,
-              agendamentoId: agendamentoEscolhido.id,
-              servico: agendamentoEscolhido.servico,
-              confirmationStep: "confirmar_cancelamento",
-              agendamentosAtivos: undefined, // Limpa agendamentosAtivos
-            });
-          } else {
-            resposta = `Escolha um número válido do agendamento que deseja cancelar.`;
-          }
-          break;
-        }
+  // Corpo grande demais ou JSON malformado: responde sem expor a stack
+  app.use((error, req, res, next) => {
+    if (error.type === "entity.too.large") {
+      return res.status(413).json({ error: "Requisição muito grande." });
+    }
+    if (error.type === "entity.parse.failed") {
+      return res.status(400).json({ error: "Corpo inválido." });
+    }
+    next(error);
+  });
 
-        // Tratamento para a intent 'confirmar_agendamento' (caso seja detectada de forma inesperada)
-        case "confirmar_agendamento":
-          resposta =
-            "Desculpe, não entendi o que você quer confirmar. Por favor, comece o agendamento novamente.";
-          agendamentosPendentes.delete(from);
-          break;
+  return app;
+}
 
-        default:
-          // Se a intent for 'default' do Dialogflow e não houver um estado ativo,
-          // ou se o estado não foi tratado pelas lógicas acima, usa o fulfillmentText ou uma mensagem genérica.
-          resposta =
-            response.queryResult.fulfillmentText ||
-            "Desculpe, não entendi. Pode repetir, por favor?";
-          if (!estadoAgendamentoPendente) {
-            // Limpa o estado se não houver um fluxo ativo
-            agendamentosPendentes.delete(from);
-          }
-          break;
+// Mantém a agenda gerada algumas semanas à frente (idempotente)
+const INTERVALO_GERACAO_HORARIOS_MS = 6 * 60 * 60 * 1000;
+function agendarGeracaoHorarios() {
+  gerarHorarios()
+    .then(({ criados, removidos }) => {
+      if (criados || removidos) {
+        console.log(
+          `Horários gerados: ${criados} criados, ${removidos} removidos.`
+        );
       }
+    })
+    .catch((error) => console.error("Erro ao gerar horários:", error));
+}
+
+// Servidor de verdade só quando executado direto (node index.js); os testes
+// importam criarApp e sobem a aplicação numa porta livre
+if (require.main === module) {
+  const sessoes = criarGerenciadorSessoes(criarSessaoStore());
+  const app = criarApp({ sessoes });
+
+  setInterval(() => {
+    sessoes
+      .limparExpiradas()
+      .catch((error) =>
+        console.error("Erro ao limpar sessões expiradas:", error)
+      );
+    removerReservasExpiradas().catch((error) =>
+      console.error("Erro ao limpar reservas temporárias:", error)
+    );
+  }, INTERVALO_LIMPEZA_SESSOES_MS).unref();
+
+  // Mensagens proativas (lembretes, ofertas da lista de espera e horários
+  // liberados por falta de confirmação).
+  // MENSAGENS_TRANSPORTE=twilio envia de verdade.
+  const transporteMensagens = criarTransporte();
+
+  app.listen(config.porta, () => {
+    console.log(`🚀 Servidor rodando em http://localhost:${config.porta}`);
+    if (config.tarefas.gerarHorarios) {
+      agendarGeracaoHorarios();
+      setInterval(
+        agendarGeracaoHorarios,
+        INTERVALO_GERACAO_HORARIOS_MS
+      ).unref();
     }
-    console.log("Resposta FINAL a ser enviada ao usuário:", resposta);
-    res.json({ reply: resposta });
-  } catch (error) {
-    // Captura erros globais do webhook
-    console.error("ERRO GERAL no Dialogflow ou webhook:", error);
-    res.json({ reply: "Ops, algo deu errado. Tente novamente?" });
-  }
-});
+    if (config.tarefas.lembretes) {
+      iniciarLembretes({
+        transporte: transporteMensagens,
+        sessoes,
+      });
+    }
+    if (config.tarefas.listaEspera) {
+      iniciarListaEspera({
+        transporte: transporteMensagens,
+        sessoes,
+      });
+    }
+    if (config.tarefas.presenca) {
+      iniciarPresenca({
+        transporte: transporteMensagens,
+        sessoes,
+      });
+    }
+  });
+}
 
-app.listen(port, () => {
-  console.log(`🚀 Servidor rodando em http://localhost:${port}`);
-});
+module.exports = {
+  criarApp,
+};
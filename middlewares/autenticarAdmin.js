@@ -0,0 +1,40 @@
+// autenticarAdmin.js
+// Protege a API administrativa com um token fixo, enviado como
+// "Authorization: Bearer <token>". ADMIN_TOKEN abre todas as barbearias; o
+// token_admin de uma barbearia (tabela barbearias) abre só a dela. Roda depois
+// de identificarBarbearia. Sem nenhum token configurado a API fica fechada.
+const crypto = require("crypto");
+const { obterConfig } = require("../config");
+
+function tokensIguais(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+function autenticarAdmin(req, res, next) {
+  const tokensAceitos = [
+    obterConfig().admin.token,
+    req.barbearia?.tokenAdmin,
+  ].filter(Boolean);
+  if (!tokensAceitos.length) {
+    return res
+      .status(503)
+      .json({ error: "API administrativa desabilitada (defina ADMIN_TOKEN)." });
+  }
+
+  const [tipo, token] = (req.get("Authorization") || "").split(" ");
+  if (
+    tipo !== "Bearer" ||
+    !token ||
+    !tokensAceitos.some((aceito) => tokensIguais(token, aceito))
+  ) {
+    return res.status(401).json({ error: "Não autorizado." });
+  }
+  next();
+}
+
+module.exports = autenticarAdmin;
@@ -0,0 +1,51 @@
+// identificarBarbearia.js
+// Define req.barbearia, nesta ordem: pelo prefixo da rota (/b/:barbearia/...),
+// pelo número do Twilio que recebeu a mensagem (To) ou, sem nenhum dos dois,
+// a barbearia padrão (BARBEARIA_PADRAO). Um To desconhecido só cai na padrão
+// se ela não tiver número próprio; assim um número esquecido no cadastro não
+// manda clientes de uma barbearia para outra.
+const {
+  buscarBarbeariaPorSlug,
+  buscarBarbeariaPorTelefone,
+} = require("../controllers/barbeariaController");
+const { obterConfig } = require("../config");
+
+async function localizarBarbearia(req) {
+  if (req.params?.barbearia) {
+    return buscarBarbeariaPorSlug(req.params.barbearia);
+  }
+  const para = req.body?.To;
+  if (para) {
+    const porNumero = await buscarBarbeariaPorTelefone(para);
+    if (porNumero) return porNumero;
+  }
+  const padrao = await buscarBarbeariaPorSlug(obterConfig().barbeariaPadrao);
+  return padrao && !(para && padrao.telefone) ? padrao : null;
+}
+
+async function identificarBarbearia(req, res, next) {
+  let barbearia;
+  try {
+    barbearia = await localizarBarbearia(req);
+  } catch (error) {
+    console.error("Erro ao identificar a barbearia:", error);
+    return req.canal
+      ? req.canal.responderErro(res, 500, "Erro interno.")
+      : res.status(500).json({ error: "Erro interno." });
+  }
+  if (!barbearia) {
+    console.warn(
+      `Barbearia não encontrada (${req.params?.barbearia || req.body?.To || "padrão"}).`
+    );
+    return req.canal
+      ? req.canal.responderErro(res, 404, "Barbearia não encontrada.")
+      : res.status(404).json({ error: "Barbearia não encontrada." });
+  }
+  req.barbearia = barbearia;
+  next();
+}
+
+module.exports = {
+  localizarBarbearia,
+  identificarBarbearia,
+};
@@ -0,0 +1,52 @@
+// limitarTaxa.js
+// Limite de mensagens por remetente numa janela deslizante, em memória.
+// Protege o Dialogflow e o banco de um número (ou script) disparando mensagens.
+// Vem depois de usarCanal: a recusa sai pelo canal da requisição.
+
+/**
+ * Cria o middleware de limite.
+ * @param {Object} opcoes
+ * @param {number} opcoes.limite - Máximo de requisições por janela.
+ * @param {number} opcoes.janelaMs - Tamanho da janela.
+ * @param {Function} opcoes.chave - Extrai o remetente da requisição.
+ * @returns {Function} Middleware do Express (com `limpar()` para tirar
+ *   remetentes inativos da memória).
+ */
+function criarLimitadorTaxa({ limite, janelaMs, chave }) {
+  const acessos = new Map(); // remetente -> timestamps das últimas requisições
+
+  function limitador(req, res, next) {
+    const remetente = chave(req);
+    if (!remetente) return next();
+
+    const agora = Date.now();
+    const recentes = (acessos.get(remetente) || []).filter(
+      (t) => t > agora - janelaMs
+    );
+    if (recentes.length >= limite) {
+      const retryAfter = Math.ceil((recentes[0] + janelaMs - agora) / 1000);
+      acessos.set(remetente, recentes);
+      res.set("Retry-After", String(retryAfter));
+      // No formato do canal (usarCanal), como as demais recusas do webhook
+      return req.canal.responderErro(
+        res,
+        429,
+        "Muitas mensagens. Aguarde um pouco e tente de novo."
+      );
+    }
+    recentes.push(agora);
+    acessos.set(remetente, recentes);
+    next();
+  }
+
+  limitador.limpar = () => {
+    const limite = Date.now() - janelaMs;
+    for (const [remetente, tempos] of acessos) {
+      if (!tempos.some((t) => t > limite)) acessos.delete(remetente);
+    }
+  };
+
+  return limitador;
+}
+
+module.exports = { criarLimitadorTaxa };
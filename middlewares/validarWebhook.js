@@ -0,0 +1,112 @@
+// validarWebhook.js
+// Garante que a mensagem recebida pelos canais de chat veio de quem diz ter vindo:
+// - Canal Twilio (Body/From): cabeçalho X-Twilio-Signature, validado com
+//   TWILIO_AUTH_TOKEN. Como o ngrok/proxy muda o host, WEBHOOK_URL informa o
+//   endereço público configurado no Twilio; o caminho é o da requisição, para
+//   valer também nas rotas de cada barbearia (/b/<slug>/webhook/twilio).
+// - Canal JSON (text/sessionId): HMAC-SHA256 com WEBCHAT_SECRET sobre
+//   "<timestamp>.<corpo bruto>", enviado em X-Reservai-Signature
+//   ("sha256=<hex>") junto com X-Reservai-Timestamp (segundos Unix).
+// WEBHOOK_VALIDACAO=false desliga as verificações (só em desenvolvimento).
+const crypto = require("crypto");
+const twilio = require("twilio");
+const { obterConfig } = require("../config");
+
+// Assinaturas JSON mais antigas que isso são recusadas (evita reenvio)
+const TOLERANCIA_TIMESTAMP_SEGUNDOS = 5 * 60;
+
+/**
+ * Calcula a assinatura do canal JSON, para clientes e testes.
+ * @param {string} segredo - WEBCHAT_SECRET.
+ * @param {number|string} timestamp - Segundos Unix enviados em X-Reservai-Timestamp.
+ * @param {string|Buffer} corpo - Corpo bruto da requisição.
+ * @returns {string} Valor de X-Reservai-Signature.
+ */
+function assinarWebchat(segredo, timestamp, corpo) {
+  const hmac = crypto
+    .createHmac("sha256", segredo)
+    .update(`${timestamp}.`)
+    .update(corpo)
+    .digest("hex");
+  return `sha256=${hmac}`;
+}
+
+function assinaturasIguais(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+function urlPublica(req) {
+  const { url } = obterConfig().webhook;
+  if (url) return new URL(req.originalUrl, url).href;
+  const protocolo = req.get("X-Forwarded-Proto") || req.protocol;
+  return `${protocolo}://${req.get("host")}${req.originalUrl}`;
+}
+
+function validarTwilio(req) {
+  const { authToken } = obterConfig().twilio;
+  if (!authToken) return "TWILIO_AUTH_TOKEN não configurado.";
+  const assinatura = req.get("X-Twilio-Signature");
+  if (
+    !assinatura ||
+    !twilio.validateRequest(authToken, assinatura, urlPublica(req), req.body)
+  ) {
+    return "Assinatura do Twilio inválida.";
+  }
+  return null;
+}
+
+function validarWebchat(req) {
+  const segredo = obterConfig().webhook.segredoWebchat;
+  if (!segredo) return "WEBCHAT_SECRET não configurado.";
+  const timestamp = req.get("X-Reservai-Timestamp");
+  const assinatura = req.get("X-Reservai-Signature");
+  if (!timestamp || !assinatura || !req.rawBody) {
+    return "Assinatura ausente.";
+  }
+  const idade = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(idade <= TOLERANCIA_TIMESTAMP_SEGUNDOS)) {
+    return "Timestamp fora da janela permitida.";
+  }
+  if (
+    !assinaturasIguais(
+      assinatura,
+      assinarWebchat(segredo, timestamp, req.rawBody)
+    )
+  ) {
+    return "Assinatura inválida.";
+  }
+  return null;
+}
+
+// Usa o canal definido por usarCanal (canais/index.js). Na rota que detecta o
+// canal, quem manda From/assinatura do Twilio passa pela validação do Twilio.
+function validarWebhook(req, res, next) {
+  if (!obterConfig().webhook.validacao) return next();
+
+  const erro =
+    req.canal.nome === "twilio" ? validarTwilio(req) : validarWebchat(req);
+  if (erro) {
+    console.warn(`Webhook recusado (${req.ip}): ${erro}`);
+    return req.canal.responderErro(res, 403, "Assinatura inválida.");
+  }
+  next();
+}
+
+/**
+ * Guarda o corpo bruto em req.rawBody (usar como `verify` do body-parser),
+ * necessário para conferir o HMAC do canal JSON.
+ */
+function guardarCorpoBruto(req, res, buffer) {
+  req.rawBody = buffer;
+}
+
+module.exports = {
+  assinarWebchat,
+  guardarCorpoBruto,
+  validarWebhook,
+};
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS agendamentos_servicos;
+DROP TABLE IF EXISTS agendamentos;
+DROP TABLE IF EXISTS horarios_disponiveis;
+DROP TABLE IF EXISTS servicos;
+DROP TABLE IF EXISTS clientes;
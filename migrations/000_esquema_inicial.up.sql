@@ -0,0 +1,32 @@
+-- Tabelas originais do projeto, antes das migrações seguintes
+CREATE TABLE IF NOT EXISTS clientes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(100) NOT NULL DEFAULT 'Cliente',
+  telefone VARCHAR(100) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS servicos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(100) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS horarios_disponiveis (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  dia_horario DATETIME NOT NULL,
+  dia_semana VARCHAR(20) NOT NULL,
+  disponivel BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS agendamentos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  horario_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'ativo',
+  data_agendamento DATETIME NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS agendamentos_servicos (
+  agendamento_id INT NOT NULL,
+  servico_id INT NOT NULL,
+  PRIMARY KEY (agendamento_id, servico_id)
+);
@@ -0,0 +1,9 @@
+-- Estado das conversas em andamento (services/sessoes.js)
+CREATE TABLE IF NOT EXISTS sessoes_conversa (
+  chave VARCHAR(100) NOT NULL PRIMARY KEY,
+  estado JSON NOT NULL,
+  etapa VARCHAR(60) NULL,
+  expira_em DATETIME NOT NULL,
+  atualizado_em TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_sessoes_conversa_expira_em (expira_em)
+);
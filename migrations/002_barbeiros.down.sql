@@ -0,0 +1,6 @@
+ALTER TABLE horarios_disponiveis
+  DROP FOREIGN KEY fk_horarios_barbeiro,
+  DROP INDEX idx_horarios_barbeiro_dia,
+  DROP COLUMN barbeiro_id;
+
+DROP TABLE IF EXISTS barbeiros;
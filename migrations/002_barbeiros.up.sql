@@ -0,0 +1,22 @@
+-- Barbeiros e horários por barbeiro
+CREATE TABLE IF NOT EXISTS barbeiros (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(100) NOT NULL,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+-- Os horários que já existiam passam a pertencer a um barbeiro padrão;
+-- renomeie-o e cadastre os demais depois de rodar este script.
+INSERT INTO barbeiros (nome)
+SELECT 'Barbeiro' FROM DUAL WHERE NOT EXISTS (SELECT 1 FROM barbeiros);
+
+ALTER TABLE horarios_disponiveis ADD COLUMN barbeiro_id INT NULL;
+
+UPDATE horarios_disponiveis
+SET barbeiro_id = (SELECT MIN(id) FROM barbeiros)
+WHERE barbeiro_id IS NULL;
+
+ALTER TABLE horarios_disponiveis
+  MODIFY barbeiro_id INT NOT NULL,
+  ADD CONSTRAINT fk_horarios_barbeiro FOREIGN KEY (barbeiro_id) REFERENCES barbeiros (id),
+  ADD INDEX idx_horarios_barbeiro_dia (barbeiro_id, dia_horario);
@@ -0,0 +1,5 @@
+ALTER TABLE servicos
+  DROP COLUMN sinonimos,
+  DROP COLUMN duracao_minutos,
+  DROP COLUMN preco,
+  DROP COLUMN ativo;
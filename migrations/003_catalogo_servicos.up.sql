@@ -0,0 +1,11 @@
+-- Catálogo de serviços com sinônimos, duração, preço e status
+ALTER TABLE servicos
+  ADD COLUMN sinonimos VARCHAR(255) NULL COMMENT 'Separados por vírgula',
+  ADD COLUMN duracao_minutos INT NOT NULL DEFAULT 30,
+  ADD COLUMN preco DECIMAL(8, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN ativo BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Sinônimos que antes ficavam fixos em SERVICOS_VALIDOS (index.js)
+UPDATE servicos SET sinonimos = 'cortar cabelo,cabelo' WHERE id = 1;
+UPDATE servicos SET sinonimos = 'fazer barba' WHERE id = 2;
+UPDATE servicos SET sinonimos = 'fazer sobrancelha' WHERE id = 3;
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS agendamentos_horarios;
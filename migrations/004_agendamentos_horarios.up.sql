@@ -0,0 +1,13 @@
+-- Horários ocupados por cada agendamento (atendimentos longos ocupam vários)
+CREATE TABLE IF NOT EXISTS agendamentos_horarios (
+  agendamento_id INT NOT NULL,
+  horario_id INT NOT NULL,
+  PRIMARY KEY (agendamento_id, horario_id),
+  INDEX idx_agendamentos_horarios_horario (horario_id),
+  CONSTRAINT fk_agendamentos_horarios_agendamento FOREIGN KEY (agendamento_id) REFERENCES agendamentos (id),
+  CONSTRAINT fk_agendamentos_horarios_horario FOREIGN KEY (horario_id) REFERENCES horarios_disponiveis (id)
+);
+
+-- Agendamentos existentes ocupam só o horário de início
+INSERT IGNORE INTO agendamentos_horarios (agendamento_id, horario_id)
+SELECT id, horario_id FROM agendamentos WHERE status = 'ativo';
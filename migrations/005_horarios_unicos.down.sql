@@ -0,0 +1 @@
+ALTER TABLE horarios_disponiveis DROP INDEX uq_horarios_barbeiro_dia;
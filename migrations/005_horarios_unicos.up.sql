@@ -0,0 +1,3 @@
+-- Evita horários duplicados por barbeiro (o gerador usa INSERT IGNORE)
+ALTER TABLE horarios_disponiveis
+  ADD UNIQUE INDEX uq_horarios_barbeiro_dia (barbeiro_id, dia_horario);
@@ -0,0 +1,3 @@
+ALTER TABLE agendamentos DROP COLUMN confirmado_em;
+
+DROP TABLE IF EXISTS lembretes_enviados;
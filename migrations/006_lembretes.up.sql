@@ -0,0 +1,11 @@
+-- Lembretes proativos (services/lembretes.js)
+CREATE TABLE IF NOT EXISTS lembretes_enviados (
+  agendamento_id INT NOT NULL,
+  tipo VARCHAR(10) NOT NULL,
+  enviado_em DATETIME NOT NULL,
+  PRIMARY KEY (agendamento_id, tipo),
+  CONSTRAINT fk_lembretes_agendamento FOREIGN KEY (agendamento_id) REFERENCES agendamentos (id)
+);
+
+-- Preenchido quando o cliente responde "Confirmar" a um lembrete
+ALTER TABLE agendamentos ADD COLUMN confirmado_em DATETIME NULL;
@@ -0,0 +1,3 @@
+ALTER TABLE agendamentos_horarios
+  DROP INDEX uq_agendamentos_horarios_ocupacao,
+  DROP COLUMN ativo;
@@ -0,0 +1,13 @@
+-- Um horário só pode estar ocupado por um agendamento ativo. ativo é TRUE
+-- enquanto o agendamento vale e NULL depois de cancelado; o índice único
+-- ignora NULLs, então o histórico de cancelamentos continua na tabela.
+ALTER TABLE agendamentos_horarios
+  ADD COLUMN ativo BOOLEAN NULL DEFAULT TRUE;
+
+UPDATE agendamentos_horarios ah
+JOIN agendamentos a ON ah.agendamento_id = a.id
+SET ah.ativo = NULL
+WHERE a.status <> 'ativo';
+
+ALTER TABLE agendamentos_horarios
+  ADD UNIQUE INDEX uq_agendamentos_horarios_ocupacao (horario_id, ativo);
@@ -0,0 +1,10 @@
+-- Horários segurados enquanto o cliente confirma o agendamento
+-- (controllers/reservaController.js). chave é o remetente da conversa.
+CREATE TABLE IF NOT EXISTS reservas_temporarias (
+  horario_id INT NOT NULL PRIMARY KEY,
+  chave VARCHAR(100) NOT NULL,
+  expira_em DATETIME NOT NULL,
+  INDEX idx_reservas_temporarias_chave (chave),
+  INDEX idx_reservas_temporarias_expira_em (expira_em),
+  CONSTRAINT fk_reservas_temporarias_horario FOREIGN KEY (horario_id) REFERENCES horarios_disponiveis (id) ON DELETE CASCADE
+);
@@ -0,0 +1,18 @@
+ALTER TABLE horarios_disponiveis
+  DROP INDEX idx_horarios_disponivel_dia;
+
+ALTER TABLE agendamentos_servicos
+  DROP FOREIGN KEY fk_agendamentos_servicos_agendamento,
+  DROP FOREIGN KEY fk_agendamentos_servicos_servico;
+ALTER TABLE agendamentos_servicos
+  DROP INDEX idx_agendamentos_servicos_servico;
+
+ALTER TABLE agendamentos
+  DROP FOREIGN KEY fk_agendamentos_cliente,
+  DROP FOREIGN KEY fk_agendamentos_horario;
+ALTER TABLE agendamentos
+  DROP INDEX idx_agendamentos_cliente_status,
+  DROP INDEX idx_agendamentos_horario;
+
+ALTER TABLE clientes
+  DROP INDEX uq_clientes_telefone;
@@ -0,0 +1,21 @@
+-- Chaves estrangeiras e índices das consultas dos controllers
+
+-- encontrarOuCriarCliente procura pelo telefone
+ALTER TABLE clientes
+  ADD UNIQUE INDEX uq_clientes_telefone (telefone);
+
+-- listarAgendamentosAtivos: cliente_id + status; gerador e painel: horario_id
+ALTER TABLE agendamentos
+  ADD INDEX idx_agendamentos_cliente_status (cliente_id, status),
+  ADD INDEX idx_agendamentos_horario (horario_id),
+  ADD CONSTRAINT fk_agendamentos_cliente FOREIGN KEY (cliente_id) REFERENCES clientes (id),
+  ADD CONSTRAINT fk_agendamentos_horario FOREIGN KEY (horario_id) REFERENCES horarios_disponiveis (id);
+
+ALTER TABLE agendamentos_servicos
+  ADD INDEX idx_agendamentos_servicos_servico (servico_id),
+  ADD CONSTRAINT fk_agendamentos_servicos_agendamento FOREIGN KEY (agendamento_id) REFERENCES agendamentos (id),
+  ADD CONSTRAINT fk_agendamentos_servicos_servico FOREIGN KEY (servico_id) REFERENCES servicos (id);
+
+-- buscarHorariosDisponiveis: livres a partir de agora, em ordem cronológica
+ALTER TABLE horarios_disponiveis
+  ADD INDEX idx_horarios_disponivel_dia (disponivel, dia_horario);
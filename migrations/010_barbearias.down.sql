@@ -0,0 +1,20 @@
+-- Falha se o mesmo telefone for cliente de duas barbearias: junte ou remova
+-- esses clientes antes de voltar para uma barbearia só.
+ALTER TABLE barbeiros
+  DROP FOREIGN KEY fk_barbeiros_barbearia;
+ALTER TABLE barbeiros
+  DROP COLUMN barbearia_id;
+
+ALTER TABLE servicos
+  DROP FOREIGN KEY fk_servicos_barbearia;
+ALTER TABLE servicos
+  DROP COLUMN barbearia_id;
+
+ALTER TABLE clientes
+  DROP FOREIGN KEY fk_clientes_barbearia;
+ALTER TABLE clientes
+  DROP INDEX uq_clientes_barbearia_telefone,
+  ADD UNIQUE INDEX uq_clientes_telefone (telefone),
+  DROP COLUMN barbearia_id;
+
+DROP TABLE IF EXISTS barbearias;
@@ -0,0 +1,43 @@
+-- Várias barbearias no mesmo deploy. Clientes, serviços e barbeiros pertencem
+-- a uma barbearia; horários e agendamentos seguem pelo barbeiro e pelo
+-- cliente. Colunas nulas usam os padrões da configuração (config/index.js).
+CREATE TABLE IF NOT EXISTS barbearias (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  slug VARCHAR(50) NOT NULL COMMENT 'Prefixo das rotas: /b/<slug>/...',
+  nome VARCHAR(100) NULL,
+  telefone VARCHAR(50) NULL COMMENT 'Número do Twilio que recebe as mensagens (To)',
+  fuso_horario VARCHAR(50) NULL,
+  textos JSON NULL,
+  agenda JSON NULL COMMENT 'Mesmo formato de config/agenda.json',
+  token_admin VARCHAR(100) NULL,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  UNIQUE INDEX uq_barbearias_slug (slug),
+  UNIQUE INDEX uq_barbearias_telefone (telefone)
+);
+
+-- Tudo o que já existia passa a ser da barbearia "principal"
+INSERT INTO barbearias (id, slug)
+SELECT 1, 'principal' FROM DUAL WHERE NOT EXISTS (SELECT 1 FROM barbearias);
+
+ALTER TABLE clientes ADD COLUMN barbearia_id INT NULL;
+ALTER TABLE servicos ADD COLUMN barbearia_id INT NULL;
+ALTER TABLE barbeiros ADD COLUMN barbearia_id INT NULL;
+
+UPDATE clientes SET barbearia_id = 1 WHERE barbearia_id IS NULL;
+UPDATE servicos SET barbearia_id = 1 WHERE barbearia_id IS NULL;
+UPDATE barbeiros SET barbearia_id = 1 WHERE barbearia_id IS NULL;
+
+-- O mesmo telefone pode ser cliente de mais de uma barbearia
+ALTER TABLE clientes
+  MODIFY barbearia_id INT NOT NULL,
+  DROP INDEX uq_clientes_telefone,
+  ADD UNIQUE INDEX uq_clientes_barbearia_telefone (barbearia_id, telefone),
+  ADD CONSTRAINT fk_clientes_barbearia FOREIGN KEY (barbearia_id) REFERENCES barbearias (id);
+
+ALTER TABLE servicos
+  MODIFY barbearia_id INT NOT NULL,
+  ADD CONSTRAINT fk_servicos_barbearia FOREIGN KEY (barbearia_id) REFERENCES barbearias (id);
+
+ALTER TABLE barbeiros
+  MODIFY barbearia_id INT NOT NULL,
+  ADD CONSTRAINT fk_barbeiros_barbearia FOREIGN KEY (barbearia_id) REFERENCES barbearias (id);
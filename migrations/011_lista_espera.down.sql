@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS lista_espera_ofertas;
+DROP TABLE IF EXISTS lista_espera_servicos;
+DROP TABLE IF EXISTS lista_espera;
@@ -0,0 +1,42 @@
+-- Lista de espera por um dia ou faixa de horário sem vaga
+-- (controllers/listaEsperaController.js, services/listaEspera.js). inicio e
+-- fim (exclusivo) estão no relógio da barbearia, como os horários; de_minutos
+-- e ate_minutos limitam a hora do dia ("semana que vem à tarde").
+CREATE TABLE IF NOT EXISTS lista_espera (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  barbeiro_id INT NULL COMMENT 'Nulo: qualquer barbeiro',
+  inicio DATETIME NOT NULL,
+  fim DATETIME NOT NULL,
+  de_minutos INT NULL,
+  ate_minutos INT NULL,
+  descricao VARCHAR(100) NOT NULL COMMENT 'Como o cliente pediu (ex: sexta-feira, 23/10 à tarde)',
+  status ENUM('aguardando', 'atendida', 'expirada', 'cancelada') NOT NULL DEFAULT 'aguardando',
+  criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_lista_espera_status_criado (status, criado_em),
+  CONSTRAINT fk_lista_espera_cliente FOREIGN KEY (cliente_id) REFERENCES clientes (id) ON DELETE CASCADE,
+  CONSTRAINT fk_lista_espera_barbeiro FOREIGN KEY (barbeiro_id) REFERENCES barbeiros (id)
+);
+
+CREATE TABLE IF NOT EXISTS lista_espera_servicos (
+  lista_espera_id INT NOT NULL,
+  servico_id INT NOT NULL,
+  PRIMARY KEY (lista_espera_id, servico_id),
+  CONSTRAINT fk_lista_espera_servicos_espera FOREIGN KEY (lista_espera_id) REFERENCES lista_espera (id) ON DELETE CASCADE,
+  CONSTRAINT fk_lista_espera_servicos_servico FOREIGN KEY (servico_id) REFERENCES servicos (id)
+);
+
+-- Vagas oferecidas. Enquanto a oferta está pendente o horário fica em
+-- reservas_temporarias para a conversa do cliente; o mesmo horário não é
+-- oferecido duas vezes à mesma pessoa.
+CREATE TABLE IF NOT EXISTS lista_espera_ofertas (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  lista_espera_id INT NOT NULL,
+  horario_id INT NOT NULL,
+  status ENUM('pendente', 'aceita', 'recusada', 'expirada') NOT NULL DEFAULT 'pendente',
+  expira_em DATETIME NOT NULL,
+  UNIQUE INDEX uq_lista_espera_ofertas_horario (lista_espera_id, horario_id),
+  INDEX idx_lista_espera_ofertas_status_expira (status, expira_em),
+  CONSTRAINT fk_lista_espera_ofertas_espera FOREIGN KEY (lista_espera_id) REFERENCES lista_espera (id) ON DELETE CASCADE,
+  CONSTRAINT fk_lista_espera_ofertas_horario FOREIGN KEY (horario_id) REFERENCES horarios_disponiveis (id) ON DELETE CASCADE
+);
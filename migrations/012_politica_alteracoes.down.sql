@@ -0,0 +1,6 @@
+ALTER TABLE barbearias DROP COLUMN politica;
+
+ALTER TABLE agendamentos
+  DROP COLUMN cancelamento_tardio,
+  DROP COLUMN cancelado_em,
+  DROP COLUMN reagendamentos;
@@ -0,0 +1,9 @@
+-- Política de cancelamento e reagendamento (services/politica.js)
+ALTER TABLE agendamentos
+  ADD COLUMN reagendamentos INT NOT NULL DEFAULT 0,
+  ADD COLUMN cancelado_em DATETIME NULL,
+  ADD COLUMN cancelamento_tardio BOOLEAN NOT NULL DEFAULT FALSE
+    COMMENT 'Cancelado fora do prazo da política (só pela administração)';
+
+-- Regras próprias da barbearia; sem valor, usa a configuração
+ALTER TABLE barbearias ADD COLUMN politica JSON NULL;
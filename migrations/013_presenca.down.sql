@@ -0,0 +1,6 @@
+-- Os agendamentos marcados voltam a contar como 'ativo'
+UPDATE agendamentos SET status = 'ativo' WHERE status IN ('concluido', 'faltou');
+
+ALTER TABLE agendamentos
+  DROP COLUMN presenca_automatica,
+  DROP COLUMN presenca_marcada_em;
@@ -0,0 +1,6 @@
+-- Comparecimento: agendamentos passados saem de 'ativo' para 'concluido' ou
+-- 'faltou' (status já é VARCHAR), pelo painel ou pela marcação automática
+-- de services/presenca.js. As faltas do cliente são contadas por esse status.
+ALTER TABLE agendamentos
+  ADD COLUMN presenca_marcada_em DATETIME NULL,
+  ADD COLUMN presenca_automatica BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,5 @@
+ALTER TABLE agendamentos
+  DROP FOREIGN KEY fk_agendamentos_serie,
+  DROP COLUMN serie_id;
+
+DROP TABLE IF EXISTS series_agendamentos;
@@ -0,0 +1,18 @@
+-- Agendamentos recorrentes (controllers/serieController.js): cada data da
+-- série é um agendamento comum, ligado a ela por agendamentos.serie_id, e
+-- pode ser cancelada sozinha ou junto com as próximas.
+CREATE TABLE IF NOT EXISTS series_agendamentos (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  cliente_id INT NOT NULL,
+  barbeiro_id INT NOT NULL,
+  intervalo_semanas INT NOT NULL,
+  status ENUM('ativa', 'cancelada') NOT NULL DEFAULT 'ativa',
+  criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  cancelada_em DATETIME NULL,
+  CONSTRAINT fk_series_agendamentos_cliente FOREIGN KEY (cliente_id) REFERENCES clientes (id) ON DELETE CASCADE,
+  CONSTRAINT fk_series_agendamentos_barbeiro FOREIGN KEY (barbeiro_id) REFERENCES barbeiros (id)
+);
+
+ALTER TABLE agendamentos
+  ADD COLUMN serie_id INT NULL,
+  ADD CONSTRAINT fk_agendamentos_serie FOREIGN KEY (serie_id) REFERENCES series_agendamentos (id) ON DELETE SET NULL;
@@ -0,0 +1 @@
+ALTER TABLE horarios_disponiveis DROP COLUMN origem;
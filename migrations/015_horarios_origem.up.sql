@@ -0,0 +1,5 @@
+-- Origem de cada horário: 'agenda' para os criados por services/geradorHorarios.js
+-- e 'manual' para os cadastrados pelo painel (POST /admin/api/horarios). A
+-- geração só remove os que ela mesma criou.
+ALTER TABLE horarios_disponiveis
+  ADD COLUMN origem ENUM('agenda', 'manual') NOT NULL DEFAULT 'agenda';
@@ -0,0 +1,416 @@
+// dataHora.js
+// Interpreta datas e horas escritas em português ("amanhã às 3 da tarde",
+// "dia 15 de manhã", "depois de amanhã 14h30", "semana que vem quinta",
+// "hoje à noite"). O resultado é um horário exato ou um intervalo (um período
+// do dia, o dia inteiro ou uma semana), usado para escolher horários tanto no
+// agendamento quanto no reagendamento.
+const { normalizarTexto } = require("../utils");
+
+const DIAS_SEMANA = [
+  "domingo",
+  "segunda",
+  "terca",
+  "quarta",
+  "quinta",
+  "sexta",
+  "sabado",
+];
+
+const MESES = [
+  "janeiro",
+  "fevereiro",
+  "marco",
+  "abril",
+  "maio",
+  "junho",
+  "julho",
+  "agosto",
+  "setembro",
+  "outubro",
+  "novembro",
+  "dezembro",
+];
+
+// Minutos desde a meia-noite
+const PERIODOS = {
+  manha: { inicio: 6 * 60, fim: 12 * 60, nome: "de manhã" },
+  tarde: { inicio: 12 * 60, fim: 18 * 60, nome: "à tarde" },
+  noite: { inicio: 18 * 60, fim: 24 * 60, nome: "à noite" },
+};
+
+// Sem período, "às 3" numa barbearia quer dizer 15h
+const HORA_MINIMA_SEM_PERIODO = 8;
+
+const DIA_SEMANA_REGEX = `(${DIAS_SEMANA.join("|")})(?: feira)?`;
+const PROXIMA_SEMANA_REGEX = "(?:semana que vem|proxima semana)";
+
+function inicioDoDia(data) {
+  const dia = new Date(data);
+  dia.setHours(0, 0, 0, 0);
+  return dia;
+}
+
+function somarDias(data, dias) {
+  const nova = new Date(data);
+  nova.setDate(nova.getDate() + dias);
+  return nova;
+}
+
+function comMinutos(dia, minutos) {
+  const data = new Date(dia);
+  data.setHours(Math.floor(minutos / 60), minutos % 60, 0, 0);
+  return data;
+}
+
+// Segunda-feira da semana seguinte à de `agora`
+function segundaDaProximaSemana(agora) {
+  const hoje = inicioDoDia(agora);
+  return somarDias(hoje, 7 - ((hoje.getDay() + 6) % 7));
+}
+
+/**
+ * Encontra o dia citado e o remove do texto, para que "dia 15" ou "15/10" não
+ * sejam lidos como hora depois.
+ * @returns {{dia: Date|null, semanaInteira: boolean, proximoSeSemHora: boolean, resto: string}}
+ */
+function extrairDia(texto, agora) {
+  const hoje = inicioDoDia(agora);
+  const resultado = (dia, trecho, extras = {}) => ({
+    dia,
+    semanaInteira: false,
+    proximoSeSemHora: false,
+    ...extras,
+    resto: texto.replace(trecho, " "),
+  });
+  let m;
+
+  if ((m = texto.match(/\bdepois de amanha\b/))) {
+    return resultado(somarDias(hoje, 2), m[0]);
+  }
+  if ((m = texto.match(/\bamanha\b/)))
+    return resultado(somarDias(hoje, 1), m[0]);
+  if ((m = texto.match(/\bhoje\b/))) return resultado(hoje, m[0]);
+
+  // 15/10 ou 15/10/2026
+  if ((m = texto.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/))) {
+    const [, d, mes, ano] = m;
+    const anoCompleto = ano
+      ? Number(ano.length === 2 ? `20${ano}` : ano)
+      : null;
+    let dia = new Date(anoCompleto || hoje.getFullYear(), mes - 1, d);
+    if (!anoCompleto && dia < hoje) dia.setFullYear(dia.getFullYear() + 1);
+    if (dia.getDate() !== Number(d)) return resultado(null, m[0]); // 31/02
+    return resultado(dia, m[0]);
+  }
+
+  // "dia 15", "dia 15 de outubro", "15 de outubro"
+  m =
+    texto.match(
+      new RegExp(`\\bdia (\\d{1,2})(?: de (${MESES.join("|")}))?\\b`)
+    ) || texto.match(new RegExp(`\\b(\\d{1,2}) de (${MESES.join("|")})\\b`));
+  if (m) {
+    const d = Number(m[1]);
+    let dia;
+    if (m[2]) {
+      dia = new Date(hoje.getFullYear(), MESES.indexOf(m[2]), d);
+      if (dia < hoje) dia.setFullYear(dia.getFullYear() + 1);
+    } else {
+      dia = new Date(hoje.getFullYear(), hoje.getMonth(), d);
+      if (dia < hoje)
+        dia = new Date(hoje.getFullYear(), hoje.getMonth() + 1, d);
+    }
+    if (dia.getDate() !== d) return resultado(null, m[0]);
+    return resultado(dia, m[0]);
+  }
+
+  // "quinta da semana que vem", "semana que vem quinta"
+  m =
+    texto.match(
+      new RegExp(`\\b${DIA_SEMANA_REGEX}(?: da)? ${PROXIMA_SEMANA_REGEX}\\b`)
+    ) ||
+    texto.match(
+      new RegExp(
+        `\\b${PROXIMA_SEMANA_REGEX}(?: na| no)? ${DIA_SEMANA_REGEX}\\b`
+      )
+    );
+  if (m) {
+    const diaSemana = DIAS_SEMANA.indexOf(m[1]);
+    const deslocamento = (diaSemana + 6) % 7; // segunda = 0
+    return resultado(
+      somarDias(segundaDaProximaSemana(agora), deslocamento),
+      m[0]
+    );
+  }
+
+  // "próxima quinta", "quinta que vem": nunca hoje
+  m =
+    texto.match(new RegExp(`\\bproxim[oa] ${DIA_SEMANA_REGEX}\\b`)) ||
+    texto.match(new RegExp(`\\b${DIA_SEMANA_REGEX} que vem\\b`));
+  if (m) {
+    const diferenca = (DIAS_SEMANA.indexOf(m[1]) - hoje.getDay() + 7) % 7 || 7;
+    return resultado(somarDias(hoje, diferenca), m[0]);
+  }
+
+  // "quinta": a próxima, podendo ser hoje se a hora ainda não passou
+  if ((m = texto.match(new RegExp(`\\b${DIA_SEMANA_REGEX}\\b`)))) {
+    const diferenca = (DIAS_SEMANA.indexOf(m[1]) - hoje.getDay() + 7) % 7;
+    return resultado(somarDias(hoje, diferenca), m[0], {
+      proximoSeSemHora: diferenca === 0,
+    });
+  }
+
+  if ((m = texto.match(new RegExp(`\\b${PROXIMA_SEMANA_REGEX}\\b`)))) {
+    return resultado(segundaDaProximaSemana(agora), m[0], {
+      semanaInteira: true,
+    });
+  }
+
+  return resultado(null, "");
+}
+
+function extrairPeriodo(texto) {
+  // "boa tarde"/"boa noite" são cumprimentos, não períodos
+  const semCumprimentos = texto.replace(/\bbo[am] (dia|tarde|noite)\b/g, " ");
+  if (/\bmanha\b/.test(semCumprimentos)) return "manha";
+  if (/\btarde\b/.test(semCumprimentos)) return "tarde";
+  if (/\bnoite\b/.test(semCumprimentos)) return "noite";
+  return null;
+}
+
+/**
+ * Lê a hora ("14h30", "14:30", "às 3", "3 da tarde", "meio-dia", "10 e meia").
+ * @returns {number|null} Minutos desde a meia-noite.
+ */
+function extrairHora(texto, periodo) {
+  if (/\bmeio dia\b/.test(texto)) return 12 * 60;
+
+  const m =
+    texto.match(/\b(\d{1,2}):(\d{2})\b/) ||
+    texto.match(/\b(\d{1,2}) ?h(?:oras?|rs?)?(?: ?(\d{2}))?\b/) ||
+    texto.match(/\b(?:as|a) (\d{1,2})(?: e (meia|\d{2}))?\b/) ||
+    texto.match(/\b(\d{1,2})(?: e (meia|\d{2}))? da (?:manha|tarde|noite)\b/) ||
+    texto.match(/\b(\d{1,2}) e (meia)\b/);
+  if (!m) return null;
+
+  let hora = Number(m[1]);
+  const minuto = m[2] === "meia" ? 30 : Number(m[2] || 0);
+  if (hora > 23 || minuto > 59) return null;
+
+  if ((periodo === "tarde" || periodo === "noite") && hora < 12) hora += 12;
+  else if (!periodo && hora >= 1 && hora < HORA_MINIMA_SEM_PERIODO) hora += 12;
+  return hora * 60 + minuto;
+}
+
+/**
+ * Interpreta a data/hora pedida pelo cliente.
+ * @param {string} texto - Mensagem do cliente.
+ * @param {Date} [agora] - Data de referência.
+ * @returns {Object|null} `{ tipo: "exato", data }`, `{ tipo: "intervalo",
+ *   inicio, fim, periodo }` (fim exclusivo) ou null se não houver data/hora.
+ */
+function interpretarDataHora(texto, agora = new Date()) {
+  const normalizado = normalizarTexto(texto);
+  const { dia, semanaInteira, proximoSeSemHora, resto } = extrairDia(
+    normalizado,
+    agora
+  );
+  const periodo = extrairPeriodo(resto);
+  const minutos = extrairHora(resto, periodo);
+
+  // "semana que vem à tarde": a semana toda, só no período pedido
+  if (semanaInteira) {
+    return {
+      tipo: "intervalo",
+      inicio: dia,
+      fim: somarDias(dia, 7),
+      periodo,
+    };
+  }
+
+  if (minutos !== null) {
+    let data = comMinutos(dia || inicioDoDia(agora), minutos);
+    // Sem dia (ou "quinta" sendo hoje) e hora já passada: próxima ocorrência
+    if (data < agora && (!dia || proximoSeSemHora)) {
+      data = somarDias(data, dia ? 7 : 1);
+    }
+    return { tipo: "exato", data };
+  }
+
+  if (!dia && !periodo) return null;
+
+  let base = dia || inicioDoDia(agora);
+  if (periodo) {
+    const { inicio, fim } = PERIODOS[periodo];
+    // "de manhã" sem dia, depois que a manhã acabou: amanhã de manhã
+    if (!dia && comMinutos(base, fim) <= agora) base = somarDias(base, 1);
+    return {
+      tipo: "intervalo",
+      inicio: comMinutos(base, inicio),
+      fim: comMinutos(base, fim),
+      periodo,
+    };
+  }
+  return {
+    tipo: "intervalo",
+    inicio: base,
+    fim: somarDias(base, 1),
+    periodo: null,
+  };
+}
+
+// Por extenso até 12 (e "de quinze em quinze dias"), para "a cada duas
+// semanas" ou "quatro vezes"
+const NUMEROS = {
+  um: 1,
+  uma: 1,
+  dois: 2,
+  duas: 2,
+  tres: 3,
+  quatro: 4,
+  cinco: 5,
+  seis: 6,
+  sete: 7,
+  oito: 8,
+  nove: 9,
+  dez: 10,
+  onze: 11,
+  doze: 12,
+  quinze: 15,
+};
+const NUMERO_REGEX = `(\\d{1,2}|${Object.keys(NUMEROS).join("|")})`;
+
+function lerNumero(trecho) {
+  return NUMEROS[trecho] || Number(trecho);
+}
+
+// Semanas entre as datas: "a cada 2 semanas", "de 15 em 15 dias", "quinzenal"
+function extrairIntervalo(texto) {
+  let m;
+  if (
+    (m =
+      texto.match(
+        new RegExp(`\\ba cada ${NUMERO_REGEX} (semana|dia|mes)(?:s|es)?\\b`)
+      ) ||
+      texto.match(
+        new RegExp(`\\bde ${NUMERO_REGEX} em \\1 (semana|dia|mes)(?:s|es)?\\b`)
+      ))
+  ) {
+    const quantidade = lerNumero(m[1]);
+    if (m[2] === "dia") return Math.max(1, Math.round(quantidade / 7));
+    return m[2] === "mes" ? quantidade * 4 : quantidade;
+  }
+  if (/\bquinzena(l|lmente)?\b/.test(texto)) return 2;
+  if (/\b(mensal(mente)?|todo mes|a cada mes|uma vez por mes)\b/.test(texto)) {
+    return 4;
+  }
+  if (
+    /\b(semanal(mente)?|toda semana|todas as semanas|a cada semana|uma vez por semana)\b/.test(
+      texto
+    )
+  ) {
+    return 1;
+  }
+  return null;
+}
+
+/**
+ * Interpreta a recorrência de uma série de agendamentos ("a cada 2 semanas,
+ * 4 vezes", "quinzenal até 20/12", "toda semana por 2 meses"). Mensal vira
+ * a cada 4 semanas, para manter o dia da semana.
+ * @param {string} texto - Mensagem do cliente.
+ * @param {Date} [agora] - Data de referência.
+ * @returns {Object|null} O que foi entendido entre intervaloSemanas,
+ *   ocorrencias e ate (fim do dia citado, exclusivo), ou null se nada.
+ */
+function interpretarRecorrencia(texto, agora = new Date()) {
+  const normalizado = normalizarTexto(texto);
+  const recorrencia = {};
+  const intervaloSemanas = extrairIntervalo(normalizado);
+  if (intervaloSemanas) recorrencia.intervaloSemanas = intervaloSemanas;
+
+  let m;
+  if (
+    (m = normalizado.match(new RegExp(`\\b${NUMERO_REGEX} ?(?:vezes|x)\\b`)))
+  ) {
+    recorrencia.ocorrencias = lerNumero(m[1]);
+  } else if (
+    (m = normalizado.match(
+      new RegExp(`\\b(?:por|durante) ${NUMERO_REGEX} (semana|mes)(?:s|es)?\\b`)
+    ))
+  ) {
+    const ate = inicioDoDia(agora);
+    if (m[2] === "mes") ate.setMonth(ate.getMonth() + lerNumero(m[1]));
+    else ate.setDate(ate.getDate() + lerNumero(m[1]) * 7);
+    recorrencia.ate = somarDias(ate, 1);
+  } else if ((m = normalizado.match(/\bate (.+)$/))) {
+    const { dia } = extrairDia(m[1], agora);
+    if (dia) recorrencia.ate = somarDias(dia, 1);
+  }
+  return Object.keys(recorrencia).length ? recorrencia : null;
+}
+
+/**
+ * Converte o parâmetro "date-time" do Dialogflow (data/hora exata ou período
+ * com startDateTime/endDateTime) para o mesmo formato de interpretarDataHora.
+ * @param {Object} parametros - Campos da queryResult.parameters.
+ * @returns {Object|null} Pedido ou null.
+ */
+function dataHoraDosParametros(parametros) {
+  const campo = parametros?.["date-time"];
+  if (campo?.stringValue) {
+    const data = new Date(campo.stringValue);
+    return isNaN(data.getTime()) ? null : { tipo: "exato", data };
+  }
+  const fields = campo?.structValue?.fields;
+  const inicio =
+    fields?.startDateTime?.stringValue || fields?.startDate?.stringValue;
+  const fim = fields?.endDateTime?.stringValue || fields?.endDate?.stringValue;
+  if (inicio && fim) {
+    return {
+      tipo: "intervalo",
+      inicio: new Date(inicio),
+      fim: new Date(fim),
+      periodo: null,
+    };
+  }
+  if (fields?.date_time?.stringValue) {
+    return { tipo: "exato", data: new Date(fields.date_time.stringValue) };
+  }
+  return null;
+}
+
+/**
+ * Descreve um pedido para mensagens ao cliente (ex: "terça-feira, 20/10 à tarde").
+ * @param {Object} pedido - Resultado de interpretarDataHora.
+ * @returns {string} Descrição.
+ */
+function descreverPedido(pedido) {
+  const diaFormatado = (data) =>
+    data.toLocaleDateString("pt-BR", {
+      weekday: "long",
+      day: "2-digit",
+      month: "2-digit",
+    });
+  if (pedido.tipo === "exato") {
+    return `${diaFormatado(pedido.data)} às ${pedido.data.toLocaleTimeString(
+      "pt-BR",
+      { hour: "2-digit", minute: "2-digit", hour12: false }
+    )}`;
+  }
+  const dias = Math.round((pedido.fim - pedido.inicio) / (24 * 60 * 60 * 1000));
+  const descricao =
+    dias >= 7
+      ? `a semana de ${diaFormatado(pedido.inicio)}`
+      : diaFormatado(pedido.inicio);
+  return pedido.periodo
+    ? `${descricao} ${PERIODOS[pedido.periodo].nome}`
+    : descricao;
+}
+
+module.exports = {
+  PERIODOS,
+  interpretarDataHora,
+  interpretarRecorrencia,
+  dataHoraDosParametros,
+  descreverPedido,
+};
@@ -0,0 +1,100 @@
+// index.js
+// Detecção de intents. NLU_MOTOR escolhe o motor:
+// - "dialogflow" (padrão): usa o Dialogflow e, se ele falhar ou demorar mais
+//   que NLU_TIMEOUT_MS, cai no classificador local (nlu/local.js);
+// - "local": só o classificador local, sem credenciais do Google.
+const { detectarIntentLocal } = require("./local");
+const { obterConfig } = require("../config");
+
+function comTimeout(promessa, ms) {
+  let timer;
+  const limite = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Dialogflow não respondeu em ${ms}ms.`)),
+      ms
+    );
+  });
+  return Promise.race([promessa, limite]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Detector que consulta o Dialogflow. O SessionsClient só é criado na
+ * primeira mensagem, então o modo local nunca precisa da chave de serviço.
+ * @param {Object} opcoes
+ * @param {string} opcoes.projectId - ID do projeto no Dialogflow.
+ * @param {string} [opcoes.keyFilename] - Caminho da chave de serviço.
+ * @param {Object} [opcoes.sessionsClient] - Cliente já criado (ex: um dublê nos testes).
+ * @returns {Function} (sessionId, texto) => Promise<resultado>.
+ */
+function criarDetectorDialogflow({
+  projectId,
+  keyFilename,
+  sessionsClient = null,
+}) {
+  let sessionClient = sessionsClient;
+  return async (sessionId, texto) => {
+    if (!sessionClient) {
+      const dialogflow = require("@google-cloud/dialogflow");
+      sessionClient = new dialogflow.SessionsClient({ keyFilename });
+    }
+    const [response] = await sessionClient.detectIntent({
+      session: sessionClient.projectAgentSessionPath(projectId, sessionId),
+      queryInput: {
+        text: { text: texto, languageCode: "pt-BR" },
+      },
+    });
+    return {
+      intent: response.queryResult.intent?.displayName || "default",
+      parametros: response.queryResult.parameters?.fields || {},
+      fulfillmentText: response.queryResult.fulfillmentText || "",
+    };
+  };
+}
+
+/**
+ * Cria o motor de NLU.
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.motor] - "dialogflow" ou "local". Padrão: NLU_MOTOR.
+ * @param {number} [opcoes.timeoutMs] - Tempo máximo de espera pelo Dialogflow.
+ * @param {Function} [opcoes.detectarDialogflow] - Detector remoto.
+ * @returns {Object} Motor com detectar(sessionId, texto, contexto), que resolve
+ *   para { intent, parametros, fulfillmentText, origem }. O contexto (etapa,
+ *   barbearia, agora) só é usado pelo classificador local.
+ */
+function criarNlu({
+  motor = obterConfig().nlu.motor,
+  timeoutMs = obterConfig().nlu.timeoutMs,
+  detectarDialogflow,
+} = {}) {
+  if (!["dialogflow", "local"].includes(motor)) {
+    throw new Error(
+      `NLU_MOTOR inválido: "${motor}" (use dialogflow ou local).`
+    );
+  }
+
+  async function detectar(sessionId, texto, contexto = {}) {
+    if (motor === "dialogflow") {
+      try {
+        const resultado = await comTimeout(
+          detectarDialogflow(sessionId, texto),
+          timeoutMs
+        );
+        return { ...resultado, origem: "dialogflow" };
+      } catch (error) {
+        console.error(
+          "Dialogflow indisponível, usando o classificador local:",
+          error.message
+        );
+      }
+    }
+    const resultado = await detectarIntentLocal(texto, contexto);
+    return { ...resultado, origem: "local" };
+  }
+
+  return { motor, detectar };
+}
+
+module.exports = {
+  criarDetectorDialogflow,
+  criarNlu,
+};
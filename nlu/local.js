@@ -0,0 +1,150 @@
+// local.js
+// Classificador de intents por regras, sem depender do Dialogflow. Cobre as
+// intents tratadas no webhook e devolve os parâmetros no mesmo formato do
+// Dialogflow (fields com stringValue ou listValue), então o webhook não
+// precisa saber qual motor respondeu.
+const {
+  encontrarServicosNoTexto,
+} = require("../controllers/servicoController");
+const { normalizarTexto } = require("../utils");
+const { interpretarDataHora } = require("./dataHora");
+
+const PADROES = {
+  cancelar: /\b(cancelar|cancela|cancelamento|desmarcar|desmarca)\b/,
+  reagendar:
+    /\b(reagendar|reagenda|reagendamento|remarcar|remarca|(mudar|trocar|alterar) (o |meu )?(horario|agendamento|dia))\b/,
+  confirmar:
+    /^(sim|s|isso|isso mesmo|confirmar|confirmo|confirma|ok|pode|pode ser|pode agendar|fechado|beleza|claro)\b/,
+  negar: /^(nao|n|negativo|nao quero)\b/,
+  saudacao:
+    /^(oi+|ola|opa|eai|e ai|bom dia|boa tarde|boa noite|menu|inicio|comecar|hello|hi)\b/,
+  numero: /^\d{1,3}$/,
+};
+
+// Pedidos sem parâmetros que o agente do Dialogflow pode não conhecer; o motor
+// da conversa (conversa/index.js) também os procura quando a intent é "default"
+const ATALHOS = {
+  repetir_agendamento:
+    /\b(o (mesmo )?de sempre|(o )?mesmo (da|que na) ultima vez|igual (a|da) ultima vez|repetir (o )?(meu )?ultimo)\b/,
+  meus_agendamentos:
+    /\b(meus agendamentos|meus horarios|minhas visitas|meu historico)\b/,
+  // Repetir o horário marcado: "a cada 2 semanas", "de 15 em 15 dias", "quinzenal"
+  criar_serie:
+    /\b(a cada (\w+ )?(semanas?|dias|mes|meses)|de \w+ em \w+ (semanas|dias)|(semanal|quinzenal|mensal)(mente)?|toda semana|todas as semanas|todo mes|repetir (esse|este) horario)\b/,
+};
+
+// Etapa da sessão -> intent de quem responde "sim" nela
+const CONFIRMACAO_POR_ETAPA = {
+  awaiting_name_choice: "confirmar_agendamento_com_nome",
+  confirmar_horario_proximo: "confirmar_horario_proximo",
+  confirmar_horario_proximo_reagendamento: "confirmar_horario_proximo",
+  confirmar_inicio_reagendamento: "confirmar_inicio_reagendamento",
+  awaiting_reagendamento_confirmation: "confirmar_reagendamento",
+  responder_lembrete: "confirmar_presenca",
+};
+
+// Etapa da sessão -> intent de quem responde com um número da lista
+const SELECAO_POR_ETAPA = {
+  awaiting_date_time: "escolha_datahora",
+  awaiting_reagendamento_datahora: "escolha_datahora_reagendamento",
+  selecionar_reagendamento: "selecionar_reagendamento",
+  selecionar_cancelamento: "selecionar_cancelamento",
+  awaiting_barbeiro: "escolha_barbeiro",
+};
+
+/**
+ * Intent de um atalho ("o de sempre", "meus agendamentos", "quinzenal").
+ * @param {string} texto - Mensagem do cliente.
+ * @returns {string|null} A intent ou null se não for um atalho.
+ */
+function reconhecerAtalho(texto) {
+  const normalizado = normalizarTexto(texto);
+  return (
+    Object.keys(ATALHOS).find((intent) => ATALHOS[intent].test(normalizado)) ||
+    null
+  );
+}
+
+/**
+ * Classifica a mensagem. O contexto da sessão desempata respostas curtas
+ * ("2", "sim") que só fazem sentido dentro de um fluxo.
+ * @param {string} texto - Mensagem original do cliente.
+ * @param {Object} [contexto]
+ * @param {string} [contexto.etapa] - confirmationStep da sessão.
+ * @param {Array<Object>} [contexto.servicos] - Serviços já reconhecidos na
+ *   mensagem.
+ * @param {Date} [contexto.agora] - Data de referência.
+ * @returns {{intent: string, parametros: Object, fulfillmentText: string}}
+ */
+function classificarIntent(texto, { etapa, servicos = [], agora } = {}) {
+  const normalizado = normalizarTexto(texto);
+  const pedido = interpretarDataHora(texto, agora);
+  const parametros = {};
+  if (servicos.length === 1) {
+    parametros.servico = { stringValue: servicos[0].nome };
+  } else if (servicos.length > 1) {
+    // Como uma entidade de lista do Dialogflow: "corte e barba"
+    parametros.servico = {
+      listValue: {
+        values: servicos.map(({ nome }) => ({ stringValue: nome })),
+      },
+    };
+  }
+  if (pedido?.tipo === "exato") {
+    parametros["date-time"] = { stringValue: pedido.data.toISOString() };
+  } else if (pedido) {
+    // Mesmo formato de período do @sys.date-time do Dialogflow
+    parametros["date-time"] = {
+      structValue: {
+        fields: {
+          startDateTime: { stringValue: pedido.inicio.toISOString() },
+          endDateTime: { stringValue: pedido.fim.toISOString() },
+        },
+      },
+    };
+  }
+  const resultado = (intent) => ({ intent, parametros, fulfillmentText: "" });
+
+  if (PADROES.cancelar.test(normalizado)) {
+    return resultado("cancelar_agendamento");
+  }
+  if (PADROES.reagendar.test(normalizado)) {
+    return resultado("reagendar_agendamento");
+  }
+  const atalho = reconhecerAtalho(texto);
+  if (atalho) return resultado(atalho);
+  if (
+    SELECAO_POR_ETAPA[etapa] &&
+    (PADROES.numero.test(normalizado) ||
+      (pedido && etapa !== "awaiting_barbeiro"))
+  ) {
+    return resultado(SELECAO_POR_ETAPA[etapa]);
+  }
+  if (PADROES.confirmar.test(normalizado)) {
+    return resultado(CONFIRMACAO_POR_ETAPA[etapa] || "confirmar_agendamento");
+  }
+  if (PADROES.negar.test(normalizado)) return resultado("default");
+  if (servicos.length) return resultado("escolha_servico");
+  if (pedido) return resultado("escolha_datahora");
+  if (PADROES.saudacao.test(normalizado)) return resultado("welcome_intent");
+  return resultado("default");
+}
+
+/**
+ * Motor local completo: reconhece os serviços pelo catálogo da barbearia e
+ * classifica.
+ * @param {string} texto - Mensagem do cliente.
+ * @param {Object} contexto - Contexto de classificarIntent mais a barbearia.
+ * @param {Object} contexto.barbearia - Barbearia dona do catálogo.
+ * @returns {Promise<Object>} Resultado de classificarIntent.
+ */
+async function detectarIntentLocal(texto, { barbearia, ...contexto }) {
+  const servicos = await encontrarServicosNoTexto(barbearia, texto);
+  return classificarIntent(texto, { ...contexto, servicos });
+}
+
+module.exports = {
+  reconhecerAtalho,
+  classificarIntent,
+  detectarIntentLocal,
+};
@@ -0,0 +1,578 @@
+// app.js
+// Painel do dono da barbearia. Fala só com a API de /admin/api (ou
+// /b/<slug>/admin/api, quando aberto por /b/<slug>/admin); o token fica no
+// localStorage do navegador, um por barbearia, e vai no cabeçalho Authorization.
+const PREFIXO = location.pathname.replace(/\/admin(\/.*)?$/, "");
+const BASE_API = `${PREFIXO}/admin/api`;
+const CHAVE_TOKEN = `reservai_admin_token${PREFIXO}`;
+
+const estado = {
+  barbeiros: [],
+  agendamentos: [],
+  aMover: null,
+};
+
+const $ = (seletor) => document.querySelector(seletor);
+
+/**
+ * Chama a API administrativa.
+ * @param {string} caminho - Caminho relativo a BASE_API.
+ * @param {Object} [opcoes] - method e body (objeto, vira JSON).
+ * @returns {Promise<Object>} Corpo da resposta.
+ */
+async function api(caminho, { method = "GET", body } = {}) {
+  const resposta = await fetch(`${BASE_API}${caminho}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem(CHAVE_TOKEN)}`,
+      ...(body ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (resposta.status === 401) {
+    sair("Token inválido ou expirado.");
+    throw new Error("Não autorizado.");
+  }
+  const dados = await resposta.json().catch(() => ({}));
+  if (!resposta.ok) {
+    const erro = new Error(dados.error || `Erro ${resposta.status}.`);
+    erro.politica = Boolean(dados.politica);
+    throw erro;
+  }
+  return dados;
+}
+
+/**
+ * Chama uma ação sobre um agendamento; se a política de cancelamento e
+ * reagendamento recusar, pergunta ao dono se quer passar por cima dela.
+ * @param {string} caminho - Caminho relativo a BASE_API.
+ * @param {Object} [body] - Corpo da requisição.
+ * @returns {Promise<Object|null>} Corpo da resposta, ou null se desistiu.
+ */
+async function apiComPolitica(caminho, body = {}) {
+  try {
+    return await api(caminho, { method: "POST", body });
+  } catch (error) {
+    if (!error.politica) throw error;
+    if (!confirm(`${error.message}\n\nFazer mesmo assim?`)) return null;
+    return api(caminho, { method: "POST", body: { ...body, forcar: true } });
+  }
+}
+
+// --- Utilitários de data ---
+
+function chaveData(data) {
+  const mes = String(data.getMonth() + 1).padStart(2, "0");
+  const dia = String(data.getDate()).padStart(2, "0");
+  return `${data.getFullYear()}-${mes}-${dia}`;
+}
+
+function lerData(chave) {
+  const [ano, mes, dia] = chave.split("-").map(Number);
+  return new Date(ano, mes - 1, dia);
+}
+
+function somarDias(data, dias) {
+  const nova = new Date(data);
+  nova.setDate(nova.getDate() + dias);
+  return nova;
+}
+
+function formatarHora(valor) {
+  return new Date(valor).toLocaleTimeString("pt-BR", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function formatarDia(data) {
+  return data.toLocaleDateString("pt-BR", {
+    weekday: "long",
+    day: "2-digit",
+    month: "2-digit",
+  });
+}
+
+function formatarPreco(valor) {
+  return Number(valor || 0).toLocaleString("pt-BR", {
+    style: "currency",
+    currency: "BRL",
+  });
+}
+
+function elemento(tag, propriedades = {}, filhos = []) {
+  const el = Object.assign(document.createElement(tag), propriedades);
+  el.append(...filhos);
+  return el;
+}
+
+function avisar(mensagem) {
+  const aviso = $("#aviso");
+  aviso.textContent = mensagem;
+  aviso.classList.toggle("oculto", !mensagem);
+}
+
+async function executar(acao) {
+  avisar("");
+  try {
+    await acao();
+  } catch (error) {
+    avisar(error.message);
+  }
+}
+
+// --- Login ---
+
+function mostrarPainel(logado) {
+  $("#login").classList.toggle("oculto", logado);
+  $("#painel").classList.toggle("oculto", !logado);
+}
+
+function sair(motivo = "") {
+  localStorage.removeItem(CHAVE_TOKEN);
+  $("#erro-login").textContent = motivo;
+  mostrarPainel(false);
+}
+
+async function entrar() {
+  mostrarPainel(true);
+  await executar(async () => {
+    estado.barbeiros = await api("/barbeiros");
+    for (const select of document.querySelectorAll(".filtro-barbeiro")) {
+      const manterTodos = select.id === "agenda-barbeiro";
+      select.replaceChildren(
+        ...(manterTodos
+          ? [
+              elemento("option", {
+                value: "",
+                textContent: "Todos os barbeiros",
+              }),
+            ]
+          : []),
+        ...estado.barbeiros.map((b) =>
+          elemento("option", { value: b.id, textContent: b.nome })
+        )
+      );
+    }
+    await carregarAgenda();
+  });
+}
+
+$("#form-login").addEventListener("submit", (event) => {
+  event.preventDefault();
+  localStorage.setItem(CHAVE_TOKEN, $("#token").value.trim());
+  $("#token").value = "";
+  $("#erro-login").textContent = "";
+  entrar();
+});
+
+$("#sair").addEventListener("click", () => sair());
+
+// --- Abas ---
+
+function abrirAba(nome) {
+  for (const botao of document.querySelectorAll("nav [data-aba]")) {
+    botao.classList.toggle("ativa", botao.dataset.aba === nome);
+  }
+  for (const aba of document.querySelectorAll(".aba")) {
+    aba.classList.toggle("oculto", aba.id !== `aba-${nome}`);
+  }
+  avisar("");
+  if (nome === "agenda") executar(carregarAgenda);
+  if (nome === "horarios") executar(carregarHorarios);
+}
+
+for (const botao of document.querySelectorAll("nav [data-aba]")) {
+  botao.addEventListener("click", () => abrirAba(botao.dataset.aba));
+}
+
+// --- Agenda (dia/semana) ---
+
+// Primeiro e último dia exibidos. Na semana, começa no domingo.
+function periodoAgenda() {
+  const data = lerData($("#agenda-data").value);
+  if ($("#agenda-visao").value === "dia") return [data, data];
+  const inicio = somarDias(data, -data.getDay());
+  return [inicio, somarDias(inicio, 6)];
+}
+
+async function carregarAgenda() {
+  const [inicio, fim] = periodoAgenda();
+  const filtros = new URLSearchParams({
+    data: chaveData(inicio),
+    ate: chaveData(fim),
+    status: "ativo,concluido,faltou",
+  });
+  if ($("#agenda-barbeiro").value) {
+    filtros.set("barbeiroId", $("#agenda-barbeiro").value);
+  }
+  estado.agendamentos = await api(`/agendamentos?${filtros}`);
+  desenharAgenda(inicio, fim);
+}
+
+function desenharAgenda(inicio, fim) {
+  const colunas = [];
+  for (let dia = inicio; dia <= fim; dia = somarDias(dia, 1)) {
+    const chave = chaveData(dia);
+    const doDia = estado.agendamentos.filter(
+      (a) => chaveData(new Date(a.dia_horario)) === chave
+    );
+    colunas.push(
+      elemento("div", { className: "dia" }, [
+        elemento("h2", { textContent: formatarDia(dia) }),
+        ...(doDia.length
+          ? doDia.map(cartaoAgendamento)
+          : [
+              elemento("p", {
+                className: "vazio",
+                textContent: "Sem agendamentos",
+              }),
+            ]),
+      ])
+    );
+  }
+  $("#calendario").replaceChildren(...colunas);
+}
+
+const ROTULOS_PRESENCA = {
+  concluido: " · ✔ compareceu",
+  faltou: " · ✖ faltou",
+};
+
+function cartaoAgendamento(agendamento) {
+  const acoes = [];
+  if (agendamento.status === "ativo") {
+    const mover = elemento("button", {
+      className: "secundario",
+      textContent: "Mover",
+    });
+    mover.addEventListener("click", () =>
+      executar(() => abrirMover(agendamento))
+    );
+    const cancelar = elemento("button", {
+      className: "perigo",
+      textContent: "Cancelar",
+    });
+    cancelar.addEventListener("click", () => cancelarAgendamento(agendamento));
+    acoes.push(mover, cancelar);
+    // Repetir cria uma série a partir deste agendamento; numa série, cancela
+    // este e os próximos
+    const serie = agendamento.serie_id
+      ? elemento("button", {
+          className: "perigo",
+          textContent: "Cancelar série",
+        })
+      : elemento("button", { className: "secundario", textContent: "Repetir" });
+    serie.addEventListener("click", () =>
+      agendamento.serie_id
+        ? cancelarSerie(agendamento)
+        : repetirAgendamento(agendamento)
+    );
+    acoes.push(serie);
+  }
+  // Depois do horário, o dono marca (ou corrige) o comparecimento
+  if (new Date(agendamento.dia_horario) <= new Date()) {
+    for (const [status, rotulo] of [
+      ["concluido", "Compareceu"],
+      ["faltou", "Faltou"],
+    ]) {
+      if (agendamento.status === status) continue;
+      const botao = elemento("button", {
+        className: status === "faltou" ? "perigo" : "secundario",
+        textContent: rotulo,
+      });
+      botao.addEventListener("click", () =>
+        marcarPresenca(agendamento, status)
+      );
+      acoes.push(botao);
+    }
+  }
+
+  return elemento("div", { className: "agendamento" }, [
+    elemento("strong", {
+      textContent: `${formatarHora(agendamento.dia_horario)} · ${agendamento.cliente}`,
+    }),
+    elemento("div", { textContent: agendamento.servico }),
+    elemento("div", {
+      textContent: `${agendamento.barbeiro} · ${formatarPreco(agendamento.preco)}${
+        agendamento.confirmado_em ? " · ✅ confirmado" : ""
+      }${
+        agendamento.serie_id
+          ? ` · 🔁 ${
+              Number(agendamento.intervalo_semanas) === 1
+                ? "toda semana"
+                : `a cada ${agendamento.intervalo_semanas} semanas`
+            }`
+          : ""
+      }${ROTULOS_PRESENCA[agendamento.status] || ""}${
+        agendamento.presenca_automatica ? " (automático)" : ""
+      }`,
+    }),
+    elemento("div", { className: "acoes" }, acoes),
+  ]);
+}
+
+function marcarPresenca(agendamento, status) {
+  executar(async () => {
+    await api(`/agendamentos/${agendamento.id}/presenca`, {
+      method: "POST",
+      body: { status },
+    });
+    await carregarAgenda();
+  });
+}
+
+function cancelarAgendamento(agendamento) {
+  const pergunta = `Cancelar ${agendamento.servico} de ${agendamento.cliente} às ${formatarHora(
+    agendamento.dia_horario
+  )}?`;
+  if (!confirm(pergunta)) return;
+  executar(async () => {
+    await apiComPolitica(`/agendamentos/${agendamento.id}/cancelar`);
+    await carregarAgenda();
+  });
+}
+
+function repetirAgendamento(agendamento) {
+  const intervalo = prompt("Repetir a cada quantas semanas?", "1");
+  if (!intervalo) return;
+  const vezes = prompt("Quantas vezes, contando este agendamento?", "4");
+  if (!vezes) return;
+  executar(async () => {
+    const { indisponiveis } = await api("/series", {
+      method: "POST",
+      body: {
+        agendamentoId: agendamento.id,
+        intervaloSemanas: Number(intervalo),
+        ocorrencias: Number(vezes),
+      },
+    });
+    await carregarAgenda();
+    if (indisponiveis.length) {
+      avisar(
+        `Sem horário livre em: ${indisponiveis
+          .map(
+            (d) =>
+              `${formatarDia(new Date(d.dia_horario))} ${formatarHora(d.dia_horario)}`
+          )
+          .join(", ")}.`
+      );
+    }
+  });
+}
+
+function cancelarSerie(agendamento) {
+  const pergunta = `Cancelar a série de ${agendamento.servico} de ${agendamento.cliente} (este e os próximos horários)?`;
+  if (!confirm(pergunta)) return;
+  executar(async () => {
+    const resultado = await apiComPolitica(
+      `/series/${agendamento.serie_id}/cancelar`
+    );
+    await carregarAgenda();
+    if (resultado?.recusados.length) {
+      avisar(
+        `${resultado.recusados.length} horário(s) da série não puderam ser cancelados; a série continua ativa.`
+      );
+    }
+  });
+}
+
+async function abrirMover(agendamento) {
+  const filtros = new URLSearchParams({
+    barbeiroId: agendamento.barbeiro_id,
+    duracaoMinutos: agendamento.duracao_minutos,
+  });
+  const livres = await api(`/horarios/livres?${filtros}`);
+  if (!livres.length) {
+    avisar(
+      `${agendamento.barbeiro} não tem outro horário livre para esse atendimento.`
+    );
+    return;
+  }
+  estado.aMover = agendamento;
+  $("#mover-descricao").textContent =
+    `${agendamento.cliente} · ${agendamento.servico} com ${agendamento.barbeiro}`;
+  $("#mover-horario").replaceChildren(
+    ...livres.map((h) =>
+      elemento("option", {
+        value: h.id,
+        textContent: `${formatarDia(new Date(h.dia_horario))} ${formatarHora(h.dia_horario)}`,
+      })
+    )
+  );
+  $("#dialogo-mover").showModal();
+}
+
+$("#dialogo-mover").addEventListener("close", () => {
+  const agendamento = estado.aMover;
+  estado.aMover = null;
+  if ($("#dialogo-mover").returnValue !== "confirmar" || !agendamento) return;
+  executar(async () => {
+    await apiComPolitica(`/agendamentos/${agendamento.id}/reagendar`, {
+      horarioId: Number($("#mover-horario").value),
+    });
+    await carregarAgenda();
+  });
+});
+
+$("#agenda-anterior").addEventListener("click", () => navegarAgenda(-1));
+$("#agenda-proximo").addEventListener("click", () => navegarAgenda(1));
+
+function navegarAgenda(sentido) {
+  const dias = $("#agenda-visao").value === "dia" ? 1 : 7;
+  $("#agenda-data").value = chaveData(
+    somarDias(lerData($("#agenda-data").value), sentido * dias)
+  );
+  executar(carregarAgenda);
+}
+
+for (const id of ["#agenda-data", "#agenda-visao", "#agenda-barbeiro"]) {
+  $(id).addEventListener("change", () => executar(carregarAgenda));
+}
+
+// --- Editor de horários ---
+
+async function carregarHorarios() {
+  const filtros = new URLSearchParams({
+    data: $("#horarios-data").value,
+    barbeiroId: $("#horarios-barbeiro").value,
+  });
+  const horarios = await api(`/horarios?${filtros}`);
+  $("#lista-horarios").replaceChildren(
+    ...(horarios.length
+      ? horarios.map(linhaHorario)
+      : [
+          elemento("tr", {}, [
+            elemento("td", {
+              colSpan: 3,
+              className: "vazio",
+              textContent: "Nenhum horário nesse dia.",
+            }),
+          ]),
+        ])
+  );
+}
+
+function linhaHorario(horario) {
+  const acoes = elemento("td");
+  let situacao = "Livre";
+  if (horario.agendamento_id) {
+    situacao = `Agendado (#${horario.agendamento_id})`;
+  } else {
+    if (!horario.disponivel) situacao = "Bloqueado";
+    const alternar = elemento("button", {
+      className: "secundario",
+      textContent: horario.disponivel ? "Bloquear" : "Liberar",
+    });
+    alternar.addEventListener("click", () =>
+      executar(async () => {
+        await api(`/horarios/${horario.id}`, {
+          method: "PATCH",
+          body: { disponivel: !horario.disponivel },
+        });
+        await carregarHorarios();
+      })
+    );
+    const remover = elemento("button", {
+      className: "perigo",
+      textContent: "Remover",
+    });
+    remover.addEventListener("click", () =>
+      executar(async () => {
+        await api(`/horarios/${horario.id}`, { method: "DELETE" });
+        await carregarHorarios();
+      })
+    );
+    acoes.append(alternar, " ", remover);
+  }
+  return elemento("tr", {}, [
+    elemento("td", { textContent: formatarHora(horario.dia_horario) }),
+    elemento("td", { textContent: situacao }),
+    acoes,
+  ]);
+}
+
+$("#form-horario").addEventListener("submit", (event) => {
+  event.preventDefault();
+  const diaHorario = new Date(
+    `${$("#horarios-data").value}T${$("#novo-horario-hora").value}`
+  );
+  executar(async () => {
+    await api("/horarios", {
+      method: "POST",
+      body: {
+        barbeiroId: Number($("#horarios-barbeiro").value),
+        diaHorario: diaHorario.toISOString(),
+      },
+    });
+    await carregarHorarios();
+  });
+});
+
+for (const id of ["#horarios-data", "#horarios-barbeiro"]) {
+  $(id).addEventListener("change", () => executar(carregarHorarios));
+}
+
+// --- Clientes ---
+
+$("#form-busca-cliente").addEventListener("submit", (event) => {
+  event.preventDefault();
+  executar(async () => {
+    const termo = $("#busca-cliente").value.trim();
+    const clientes = await api(
+      `/clientes?${new URLSearchParams({ busca: termo })}`
+    );
+    if (!clientes.length) {
+      $("#resultado-clientes").replaceChildren(
+        elemento("p", {
+          className: "vazio",
+          textContent: "Nenhum cliente encontrado.",
+        })
+      );
+      return;
+    }
+    const detalhes = await Promise.all(
+      clientes.slice(0, 10).map((c) => api(`/clientes/${c.id}`))
+    );
+    $("#resultado-clientes").replaceChildren(...detalhes.map(cartaoCliente));
+  });
+});
+
+function cartaoCliente(cliente) {
+  const proximos = cliente.agendamentos.filter(
+    (a) => a.status === "ativo" && new Date(a.dia_horario) >= new Date()
+  );
+  return elemento("div", { className: "dia" }, [
+    elemento("h2", {
+      textContent: `${cliente.nome || "Sem nome"} · ${cliente.telefone}`,
+    }),
+    elemento("p", {
+      textContent: `${cliente.agendamentos.length} agendamento(s) no histórico, ${proximos.length} futuro(s), ${cliente.faltas} falta(s), ${cliente.cancelamentos_tardios} cancelamento(s) fora do prazo.`,
+    }),
+    ...cliente.agendamentos
+      .slice(-5)
+      .reverse()
+      .map((a) =>
+        elemento("div", {
+          className: "agendamento",
+          textContent: `${formatarDia(new Date(a.dia_horario))} ${formatarHora(
+            a.dia_horario
+          )} · ${a.servico} com ${a.barbeiro} (${a.status}${
+            a.cancelamento_tardio ? ", fora do prazo" : ""
+          })`,
+        })
+      ),
+  ]);
+}
+
+// --- Início ---
+
+const hoje = chaveData(new Date());
+$("#agenda-data").value = hoje;
+$("#horarios-data").value = hoje;
+
+if (localStorage.getItem(CHAVE_TOKEN)) {
+  entrar();
+} else {
+  mostrarPainel(false);
+}
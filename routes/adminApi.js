@@ -0,0 +1,401 @@
+// adminApi.js
+// API REST do dono da barbearia, montada em /admin/api (barbearia padrão) e
+// /b/:barbearia/admin/api. Usa as mesmas funções dos controllers que o
+// chatbot, então as regras de negócio são as mesmas; req.barbearia vem de
+// identificarBarbearia e limita tudo aos dados dela.
+const express = require("express");
+const {
+  agendarServico,
+  buscarHorariosDisponiveis,
+} = require("../controllers/agendamentoController");
+const {
+  listarAgendamentos,
+  cancelarAgendamento,
+  reagendarAgendamento,
+} = require("../controllers/gerenciamentoController");
+const {
+  STATUS_PRESENCA,
+  registrarPresenca,
+} = require("../controllers/presencaController");
+const {
+  listarHorarios,
+  criarHorario,
+  alterarDisponibilidadeHorario,
+  removerHorario,
+} = require("../controllers/horarioController");
+const {
+  listarServicos,
+  criarServico,
+  atualizarServico,
+  desativarServico,
+} = require("../controllers/servicoController");
+const {
+  encontrarOuCriarCliente,
+  buscarClientes,
+  buscarClientePorId,
+  atualizarCliente,
+  removerCliente,
+} = require("../controllers/clienteController");
+const { listarBarbeirosAtivos } = require("../controllers/barbeiroController");
+const {
+  listarListaEspera,
+  removerDaListaEspera,
+} = require("../controllers/listaEsperaController");
+const { criarSerie, cancelarSerie } = require("../controllers/serieController");
+const { inicioDoDia } = require("../conversa/horarios");
+
+const router = express.Router();
+
+const DATA_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converte o retorno { success, message } dos controllers em resposta HTTP.
+ * @param {Object} res - Resposta do Express.
+ * @param {Object} result - Retorno do controller.
+ * @param {number} [statusSucesso] - Status em caso de sucesso.
+ */
+function responderResultado(res, result, statusSucesso = 200) {
+  if (result.success) {
+    const { success, ...dados } = result;
+    return res.status(statusSucesso).json({ ok: true, ...dados });
+  }
+  const status = /não encontrad/i.test(result.message || "") ? 404 : 409;
+  // politica: recusado pela política de cancelamento/reagendamento; o painel
+  // pode repetir com { forcar: true }
+  const corpo = { error: result.message };
+  if (result.politica) corpo.politica = true;
+  return res.status(status).json(corpo);
+}
+
+function idParam(req) {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function validarData(valor) {
+  return valor === undefined || DATA_REGEX.test(valor);
+}
+
+// Rotas com :id respondem 400 para ids que não são números
+router.param("id", (req, res, next) => {
+  if (!idParam(req)) return res.status(400).json({ error: "ID inválido." });
+  next();
+});
+
+// --- Agendamentos ---
+
+router.get("/agendamentos", async (req, res) => {
+  const { data, ate, status } = req.query;
+  if (!validarData(data) || !validarData(ate)) {
+    return res.status(400).json({ error: "Use datas no formato AAAA-MM-DD." });
+  }
+  const agendamentos = await listarAgendamentos(req.barbearia, {
+    data,
+    ate,
+    status,
+    barbeiroId: req.query.barbeiroId ? Number(req.query.barbeiroId) : null,
+    clienteId: req.query.clienteId ? Number(req.query.clienteId) : null,
+  });
+  res.json(agendamentos);
+});
+
+// Agendamento em nome de um cliente (ex: quem chegou sem marcar)
+router.post("/agendamentos", async (req, res) => {
+  const { telefone, nome, horarioId, servicoIds } = req.body || {};
+  if (!telefone || !horarioId || !Array.isArray(servicoIds)) {
+    return res
+      .status(400)
+      .json({ error: "Informe telefone, horarioId e servicoIds." });
+  }
+  const cliente = await encontrarOuCriarCliente(
+    req.barbearia,
+    String(telefone),
+    nome
+  );
+  const result = await agendarServico(
+    req.barbearia,
+    cliente.id,
+    Number(horarioId),
+    servicoIds.map(Number)
+  );
+  responderResultado(res, { ...result, clienteId: cliente.id }, 201);
+});
+
+// { forcar: true } ignora a política de cancelamento (fica registrado como
+// cancelamento tardio do cliente)
+router.post("/agendamentos/:id/cancelar", async (req, res) => {
+  responderResultado(
+    res,
+    await cancelarAgendamento(req.barbearia, idParam(req), {
+      forcar: req.body?.forcar === true,
+    })
+  );
+});
+
+router.post("/agendamentos/:id/reagendar", async (req, res) => {
+  const horarioId = Number(req.body?.horarioId);
+  if (!horarioId) {
+    return res.status(400).json({ error: "Informe o novo horarioId." });
+  }
+  responderResultado(
+    res,
+    await reagendarAgendamento(req.barbearia, idParam(req), horarioId, null, {
+      forcar: req.body?.forcar === true,
+    })
+  );
+});
+
+// Comparecimento de um agendamento que já aconteceu
+router.post("/agendamentos/:id/presenca", async (req, res) => {
+  const status = req.body?.status;
+  if (!STATUS_PRESENCA.includes(status)) {
+    return res
+      .status(400)
+      .json({ error: `Informe status: ${STATUS_PRESENCA.join(" ou ")}.` });
+  }
+  responderResultado(
+    res,
+    await registrarPresenca(req.barbearia, idParam(req), status)
+  );
+});
+
+// --- Séries (agendamentos recorrentes) ---
+
+// A partir de um agendamento ({ agendamentoId }) ou de um horário livre
+// ({ telefone, nome, horarioId, servicoIds }), a cada intervaloSemanas, por
+// `ocorrencias` vezes ou até o dia `ate` (AAAA-MM-DD, incluído). Datas
+// ocupadas ficam de fora e voltam em `indisponiveis`.
+router.post("/series", async (req, res) => {
+  const { agendamentoId, telefone, nome, horarioId, servicoIds, ate } =
+    req.body || {};
+  const intervaloSemanas = Number(req.body?.intervaloSemanas);
+  const ocorrencias = req.body?.ocorrencias
+    ? Number(req.body.ocorrencias)
+    : undefined;
+  if (
+    !agendamentoId &&
+    (!telefone || !horarioId || !Array.isArray(servicoIds))
+  ) {
+    return res.status(400).json({
+      error: "Informe agendamentoId ou telefone, horarioId e servicoIds.",
+    });
+  }
+  if (!Number.isInteger(intervaloSemanas) || !ocorrencias === !ate) {
+    return res.status(400).json({
+      error: "Informe intervaloSemanas e ocorrencias ou ate (só um dos dois).",
+    });
+  }
+  if (ate && !DATA_REGEX.test(ate)) {
+    return res.status(400).json({ error: "Use ate no formato AAAA-MM-DD." });
+  }
+  const recorrencia = { intervaloSemanas, ocorrencias };
+  if (ate) {
+    recorrencia.ate = inicioDoDia(ate);
+    recorrencia.ate.setDate(recorrencia.ate.getDate() + 1);
+  }
+
+  if (agendamentoId) {
+    return responderResultado(
+      res,
+      await criarSerie(req.barbearia, {
+        agendamentoId: Number(agendamentoId),
+        ...recorrencia,
+      }),
+      201
+    );
+  }
+  const cliente = await encontrarOuCriarCliente(
+    req.barbearia,
+    String(telefone),
+    nome
+  );
+  const result = await criarSerie(req.barbearia, {
+    clienteId: cliente.id,
+    horarioId: Number(horarioId),
+    servicoIds: servicoIds.map(Number),
+    ...recorrencia,
+  });
+  responderResultado(res, { ...result, clienteId: cliente.id }, 201);
+});
+
+// Cancela as próximas datas da série; { forcar: true } como no cancelamento
+// avulso. As que a política segurou voltam em `recusados`.
+router.post("/series/:id/cancelar", async (req, res) => {
+  responderResultado(
+    res,
+    await cancelarSerie(req.barbearia, idParam(req), {
+      forcar: req.body?.forcar === true,
+    })
+  );
+});
+
+// --- Horários ---
+
+router.get("/horarios", async (req, res) => {
+  const { data } = req.query;
+  if (!validarData(data)) {
+    return res.status(400).json({ error: "Use datas no formato AAAA-MM-DD." });
+  }
+  const disponivel =
+    req.query.disponivel === undefined
+      ? undefined
+      : req.query.disponivel === "true";
+  res.json(
+    await listarHorarios(req.barbearia, {
+      data,
+      disponivel,
+      barbeiroId: req.query.barbeiroId ? Number(req.query.barbeiroId) : null,
+    })
+  );
+});
+
+// Inícios livres em que cabe um atendimento da duração informada, opcionalmente
+// só entre data e ate (inclusive)
+router.get("/horarios/livres", async (req, res) => {
+  const { data, ate } = req.query;
+  if (!validarData(data) || !validarData(ate)) {
+    return res.status(400).json({ error: "Use datas no formato AAAA-MM-DD." });
+  }
+  const barbeiroId = req.query.barbeiroId ? Number(req.query.barbeiroId) : null;
+  const duracaoMinutos = req.query.duracaoMinutos
+    ? Number(req.query.duracaoMinutos)
+    : undefined;
+  const filtros = {};
+  if (data) filtros.de = inicioDoDia(data);
+  if (data || ate) {
+    filtros.ate = inicioDoDia(ate || data);
+    filtros.ate.setDate(filtros.ate.getDate() + 1);
+  }
+  res.json(
+    await buscarHorariosDisponiveis(
+      req.barbearia,
+      barbeiroId,
+      duracaoMinutos,
+      filtros
+    )
+  );
+});
+
+router.post("/horarios", async (req, res) => {
+  const { barbeiroId, diaHorario } = req.body || {};
+  responderResultado(
+    res,
+    await criarHorario(req.barbearia, Number(barbeiroId), diaHorario),
+    201
+  );
+});
+
+router.patch("/horarios/:id", async (req, res) => {
+  if (typeof req.body?.disponivel !== "boolean") {
+    return res.status(400).json({ error: "Informe disponivel (true/false)." });
+  }
+  responderResultado(
+    res,
+    await alterarDisponibilidadeHorario(
+      req.barbearia,
+      idParam(req),
+      req.body.disponivel
+    )
+  );
+});
+
+router.delete("/horarios/:id", async (req, res) => {
+  responderResultado(res, await removerHorario(req.barbearia, idParam(req)));
+});
+
+// --- Serviços ---
+
+router.get("/servicos", async (req, res) => {
+  res.json(await listarServicos(req.barbearia));
+});
+
+router.post("/servicos", async (req, res) => {
+  responderResultado(
+    res,
+    await criarServico(req.barbearia, req.body || {}),
+    201
+  );
+});
+
+router.patch("/servicos/:id", async (req, res) => {
+  responderResultado(
+    res,
+    await atualizarServico(req.barbearia, idParam(req), req.body || {})
+  );
+});
+
+router.delete("/servicos/:id", async (req, res) => {
+  responderResultado(res, await desativarServico(req.barbearia, idParam(req)));
+});
+
+// --- Clientes ---
+
+router.get("/clientes", async (req, res) => {
+  res.json(
+    await buscarClientes(
+      req.barbearia,
+      req.query.busca || req.query.telefone || ""
+    )
+  );
+});
+
+router.post("/clientes", async (req, res) => {
+  const { telefone, nome } = req.body || {};
+  if (!telefone) {
+    return res.status(400).json({ error: "Informe o telefone." });
+  }
+  res
+    .status(201)
+    .json(await encontrarOuCriarCliente(req.barbearia, String(telefone), nome));
+});
+
+router.get("/clientes/:id", async (req, res) => {
+  const cliente = await buscarClientePorId(req.barbearia, idParam(req));
+  if (!cliente) {
+    return res.status(404).json({ error: "Cliente não encontrado." });
+  }
+  const agendamentos = await listarAgendamentos(req.barbearia, {
+    clienteId: cliente.id,
+  });
+  res.json({ ...cliente, agendamentos });
+});
+
+router.patch("/clientes/:id", async (req, res) => {
+  responderResultado(
+    res,
+    await atualizarCliente(req.barbearia, idParam(req), req.body || {})
+  );
+});
+
+router.delete("/clientes/:id", async (req, res) => {
+  responderResultado(res, await removerCliente(req.barbearia, idParam(req)));
+});
+
+// --- Barbeiros ---
+
+router.get("/barbeiros", async (req, res) => {
+  res.json(await listarBarbeirosAtivos(req.barbearia));
+});
+
+// --- Lista de espera ---
+
+router.get("/lista-espera", async (req, res) => {
+  res.json(
+    await listarListaEspera(req.barbearia, { status: req.query.status })
+  );
+});
+
+router.delete("/lista-espera/:id", async (req, res) => {
+  responderResultado(
+    res,
+    await removerDaListaEspera(req.barbearia, idParam(req))
+  );
+});
+
+// Erros inesperados (consultas que lançam exceção) viram 500 em JSON
+router.use((error, req, res, next) => {
+  console.error("Erro na API administrativa:", error);
+  res.status(500).json({ error: "Erro interno." });
+});
+
+module.exports = router;
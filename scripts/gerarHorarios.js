@@ -0,0 +1,31 @@
+// Gera os horários dos próximos dias a partir de config/agenda.json.
+// Uso: npm run gerar-horarios [-- --semanas 6]
+// Com a configuração inválida, para aqui com a lista do que corrigir
+const { obterConfig } = require("../config");
+try {
+  obterConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const pool = require("../db");
+const { gerarHorarios } = require("../services/geradorHorarios");
+
+async function main() {
+  const indice = process.argv.indexOf("--semanas");
+  const semanas =
+    indice !== -1 ? parseInt(process.argv[indice + 1], 10) : undefined;
+  if (indice !== -1 && (!Number.isInteger(semanas) || semanas <= 0)) {
+    throw new Error("--semanas deve ser um número inteiro positivo.");
+  }
+
+  const { criados, removidos } = await gerarHorarios({ semanas });
+  console.log(`Horários gerados: ${criados} criados, ${removidos} removidos.`);
+}
+
+main()
+  .catch((error) => {
+    console.error("Erro ao gerar horários:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,81 @@
+// Migrações do banco (pasta migrations/).
+// Uso: npm run migrate -- up [--ate 005]
+//      npm run migrate -- down [--passos 2]
+//      npm run migrate -- status
+//      npm run migrate -- marcar 008   (banco criado com os antigos scripts sql/)
+// Com a configuração inválida, para aqui com a lista do que corrigir
+const { obterConfig } = require("../config");
+try {
+  obterConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const pool = require("../db");
+const { criarMigrador } = require("../services/migracoes");
+
+function lerOpcao(nome) {
+  const indice = process.argv.indexOf(nome);
+  return indice !== -1 ? process.argv[indice + 1] : undefined;
+}
+
+function validarVersao(versao, opcao) {
+  if (versao !== undefined && !/^\d{3}$/.test(versao)) {
+    throw new Error(`${opcao} deve ser uma versão com 3 dígitos (ex: 005).`);
+  }
+  return versao;
+}
+
+const descrever = (m) => `${m.versao}_${m.nome}`;
+
+async function main() {
+  const comando = process.argv[2];
+  const migrador = criarMigrador(pool);
+
+  switch (comando) {
+    case "up": {
+      const aplicadas = await migrador.subir({
+        ate: validarVersao(lerOpcao("--ate"), "--ate"),
+      });
+      aplicadas.forEach((m) => console.log(`Aplicada: ${descrever(m)}`));
+      if (!aplicadas.length) console.log("Nenhuma migração pendente.");
+      break;
+    }
+    case "down": {
+      const valor = lerOpcao("--passos");
+      const passos = valor === undefined ? 1 : parseInt(valor, 10);
+      if (!Number.isInteger(passos) || passos <= 0) {
+        throw new Error("--passos deve ser um número inteiro positivo.");
+      }
+      const desfeitas = await migrador.descer({ passos });
+      desfeitas.forEach((m) => console.log(`Desfeita: ${descrever(m)}`));
+      if (!desfeitas.length) console.log("Nenhuma migração aplicada.");
+      break;
+    }
+    case "status": {
+      for (const m of await migrador.status()) {
+        const situacao = m.aplicadaEm
+          ? `aplicada em ${new Date(m.aplicadaEm).toLocaleString("pt-BR")}`
+          : "pendente";
+        console.log(`${descrever(m)}: ${situacao}`);
+      }
+      break;
+    }
+    case "marcar": {
+      const ate = validarVersao(process.argv[3], "A versão");
+      if (!ate) throw new Error("Informe a última versão já aplicada.");
+      const marcadas = await migrador.marcar(ate);
+      marcadas.forEach((m) => console.log(`Marcada: ${descrever(m)}`));
+      break;
+    }
+    default:
+      throw new Error("Comando inválido. Use up, down, status ou marcar.");
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error("Erro nas migrações:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
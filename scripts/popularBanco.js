@@ -0,0 +1,112 @@
+// Dados de desenvolvimento: os três serviços, um barbeiro e os horários das
+// próximas semanas de uma barbearia (a padrão, se --barbearia não for
+// informado; criada se ainda não existir). Só cria o que falta, então pode
+// rodar de novo.
+// Uso: npm run seed [-- --semanas 2] [-- --barbearia slug]
+// Com a configuração inválida, para aqui com a lista do que corrigir
+const { obterConfig } = require("../config");
+try {
+  obterConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const pool = require("../db");
+const {
+  buscarBarbeariaPorSlug,
+  invalidarCacheBarbearias,
+} = require("../controllers/barbeariaController");
+const { gerarHorarios } = require("../services/geradorHorarios");
+
+const SEMANAS_PADRAO = 2;
+
+const SERVICOS = [
+  {
+    nome: "Corte",
+    sinonimos: "cortar cabelo,cabelo",
+    duracao_minutos: 30,
+    preco: 35,
+  },
+  { nome: "Barba", sinonimos: "fazer barba", duracao_minutos: 30, preco: 25 },
+  {
+    nome: "Sobrancelha",
+    sinonimos: "fazer sobrancelha",
+    duracao_minutos: 15,
+    preco: 15,
+  },
+];
+
+async function main() {
+  const indice = process.argv.indexOf("--semanas");
+  const semanas =
+    indice !== -1 ? parseInt(process.argv[indice + 1], 10) : SEMANAS_PADRAO;
+  if (!Number.isInteger(semanas) || semanas <= 0) {
+    throw new Error("--semanas deve ser um número inteiro positivo.");
+  }
+  const indiceBarbearia = process.argv.indexOf("--barbearia");
+  const slug =
+    indiceBarbearia !== -1
+      ? process.argv[indiceBarbearia + 1]
+      : obterConfig().barbeariaPadrao;
+  if (!slug || !/^[a-z0-9-]+$/.test(slug)) {
+    throw new Error(
+      "--barbearia deve ser um slug (letras minúsculas, números e -)."
+    );
+  }
+
+  await pool.query("INSERT IGNORE INTO barbearias (slug) VALUES (?)", [slug]);
+  invalidarCacheBarbearias();
+  const barbearia = await buscarBarbeariaPorSlug(slug);
+  if (!barbearia) {
+    throw new Error(
+      `Barbearia "${slug}" inativa ou com configuração inválida.`
+    );
+  }
+
+  let servicosCriados = 0;
+  for (const servico of SERVICOS) {
+    const [result] = await pool.query(
+      `INSERT INTO servicos
+         (barbearia_id, nome, sinonimos, duracao_minutos, preco, ativo)
+       SELECT ?, ?, ?, ?, ?, TRUE FROM DUAL
+       WHERE NOT EXISTS (
+         SELECT 1 FROM servicos WHERE barbearia_id = ? AND nome = ?
+       )`,
+      [
+        barbearia.id,
+        servico.nome,
+        servico.sinonimos,
+        servico.duracao_minutos,
+        servico.preco,
+        barbearia.id,
+        servico.nome,
+      ]
+    );
+    servicosCriados += result.affectedRows;
+  }
+
+  // A migração 002 já cria um barbeiro padrão; garante um se ele foi removido
+  await pool.query(
+    `INSERT INTO barbeiros (barbearia_id, nome)
+     SELECT ?, 'Barbeiro' FROM DUAL
+     WHERE NOT EXISTS (
+       SELECT 1 FROM barbeiros WHERE barbearia_id = ? AND ativo = TRUE
+     )`,
+    [barbearia.id, barbearia.id]
+  );
+
+  const { criados } = await gerarHorarios({
+    barbearias: [barbearia],
+    semanas,
+  });
+  console.log(
+    `Seed de "${slug}" concluído: ${servicosCriados} serviço(s) e ${criados} horário(s) criados.`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error("Erro ao popular o banco:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,154 @@
+// Dispara reservas simultâneas do mesmo horário contra o banco configurado em
+// db.js e confere que só uma vence. Cria agendamentos de um cliente de teste e
+// cancela todos no final; use um banco de desenvolvimento.
+// Uso: npm run testar-concorrencia [-- --paralelas 10] [-- --barbearia slug]
+// Com a configuração inválida, para aqui com a lista do que corrigir
+const { obterConfig } = require("../config");
+try {
+  obterConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const pool = require("../db");
+const {
+  buscarBarbeariaPorSlug,
+} = require("../controllers/barbeariaController");
+const {
+  agendarServico,
+  buscarHorariosDisponiveis,
+} = require("../controllers/agendamentoController");
+const {
+  cancelarAgendamento,
+  reagendarAgendamento,
+} = require("../controllers/gerenciamentoController");
+const { listarServicosAtivos } = require("../controllers/servicoController");
+const { encontrarOuCriarCliente } = require("../controllers/clienteController");
+
+const TELEFONE_TESTE = "teste:concorrencia";
+
+function lerParalelas() {
+  const indice = process.argv.indexOf("--paralelas");
+  if (indice === -1) return 10;
+  const paralelas = parseInt(process.argv[indice + 1], 10);
+  if (!Number.isInteger(paralelas) || paralelas < 2) {
+    throw new Error("--paralelas deve ser um número inteiro maior que 1.");
+  }
+  return paralelas;
+}
+
+async function lerBarbearia() {
+  const indice = process.argv.indexOf("--barbearia");
+  const slug =
+    indice !== -1 ? process.argv[indice + 1] : obterConfig().barbeariaPadrao;
+  const barbearia = await buscarBarbeariaPorSlug(slug);
+  if (!barbearia) throw new Error(`Barbearia "${slug}" não encontrada.`);
+  return barbearia;
+}
+
+/**
+ * Confere o resultado de uma rodada: exatamente uma operação com sucesso e
+ * todas as outras recusadas como horário ocupado.
+ * @returns {boolean} Se a rodada passou.
+ */
+function conferir(nome, resultados) {
+  const vencedores = resultados.filter((r) => r.success);
+  const ocupados = resultados.filter((r) => r.ocupado);
+  const outros = resultados.length - vencedores.length - ocupados.length;
+  const ok = vencedores.length === 1 && outros === 0;
+  console.log(
+    `${ok ? "OK  " : "FALHOU"} ${nome}: ${vencedores.length} sucesso(s), ${ocupados.length} ocupado(s), ${outros} erro(s).`
+  );
+  return ok;
+}
+
+async function main() {
+  const paralelas = lerParalelas();
+  const barbearia = await lerBarbearia();
+  const cliente = await encontrarOuCriarCliente(
+    barbearia,
+    TELEFONE_TESTE,
+    "Teste"
+  );
+  const [servico] = await listarServicosAtivos(barbearia);
+  if (!servico) throw new Error("Cadastre ao menos um serviço.");
+
+  const horarios = await buscarHorariosDisponiveis(
+    barbearia,
+    null,
+    servico.duracao_minutos
+  );
+  // Três inícios do mesmo barbeiro que não se sobrepõem: um para a corrida
+  // de reservas e dois agendamentos que depois disputam o primeiro
+  const duracaoMs = servico.duracao_minutos * 60 * 1000;
+  const escolhidos = [];
+  for (const h of horarios) {
+    const anterior = escolhidos[escolhidos.length - 1];
+    if (
+      escolhidos.length < 3 &&
+      (!anterior ||
+        (h.barbeiro_id === anterior.barbeiro_id &&
+          new Date(h.dia_horario) - new Date(anterior.dia_horario) >=
+            duracaoMs))
+    ) {
+      escolhidos.push(h);
+    }
+  }
+  if (escolhidos.length < 3) {
+    throw new Error("São necessários ao menos 3 horários livres.");
+  }
+  const [alvo, origemA, origemB] = escolhidos;
+
+  // Os horários mais próximos podem estar dentro do prazo da política de
+  // cancelamento: as operações de teste a ignoram
+  const forcado = { forcar: true };
+  const criados = [];
+  let ok = true;
+  try {
+    // 1. Várias reservas do mesmo horário ao mesmo tempo
+    const reservas = await Promise.all(
+      Array.from({ length: paralelas }, () =>
+        agendarServico(barbearia, cliente.id, alvo.id, [servico.id])
+      )
+    );
+    criados.push(
+      ...reservas.filter((r) => r.success).map((r) => r.agendamentoId)
+    );
+    ok = conferir("reservas simultâneas", reservas) && ok;
+
+    // 2. Dois reagendamentos disputando o mesmo horário recém-liberado
+    for (const id of criados.splice(0))
+      await cancelarAgendamento(barbearia, id, forcado);
+    const a = await agendarServico(barbearia, cliente.id, origemA.id, [
+      servico.id,
+    ]);
+    const b = await agendarServico(barbearia, cliente.id, origemB.id, [
+      servico.id,
+    ]);
+    criados.push(
+      ...[a, b].filter((r) => r.success).map((r) => r.agendamentoId)
+    );
+    if (criados.length !== 2) {
+      throw new Error("Falha ao preparar os reagendamentos.");
+    }
+    const reagendamentos = await Promise.all(
+      criados.map((id) =>
+        reagendarAgendamento(barbearia, id, alvo.id, null, forcado)
+      )
+    );
+    ok = conferir("reagendamentos simultâneos", reagendamentos) && ok;
+  } finally {
+    for (const id of criados) {
+      await cancelarAgendamento(barbearia, id, forcado);
+    }
+  }
+
+  if (!ok) process.exitCode = 1;
+}
+
+main()
+  .catch((error) => {
+    console.error("Erro no teste de concorrência:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,74 @@
+// barbearias.js
+// Ajudantes para atender uma barbearia específica.
+//
+// Horários são gravados no relógio local da barbearia (DATETIME sem fuso) e
+// lidos como datas locais do processo, cujo fuso é o da configuração. Para
+// uma barbearia em outro fuso, "agora" precisa ser o relógio dela expresso do
+// mesmo jeito: é o que agoraNaBarbearia devolve.
+const { obterConfig } = require("../config");
+
+/**
+ * Hora atual no relógio da barbearia, como Date local do processo.
+ * @param {Object} barbearia - Barbearia (controllers/barbeariaController.js).
+ * @param {Date} [instante] - Instante de referência.
+ * @returns {Date} Data cujos getHours/getDate... são os do relógio da barbearia.
+ */
+function agoraNaBarbearia(barbearia, instante = new Date()) {
+  if (barbearia.fusoHorario === obterConfig().fusoHorario) {
+    return new Date(instante);
+  }
+  const partes = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: barbearia.fusoHorario,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instante)
+      .map((parte) => [parte.type, Number(parte.value)])
+  );
+  return new Date(
+    partes.year,
+    partes.month - 1,
+    partes.day,
+    partes.hour,
+    partes.minute,
+    partes.second,
+    instante.getMilliseconds()
+  );
+}
+
+/**
+ * Texto fixo do bot para a barbearia, com {barbearia} e outros marcadores.
+ * @param {Object} barbearia - Barbearia.
+ * @param {string} chave - Chave em textos (boasVindas, naoEntendi...).
+ * @param {Object} [valores] - Marcadores extras.
+ * @returns {string} Texto pronto.
+ */
+function texto(barbearia, chave, valores = {}) {
+  const marcadores = { barbearia: barbearia.nome, ...valores };
+  return barbearia.textos[chave].replace(/\{(\w+)\}/g, (original, nome) =>
+    nome in marcadores ? marcadores[nome] : original
+  );
+}
+
+/**
+ * Chave da conversa (sessão e reserva temporária): o mesmo telefone pode
+ * falar com duas barbearias sem misturar os estados.
+ * @param {Object} barbearia - Barbearia.
+ * @param {string} remetente - From do Twilio ou sessionId do chat web.
+ * @returns {string} Chave.
+ */
+function chaveConversa(barbearia, remetente) {
+  return `${barbearia.id}:${remetente}`;
+}
+
+module.exports = {
+  agoraNaBarbearia,
+  texto,
+  chaveConversa,
+};
@@ -0,0 +1,206 @@
+// geradorHorarios.js
+// Materializa horarios_disponiveis a partir da agenda de cada barbearia
+// (a própria, na tabela barbearias, ou config/agenda.json).
+// Pode rodar quantas vezes quiser: cria só o que falta e nunca mexe em
+// horários ocupados ou já usados por algum agendamento.
+const pool = require("../db");
+const { listarBarbeirosAtivos } = require("../controllers/barbeiroController");
+const {
+  listarBarbeariasAtivas,
+} = require("../controllers/barbeariaController");
+const { DIAS_SEMANA, horaParaMinutos } = require("../config/agenda");
+const { agoraNaBarbearia } = require("./barbearias");
+const { chaveData } = require("../utils");
+
+/**
+ * Subtrai os intervalos (almoço etc.) de uma janela de funcionamento.
+ * @param {number} abre - Abertura em minutos.
+ * @param {number} fecha - Fechamento em minutos.
+ * @param {Array<Object>} intervalos - Intervalos com inicio/fim "HH:MM".
+ * @returns {Array<Array<number>>} Janelas [inicio, fim] em minutos.
+ */
+function subtrairIntervalos(abre, fecha, intervalos = []) {
+  let janelas = [[abre, fecha]];
+  for (const intervalo of intervalos) {
+    const inicio = horaParaMinutos(intervalo.inicio);
+    const fim = horaParaMinutos(intervalo.fim);
+    janelas = janelas.flatMap(([a, f]) => {
+      if (fim <= a || inicio >= f) return [[a, f]];
+      return [
+        [a, Math.min(inicio, f)],
+        [Math.max(fim, a), f],
+      ].filter(([x, y]) => x < y);
+    });
+  }
+  return janelas;
+}
+
+/**
+ * Calcula os inícios de horário previstos pela agenda.
+ * @param {Object} agenda - Agenda validada (config/agenda.js).
+ * @param {Date} inicio - A partir de quando gerar (horários passados ficam de fora).
+ * @param {number} semanas - Quantas semanas à frente.
+ * @returns {Array<Date>} Inícios em ordem cronológica.
+ */
+function calcularHorariosDaAgenda(agenda, inicio, semanas) {
+  const passo = agenda.duracaoSlotMinutos;
+  const fechadas = new Set(agenda.datasFechadas || []);
+  const horarios = [];
+
+  const dia = new Date(inicio);
+  dia.setHours(0, 0, 0, 0);
+  for (let i = 0; i < semanas * 7; i++) {
+    const data = new Date(dia);
+    data.setDate(dia.getDate() + i);
+    const chave = chaveData(data);
+
+    const janelas = [];
+    const config = agenda.funcionamento?.[DIAS_SEMANA[data.getDay()]];
+    if (config && !fechadas.has(chave)) {
+      janelas.push(
+        ...subtrairIntervalos(
+          horaParaMinutos(config.abre),
+          horaParaMinutos(config.fecha),
+          config.intervalos
+        )
+      );
+    }
+    // Horários extras valem mesmo em datas fechadas (ex: plantão de feriado)
+    for (const extra of agenda.horariosExtras || []) {
+      if (extra.data === chave) {
+        janelas.push([
+          horaParaMinutos(extra.abre),
+          horaParaMinutos(extra.fecha),
+        ]);
+      }
+    }
+
+    const minutosDoDia = new Set();
+    for (const [abre, fecha] of janelas) {
+      for (let m = abre; m + passo <= fecha; m += passo) minutosDoDia.add(m);
+    }
+    for (const minutos of [...minutosDoDia].sort((a, b) => a - b)) {
+      const horario = new Date(data);
+      horario.setHours(Math.floor(minutos / 60), minutos % 60, 0, 0);
+      if (horario > inicio) horarios.push(horario);
+    }
+  }
+  return horarios;
+}
+
+/**
+ * Gera os horários de cada barbearia ativa (ver gerarHorariosDaBarbearia).
+ * @param {Object} [opcoes] - Opções de gerarHorariosDaBarbearia.
+ * @param {Array<Object>} [opcoes.barbearias] - Só estas barbearias.
+ * @returns {Promise<{criados: number, removidos: number}>} Soma de todas.
+ */
+async function gerarHorarios(opcoes = {}) {
+  const barbearias = opcoes.barbearias || (await listarBarbeariasAtivas());
+  const total = { criados: 0, removidos: 0 };
+  for (const barbearia of barbearias) {
+    const { criados, removidos } = await gerarHorariosDaBarbearia(
+      barbearia,
+      opcoes
+    );
+    total.criados += criados;
+    total.removidos += removidos;
+  }
+  return total;
+}
+
+/**
+ * Cria os horários que faltam para cada barbeiro ativo da barbearia e remove
+ * os horários livres (nunca usados) que deixaram de existir na agenda, como
+ * um feriado cadastrado depois. Horários cadastrados à mão (origem 'manual')
+ * nunca são removidos.
+ * @param {Object} barbearia - Barbearia (controllers/barbeariaController.js).
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.semanas] - Semanas à frente. Padrão: agenda.semanasAFrente.
+ * @param {Object} [opcoes.agenda] - Agenda já carregada. Padrão: a da barbearia.
+ * @param {Date} [opcoes.agora] - Data de referência. Padrão: agora no relógio dela.
+ * @returns {Promise<{criados: number, removidos: number}>} Resumo da execução.
+ */
+async function gerarHorariosDaBarbearia(barbearia, opcoes = {}) {
+  const agenda = opcoes.agenda || barbearia.agenda;
+  const semanas = opcoes.semanas || agenda.semanasAFrente;
+  const agora = opcoes.agora || agoraNaBarbearia(barbearia);
+  const fimJanela = new Date(agora);
+  fimJanela.setDate(fimJanela.getDate() + semanas * 7);
+
+  const previstos = calcularHorariosDaAgenda(agenda, agora, semanas);
+  const previstosMs = new Set(previstos.map((h) => h.getTime()));
+  const barbeiros = await listarBarbeirosAtivos(barbearia);
+
+  let criados = 0;
+  let removidos = 0;
+  for (const barbeiro of barbeiros) {
+    if (previstos.length) {
+      const [result] = await pool.query(
+        `INSERT IGNORE INTO horarios_disponiveis
+           (barbeiro_id, dia_horario, dia_semana, disponivel)
+         VALUES ?`,
+        [
+          previstos.map((h) => [
+            barbeiro.id,
+            h,
+            h.toLocaleDateString("pt-BR", { weekday: "long" }).toLowerCase(),
+            true,
+          ]),
+        ]
+      );
+      criados += result.affectedRows;
+    }
+
+    const [livres] = await pool.query(
+      `SELECT h.id, h.dia_horario
+       FROM horarios_disponiveis h
+       WHERE h.barbeiro_id = ?
+       AND h.dia_horario > ?
+       AND h.dia_horario <= ?
+       AND h.disponivel = TRUE
+       AND h.origem = 'agenda'
+       AND NOT EXISTS (SELECT 1 FROM agendamentos a WHERE a.horario_id = h.id)
+       AND NOT EXISTS (
+         SELECT 1 FROM agendamentos_horarios ah WHERE ah.horario_id = h.id
+       )`,
+      [barbeiro.id, agora, fimJanela]
+    );
+    const obsoletos = livres
+      .filter((h) => !previstosMs.has(new Date(h.dia_horario).getTime()))
+      .map((h) => h.id);
+    if (obsoletos.length) {
+      const [result] = await pool.query(
+        "DELETE FROM horarios_disponiveis WHERE id IN (?) AND disponivel = TRUE",
+        [obsoletos]
+      );
+      removidos += result.affectedRows;
+    }
+  }
+
+  return { criados, removidos };
+}
+
+/**
+ * Gera os horários até uma data além da janela de semanasAFrente (ex: as
+ * datas de uma série recorrente). Dentro da janela, não faz nada: a geração
+ * periódica já cuida dela.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Date} ate - Último horário necessário.
+ * @returns {Promise<{criados: number, removidos: number}>} Resumo da execução.
+ */
+async function garantirHorariosAte(barbearia, ate) {
+  const agora = agoraNaBarbearia(barbearia);
+  const semanas = Math.ceil((ate - agora) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  if (semanas <= barbearia.agenda.semanasAFrente) {
+    return { criados: 0, removidos: 0 };
+  }
+  return gerarHorariosDaBarbearia(barbearia, { semanas, agora });
+}
+
+module.exports = {
+  subtrairIntervalos,
+  calcularHorariosDaAgenda,
+  gerarHorarios,
+  gerarHorariosDaBarbearia,
+  garantirHorariosAte,
+};
@@ -0,0 +1,37 @@
+// horariosLiberados.js
+// Aviso, dentro do processo, de que horários voltaram a ficar livres
+// (cancelamento, reagendamento, oferta recusada, horário desbloqueado). Quem
+// ouve é a lista de espera (services/listaEspera.js); o que acontece em outros
+// processos ela pega na verificação periódica.
+const ouvintes = new Set();
+
+/**
+ * Registra uma função chamada com (barbearia, horarioIds) a cada liberação.
+ * @param {Function} ouvinte - Pode ser assíncrona; erros só vão para o log.
+ * @returns {Function} Função que cancela o registro.
+ */
+function aoLiberarHorarios(ouvinte) {
+  ouvintes.add(ouvinte);
+  return () => ouvintes.delete(ouvinte);
+}
+
+/**
+ * Avisa os ouvintes sem esperar por eles: quem cancelou recebe a resposta
+ * sem aguardar as mensagens da lista de espera.
+ * @param {Object} barbearia - Barbearia dos horários.
+ * @param {Array<number>} horarioIds - Horários liberados.
+ */
+function avisarHorariosLiberados(barbearia, horarioIds) {
+  for (const ouvinte of ouvintes) {
+    Promise.resolve()
+      .then(() => ouvinte(barbearia, horarioIds))
+      .catch((error) =>
+        console.error("Erro ao avisar horários liberados:", error)
+      );
+  }
+}
+
+module.exports = {
+  aoLiberarHorarios,
+  avisarHorariosLiberados,
+};
@@ -0,0 +1,151 @@
+// lembretes.js
+// Lembretes enviados antes de cada agendamento ativo. O cliente pode responder
+// "Confirmar" ou "Cancelar"; a resposta é tratada no webhook pela etapa
+// "responder_lembrete" da sessão.
+const {
+  listarAgendamentosParaLembrete,
+  registrarLembreteEnviado,
+  removerRegistroLembrete,
+} = require("../controllers/lembreteController");
+const {
+  listarBarbeariasAtivas,
+} = require("../controllers/barbeariaController");
+const { chaveConversa } = require("./barbearias");
+const {
+  verificarPolitica,
+  exigenciaPorFaltas,
+  avisarSobreFaltas,
+} = require("./politica");
+const { formatarData } = require("../utils");
+
+// Do maior para o menor: a janela de cada lembrete termina onde começa a do próximo
+const LEMBRETES = [
+  { tipo: "24h", antecedenciaMinutos: 24 * 60 },
+  { tipo: "2h", antecedenciaMinutos: 2 * 60 },
+];
+
+const INTERVALO_VERIFICACAO_MS = 60 * 1000;
+
+// Dentro do prazo da política de cancelamento, o lembrete só pede a
+// confirmação; quem tem faltas acima do limite é avisado do prazo para ela
+function montarMensagemLembrete(barbearia, agendamento) {
+  const resumo = `⏰ Lembrete: você tem *${agendamento.servico}* com *${
+    agendamento.barbeiro
+  }* em *${formatarData(agendamento.dia_horario)}*.`;
+  const pedido = verificarPolitica(barbearia, agendamento, "cancelar")
+    ? "Responda *Confirmar* para confirmar sua presença."
+    : "Responda *Confirmar* para confirmar sua presença ou *Cancelar* para cancelar.";
+  const faltas = Number(agendamento.faltas || 0);
+  const aviso =
+    exigenciaPorFaltas(barbearia, faltas) === "confirmar"
+      ? avisarSobreFaltas(barbearia, faltas)
+      : "";
+  return [resumo, pedido, aviso].filter(Boolean).join("\n");
+}
+
+/**
+ * Envia os lembretes que venceram. A reserva em lembretes_enviados acontece
+ * antes do envio, então reinícios ou vários processos nunca mandam o mesmo
+ * lembrete duas vezes.
+ * @param {Object} opcoes
+ * @param {Object} opcoes.transporte - Transporte de services/mensageiro.js.
+ * @param {Object} opcoes.sessoes - Gerenciador de services/sessoes.js.
+ * @returns {Promise<number>} Quantidade de lembretes enviados.
+ */
+async function enviarLembretesPendentes({ transporte, sessoes }) {
+  let enviados = 0;
+  for (const barbearia of await listarBarbeariasAtivas()) {
+    enviados += await enviarLembretesDaBarbearia(barbearia, {
+      transporte,
+      sessoes,
+    });
+  }
+  return enviados;
+}
+
+// Lembretes de uma barbearia, enviados pelo número dela quando houver
+async function enviarLembretesDaBarbearia(barbearia, { transporte, sessoes }) {
+  let enviados = 0;
+  for (const [indice, lembrete] of LEMBRETES.entries()) {
+    const limiteMinutos = LEMBRETES[indice + 1]?.antecedenciaMinutos || 0;
+    const agendamentos = await listarAgendamentosParaLembrete(
+      barbearia,
+      lembrete.tipo,
+      lembrete.antecedenciaMinutos,
+      limiteMinutos
+    );
+
+    for (const agendamento of agendamentos) {
+      if (!(await registrarLembreteEnviado(agendamento.id, lembrete.tipo))) {
+        continue;
+      }
+      try {
+        await transporte.enviar(
+          agendamento.telefone,
+          montarMensagemLembrete(barbearia, agendamento),
+          { de: barbearia.telefone }
+        );
+        enviados++;
+      } catch (error) {
+        console.error(
+          `Erro ao enviar lembrete ${lembrete.tipo} do agendamento ${agendamento.id}:`,
+          error
+        );
+        await removerRegistroLembrete(agendamento.id, lembrete.tipo);
+        continue;
+      }
+
+      // Só assume a conversa se o cliente não estiver no meio de outro fluxo
+      const chave = chaveConversa(barbearia, agendamento.telefone);
+      const estadoAtual = await sessoes.get(chave);
+      if (
+        !estadoAtual ||
+        estadoAtual.confirmationStep === "responder_lembrete"
+      ) {
+        await sessoes.set(chave, {
+          confirmationStep: "responder_lembrete",
+          agendamentoId: agendamento.id,
+          servico: agendamento.servico,
+          dia_horario: agendamento.dia_horario,
+        });
+      }
+    }
+  }
+  return enviados;
+}
+
+/**
+ * Verifica periodicamente os lembretes a enviar.
+ * @param {Object} opcoes - Mesmas opções de enviarLembretesPendentes.
+ * @param {number} [opcoes.intervaloMs] - Intervalo entre verificações.
+ * @returns {Function} Função que interrompe o agendador.
+ */
+function iniciarLembretes({
+  transporte,
+  sessoes,
+  intervaloMs = INTERVALO_VERIFICACAO_MS,
+}) {
+  let executando = false;
+  const verificar = async () => {
+    if (executando) return; // Uma verificação lenta não se sobrepõe à próxima
+    executando = true;
+    try {
+      await enviarLembretesPendentes({ transporte, sessoes });
+    } catch (error) {
+      console.error("Erro ao enviar lembretes:", error);
+    } finally {
+      executando = false;
+    }
+  };
+  verificar();
+  const timer = setInterval(verificar, intervaloMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  LEMBRETES,
+  montarMensagemLembrete,
+  enviarLembretesPendentes,
+  iniciarLembretes,
+};
@@ -0,0 +1,238 @@
+// listaEspera.js
+// Oferece as vagas que surgem a quem está na lista de espera, na ordem de
+// entrada: segura o horário para a conversa do cliente, manda a mensagem e
+// abre a sessão na etapa "responder_oferta_espera" (conversa/fluxos/
+// listaEspera.js). Sem resposta no prazo, a vaga passa para o próximo.
+const { obterConfig } = require("../config");
+const {
+  listarEsperasAguardando,
+  registrarOferta,
+  expirarOfertasVencidas,
+  encerrarEsperasVencidas,
+} = require("../controllers/listaEsperaController");
+const {
+  buscarHorariosDisponiveis,
+} = require("../controllers/agendamentoController");
+const {
+  reservarHorario,
+  liberarReserva,
+} = require("../controllers/reservaController");
+const {
+  listarBarbeariasAtivas,
+} = require("../controllers/barbeariaController");
+const { aoLiberarHorarios } = require("./horariosLiberados");
+const { chaveConversa } = require("./barbearias");
+const { formatarData } = require("../utils");
+
+const INTERVALO_VERIFICACAO_MS = 60 * 1000;
+
+function montarMensagemOferta(espera, horario, prazoMinutos) {
+  return `🎉 Vagou um horário da sua lista de espera: *${
+    espera.servico
+  }* com *${horario.barbeiro}* em *${formatarData(
+    horario.dia_horario
+  )}*.\nResponda *Sim* em até ${prazoMinutos} minutos para ficar com ele, *Não* para deixá-lo passar ou *Sair da lista* para não receber mais ofertas.`;
+}
+
+// Primeiro horário livre da janela que ainda não foi oferecido a essa entrada
+async function buscarVaga(barbearia, espera) {
+  const horarios = await buscarHorariosDisponiveis(
+    barbearia,
+    espera.barbeiro_id,
+    Number(espera.duracao_minutos),
+    {
+      de: new Date(espera.inicio),
+      ate: new Date(espera.fim),
+      ...(espera.de_minutos !== null && { deMinutos: espera.de_minutos }),
+      ...(espera.ate_minutos !== null && { ateMinutos: espera.ate_minutos }),
+    }
+  );
+  return horarios.find((h) => !espera.horariosOferecidos.includes(h.id));
+}
+
+// Segura a vaga, manda a oferta e abre a sessão nela. A oferta só é
+// registrada depois do envio: uma mensagem que não saiu não vence nem é
+// avisada como vencida. Devolve se a oferta foi enviada.
+async function ofertarVaga(
+  barbearia,
+  espera,
+  chave,
+  { transporte, sessoes, prazoMinutos }
+) {
+  if (await sessoes.get(chave)) return false;
+
+  const horario = await buscarVaga(barbearia, espera);
+  if (!horario) return false;
+  const reserva = await reservarHorario(
+    barbearia,
+    chave,
+    horario.id,
+    Number(espera.duracao_minutos),
+    { minutos: prazoMinutos }
+  );
+  if (!reserva.success) return false;
+
+  let ofertaId;
+  try {
+    await transporte.enviar(
+      espera.telefone,
+      montarMensagemOferta(espera, horario, prazoMinutos),
+      { de: barbearia.telefone }
+    );
+    ofertaId = await registrarOferta(espera.id, horario.id, prazoMinutos);
+  } catch (error) {
+    // O horário volta a ficar livre; a próxima verificação tenta de novo
+    console.error(
+      `Erro ao enviar oferta da lista de espera ${espera.id}:`,
+      error
+    );
+    await liberarReserva(chave);
+    return false;
+  }
+  await sessoes.set(chave, {
+    confirmationStep: "responder_oferta_espera",
+    ofertaId,
+    clienteId: espera.cliente_id,
+    horarioId: horario.id,
+    dia_horario: horario.dia_horario,
+    barbeiro: horario.barbeiro,
+    servicos: [espera.servico],
+    servicoIds: espera.servicoIds,
+    horarioReservado: true,
+  });
+  return true;
+}
+
+/**
+ * Oferece as vagas livres da barbearia a quem está esperando por elas.
+ * Quem está no meio de outra conversa fica para a próxima verificação.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} opcoes
+ * @param {Object} opcoes.transporte - Transporte de services/mensageiro.js.
+ * @param {Object} opcoes.sessoes - Gerenciador de services/sessoes.js.
+ * @param {number} [opcoes.prazoMinutos] - Prazo para aceitar cada oferta.
+ * @returns {Promise<number>} Quantidade de ofertas enviadas.
+ */
+async function oferecerVagas(
+  barbearia,
+  {
+    transporte,
+    sessoes,
+    prazoMinutos = obterConfig().listaEspera.prazoOfertaMinutos,
+  }
+) {
+  await encerrarEsperasVencidas(barbearia);
+  let enviadas = 0;
+  for (const espera of await listarEsperasAguardando(barbearia)) {
+    const chave = chaveConversa(barbearia, espera.telefone);
+    // Como no webhook: uma mensagem do cliente agora não sobrescreve a oferta
+    let liberarSessao;
+    try {
+      liberarSessao = await sessoes.bloquear(chave);
+    } catch (error) {
+      console.error("Erro ao bloquear sessão:", error);
+      continue;
+    }
+    try {
+      const enviada = await ofertarVaga(barbearia, espera, chave, {
+        transporte,
+        sessoes,
+        prazoMinutos,
+      });
+      if (enviada) enviadas++;
+    } finally {
+      await liberarSessao().catch((error) =>
+        console.error("Erro ao liberar sessão:", error)
+      );
+    }
+  }
+  return enviadas;
+}
+
+/**
+ * Encerra as ofertas vencidas da barbearia, avisa quem não respondeu e fecha
+ * a sessão da oferta, se ainda estiver aberta.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} opcoes - transporte e sessoes, como em oferecerVagas.
+ * @returns {Promise<number>} Quantidade de ofertas encerradas.
+ */
+async function expirarOfertas(barbearia, { transporte, sessoes }) {
+  const ofertas = await expirarOfertasVencidas(barbearia);
+  for (const oferta of ofertas) {
+    const chave = chaveConversa(barbearia, oferta.telefone);
+    const estado = await sessoes.get(chave);
+    if (estado?.ofertaId === oferta.id) {
+      await sessoes.delete(chave);
+      await liberarReserva(chave);
+    }
+    try {
+      await transporte.enviar(
+        oferta.telefone,
+        `⏰ O prazo para aceitar a vaga de *${formatarData(
+          oferta.dia_horario
+        )}* acabou e ela foi oferecida a outra pessoa. Você continua na lista de espera.`,
+        { de: barbearia.telefone }
+      );
+    } catch (error) {
+      console.error(`Erro ao avisar oferta vencida ${oferta.id}:`, error);
+    }
+  }
+  return ofertas.length;
+}
+
+/**
+ * Encerra as ofertas vencidas e oferece as vagas livres em todas as barbearias.
+ * @param {Object} opcoes - Mesmas opções de oferecerVagas.
+ * @returns {Promise<number>} Quantidade de ofertas enviadas.
+ */
+async function verificarListaEspera(opcoes) {
+  let enviadas = 0;
+  for (const barbearia of await listarBarbeariasAtivas()) {
+    await expirarOfertas(barbearia, opcoes);
+    enviadas += await oferecerVagas(barbearia, opcoes);
+  }
+  return enviadas;
+}
+
+/**
+ * Oferece as vagas assim que um cancelamento ou reagendamento deste processo
+ * libera horários, e verifica periodicamente as ofertas vencidas e as vagas
+ * liberadas por outros processos.
+ * @param {Object} opcoes - Mesmas opções de oferecerVagas.
+ * @param {number} [opcoes.intervaloMs] - Intervalo entre verificações.
+ * @returns {Function} Função que interrompe o agendador.
+ */
+function iniciarListaEspera({
+  intervaloMs = INTERVALO_VERIFICACAO_MS,
+  ...opcoes
+}) {
+  // Uma verificação de cada vez: duas ao mesmo tempo ofereceriam duas vagas
+  // à mesma pessoa
+  let fila = Promise.resolve();
+  const emFila = (tarefa) => {
+    fila = fila
+      .then(tarefa)
+      .catch((error) => console.error("Erro na lista de espera:", error));
+    return fila;
+  };
+
+  const pararDeOuvir = aoLiberarHorarios((barbearia) =>
+    emFila(() => oferecerVagas(barbearia, opcoes))
+  );
+  const verificar = () => emFila(() => verificarListaEspera(opcoes));
+  verificar();
+  const timer = setInterval(verificar, intervaloMs);
+  timer.unref();
+  return () => {
+    clearInterval(timer);
+    pararDeOuvir();
+  };
+}
+
+module.exports = {
+  montarMensagemOferta,
+  oferecerVagas,
+  expirarOfertas,
+  verificarListaEspera,
+  iniciarListaEspera,
+};
@@ -0,0 +1,75 @@
+// mensageiro.js
+// Envio proativo de mensagens (fora da resposta ao webhook).
+// MENSAGENS_TRANSPORTE=twilio usa a API de mensagens do Twilio;
+// "fake" (padrão) só registra as mensagens, para desenvolvimento e testes.
+const { obterConfig } = require("../config");
+
+/**
+ * Transporte via Twilio (WhatsApp ou SMS, conforme o número de origem).
+ * @param {Object} opcoes
+ * @param {string} opcoes.accountSid - TWILIO_ACCOUNT_SID.
+ * @param {string} opcoes.authToken - TWILIO_AUTH_TOKEN.
+ * @param {string} opcoes.from - Número de origem padrão (ex: "whatsapp:+14155238886").
+ * @returns {Object} Transporte com enviar(para, texto, { de }); `de` é o número
+ *   da barbearia, quando ela tem um próprio.
+ */
+function criarTransporteTwilio({ accountSid, authToken, from }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error(
+      "Transporte Twilio exige TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN e TWILIO_FROM."
+    );
+  }
+  const client = require("twilio")(accountSid, authToken);
+  return {
+    async enviar(para, texto, { de } = {}) {
+      const origem = de || from;
+      // O telefone do cliente é o "From" recebido no webhook; mantém o canal
+      const destino =
+        origem.startsWith("whatsapp:") && !para.startsWith("whatsapp:")
+          ? `whatsapp:${para}`
+          : para;
+      const mensagem = await client.messages.create({
+        from: origem,
+        to: destino,
+        body: texto,
+      });
+      return { id: mensagem.sid };
+    },
+  };
+}
+
+/**
+ * Transporte local: guarda as mensagens em memória e escreve no console.
+ * @returns {Object} Transporte com enviar(para, texto, { de }) e a lista `enviadas`.
+ */
+function criarTransporteFake() {
+  const enviadas = [];
+  return {
+    enviadas,
+    async enviar(para, texto, { de = null } = {}) {
+      const mensagem = { id: `fake-${enviadas.length + 1}`, para, texto, de };
+      enviadas.push(mensagem);
+      console.log(`[mensagem fake] para ${para}:\n${texto}`);
+      return { id: mensagem.id };
+    },
+  };
+}
+
+/**
+ * Cria o transporte configurado por MENSAGENS_TRANSPORTE.
+ * @param {string} [tipo] - "twilio" ou "fake".
+ * @returns {Object} Transporte.
+ */
+function criarTransporte(tipo = obterConfig().mensagens.transporte) {
+  if (tipo === "fake") return criarTransporteFake();
+  if (tipo === "twilio") return criarTransporteTwilio(obterConfig().twilio);
+  throw new Error(
+    `MENSAGENS_TRANSPORTE inválido: "${tipo}". Use "twilio" ou "fake".`
+  );
+}
+
+module.exports = {
+  criarTransporteTwilio,
+  criarTransporteFake,
+  criarTransporte,
+};
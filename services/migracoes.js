@@ -0,0 +1,209 @@
+// migracoes.js
+// Migrações versionadas do banco (pasta migrations/). Cada versão tem um
+// NNN_nome.up.sql e um NNN_nome.down.sql; as já aplicadas ficam registradas
+// na tabela `migracoes`. Linha de comando: scripts/migrar.js.
+const fs = require("fs");
+const path = require("path");
+
+const PASTA_PADRAO = path.join(__dirname, "..", "migrations");
+const ARQUIVO_REGEX = /^(\d{3})_(\w+)\.(up|down)\.sql$/;
+const NOME_BLOQUEIO = "reservai_migracoes";
+const TEMPO_ESPERA_BLOQUEIO_SEGUNDOS = 10;
+
+/**
+ * Lê as migrações da pasta, em ordem de versão.
+ * @param {string} [pasta] - Pasta com os arquivos .up.sql/.down.sql.
+ * @returns {Array<{versao: string, nome: string, up: string, down: string|null}>}
+ */
+function listarMigracoes(pasta = PASTA_PADRAO) {
+  const porVersao = new Map();
+  for (const arquivo of fs.readdirSync(pasta)) {
+    const partes = arquivo.match(ARQUIVO_REGEX);
+    if (!partes) continue;
+    const [, versao, nome, direcao] = partes;
+    const migracao = porVersao.get(versao) || { versao, nome, down: null };
+    if (migracao.nome !== nome) {
+      throw new Error(`Versão ${versao} usada por duas migrações.`);
+    }
+    migracao[direcao] = fs.readFileSync(path.join(pasta, arquivo), "utf8");
+    porVersao.set(versao, migracao);
+  }
+  const migracoes = [...porVersao.values()].sort((a, b) =>
+    a.versao.localeCompare(b.versao)
+  );
+  const semUp = migracoes.find((m) => !m.up);
+  if (semUp) {
+    throw new Error(
+      `Migração ${semUp.versao}_${semUp.nome} sem arquivo .up.sql.`
+    );
+  }
+  return migracoes;
+}
+
+/**
+ * Separa um arquivo SQL em comandos (um por ";" no fim da linha), sem as
+ * linhas de comentário. As migrações não usam procedures, então isso basta e
+ * dispensa a opção multipleStatements da conexão.
+ * @param {string} sql - Conteúdo do arquivo.
+ * @returns {Array<string>} Comandos sem o ";".
+ */
+function separarComandos(sql) {
+  return sql
+    .split("\n")
+    .filter((linha) => !linha.trim().startsWith("--"))
+    .join("\n")
+    .split(/;\s*$/m)
+    .map((comando) => comando.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Cria o migrador. Cada operação usa uma conexão própria com GET_LOCK, então
+ * dois deploys simultâneos não aplicam a mesma migração duas vezes.
+ * @param {Object} pool - Pool do mysql2/promise.
+ * @param {Object} [opcoes]
+ * @param {string} [opcoes.pasta] - Pasta das migrações.
+ * @returns {Object} Migrador com status, subir, descer e marcar.
+ */
+function criarMigrador(pool, { pasta = PASTA_PADRAO } = {}) {
+  async function comConexao(fn) {
+    const connection = await pool.getConnection();
+    try {
+      const [rows] = await connection.query("SELECT GET_LOCK(?, ?) AS obtido", [
+        NOME_BLOQUEIO,
+        TEMPO_ESPERA_BLOQUEIO_SEGUNDOS,
+      ]);
+      if (rows[0].obtido !== 1) {
+        throw new Error("Outra execução de migrações está em andamento.");
+      }
+      try {
+        await connection.query(
+          `CREATE TABLE IF NOT EXISTS migracoes (
+             versao CHAR(3) NOT NULL PRIMARY KEY,
+             nome VARCHAR(100) NOT NULL,
+             aplicada_em DATETIME NOT NULL
+           )`
+        );
+        return await fn(connection);
+      } finally {
+        await connection.query("SELECT RELEASE_LOCK(?)", [NOME_BLOQUEIO]);
+      }
+    } finally {
+      connection.release();
+    }
+  }
+
+  async function aplicadas(connection) {
+    const [rows] = await connection.query(
+      "SELECT versao, aplicada_em FROM migracoes ORDER BY versao"
+    );
+    return new Map(rows.map((r) => [r.versao, r.aplicada_em]));
+  }
+
+  async function executar(connection, migracao, direcao) {
+    for (const comando of separarComandos(migracao[direcao])) {
+      try {
+        await connection.query(comando);
+      } catch (error) {
+        error.message = `${migracao.versao}_${migracao.nome} (${direcao}): ${error.message}`;
+        throw error;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Todas as migrações com a data em que foram aplicadas (ou null).
+     * @returns {Promise<Array<{versao, nome, aplicadaEm}>>}
+     */
+    status() {
+      return comConexao(async (connection) => {
+        const feitas = await aplicadas(connection);
+        return listarMigracoes(pasta).map(({ versao, nome }) => ({
+          versao,
+          nome,
+          aplicadaEm: feitas.get(versao) || null,
+        }));
+      });
+    },
+
+    /**
+     * Aplica as migrações pendentes, em ordem.
+     * @param {Object} [opcoes]
+     * @param {string} [opcoes.ate] - Última versão a aplicar.
+     * @returns {Promise<Array<Object>>} Migrações aplicadas.
+     */
+    subir({ ate } = {}) {
+      return comConexao(async (connection) => {
+        const feitas = await aplicadas(connection);
+        const pendentes = listarMigracoes(pasta).filter(
+          (m) => !feitas.has(m.versao) && (!ate || m.versao <= ate)
+        );
+        for (const migracao of pendentes) {
+          await executar(connection, migracao, "up");
+          await connection.query(
+            "INSERT INTO migracoes (versao, nome, aplicada_em) VALUES (?, ?, NOW())",
+            [migracao.versao, migracao.nome]
+          );
+        }
+        return pendentes;
+      });
+    },
+
+    /**
+     * Desfaz as últimas migrações aplicadas.
+     * @param {Object} [opcoes]
+     * @param {number} [opcoes.passos] - Quantas desfazer (padrão 1).
+     * @returns {Promise<Array<Object>>} Migrações desfeitas.
+     */
+    descer({ passos = 1 } = {}) {
+      return comConexao(async (connection) => {
+        const feitas = await aplicadas(connection);
+        const alvo = listarMigracoes(pasta)
+          .filter((m) => feitas.has(m.versao))
+          .reverse()
+          .slice(0, passos);
+        for (const migracao of alvo) {
+          if (!migracao.down) {
+            throw new Error(
+              `Migração ${migracao.versao}_${migracao.nome} não tem .down.sql.`
+            );
+          }
+          await executar(connection, migracao, "down");
+          await connection.query("DELETE FROM migracoes WHERE versao = ?", [
+            migracao.versao,
+          ]);
+        }
+        return alvo;
+      });
+    },
+
+    /**
+     * Registra migrações como aplicadas sem executá-las (bancos criados com
+     * os antigos scripts sql/).
+     * @param {string} ate - Última versão a registrar.
+     * @returns {Promise<Array<Object>>} Migrações registradas.
+     */
+    marcar(ate) {
+      return comConexao(async (connection) => {
+        const feitas = await aplicadas(connection);
+        const alvo = listarMigracoes(pasta).filter(
+          (m) => !feitas.has(m.versao) && m.versao <= ate
+        );
+        for (const migracao of alvo) {
+          await connection.query(
+            "INSERT INTO migracoes (versao, nome, aplicada_em) VALUES (?, ?, NOW())",
+            [migracao.versao, migracao.nome]
+          );
+        }
+        return alvo;
+      });
+    },
+  };
+}
+
+module.exports = {
+  listarMigracoes,
+  separarComandos,
+  criarMigrador,
+};
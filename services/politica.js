@@ -0,0 +1,176 @@
+// politica.js
+// Política de cancelamento e reagendamento: antecedência mínima, limite de
+// reagendamentos por agendamento e nada de mexer em agendamentos que já
+// passaram. Os controllers aplicam as regras (a administração pode forçar) e
+// a conversa usa as mesmas mensagens para explicar a recusa. Também define o
+// que acontece com quem acumula faltas (limiteFaltas, aposLimiteFaltas).
+const { agoraNaBarbearia } = require("./barbearias");
+
+const REGRAS = [
+  "antecedenciaMinimaHoras",
+  "maxReagendamentos",
+  "limiteFaltas",
+  "prazoConfirmacaoHoras",
+];
+const APOS_LIMITE_FALTAS = ["confirmar", "bloquear"];
+
+function plural(quantidade, singular, varios) {
+  return `${quantidade} ${quantidade === 1 ? singular : varios}`;
+}
+
+/**
+ * Valida a política própria de uma barbearia (coluna barbearias.politica).
+ * @param {Object} politica - Regras já mescladas com a configuração.
+ * @returns {Array<string>} Lista de erros (vazia se estiver tudo certo).
+ */
+function validarPolitica(politica) {
+  const erros = REGRAS.filter(
+    (regra) => !Number.isInteger(politica[regra]) || politica[regra] < 0
+  ).map((regra) => `politica.${regra} deve ser um inteiro (0 ou mais).`);
+  if (!APOS_LIMITE_FALTAS.includes(politica.aposLimiteFaltas)) {
+    erros.push(
+      `politica.aposLimiteFaltas: use ${APOS_LIMITE_FALTAS.join(" ou ")}.`
+    );
+  }
+  return erros;
+}
+
+/**
+ * Motivo pelo qual a política não deixa o cliente mexer no agendamento.
+ * @param {Object} barbearia - Barbearia, com a política em barbearia.politica.
+ * @param {Object} agendamento - Com dia_horario e, para reagendar, reagendamentos.
+ * @param {string} acao - "cancelar" ou "reagendar".
+ * @param {Date} [agora] - Hora atual no relógio da barbearia.
+ * @returns {string|null} Explicação para o cliente, ou null se for permitido.
+ */
+function verificarPolitica(
+  barbearia,
+  agendamento,
+  acao,
+  agora = agoraNaBarbearia(barbearia)
+) {
+  const { antecedenciaMinimaHoras, maxReagendamentos } = barbearia.politica;
+  const inicio = new Date(agendamento.dia_horario);
+  const feito = acao === "cancelar" ? "cancelado" : "reagendado";
+
+  if (inicio <= agora) {
+    return `Esse agendamento já passou e não pode mais ser ${feito}.`;
+  }
+  if (
+    antecedenciaMinimaHoras &&
+    inicio - agora < antecedenciaMinimaHoras * 60 * 60 * 1000
+  ) {
+    return `${
+      acao === "cancelar" ? "Cancelamentos" : "Reagendamentos"
+    } só podem ser feitos até ${plural(
+      antecedenciaMinimaHoras,
+      "hora",
+      "horas"
+    )} antes do horário, e esse agendamento está mais perto do que isso.`;
+  }
+  if (
+    acao === "reagendar" &&
+    maxReagendamentos &&
+    Number(agendamento.reagendamentos || 0) >= maxReagendamentos
+  ) {
+    return `Esse agendamento já foi reagendado ${plural(
+      maxReagendamentos,
+      "vez",
+      "vezes"
+    )}, o máximo permitido.`;
+  }
+  return null;
+}
+
+/**
+ * Resumo da política para as mensagens do chat.
+ * @param {Object} barbearia - Barbearia.
+ * @returns {string} Regras em uma frase, ou "" se não houver nenhuma.
+ */
+function descreverPolitica(barbearia) {
+  const { antecedenciaMinimaHoras, maxReagendamentos } = barbearia.politica;
+  const regras = [];
+  if (antecedenciaMinimaHoras) {
+    regras.push(
+      `cancelamentos e reagendamentos até ${plural(
+        antecedenciaMinimaHoras,
+        "hora",
+        "horas"
+      )} antes do horário`
+    );
+  }
+  if (maxReagendamentos) {
+    regras.push(
+      `no máximo ${plural(
+        maxReagendamentos,
+        "reagendamento",
+        "reagendamentos"
+      )} por agendamento`
+    );
+  }
+  return regras.length ? `Nossa política: ${regras.join(", ")}.` : "";
+}
+
+/**
+ * Resposta do chat quando a política recusa o pedido do cliente.
+ * @param {Object} barbearia - Barbearia.
+ * @param {string} motivo - De verificarPolitica (ou a message do controller).
+ * @returns {string} Motivo, regras e o caminho para exceções.
+ */
+function explicarRecusa(barbearia, motivo) {
+  return [
+    `😕 ${motivo}`,
+    descreverPolitica(barbearia),
+    "Se precisar mesmo mudar, fale diretamente com a barbearia.",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * O que a política exige de um cliente com essas faltas.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} faltas - Agendamentos do cliente com status "faltou".
+ * @returns {string|null} "confirmar" (confirmar o lembrete, senão o horário é
+ *   liberado), "bloquear" (sem agendamento pelo chat) ou null.
+ */
+function exigenciaPorFaltas(barbearia, faltas) {
+  const { limiteFaltas, aposLimiteFaltas } = barbearia.politica;
+  if (!limiteFaltas || faltas < limiteFaltas) return null;
+  return aposLimiteFaltas;
+}
+
+/**
+ * Aviso do chat para o cliente com faltas acima do limite.
+ * @param {Object} barbearia - Barbearia.
+ * @param {number} faltas - Faltas do cliente.
+ * @returns {string} Texto do aviso, ou "" se não houver exigência.
+ */
+function avisarSobreFaltas(barbearia, faltas) {
+  const exigencia = exigenciaPorFaltas(barbearia, faltas);
+  const historico = `Como há ${plural(
+    faltas,
+    "falta registrada",
+    "faltas registradas"
+  )} no seu histórico`;
+  if (exigencia === "bloquear") {
+    return `😕 ${historico}, os agendamentos pelo chat estão suspensos. Para marcar um horário, fale diretamente com a barbearia.`;
+  }
+  if (exigencia === "confirmar") {
+    return `⚠️ ${historico}, confirme sua presença quando receber o lembrete: sem confirmação até ${plural(
+      barbearia.politica.prazoConfirmacaoHoras,
+      "hora",
+      "horas"
+    )} antes, o horário é liberado.`;
+  }
+  return "";
+}
+
+module.exports = {
+  validarPolitica,
+  verificarPolitica,
+  descreverPolitica,
+  explicarRecusa,
+  exigenciaPorFaltas,
+  avisarSobreFaltas,
+};
@@ -0,0 +1,118 @@
+// presenca.js
+// Tarefas periódicas de comparecimento: marca como "concluido" ou "faltou" os
+// agendamentos que o dono não marcou pelo painel e libera os horários de
+// quem, pela política de faltas (services/politica.js), precisava confirmar o
+// lembrete e não confirmou.
+const { obterConfig } = require("../config");
+const {
+  marcarPresencasVencidas,
+  listarSemConfirmacaoObrigatoria,
+} = require("../controllers/presencaController");
+const {
+  cancelarAgendamento,
+} = require("../controllers/gerenciamentoController");
+const {
+  listarBarbeariasAtivas,
+} = require("../controllers/barbeariaController");
+const { chaveConversa } = require("./barbearias");
+const { formatarData } = require("../utils");
+
+const INTERVALO_VERIFICACAO_MS = 5 * 60 * 1000;
+
+/**
+ * Cancela os agendamentos sem a confirmação exigida e avisa o cliente. O
+ * cancelamento não conta como tardio: a falta de resposta já é a penalidade.
+ * @param {Object} barbearia - Barbearia.
+ * @param {Object} opcoes
+ * @param {Object} opcoes.transporte - Transporte de services/mensageiro.js.
+ * @param {Object} opcoes.sessoes - Gerenciador de services/sessoes.js.
+ * @returns {Promise<number>} Quantidade de agendamentos liberados.
+ */
+async function liberarSemConfirmacao(barbearia, { transporte, sessoes }) {
+  let liberados = 0;
+  for (const agendamento of await listarSemConfirmacaoObrigatoria(barbearia)) {
+    const result = await cancelarAgendamento(barbearia, agendamento.id, {
+      forcar: true,
+      registrarTardio: false,
+    });
+    if (!result.success) continue;
+    liberados++;
+
+    // A resposta ao lembrete desse agendamento não vale mais
+    const chave = chaveConversa(barbearia, agendamento.telefone);
+    const estado = await sessoes.get(chave);
+    if (
+      estado?.confirmationStep === "responder_lembrete" &&
+      estado.agendamentoId === agendamento.id
+    ) {
+      await sessoes.delete(chave);
+    }
+    try {
+      await transporte.enviar(
+        agendamento.telefone,
+        `❌ Seu agendamento de *${agendamento.servico}* em *${formatarData(
+          agendamento.dia_horario
+        )}* foi cancelado porque não recebemos a confirmação de presença.`,
+        { de: barbearia.telefone }
+      );
+    } catch (error) {
+      console.error(
+        `Erro ao avisar a liberação do agendamento ${agendamento.id}:`,
+        error
+      );
+    }
+  }
+  return liberados;
+}
+
+/**
+ * Marca as presenças vencidas e libera os horários sem confirmação em todas
+ * as barbearias.
+ * @param {Object} opcoes - Mesmas opções de liberarSemConfirmacao.
+ * @returns {Promise<Object>} { marcados, liberados }.
+ */
+async function verificarPresencas(opcoes) {
+  const { marcarAposHoras } = obterConfig().presenca;
+  let marcados = 0;
+  let liberados = 0;
+  for (const barbearia of await listarBarbeariasAtivas()) {
+    marcados += await marcarPresencasVencidas(barbearia, marcarAposHoras);
+    liberados += await liberarSemConfirmacao(barbearia, opcoes);
+  }
+  return { marcados, liberados };
+}
+
+/**
+ * Verifica periodicamente as presenças.
+ * @param {Object} opcoes - Mesmas opções de liberarSemConfirmacao.
+ * @param {number} [opcoes.intervaloMs] - Intervalo entre verificações.
+ * @returns {Function} Função que interrompe o agendador.
+ */
+function iniciarPresenca({
+  transporte,
+  sessoes,
+  intervaloMs = INTERVALO_VERIFICACAO_MS,
+}) {
+  let executando = false;
+  const verificar = async () => {
+    if (executando) return; // Uma verificação lenta não se sobrepõe à próxima
+    executando = true;
+    try {
+      await verificarPresencas({ transporte, sessoes });
+    } catch (error) {
+      console.error("Erro ao verificar presenças:", error);
+    } finally {
+      executando = false;
+    }
+  };
+  verificar();
+  const timer = setInterval(verificar, intervaloMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  liberarSemConfirmacao,
+  verificarPresencas,
+  iniciarPresenca,
+};
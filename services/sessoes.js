@@ -0,0 +1,256 @@
+// sessoes.js
+// Estado das conversas em andamento (agendamento, reagendamento, cancelamento).
+// O estado fica num "store" plugável: MySQL em produção (compartilhado entre
+// vários processos do webhook) ou memória para testes e desenvolvimento.
+const crypto = require("crypto");
+const { obterConfig } = require("../config");
+
+const TTL_PADRAO_MINUTOS = 30;
+
+// Etapas em que o cliente só precisa responder "Sim"/"Não" expiram mais rápido.
+const TTL_POR_ETAPA_MINUTOS = {
+  awaiting_name_choice: 15,
+  awaiting_new_name: 15,
+  confirmar_horario_proximo: 10,
+  confirmar_horario_proximo_reagendamento: 10,
+  confirmar_inicio_reagendamento: 10,
+  awaiting_reagendamento_confirmation: 10,
+  confirmar_cancelamento: 10,
+  escolher_cancelamento_serie: 10,
+  // Resposta a um lembrete enviado pelo bot (services/lembretes.js)
+  responder_lembrete: 12 * 60,
+  // Oferta da lista de espera; o prazo de verdade é o da oferta no banco
+  // (services/listaEspera.js encerra a sessão quando ele vence)
+  responder_oferta_espera: 60,
+};
+
+const TEMPO_ESPERA_BLOQUEIO_SEGUNDOS = 10;
+
+// Sessões vencidas ficam guardadas esse tempo antes da limpeza periódica, para
+// que quem volta a escrever ainda receba o aviso de "sessão expirou"
+const MARGEM_AVISO_EXPIRACAO_MINUTOS = 24 * 60;
+
+/**
+ * Store em memória. Os estados passam por JSON para se comportarem
+ * igual ao store MySQL (datas viram strings, referências não são compartilhadas).
+ * @returns {Object} Store com carregar, salvar, remover, removerExpiradas e bloquear.
+ */
+function criarStoreMemoria() {
+  const sessoes = new Map();
+  const filas = new Map();
+
+  return {
+    async carregar(chave) {
+      const registro = sessoes.get(chave);
+      if (!registro) return null;
+      return {
+        estado: JSON.parse(registro.estado),
+        expiraEm: new Date(registro.expiraEm),
+      };
+    },
+
+    async salvar(chave, estado, expiraEm) {
+      sessoes.set(chave, { estado: JSON.stringify(estado), expiraEm });
+    },
+
+    async remover(chave) {
+      sessoes.delete(chave);
+    },
+
+    async removerExpiradas(agora = new Date()) {
+      let removidas = 0;
+      for (const [chave, registro] of sessoes) {
+        if (registro.expiraEm <= agora) {
+          sessoes.delete(chave);
+          removidas++;
+        }
+      }
+      return removidas;
+    },
+
+    // Serializa as mensagens de um mesmo remetente dentro deste processo.
+    async bloquear(chave) {
+      const anterior = filas.get(chave) || Promise.resolve();
+      let liberar;
+      const atual = new Promise((resolve) => (liberar = resolve));
+      const cauda = anterior.then(() => atual);
+      filas.set(chave, cauda);
+      await anterior;
+      return async () => {
+        liberar();
+        if (filas.get(chave) === cauda) filas.delete(chave);
+      };
+    },
+  };
+}
+
+/**
+ * Store MySQL (tabela `sessoes_conversa`, ver migrations/001_sessoes_conversa.up.sql).
+ * O bloqueio usa GET_LOCK para que dois processos atrás de um balanceador
+ * não processem ao mesmo tempo mensagens do mesmo remetente.
+ * @param {Object} pool - Pool do mysql2/promise.
+ * @returns {Object} Store com carregar, salvar, remover, removerExpiradas e bloquear.
+ */
+function criarStoreMysql(pool) {
+  const nomeBloqueio = (chave) =>
+    "reservai_sessao_" +
+    crypto.createHash("sha1").update(String(chave)).digest("hex");
+
+  return {
+    async carregar(chave) {
+      const [rows] = await pool.query(
+        "SELECT estado, expira_em FROM sessoes_conversa WHERE chave = ?",
+        [chave]
+      );
+      if (!rows.length) return null;
+      const estado =
+        typeof rows[0].estado === "string"
+          ? JSON.parse(rows[0].estado)
+          : rows[0].estado;
+      return { estado, expiraEm: new Date(rows[0].expira_em) };
+    },
+
+    async salvar(chave, estado, expiraEm) {
+      await pool.query(
+        `INSERT INTO sessoes_conversa (chave, estado, etapa, expira_em)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE estado = VALUES(estado),
+           etapa = VALUES(etapa), expira_em = VALUES(expira_em)`,
+        [
+          chave,
+          JSON.stringify(estado),
+          estado.confirmationStep || null,
+          expiraEm,
+        ]
+      );
+    },
+
+    async remover(chave) {
+      await pool.query("DELETE FROM sessoes_conversa WHERE chave = ?", [chave]);
+    },
+
+    async removerExpiradas(agora = new Date()) {
+      const [result] = await pool.query(
+        "DELETE FROM sessoes_conversa WHERE expira_em <= ?",
+        [agora]
+      );
+      return result.affectedRows;
+    },
+
+    async bloquear(chave) {
+      const nome = nomeBloqueio(chave);
+      const connection = await pool.getConnection();
+      try {
+        const [rows] = await connection.query(
+          "SELECT GET_LOCK(?, ?) AS obtido",
+          [nome, TEMPO_ESPERA_BLOQUEIO_SEGUNDOS]
+        );
+        if (rows[0].obtido !== 1) {
+          // Melhor responder sem o bloqueio do que deixar o cliente sem resposta.
+          console.warn(`Não foi possível obter o bloqueio da sessão ${chave}.`);
+          connection.release();
+          return async () => {};
+        }
+      } catch (error) {
+        connection.release();
+        throw error;
+      }
+      return async () => {
+        try {
+          await connection.query("SELECT RELEASE_LOCK(?)", [nome]);
+        } finally {
+          connection.release();
+        }
+      };
+    },
+  };
+}
+
+/**
+ * Cria o store configurado por SESSAO_STORE ("mysql" ou "memoria").
+ * @param {string} [tipo] - Tipo do store. Padrão: SESSAO_STORE ou "mysql".
+ * @returns {Object} Store de sessões.
+ */
+function criarSessaoStore(tipo = obterConfig().sessoes.store) {
+  if (tipo === "memoria") return criarStoreMemoria();
+  if (tipo === "mysql") return criarStoreMysql(require("../db"));
+  throw new Error(
+    `SESSAO_STORE inválido: "${tipo}". Use "mysql" ou "memoria".`
+  );
+}
+
+/**
+ * Envolve um store com a regra de expiração por etapa.
+ * A interface get/set/delete mantém o formato do antigo Map, mas assíncrona.
+ * @param {Object} store - Store criado por criarStoreMemoria/criarStoreMysql.
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.ttlPadraoMinutos] - TTL para etapas sem valor próprio.
+ * @param {Object} [opcoes.ttlPorEtapaMinutos] - TTL por confirmationStep.
+ * @param {number} [opcoes.margemAvisoMinutos] - Quanto tempo uma sessão
+ *   vencida sobrevive à limpeza periódica.
+ * @returns {Object} Gerenciador de sessões.
+ */
+function criarGerenciadorSessoes(store, opcoes = {}) {
+  const ttlPadraoMinutos = opcoes.ttlPadraoMinutos || TTL_PADRAO_MINUTOS;
+  const margemAvisoMinutos =
+    opcoes.margemAvisoMinutos ?? MARGEM_AVISO_EXPIRACAO_MINUTOS;
+  const ttlPorEtapaMinutos = {
+    ...TTL_POR_ETAPA_MINUTOS,
+    ...(opcoes.ttlPorEtapaMinutos || {}),
+  };
+
+  const calcularExpiracao = (estado) => {
+    const minutos =
+      ttlPorEtapaMinutos[estado.confirmationStep] || ttlPadraoMinutos;
+    return new Date(Date.now() + minutos * 60 * 1000);
+  };
+
+  return {
+    /**
+     * Carrega o estado e informa se ele acabou de expirar.
+     * Um estado expirado é removido e reportado apenas uma vez.
+     * @param {string} chave - Identificador do remetente.
+     * @returns {Promise<{estado: Object|undefined, expirada: boolean}>}
+     */
+    async obter(chave) {
+      const registro = await store.carregar(chave);
+      if (!registro) return { estado: undefined, expirada: false };
+      if (registro.expiraEm <= new Date()) {
+        await store.remover(chave);
+        return { estado: undefined, expirada: true };
+      }
+      return { estado: registro.estado, expirada: false };
+    },
+
+    async get(chave) {
+      const { estado } = await this.obter(chave);
+      return estado;
+    },
+
+    async set(chave, estado) {
+      await store.salvar(chave, estado, calcularExpiracao(estado));
+    },
+
+    async delete(chave) {
+      await store.remover(chave);
+    },
+
+    // Só as vencidas há mais que a margem: as recentes esperam o obter()
+    limparExpiradas() {
+      return store.removerExpiradas(
+        new Date(Date.now() - margemAvisoMinutos * 60 * 1000)
+      );
+    },
+
+    bloquear(chave) {
+      return store.bloquear(chave);
+    },
+  };
+}
+
+module.exports = {
+  criarStoreMemoria,
+  criarStoreMysql,
+  criarSessaoStore,
+  criarGerenciadorSessoes,
+};
@@ -0,0 +1,50 @@
+// transacao.js
+// Transações numa conexão dedicada do pool. `pool.query("START TRANSACTION")`
+// não serve: cada query pode ir para uma conexão diferente, e o BEGIN, os
+// SELECTs e o COMMIT deixam de fazer parte da mesma transação.
+const pool = require("../db");
+
+// Conflitos de bloqueio que o MySQL resolve abortando uma das transações;
+// repetir a transação inteira costuma bastar
+const ERROS_REPETIVEIS = ["ER_LOCK_DEADLOCK", "ER_LOCK_WAIT_TIMEOUT"];
+const TENTATIVAS_PADRAO = 3;
+
+/**
+ * Executa `fn` dentro de uma transação. Faz commit se `fn` terminar e
+ * rollback se lançar exceção ou devolver `{ success: false }` (o formato de
+ * retorno dos controllers). Deadlocks e timeouts de bloqueio são repetidos.
+ * @param {Function} fn - (connection) => Promise<resultado>.
+ * @param {Object} [opcoes]
+ * @param {number} [opcoes.tentativas] - Total de tentativas em caso de deadlock.
+ * @returns {Promise<*>} O retorno de `fn`.
+ */
+async function executarTransacao(fn, { tentativas = TENTATIVAS_PADRAO } = {}) {
+  for (let tentativa = 1; ; tentativa++) {
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      const resultado = await fn(connection);
+      if (resultado?.success === false) {
+        await connection.rollback();
+      } else {
+        await connection.commit();
+      }
+      return resultado;
+    } catch (error) {
+      await connection.rollback().catch(() => {});
+      if (ERROS_REPETIVEIS.includes(error.code) && tentativa < tentativas) {
+        console.warn(
+          `Transação abortada (${error.code}), tentativa ${tentativa} de ${tentativas}.`
+        );
+        continue;
+      }
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+module.exports = {
+  executarTransacao,
+};
@@ -0,0 +1,19 @@
+// ambiente.js
+// Configuração dos testes: sem MySQL de verdade, Twilio nem tarefas
+// periódicas (geração de horários, lembretes, lista de espera, presença). A
+// configuração é lida uma vez, no primeiro require de config/; requira este
+// arquivo antes de index.js.
+Object.assign(process.env, {
+  NLU_MOTOR: "local",
+  SESSAO_STORE: "memoria",
+  WEBHOOK_VALIDACAO: "false",
+  GERAR_HORARIOS: "false",
+  LEMBRETES: "false",
+  LISTA_ESPERA: "false",
+  PRESENCA: "false",
+  MENSAGENS_TRANSPORTE: "fake",
+  BARBEARIA_PADRAO: "principal",
+  ADMIN_TOKEN: "token-dos-testes",
+  POLITICA_ANTECEDENCIA_HORAS: "2",
+  POLITICA_MAX_REAGENDAMENTOS: "1",
+});
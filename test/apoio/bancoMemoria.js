@@ -0,0 +1,240 @@
+// bancoMemoria.js
+// Dublê do pool do mysql2 (db.js) sobre SQLite em memória (sql.js), para os
+// testes rodarem sem servidor MySQL. Traduz só o dialeto que os controllers
+// usam: placeholders do mysql2 (listas, linhas e objetos), FOR UPDATE,
+// INSERT IGNORE, ON DUPLICATE KEY UPDATE, GREATEST, GROUP_CONCAT com
+// SEPARATOR, NOW() e DATE_ADD/DATE_SUB com INTERVAL.
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+
+const ESQUEMA = path.join(__dirname, "esquema.sql");
+const CAMINHO_DB = require.resolve("../../db");
+
+// DATETIME fica como texto no relógio local, como o mysql2 envia as datas
+const DATA_HORA = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const MINUTOS_POR_UNIDADE = { MINUTE: 1, HOUR: 60, DAY: 24 * 60 };
+
+function formatarDataHora(data) {
+  const p = (n) => String(n).padStart(2, "0");
+  return `${data.getFullYear()}-${p(data.getMonth() + 1)}-${p(
+    data.getDate()
+  )} ${p(data.getHours())}:${p(data.getMinutes())}:${p(data.getSeconds())}`;
+}
+
+function lerDataHora(texto) {
+  const [dia, hora] = texto.split(" ");
+  const [ano, mes, d] = dia.split("-").map(Number);
+  const [h, m, s] = hora.split(":").map(Number);
+  return new Date(ano, mes - 1, d, h, m, s);
+}
+
+function valorSql(valor) {
+  if (valor === undefined || valor === null) return null;
+  if (valor instanceof Date) return formatarDataHora(valor);
+  if (typeof valor === "boolean") return valor ? 1 : 0;
+  if (typeof valor === "object") return JSON.stringify(valor);
+  return valor;
+}
+
+/**
+ * Troca cada ? pelo placeholder do SQLite, expandindo como o mysql2: lista
+ * vira "?, ?", lista de listas vira "(?, ?), (?, ?)" e objeto vira
+ * "coluna = ?, ...".
+ * @returns {{sql: string, valores: Array}}
+ */
+function expandirPlaceholders(sql, parametros = []) {
+  const valores = [];
+  let saida = "";
+  let aspas = null;
+  let indice = 0;
+  const lista = (itens) =>
+    itens
+      .map((item) => {
+        valores.push(valorSql(item));
+        return "?";
+      })
+      .join(", ");
+
+  for (const caractere of sql) {
+    if (aspas) {
+      if (caractere === aspas) aspas = null;
+      saida += caractere;
+    } else if (caractere === "'" || caractere === '"') {
+      aspas = caractere;
+      saida += caractere;
+    } else if (caractere !== "?") {
+      saida += caractere;
+    } else {
+      const valor = parametros[indice++];
+      if (Array.isArray(valor) && Array.isArray(valor[0])) {
+        saida += valor.map((linha) => `(${lista(linha)})`).join(", ");
+      } else if (Array.isArray(valor)) {
+        saida += lista(valor);
+      } else if (
+        valor &&
+        typeof valor === "object" &&
+        !(valor instanceof Date)
+      ) {
+        saida += Object.entries(valor)
+          .map(([coluna, v]) => {
+            valores.push(valorSql(v));
+            return `${coluna} = ?`;
+          })
+          .join(", ");
+      } else {
+        valores.push(valorSql(valor));
+        saida += "?";
+      }
+    }
+  }
+  return { sql: saida, valores };
+}
+
+function traduzirDialeto(sql) {
+  return (
+    sql
+      .replace(/\s+FOR UPDATE(\s+OF\s+\w+)?/gi, "")
+      .replace(/\bINSERT IGNORE\b/gi, "INSERT OR IGNORE")
+      .replace(/\bGREATEST\(/gi, "MAX(")
+      .replace(/\s+FROM DUAL\b/gi, "")
+      .replace(
+        /GROUP_CONCAT\(([^()]+?)\s+ORDER BY\s+([^()]+?)\s+SEPARATOR\s+('[^']*')\)/gi,
+        "GROUP_CONCAT($1, $3 ORDER BY $2)"
+      )
+      .replace(/INTERVAL\s+(\?|-?\d+)\s+(MINUTE|HOUR|DAY)\b/gi, "$1, '$2'")
+      .replace(
+        /ON DUPLICATE KEY UPDATE\s+([\s\S]+)$/i,
+        (_, atribuicoes) =>
+          `ON CONFLICT DO UPDATE SET ${atribuicoes.replace(
+            /VALUES\((\w+)\)/gi,
+            "excluded.$1"
+          )}`
+      )
+      // INSERT ... SET ? (forma do mysql2) vira INSERT ... (colunas) VALUES
+      .replace(
+        /^(\s*INSERT INTO \w+)\s+SET\s+([\s\S]+)$/i,
+        (_, inicio, atribuicoes) => {
+          const pares = atribuicoes
+            .split(/,\s*/)
+            .map((par) => par.split(/\s*=\s*/));
+          return `${inicio} (${pares.map(([c]) => c).join(", ")}) VALUES (${pares
+            .map(([, v]) => v)
+            .join(", ")})`;
+        }
+      )
+  );
+}
+
+function converterLinha(colunas, valores) {
+  const linha = {};
+  colunas.forEach((coluna, i) => {
+    const valor = valores[i];
+    linha[coluna] =
+      typeof valor === "string" && DATA_HORA.test(valor)
+        ? lerDataHora(valor)
+        : valor;
+  });
+  return linha;
+}
+
+/**
+ * Cria o banco em memória e o coloca no lugar de db.js. Precisa rodar antes
+ * de qualquer require dos controllers.
+ * @returns {Promise<Object>} Pool com query, execute, getConnection e end.
+ */
+async function instalarBancoMemoria() {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run("PRAGMA foreign_keys = ON");
+  db.exec(fs.readFileSync(ESQUEMA, "utf8"));
+
+  db.create_function("NOW", () => formatarDataHora(new Date()));
+  const somar = (sinal) => (data, quantidade, unidade) => {
+    if (data === null || quantidade === null) return null;
+    const base = DATA_HORA.test(data) ? lerDataHora(data) : new Date(data);
+    const minutos =
+      sinal * quantidade * MINUTOS_POR_UNIDADE[unidade.toUpperCase()];
+    return formatarDataHora(new Date(base.getTime() + minutos * 60 * 1000));
+  };
+  db.create_function("DATE_ADD", somar(1));
+  db.create_function("DATE_SUB", somar(-1));
+
+  async function query(sql, parametros) {
+    const { sql: expandido, valores } = expandirPlaceholders(sql, parametros);
+    const traduzido = traduzirDialeto(expandido);
+    try {
+      if (/^\s*(SELECT|WITH)\b/i.test(traduzido)) {
+        const comando = db.prepare(traduzido);
+        comando.bind(valores);
+        const linhas = [];
+        while (comando.step()) {
+          linhas.push(converterLinha(comando.getColumnNames(), comando.get()));
+        }
+        comando.free();
+        return [linhas, []];
+      }
+      db.run(traduzido, valores);
+      const affectedRows = db.getRowsModified();
+      const [[insertId]] = db.exec("SELECT last_insert_rowid()")[0].values;
+      return [{ affectedRows, insertId }, undefined];
+    } catch (error) {
+      if (/UNIQUE constraint failed/.test(error.message)) {
+        error.code = "ER_DUP_ENTRY";
+      }
+      error.sql = traduzido;
+      throw error;
+    }
+  }
+
+  // Uma transação por vez: o SQLite em memória tem uma conexão só
+  let filaTransacoes = Promise.resolve();
+  async function getConnection() {
+    let liberar = () => {};
+    let emTransacao = false;
+    return {
+      query,
+      execute: query,
+      async beginTransaction() {
+        const anterior = filaTransacoes;
+        filaTransacoes = new Promise((resolve) => (liberar = resolve));
+        await anterior;
+        db.run("BEGIN");
+        emTransacao = true;
+      },
+      async commit() {
+        if (emTransacao) db.run("COMMIT");
+        emTransacao = false;
+        liberar();
+      },
+      async rollback() {
+        if (emTransacao) db.run("ROLLBACK");
+        emTransacao = false;
+        liberar();
+      },
+      release() {
+        liberar();
+      },
+    };
+  }
+
+  const pool = {
+    query,
+    execute: query,
+    getConnection,
+    async end() {
+      db.close();
+    },
+  };
+  require.cache[CAMINHO_DB] = {
+    id: CAMINHO_DB,
+    filename: CAMINHO_DB,
+    loaded: true,
+    exports: pool,
+  };
+  return pool;
+}
+
+module.exports = {
+  instalarBancoMemoria,
+};
@@ -0,0 +1,42 @@
+// dialogflowFalso.js
+// Dublê do SessionsClient do @google-cloud/dialogflow. Cada regra liga um
+// padrão da mensagem a uma intent (e parâmetros), como o agente treinado
+// faria; mensagens sem regra caem sem intent, como o fallback do Dialogflow.
+
+/**
+ * @param {Array<Object>} regras - { padrao: RegExp, intent, parametros? },
+ *   com parametros no formato simples ({ servico: "Corte" }).
+ * @returns {Object} Cliente com detectIntent e projectAgentSessionPath, e
+ *   `chamadas` com as sessões e textos recebidos.
+ */
+function criarSessionsClientFalso(regras) {
+  const chamadas = [];
+  return {
+    chamadas,
+    projectAgentSessionPath(projectId, sessionId) {
+      return `projects/${projectId}/agent/sessions/${sessionId}`;
+    },
+    async detectIntent({ session, queryInput }) {
+      const texto = queryInput.text.text;
+      chamadas.push({ session, texto });
+      const regra = regras.find(({ padrao }) => padrao.test(texto));
+      const fields = {};
+      for (const [nome, valor] of Object.entries(regra?.parametros || {})) {
+        fields[nome] = { stringValue: valor };
+      }
+      return [
+        {
+          queryResult: {
+            intent: regra ? { displayName: regra.intent } : null,
+            parameters: { fields },
+            fulfillmentText: "",
+          },
+        },
+      ];
+    },
+  };
+}
+
+module.exports = {
+  criarSessionsClientFalso,
+};
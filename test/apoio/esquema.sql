@@ -0,0 +1,132 @@
+-- Esquema do banco em memória dos testes (SQLite, ver bancoMemoria.js).
+-- Equivale ao resultado de migrations/ até a 015; ao criar uma migração que
+-- mude tabelas usadas pelo chat, atualize também este arquivo (esquema.test.js
+-- compara as tabelas e colunas dos dois).
+CREATE TABLE barbearias (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  nome VARCHAR(100) NULL,
+  telefone VARCHAR(50) NULL UNIQUE,
+  fuso_horario VARCHAR(50) NULL,
+  textos JSON NULL,
+  agenda JSON NULL,
+  token_admin VARCHAR(100) NULL,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  politica JSON NULL
+);
+
+CREATE TABLE clientes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  barbearia_id INT NOT NULL REFERENCES barbearias (id),
+  nome VARCHAR(100) NOT NULL DEFAULT 'Cliente',
+  telefone VARCHAR(100) NOT NULL,
+  UNIQUE (barbearia_id, telefone)
+);
+
+CREATE TABLE servicos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  barbearia_id INT NOT NULL REFERENCES barbearias (id),
+  nome VARCHAR(100) NOT NULL,
+  sinonimos VARCHAR(255) NULL,
+  duracao_minutos INT NOT NULL DEFAULT 30,
+  preco DECIMAL(8, 2) NOT NULL DEFAULT 0,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE barbeiros (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  barbearia_id INT NOT NULL REFERENCES barbearias (id),
+  nome VARCHAR(100) NOT NULL,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE horarios_disponiveis (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  barbeiro_id INT NOT NULL REFERENCES barbeiros (id),
+  dia_horario DATETIME NOT NULL,
+  dia_semana VARCHAR(20) NOT NULL,
+  disponivel BOOLEAN NOT NULL DEFAULT TRUE,
+  origem VARCHAR(10) NOT NULL DEFAULT 'agenda',
+  UNIQUE (barbeiro_id, dia_horario)
+);
+
+CREATE TABLE agendamentos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cliente_id INT NOT NULL REFERENCES clientes (id),
+  horario_id INT NOT NULL REFERENCES horarios_disponiveis (id),
+  status VARCHAR(20) NOT NULL DEFAULT 'ativo',
+  data_agendamento DATETIME NOT NULL,
+  confirmado_em DATETIME NULL,
+  reagendamentos INT NOT NULL DEFAULT 0,
+  cancelado_em DATETIME NULL,
+  cancelamento_tardio BOOLEAN NOT NULL DEFAULT FALSE,
+  presenca_marcada_em DATETIME NULL,
+  presenca_automatica BOOLEAN NOT NULL DEFAULT FALSE,
+  serie_id INT NULL REFERENCES series_agendamentos (id) ON DELETE SET NULL
+);
+
+CREATE TABLE series_agendamentos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cliente_id INT NOT NULL REFERENCES clientes (id) ON DELETE CASCADE,
+  barbeiro_id INT NOT NULL REFERENCES barbeiros (id),
+  intervalo_semanas INT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'ativa',
+  criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  cancelada_em DATETIME NULL
+);
+
+CREATE TABLE agendamentos_servicos (
+  agendamento_id INT NOT NULL REFERENCES agendamentos (id),
+  servico_id INT NOT NULL REFERENCES servicos (id),
+  PRIMARY KEY (agendamento_id, servico_id)
+);
+
+-- ativo NULL depois do cancelamento: o índice único ignora NULLs
+CREATE TABLE agendamentos_horarios (
+  agendamento_id INT NOT NULL REFERENCES agendamentos (id),
+  horario_id INT NOT NULL REFERENCES horarios_disponiveis (id),
+  ativo BOOLEAN NULL DEFAULT TRUE,
+  PRIMARY KEY (agendamento_id, horario_id),
+  UNIQUE (horario_id, ativo)
+);
+
+CREATE TABLE lembretes_enviados (
+  agendamento_id INT NOT NULL REFERENCES agendamentos (id),
+  tipo VARCHAR(10) NOT NULL,
+  enviado_em DATETIME NOT NULL,
+  PRIMARY KEY (agendamento_id, tipo)
+);
+
+CREATE TABLE reservas_temporarias (
+  horario_id INT NOT NULL PRIMARY KEY REFERENCES horarios_disponiveis (id) ON DELETE CASCADE,
+  chave VARCHAR(100) NOT NULL,
+  expira_em DATETIME NOT NULL
+);
+
+CREATE TABLE lista_espera (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cliente_id INT NOT NULL REFERENCES clientes (id) ON DELETE CASCADE,
+  barbeiro_id INT NULL REFERENCES barbeiros (id),
+  inicio DATETIME NOT NULL,
+  fim DATETIME NOT NULL,
+  de_minutos INT NULL,
+  ate_minutos INT NULL,
+  descricao VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'aguardando',
+  criado_em DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE lista_espera_servicos (
+  lista_espera_id INT NOT NULL REFERENCES lista_espera (id) ON DELETE CASCADE,
+  servico_id INT NOT NULL REFERENCES servicos (id),
+  PRIMARY KEY (lista_espera_id, servico_id)
+);
+
+CREATE TABLE lista_espera_ofertas (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  lista_espera_id INT NOT NULL REFERENCES lista_espera (id) ON DELETE CASCADE,
+  horario_id INT NOT NULL REFERENCES horarios_disponiveis (id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pendente',
+  expira_em DATETIME NOT NULL,
+  UNIQUE (lista_espera_id, horario_id)
+);
@@ -0,0 +1,162 @@
+// servidor.js
+// Sobe a aplicação inteira numa porta livre, com o banco em memória
+// (bancoMemoria.js) e o Dialogflow falso (dialogflowFalso.js), e conversa
+// com ela pelo /webhook como o Twilio faria.
+
+require("./ambiente");
+const { instalarBancoMemoria } = require("./bancoMemoria");
+const { criarSessionsClientFalso } = require("./dialogflowFalso");
+
+// Horários de 30 em 30 minutos, das 9h às 18h, nos próximos dias
+const DIAS_DE_AGENDA = 7;
+const PRIMEIRA_HORA = 9;
+const ULTIMA_HORA = 18;
+
+/**
+ * Cadastra a barbearia "principal" com um barbeiro, dois serviços e a agenda
+ * dos próximos dias.
+ * @param {Object} pool - Banco em memória.
+ */
+async function popularBanco(pool) {
+  await pool.query(
+    "INSERT INTO barbearias (id, slug, nome) VALUES (1, 'principal', 'Navalha')"
+  );
+  await pool.query(
+    "INSERT INTO barbeiros (id, barbearia_id, nome) VALUES (1, 1, 'Zé')"
+  );
+  await pool.query(
+    `INSERT INTO servicos (id, barbearia_id, nome, sinonimos, duracao_minutos, preco)
+     VALUES ?`,
+    [
+      [
+        [1, 1, "Corte", "cortar cabelo,cabelo", 30, 35],
+        [2, 1, "Barba", "fazer barba", 30, 25],
+      ],
+    ]
+  );
+  const horarios = [];
+  const hoje = new Date();
+  for (let dia = 1; dia <= DIAS_DE_AGENDA; dia++) {
+    for (
+      let minutos = PRIMEIRA_HORA * 60;
+      minutos < ULTIMA_HORA * 60;
+      minutos += 30
+    ) {
+      const data = new Date(
+        hoje.getFullYear(),
+        hoje.getMonth(),
+        hoje.getDate() + dia
+      );
+      data.setMinutes(minutos);
+      horarios.push([
+        1,
+        data,
+        data.toLocaleDateString("pt-BR", { weekday: "long" }),
+      ]);
+    }
+  }
+  await pool.query(
+    "INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana) VALUES ?",
+    [horarios]
+  );
+}
+
+// Textos das <Message> do TwiML, juntos numa resposta só
+function lerTwiml(xml) {
+  return [...xml.matchAll(/<Message>([\s\S]*?)<\/Message>/g)]
+    .map(([, texto]) =>
+      texto
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&")
+    )
+    .join("\n");
+}
+
+/**
+ * Sobe a aplicação. Use um remetente por teste: a sessão é por remetente.
+ * @param {Object} [opcoes]
+ * @param {Array<Object>} [opcoes.regras] - Regras do Dialogflow falso.
+ * @returns {Promise<Object>} { pool, dialogflow, sessoes, enviar(remetente, texto),
+ *   conversar(remetente, mensagens), admin(metodo, caminho, corpo), encerrar() }.
+ */
+async function iniciarServidor({ regras = [] } = {}) {
+  const pool = await instalarBancoMemoria();
+  await popularBanco(pool);
+
+  // Só depois do banco falso: os controllers pegam o pool no require
+  const { criarApp } = require("../../index");
+  const { criarNlu, criarDetectorDialogflow } = require("../../nlu");
+  const {
+    criarGerenciadorSessoes,
+    criarSessaoStore,
+  } = require("../../services/sessoes");
+
+  const dialogflow = criarSessionsClientFalso(regras);
+  const sessoes = criarGerenciadorSessoes(criarSessaoStore("memoria"));
+  const app = criarApp({
+    nlu: criarNlu({
+      motor: "dialogflow",
+      detectarDialogflow: criarDetectorDialogflow({
+        projectId: "teste",
+        sessionsClient: dialogflow,
+      }),
+    }),
+    sessoes,
+  });
+  const servidor = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${servidor.address().port}`;
+
+  async function enviar(remetente, texto) {
+    const resposta = await fetch(`${url}/webhook`, {
+      method: "POST",
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        Body: texto,
+        From: remetente,
+        ProfileName: "Ana",
+      }),
+    });
+    if (!resposta.ok) {
+      throw new Error(`/webhook respondeu ${resposta.status}`);
+    }
+    return lerTwiml(await resposta.text());
+  }
+
+  // Manda as mensagens em ordem e devolve as respostas
+  async function conversar(remetente, mensagens) {
+    const respostas = [];
+    for (const mensagem of mensagens) {
+      respostas.push(await enviar(remetente, mensagem));
+    }
+    return respostas;
+  }
+
+  // Chama /admin/api com o ADMIN_TOKEN de ambiente.js
+  async function admin(metodo, caminho, corpo) {
+    const resposta = await fetch(`${url}/admin/api${caminho}`, {
+      method: metodo,
+      headers: {
+        authorization: `Bearer ${process.env.ADMIN_TOKEN}`,
+        ...(corpo && { "content-type": "application/json" }),
+      },
+      body: corpo && JSON.stringify(corpo),
+    });
+    return { status: resposta.status, corpo: await resposta.json() };
+  }
+
+  async function encerrar() {
+    await new Promise((resolve) => servidor.close(resolve));
+    await pool.end();
+  }
+
+  return { pool, dialogflow, sessoes, enviar, conversar, admin, encerrar };
+}
+
+module.exports = {
+  iniciarServidor,
+};
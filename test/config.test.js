@@ -0,0 +1,27 @@
+// config.test.js
+// Validação da configuração: o que só o servidor usa (Dialogflow, segredos do
+// webhook) não impede os scripts de rodar.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { carregarConfig } = require("../config");
+
+describe("carregarConfig", () => {
+  // Dialogflow sem o arquivo de chave e validação do webhook ligada sem os
+  // segredos
+  const env = { DIALOGFLOW_CHAVE: "./nao-existe.json" };
+
+  it("os scripts carregam sem as opções do servidor", () => {
+    assert.equal(carregarConfig({ env }).banco.nome, "barbearia");
+  });
+
+  it("o servidor exige o Dialogflow e os segredos do webhook", () => {
+    assert.throws(
+      () => carregarConfig({ env, servidor: true }),
+      (error) =>
+        /^Configuração inválida/.test(error.message) &&
+        /DIALOGFLOW_CHAVE/.test(error.message) &&
+        /TWILIO_AUTH_TOKEN/.test(error.message) &&
+        /WEBCHAT_SECRET/.test(error.message)
+    );
+  });
+});
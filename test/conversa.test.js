@@ -0,0 +1,210 @@
+// conversa.test.js
+// Conversas completas pelo /webhook, com o banco em memória e o Dialogflow
+// falso (ver test/apoio). Cada teste usa o próprio remetente.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+// O que o agente treinado reconheceria; o resto cai no fallback
+const REGRAS = [
+  { padrao: /^(oi|olá)\b/i, intent: "welcome_intent" },
+  {
+    padrao: /\bcorte\b/i,
+    intent: "escolha_servico",
+    parametros: { servico: "Corte" },
+  },
+  {
+    padrao: /\bbarba\b/i,
+    intent: "escolha_servico",
+    parametros: { servico: "Barba" },
+  },
+  { padrao: /\bcancelar\b/i, intent: "cancelar_agendamento" },
+  { padrao: /\b(remarcar|reagendar)\b/i, intent: "reagendar_agendamento" },
+];
+
+describe("conversa pelo /webhook", () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor({ regras: REGRAS });
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  async function agendamentosDe(remetente) {
+    const [linhas] = await servidor.pool.query(
+      `SELECT a.id, a.status, a.horario_id, h.dia_horario, h.disponivel
+       FROM agendamentos a
+       JOIN clientes c ON c.id = a.cliente_id
+       JOIN horarios_disponiveis h ON h.id = a.horario_id
+       WHERE c.telefone = ?
+       ORDER BY a.id`,
+      [remetente]
+    );
+    return linhas;
+  }
+
+  it("agenda um corte do início ao fim", async () => {
+    const remetente = "whatsapp:+5511900000001";
+    const [menu, dias, horarios, resumo, confirmacao] =
+      await servidor.conversar(remetente, [
+        "oi",
+        "quero um corte",
+        "1",
+        "1",
+        "sim",
+      ]);
+
+    assert.match(menu, /Corte/);
+    assert.match(dias, /Você escolheu \*Corte\*/);
+    assert.match(horarios, /1\. /);
+    assert.match(resumo, /com \*Zé\*/);
+    assert.match(resumo, /R\$\s35,00/);
+    assert.match(confirmacao, /✅ Agendamento confirmado para \*Corte\*/);
+    assert.match(confirmacao, /No nome de: \*Ana\*/);
+
+    const [agendamento, ...outros] = await agendamentosDe(remetente);
+    assert.equal(outros.length, 0);
+    assert.equal(agendamento.status, "ativo");
+    assert.equal(agendamento.disponivel, 0);
+    assert.equal(agendamento.dia_horario.getHours(), 9);
+
+    const [[{ total }]] = await servidor.pool.query(
+      "SELECT COUNT(*) AS total FROM reservas_temporarias"
+    );
+    assert.equal(total, 0);
+
+    // A sessão do Dialogflow é por barbearia e remetente
+    const chamada = servidor.dialogflow.chamadas.find(
+      ({ texto }) => texto === "quero um corte"
+    );
+    assert.ok(chamada.session.endsWith(`/sessions/1:${remetente}`));
+  });
+
+  it("troca o nome antes de confirmar", async () => {
+    const remetente = "whatsapp:+5511900000002";
+    const respostas = await servidor.conversar(remetente, [
+      "corte",
+      "1",
+      "2",
+      "trocar",
+      "João Silva",
+      "sim",
+    ]);
+
+    assert.match(respostas[4], /Nome atualizado para \*João Silva\*/);
+    assert.match(respostas[5], /No nome de: \*João Silva\*/);
+
+    const [[cliente]] = await servidor.pool.query(
+      "SELECT nome FROM clientes WHERE telefone = ?",
+      [remetente]
+    );
+    assert.equal(cliente.nome, "João Silva");
+    assert.equal((await agendamentosDe(remetente)).length, 1);
+  });
+
+  it("sugere o horário livre mais próximo", async () => {
+    const remetente = "whatsapp:+5511900000003";
+    const [, sugestao, resumo] = await servidor.conversar(remetente, [
+      "corte",
+      "amanhã 20:00",
+      "sim",
+    ]);
+
+    assert.match(sugestao, /não está disponível/);
+    assert.match(sugestao, /O mais próximo é \*.*17:30\*/);
+    assert.match(resumo, /Você escolheu \*Corte\*/);
+
+    await servidor.enviar(remetente, "sim");
+    const [agendamento] = await agendamentosDe(remetente);
+    assert.equal(agendamento.dia_horario.getHours(), 17);
+    assert.equal(agendamento.dia_horario.getMinutes(), 30);
+  });
+
+  it("reagenda e libera o horário antigo", async () => {
+    const remetente = "whatsapp:+5511900000004";
+    await servidor.conversar(remetente, ["corte", "2", "1", "sim"]);
+    const [antes] = await agendamentosDe(remetente);
+
+    const [, , , pergunta, confirmacao] = await servidor.conversar(remetente, [
+      "quero remarcar",
+      "sim",
+      "3",
+      "1",
+      "sim",
+    ]);
+    assert.match(pergunta, /Você escolheu reagendar \*Corte\*/);
+    assert.match(confirmacao, /✅ Agendamento reagendado/);
+
+    const [depois] = await agendamentosDe(remetente);
+    assert.equal(depois.id, antes.id);
+    assert.notEqual(depois.horario_id, antes.horario_id);
+    assert.equal(depois.disponivel, 0);
+
+    const [[antigo]] = await servidor.pool.query(
+      "SELECT disponivel FROM horarios_disponiveis WHERE id = ?",
+      [antes.horario_id]
+    );
+    assert.equal(antigo.disponivel, 1);
+  });
+
+  it("agenda todos os serviços pedidos na mesma mensagem", async () => {
+    const remetente = "whatsapp:+5511900000006";
+    const [dias, , , confirmacao] = await servidor.conversar(remetente, [
+      "quero corte e barba",
+      "1",
+      "3",
+      "sim",
+    ]);
+    assert.match(dias, /Você escolheu \*Corte e Barba\*/);
+    assert.match(
+      confirmacao,
+      /✅ Agendamento confirmado para \*Corte e Barba\*/
+    );
+
+    const [agendamento] = await agendamentosDe(remetente);
+    const [servicos] = await servidor.pool.query(
+      `SELECT servico_id FROM agendamentos_servicos
+       WHERE agendamento_id = ? ORDER BY servico_id`,
+      [agendamento.id]
+    );
+    assert.deepEqual(
+      servicos.map(({ servico_id }) => servico_id),
+      [1, 2]
+    );
+
+    // O classificador local devolve os dois, como a lista do Dialogflow
+    const { detectarIntentLocal } = require("../nlu/local");
+    const { intent, parametros } = await detectarIntentLocal(
+      "quero corte e barba",
+      { barbearia: { id: 1 } }
+    );
+    assert.equal(intent, "escolha_servico");
+    assert.deepEqual(
+      parametros.servico.listValue.values.map(({ stringValue }) => stringValue),
+      ["Corte", "Barba"]
+    );
+  });
+
+  it("cancela um entre vários agendamentos", async () => {
+    const remetente = "whatsapp:+5511900000005";
+    await servidor.conversar(remetente, ["corte", "4", "1", "sim"]);
+    await servidor.conversar(remetente, ["barba", "5", "1", "sim"]);
+
+    const [lista, pergunta, confirmacao] = await servidor.conversar(remetente, [
+      "quero cancelar",
+      "2",
+      "sim",
+    ]);
+    assert.match(lista, /Você tem 2 agendamentos ativos/);
+    assert.match(pergunta, /\*Barba\*/);
+    assert.match(confirmacao, /cancelado com sucesso/);
+
+    const [corte, barba] = await agendamentosDe(remetente);
+    assert.equal(corte.status, "ativo");
+    assert.equal(barba.status, "cancelado");
+    assert.equal(barba.disponivel, 1);
+  });
+});
@@ -0,0 +1,193 @@
+// dataHora.test.js
+// Datas e horas em português, sempre a partir de um "agora" fixo.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  interpretarDataHora,
+  interpretarRecorrencia,
+} = require("../nlu/dataHora");
+
+// Quarta-feira, 28/05/2025, 15:00
+const AGORA = new Date(2025, 4, 28, 15, 0);
+
+function exato(data) {
+  return { tipo: "exato", data };
+}
+
+// O dia inteiro, sem período
+function diaInteiro(ano, mes, dia) {
+  return {
+    tipo: "intervalo",
+    inicio: new Date(ano, mes, dia),
+    fim: new Date(ano, mes, dia + 1),
+    periodo: null,
+  };
+}
+
+describe("interpretarDataHora", () => {
+  it("lê dia e hora", () => {
+    assert.deepEqual(
+      interpretarDataHora("amanhã às 15h", AGORA),
+      exato(new Date(2025, 4, 29, 15, 0))
+    );
+    assert.deepEqual(
+      interpretarDataHora("depois de amanhã 14h30", AGORA),
+      exato(new Date(2025, 4, 30, 14, 30))
+    );
+    // Sem período, "às 3" numa barbearia é à tarde
+    assert.deepEqual(
+      interpretarDataHora("amanhã às 3", AGORA),
+      exato(new Date(2025, 4, 29, 15, 0))
+    );
+    assert.deepEqual(
+      interpretarDataHora("amanhã 10 e meia da manhã", AGORA),
+      exato(new Date(2025, 4, 29, 10, 30))
+    );
+  });
+
+  it("lê o dia da semana", () => {
+    assert.deepEqual(
+      interpretarDataHora("sexta que vem", AGORA),
+      diaInteiro(2025, 4, 30)
+    );
+    // "que vem" nunca é hoje
+    assert.deepEqual(
+      interpretarDataHora("quarta que vem", AGORA),
+      diaInteiro(2025, 5, 4)
+    );
+    assert.deepEqual(
+      interpretarDataHora("sexta da semana que vem", AGORA),
+      diaInteiro(2025, 5, 6)
+    );
+  });
+
+  it("usa hoje se a hora ainda não passou", () => {
+    assert.deepEqual(
+      interpretarDataHora("quarta às 16h", AGORA),
+      exato(new Date(2025, 4, 28, 16, 0))
+    );
+    assert.deepEqual(
+      interpretarDataHora("quarta às 14h", AGORA),
+      exato(new Date(2025, 5, 4, 14, 0))
+    );
+    // Só a hora, já passada: amanhã
+    assert.deepEqual(
+      interpretarDataHora("às 10h", AGORA),
+      exato(new Date(2025, 4, 29, 10, 0))
+    );
+  });
+
+  it("lê o dia do mês e vira o mês", () => {
+    assert.deepEqual(
+      interpretarDataHora("dia 30", AGORA),
+      diaInteiro(2025, 4, 30)
+    );
+    assert.deepEqual(
+      interpretarDataHora("dia 3", AGORA),
+      diaInteiro(2025, 5, 3)
+    );
+    assert.deepEqual(
+      interpretarDataHora("15 de junho às 9h", AGORA),
+      exato(new Date(2025, 5, 15, 9, 0))
+    );
+  });
+
+  it("vira o ano", () => {
+    const dezembro = new Date(2025, 11, 31, 10, 0);
+    assert.deepEqual(
+      interpretarDataHora("amanhã às 9h", dezembro),
+      exato(new Date(2026, 0, 1, 9, 0))
+    );
+    assert.deepEqual(
+      interpretarDataHora("dia 5", dezembro),
+      diaInteiro(2026, 0, 5)
+    );
+    assert.deepEqual(
+      interpretarDataHora("10/01", dezembro),
+      diaInteiro(2026, 0, 10)
+    );
+    assert.deepEqual(
+      interpretarDataHora("10 de março", dezembro),
+      diaInteiro(2026, 2, 10)
+    );
+  });
+
+  it("lê períodos e a semana inteira", () => {
+    assert.deepEqual(interpretarDataHora("amanhã à tarde", AGORA), {
+      tipo: "intervalo",
+      inicio: new Date(2025, 4, 29, 12, 0),
+      fim: new Date(2025, 4, 29, 18, 0),
+      periodo: "tarde",
+    });
+    // A manhã de hoje já acabou
+    assert.deepEqual(interpretarDataHora("de manhã", AGORA), {
+      tipo: "intervalo",
+      inicio: new Date(2025, 4, 29, 6, 0),
+      fim: new Date(2025, 4, 29, 12, 0),
+      periodo: "manha",
+    });
+    assert.deepEqual(interpretarDataHora("semana que vem", AGORA), {
+      tipo: "intervalo",
+      inicio: new Date(2025, 5, 2),
+      fim: new Date(2025, 5, 9),
+      periodo: null,
+    });
+  });
+
+  it("ignora horas e dias que não existem", () => {
+    // A hora inválida não vale; fica o dia
+    assert.deepEqual(
+      interpretarDataHora("amanhã às 25h", AGORA),
+      diaInteiro(2025, 4, 29)
+    );
+    assert.equal(interpretarDataHora("às 10:75", AGORA), null);
+    assert.equal(interpretarDataHora("31/02", AGORA), null);
+    assert.equal(
+      interpretarDataHora("dia 31", new Date(2025, 5, 10, 9, 0)),
+      null
+    );
+  });
+
+  it("devolve null sem data nem hora", () => {
+    assert.equal(interpretarDataHora("quero um corte", AGORA), null);
+    assert.equal(interpretarDataHora("boa tarde", AGORA), null);
+  });
+});
+
+describe("interpretarRecorrencia", () => {
+  it("lê o intervalo", () => {
+    assert.deepEqual(interpretarRecorrencia("toda semana", AGORA), {
+      intervaloSemanas: 1,
+    });
+    assert.deepEqual(interpretarRecorrencia("de 15 em 15 dias", AGORA), {
+      intervaloSemanas: 2,
+    });
+    assert.deepEqual(interpretarRecorrencia("quinzenal", AGORA), {
+      intervaloSemanas: 2,
+    });
+    // Mensal vira a cada 4 semanas, para manter o dia da semana
+    assert.deepEqual(interpretarRecorrencia("todo mês", AGORA), {
+      intervaloSemanas: 4,
+    });
+  });
+
+  it("lê quantas vezes ou até quando", () => {
+    assert.deepEqual(
+      interpretarRecorrencia("a cada duas semanas, 4 vezes", AGORA),
+      { intervaloSemanas: 2, ocorrencias: 4 }
+    );
+    assert.deepEqual(interpretarRecorrencia("toda semana por 2 meses", AGORA), {
+      intervaloSemanas: 1,
+      ate: new Date(2025, 6, 29),
+    });
+    // Até o fim do dia citado, já no ano seguinte
+    assert.deepEqual(
+      interpretarRecorrencia("quinzenal até 10/01", new Date(2025, 11, 1)),
+      { intervaloSemanas: 2, ate: new Date(2026, 0, 11) }
+    );
+  });
+
+  it("devolve null sem recorrência", () => {
+    assert.equal(interpretarRecorrencia("quero um corte", AGORA), null);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { encontrarHorarioProximo } = require("../conversa/escolhaHorario");
+
+const horarios = [
+  { id: 1, dia_horario: new Date(2025, 4, 30, 9, 0) },
+  { id: 2, dia_horario: new Date(2025, 4, 30, 10, 0) },
+  { id: 3, dia_horario: new Date(2025, 4, 30, 14, 0) },
+];
+
+describe("encontrarHorarioProximo", () => {
+  it("escolhe o horário mais perto do pedido, antes ou depois", () => {
+    const pedido = (h, m = 0) => new Date(2025, 4, 30, h, m).toISOString();
+    assert.equal(encontrarHorarioProximo(pedido(10, 20), horarios).id, 2);
+    assert.equal(encontrarHorarioProximo(pedido(12, 10), horarios).id, 3);
+    assert.equal(encontrarHorarioProximo(pedido(7), horarios).id, 1);
+  });
+
+  it("no empate, fica com o primeiro da lista", () => {
+    const pedido = new Date(2025, 4, 30, 9, 30).toISOString();
+    assert.equal(encontrarHorarioProximo(pedido, horarios).id, 1);
+  });
+
+  it("ignora horários com data inválida", () => {
+    const pedido = new Date(2025, 4, 30, 14, 0).toISOString();
+    const lista = [{ id: 9, dia_horario: "?" }, horarios[0]];
+    assert.equal(encontrarHorarioProximo(pedido, lista).id, 1);
+  });
+
+  it("devolve null sem pedido válido ou sem horários", () => {
+    assert.equal(encontrarHorarioProximo(null, horarios), null);
+    assert.equal(encontrarHorarioProximo("sexta", horarios), null);
+    assert.equal(encontrarHorarioProximo(new Date().toISOString(), []), null);
+  });
+});
@@ -0,0 +1,93 @@
+// esquema.test.js
+// O banco em memória dos testes (apoio/esquema.sql) é escrito à mão: confere
+// que ele tem as mesmas tabelas e colunas que migrations/ deixa no MySQL.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { instalarBancoMemoria } = require("./apoio/bancoMemoria");
+
+const MIGRACOES = path.join(__dirname, "..", "migrations");
+
+// Os testes guardam as sessões no store em memória (ambiente.js)
+const SO_NO_MYSQL = ["sessoes_conversa"];
+
+// Linhas de CREATE TABLE que não declaram coluna
+const RESTRICOES = /^(PRIMARY|UNIQUE|INDEX|KEY|CONSTRAINT|FOREIGN|CHECK)$/i;
+
+/**
+ * Colunas de cada tabela depois de todas as migrações, pelos CREATE TABLE e
+ * pelos ADD/DROP COLUMN dos ALTER TABLE.
+ * @returns {Object} { tabela: [colunas em ordem alfabética] }.
+ */
+function colunasDasMigracoes() {
+  const tabelas = {};
+  const arquivos = fs
+    .readdirSync(MIGRACOES)
+    .filter((nome) => nome.endsWith(".up.sql"))
+    .sort();
+  for (const arquivo of arquivos) {
+    const sql = fs
+      .readFileSync(path.join(MIGRACOES, arquivo), "utf8")
+      .replace(/--.*$/gm, "");
+    for (const comando of sql.split(";")) {
+      const criacao = comando.match(
+        /CREATE TABLE (?:IF NOT EXISTS )?(\w+)\s*\(([\s\S]*)\)/i
+      );
+      if (criacao) {
+        tabelas[criacao[1]] = new Set(
+          criacao[2]
+            .split("\n")
+            .map((linha) => linha.trim().split(/\s+/)[0])
+            .filter((nome) => nome && !RESTRICOES.test(nome))
+        );
+        continue;
+      }
+      const alteracao = comando.match(/ALTER TABLE (\w+)([\s\S]*)/i);
+      if (!alteracao) continue;
+      const colunas = tabelas[alteracao[1]];
+      for (const [, acao, coluna] of alteracao[2].matchAll(
+        /\b(ADD|DROP) COLUMN (\w+)/gi
+      )) {
+        if (acao.toUpperCase() === "ADD") colunas.add(coluna);
+        else colunas.delete(coluna);
+      }
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(tabelas).map(([tabela, colunas]) => [
+      tabela,
+      [...colunas].sort(),
+    ])
+  );
+}
+
+describe("esquema do banco em memória", () => {
+  let pool;
+
+  before(async () => {
+    pool = await instalarBancoMemoria();
+  });
+
+  after(async () => {
+    await pool.end();
+  });
+
+  it("tem as tabelas e colunas das migrações", async () => {
+    const [tabelas] = await pool.query(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    );
+    const esquema = {};
+    for (const { name } of tabelas) {
+      const [colunas] = await pool.query(
+        "SELECT name FROM pragma_table_info(?) ORDER BY name",
+        [name]
+      );
+      esquema[name] = colunas.map((coluna) => coluna.name);
+    }
+
+    const migracoes = colunasDasMigracoes();
+    for (const tabela of SO_NO_MYSQL) delete migracoes[tabela];
+    assert.deepEqual(esquema, migracoes);
+  });
+});
@@ -0,0 +1,52 @@
+// geradorHorarios.test.js
+// A geração remove os horários livres que saíram da agenda, mas nunca os
+// cadastrados à mão pelo painel.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+describe("gerarHorariosDaBarbearia", () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor();
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  it("mantém os horários cadastrados pelo painel", async () => {
+    const { gerarHorariosDaBarbearia } = require("../services/geradorHorarios");
+    const amanha = new Date();
+    amanha.setDate(amanha.getDate() + 1);
+    amanha.setHours(20, 0, 0, 0);
+    const criado = await servidor.admin("POST", "/horarios", {
+      barbeiroId: 1,
+      diaHorario: amanha.toISOString(),
+    });
+    assert.equal(criado.status, 201);
+
+    // Agenda sem nenhum dia aberto: tudo o que a geração criou sai
+    const { criados, removidos } = await gerarHorariosDaBarbearia(
+      { id: 1 },
+      {
+        agenda: {
+          duracaoSlotMinutos: 30,
+          semanasAFrente: 2,
+          funcionamento: {},
+        },
+        agora: new Date(),
+      }
+    );
+    assert.equal(criados, 0);
+    assert.ok(removidos > 0);
+
+    const [restantes] = await servidor.pool.query(
+      "SELECT id, origem FROM horarios_disponiveis"
+    );
+    assert.deepEqual(restantes, [
+      { id: criado.corpo.horarioId, origem: "manual" },
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+// historico.test.js
+// Histórico do cliente pelo /webhook: "meus agendamentos" e "o de sempre",
+// que repete os serviços e o barbeiro da última visita.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+describe("mesmoHorarioDaSemana", () => {
+  // Carregado aqui: conversa/ pega o pool no require
+  const { mesmoHorarioDaSemana } = require("../conversa/fluxos/agendamento");
+  const agora = new Date(2025, 4, 28, 15, 0); // quarta-feira
+
+  it("procura o mesmo dia da semana e horário a partir de agora", () => {
+    const segunda = new Date(2025, 4, 19, 10, 30);
+    assert.deepEqual(
+      mesmoHorarioDaSemana(segunda, agora),
+      new Date(2025, 5, 2, 10, 30)
+    );
+    const quartaDeTarde = new Date(2025, 4, 21, 16, 0);
+    assert.deepEqual(
+      mesmoHorarioDaSemana(quartaDeTarde, agora),
+      new Date(2025, 4, 28, 16, 0)
+    );
+  });
+
+  it("pula para a semana seguinte se o horário de hoje já passou", () => {
+    const quartaDeManha = new Date(2025, 4, 21, 9, 0);
+    assert.deepEqual(
+      mesmoHorarioDaSemana(quartaDeManha, agora),
+      new Date(2025, 5, 4, 9, 0)
+    );
+  });
+});
+
+describe("histórico pelo /webhook", () => {
+  let servidor;
+  let proximoCliente = 1;
+
+  before(async () => {
+    servidor = await iniciarServidor();
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  // Cliente novo com uma visita concluída há 6 dias (o dia da semana de
+  // amanhã), à `hora`; os segundos deixam o horário único
+  async function clienteComVisita(hora, servicoIds) {
+    const numero = proximoCliente++;
+    const telefone = `whatsapp:+551194000000${numero}`;
+    const hoje = new Date();
+    const inicio = new Date(
+      hoje.getFullYear(),
+      hoje.getMonth(),
+      hoje.getDate() - 6,
+      hora,
+      0,
+      numero
+    );
+    const { pool } = servidor;
+    const [cliente] = await pool.query(
+      "INSERT INTO clientes (barbearia_id, nome, telefone) VALUES (1, 'Duda', ?)",
+      [telefone]
+    );
+    const [horario] = await pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel)
+       VALUES (1, ?, 'passado', FALSE)`,
+      [inicio]
+    );
+    const [agendamento] = await pool.query(
+      `INSERT INTO agendamentos (cliente_id, horario_id, status, data_agendamento)
+       VALUES (?, ?, 'concluido', NOW())`,
+      [cliente.insertId, horario.insertId]
+    );
+    for (const servicoId of servicoIds) {
+      await pool.query(
+        "INSERT INTO agendamentos_servicos (agendamento_id, servico_id) VALUES (?, ?)",
+        [agendamento.insertId, servicoId]
+      );
+    }
+    return telefone;
+  }
+
+  function amanhaAs(hora, minutos = 0) {
+    const hoje = new Date();
+    return new Date(
+      hoje.getFullYear(),
+      hoje.getMonth(),
+      hoje.getDate() + 1,
+      hora,
+      minutos
+    );
+  }
+
+  it("repete a última visita no mesmo dia da semana e horário", async () => {
+    const telefone = await clienteComVisita(10, [1, 2]);
+
+    const proposta = await servidor.enviar(telefone, "o de sempre");
+    assert.match(proposta, /Da última vez foi \*Corte e Barba\* com \*Zé\*/);
+    assert.match(proposta, /Posso agendar \*Corte e Barba\* com \*Zé\*/);
+    await servidor.enviar(telefone, "sim");
+    const confirmacao = await servidor.enviar(telefone, "sim");
+    assert.match(
+      confirmacao,
+      /✅ Agendamento confirmado para \*Corte e Barba\*/
+    );
+
+    const [[agendamento]] = await servidor.pool.query(
+      `SELECT h.dia_horario
+       FROM agendamentos a
+       JOIN clientes c ON c.id = a.cliente_id
+       JOIN horarios_disponiveis h ON h.id = a.horario_id
+       WHERE c.telefone = ? AND a.status = 'ativo'`,
+      [telefone]
+    );
+    assert.equal(
+      new Date(agendamento.dia_horario).getTime(),
+      amanhaAs(10).getTime()
+    );
+
+    const historico = await servidor.enviar(telefone, "meus agendamentos");
+    assert.match(historico, /Próximos agendamentos:\*\n• \*Corte e Barba\*/);
+    assert.match(historico, /Últimas visitas:\*\n• \*Corte e Barba\*/);
+  });
+
+  it("sugere o horário mais próximo quando o de sempre está ocupado", async () => {
+    const telefone = await clienteComVisita(14, [1]);
+    await servidor.pool.query(
+      "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE dia_horario = ?",
+      [amanhaAs(14)]
+    );
+
+    const proposta = await servidor.enviar(telefone, "mesmo da última vez");
+    assert.match(proposta, /Da última vez foi \*Corte\*/);
+    assert.match(proposta, /não está disponível\. O mais próximo é/);
+    await servidor.enviar(telefone, "sim");
+    const confirmacao = await servidor.enviar(telefone, "sim");
+    assert.match(confirmacao, /✅ Agendamento confirmado para \*Corte\*/);
+  });
+
+  it("sem visitas anteriores, mostra o menu", async () => {
+    const telefone = "whatsapp:+5511940009999";
+    assert.match(
+      await servidor.enviar(telefone, "o de sempre"),
+      /Ainda não encontrei uma visita sua para repetir/
+    );
+    assert.match(
+      await servidor.enviar(telefone, "meus agendamentos"),
+      /Você ainda não tem agendamentos por aqui/
+    );
+  });
+});
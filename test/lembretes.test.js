@@ -0,0 +1,92 @@
+// lembretes.test.js
+// Lembretes antes do horário (services/lembretes.js): um agendamento movido
+// para outro horário volta a ser lembrado e a pedir confirmação.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+describe("lembretes", () => {
+  let servidor;
+  let transporte;
+  let enviarLembretes;
+
+  before(async () => {
+    servidor = await iniciarServidor();
+    // Depois do servidor: os controllers precisam do banco em memória
+    const { criarTransporteFake } = require("../services/mensageiro");
+    const lembretes = require("../services/lembretes");
+    transporte = criarTransporteFake();
+    enviarLembretes = () =>
+      lembretes.enviarLembretesPendentes({
+        transporte,
+        sessoes: servidor.sessoes,
+      });
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  it("o agendamento reagendado recebe os lembretes do novo horário", async () => {
+    const telefone = "whatsapp:+5511960000001";
+    const { pool } = servidor;
+    const [cliente] = await pool.query(
+      "INSERT INTO clientes (barbearia_id, nome, telefone) VALUES (1, 'Gil', ?)",
+      [telefone]
+    );
+    const [[antigo]] = await pool.query(
+      "SELECT id FROM horarios_disponiveis ORDER BY dia_horario DESC LIMIT 1"
+    );
+    // Marcado há dias, já lembrado e confirmado no horário antigo
+    const [agendamento] = await pool.query(
+      `INSERT INTO agendamentos
+         (cliente_id, horario_id, status, data_agendamento, confirmado_em)
+       VALUES (?, ?, 'ativo', DATE_SUB(NOW(), INTERVAL 72 HOUR), NOW())`,
+      [cliente.insertId, antigo.id]
+    );
+    const id = agendamento.insertId;
+    await pool.query(
+      "INSERT INTO agendamentos_servicos (agendamento_id, servico_id) VALUES (?, 1)",
+      [id]
+    );
+    await pool.query(
+      "INSERT INTO agendamentos_horarios (agendamento_id, horario_id) VALUES (?, ?)",
+      [id, antigo.id]
+    );
+    await pool.query(
+      "UPDATE horarios_disponiveis SET disponivel = FALSE WHERE id = ?",
+      [antigo.id]
+    );
+    await pool.query(
+      `INSERT INTO lembretes_enviados (agendamento_id, tipo, enviado_em)
+       VALUES (?, '24h', NOW()), (?, '2h', NOW())`,
+      [id, id]
+    );
+
+    // Daqui a 90 minutos: a janela do lembrete de 2h
+    const daquiAPouco = new Date(Date.now() + 90 * 60 * 1000);
+    daquiAPouco.setSeconds(0, 0);
+    const novo = await servidor.admin("POST", "/horarios", {
+      barbeiroId: 1,
+      diaHorario: daquiAPouco.toISOString(),
+    });
+    const movido = await servidor.admin(
+      "POST",
+      `/agendamentos/${id}/reagendar`,
+      { horarioId: novo.corpo.horarioId }
+    );
+    assert.equal(movido.status, 200);
+
+    const [[depois]] = await pool.query(
+      "SELECT confirmado_em FROM agendamentos WHERE id = ?",
+      [id]
+    );
+    assert.equal(depois.confirmado_em, null);
+    assert.equal(await enviarLembretes(), 1);
+    assert.ok(
+      transporte.enviadas.some(
+        (m) => m.para === telefone && /⏰ Lembrete/.test(m.texto)
+      )
+    );
+  });
+});
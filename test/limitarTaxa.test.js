@@ -0,0 +1,66 @@
+// limitarTaxa.test.js
+// Limite de mensagens por remetente: a recusa sai no formato do canal.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { criarLimitadorTaxa } = require("../middlewares/limitarTaxa");
+const twilio = require("../canais/twilio");
+const webchat = require("../canais/webchat");
+
+// Resposta do Express só com o que o limitador e os canais usam
+function criarResposta() {
+  return {
+    cabecalhos: {},
+    set(nome, valor) {
+      this.cabecalhos[nome] = valor;
+      return this;
+    },
+    status(codigo) {
+      this.codigo = codigo;
+      return this;
+    },
+    type(tipo) {
+      this.tipo = tipo;
+      return this;
+    },
+    send(corpo) {
+      this.corpo = corpo;
+      return this;
+    },
+    json(corpo) {
+      this.tipo = "application/json";
+      this.corpo = corpo;
+      return this;
+    },
+  };
+}
+
+describe("criarLimitadorTaxa", () => {
+  function enviarVarias(canal, vezes) {
+    const limitador = criarLimitadorTaxa({
+      limite: 2,
+      janelaMs: 60 * 1000,
+      chave: () => "remetente",
+    });
+    let res;
+    let passaram = 0;
+    for (let i = 0; i < vezes; i++) {
+      res = criarResposta();
+      limitador({ canal }, res, () => passaram++);
+    }
+    return { res, passaram };
+  }
+
+  it("recusa pelo Twilio sem responder JSON", () => {
+    const { res, passaram } = enviarVarias(twilio, 3);
+    assert.equal(passaram, 2);
+    assert.equal(res.codigo, 429);
+    assert.notEqual(res.tipo, "application/json");
+    assert.ok(res.cabecalhos["Retry-After"]);
+  });
+
+  it("recusa pelo webchat no formato dele", () => {
+    const { res } = enviarVarias(webchat, 3);
+    assert.equal(res.codigo, 429);
+    assert.match(JSON.stringify(res.corpo), /Muitas mensagens/);
+  });
+});
@@ -0,0 +1,224 @@
+// listaEspera.test.js
+// Lista de espera pelo /webhook: entrada depois de um pedido sem vaga e
+// ofertas quando um cancelamento libera o horário (services/listaEspera.js).
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+const REGRAS = [
+  {
+    padrao: /\bcorte\b/i,
+    intent: "escolha_servico",
+    parametros: { servico: "Corte" },
+  },
+  { padrao: /\bcancelar\b/i, intent: "cancelar_agendamento" },
+];
+
+describe("lista de espera", () => {
+  let servidor;
+  let transporte;
+  let pararListaEspera;
+  let verificarListaEspera;
+  let listaEspera;
+
+  before(async () => {
+    servidor = await iniciarServidor({ regras: REGRAS });
+    // Depois do servidor: os controllers precisam do banco em memória
+    const { criarTransporteFake } = require("../services/mensageiro");
+    listaEspera = require("../services/listaEspera");
+    transporte = criarTransporteFake();
+    const opcoes = { transporte, sessoes: servidor.sessoes, prazoMinutos: 10 };
+    pararListaEspera = listaEspera.iniciarListaEspera(opcoes);
+    verificarListaEspera = () => listaEspera.verificarListaEspera(opcoes);
+  });
+
+  after(async () => {
+    pararListaEspera();
+    await servidor.encerrar();
+  });
+
+  // As ofertas saem em segundo plano, depois da resposta do cancelamento
+  async function esperarMensagem(para, padrao) {
+    for (let tentativa = 0; tentativa < 100; tentativa++) {
+      const mensagem = transporte.enviadas.find(
+        (m) => m.para === para && padrao.test(m.texto)
+      );
+      if (mensagem) return mensagem;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error(`Nenhuma mensagem ${padrao} para ${para}.`);
+  }
+
+  async function esperaDe(remetente) {
+    const [[espera]] = await servidor.pool.query(
+      `SELECT le.status, le.descricao
+       FROM lista_espera le JOIN clientes c ON c.id = le.cliente_id
+       WHERE c.telefone = ?`,
+      [remetente]
+    );
+    return espera;
+  }
+
+  it("oferece a vaga cancelada a quem esperava por ela", async () => {
+    const dono = "whatsapp:+5511910000001";
+    const esperando = "whatsapp:+5511910000002";
+    await servidor.conversar(dono, ["corte", "amanhã 10:00", "sim"]);
+
+    const [, semVaga, entrada] = await servidor.conversar(esperando, [
+      "corte",
+      "amanhã 10:00",
+      "lista de espera",
+    ]);
+    assert.match(semVaga, /não está disponível/);
+    assert.match(semVaga, /responda \*lista de espera\*/);
+    assert.match(entrada, /Você está na lista de espera de \*Corte\*/);
+    assert.equal((await esperaDe(esperando)).status, "aguardando");
+
+    await servidor.conversar(dono, ["quero cancelar", "sim"]);
+    const oferta = await esperarMensagem(esperando, /Vagou um horário/);
+    assert.match(oferta.texto, /10:00/);
+    assert.match(oferta.texto, /em até 10 minutos/);
+
+    const confirmacao = await servidor.enviar(esperando, "sim");
+    assert.match(confirmacao, /✅ Agendamento confirmado para \*Corte\*/);
+    assert.equal((await esperaDe(esperando)).status, "atendida");
+
+    const [[agendamento]] = await servidor.pool.query(
+      `SELECT h.dia_horario FROM agendamentos a
+       JOIN clientes c ON c.id = a.cliente_id
+       JOIN horarios_disponiveis h ON h.id = a.horario_id
+       WHERE c.telefone = ? AND a.status = 'ativo'`,
+      [esperando]
+    );
+    assert.equal(agendamento.dia_horario.getHours(), 10);
+  });
+
+  it("passa a vaga para o próximo quando o primeiro recusa ou não responde", async () => {
+    const dono = "whatsapp:+5511910000003";
+    const primeiro = "whatsapp:+5511910000004";
+    const segundo = "whatsapp:+5511910000005";
+    await servidor.conversar(dono, ["corte", "amanhã 11:00", "sim"]);
+    for (const remetente of [primeiro, segundo]) {
+      await servidor.conversar(remetente, [
+        "corte",
+        "amanhã 11:00",
+        "lista de espera",
+      ]);
+    }
+
+    await servidor.conversar(dono, ["quero cancelar", "sim"]);
+    await esperarMensagem(primeiro, /Vagou um horário/);
+    assert.match(
+      await servidor.enviar(primeiro, "não"),
+      /Você continua na lista de espera/
+    );
+    await esperarMensagem(segundo, /Vagou um horário/);
+
+    // O segundo não responde: a oferta vence e o horário volta a ficar livre
+    await servidor.pool.query(
+      "UPDATE lista_espera_ofertas SET expira_em = DATE_SUB(NOW(), INTERVAL 1 MINUTE)"
+    );
+    await servidor.pool.query(
+      "UPDATE reservas_temporarias SET expira_em = DATE_SUB(NOW(), INTERVAL 1 MINUTE)"
+    );
+    await verificarListaEspera();
+    await esperarMensagem(segundo, /O prazo para aceitar a vaga/);
+    assert.equal(await servidor.sessoes.get(`1:${segundo}`), undefined);
+
+    // Os dois já recusaram esse horário: ninguém recebe outra oferta dele
+    const ofertas = transporte.enviadas.filter((m) =>
+      /Vagou um horário/.test(m.texto)
+    );
+    assert.equal(ofertas.filter((m) => m.para === primeiro).length, 1);
+    assert.equal(ofertas.filter((m) => m.para === segundo).length, 1);
+    assert.equal((await esperaDe(primeiro)).status, "aguardando");
+  });
+
+  it("uma oferta que não saiu não fica pendente nem vence", async () => {
+    const dono = "whatsapp:+5511910000009";
+    const esperando = "whatsapp:+5511910000010";
+    await servidor.conversar(dono, ["corte", "amanhã 14:00", "sim"]);
+    await servidor.conversar(esperando, [
+      "corte",
+      "amanhã 14:00",
+      "lista de espera",
+    ]);
+
+    // Libera o horário sem avisar a lista, para a verificação abaixo achá-lo
+    const [[agendamento]] = await servidor.pool.query(
+      `SELECT a.id, a.horario_id FROM agendamentos a
+       JOIN clientes c ON c.id = a.cliente_id
+       WHERE c.telefone = ? AND a.status = 'ativo'`,
+      [dono]
+    );
+    await servidor.pool.query(
+      "UPDATE agendamentos SET status = 'cancelado' WHERE id = ?",
+      [agendamento.id]
+    );
+    await servidor.pool.query(
+      "UPDATE agendamentos_horarios SET ativo = NULL WHERE agendamento_id = ?",
+      [agendamento.id]
+    );
+    await servidor.pool.query(
+      "UPDATE horarios_disponiveis SET disponivel = TRUE WHERE id = ?",
+      [agendamento.horario_id]
+    );
+
+    const falho = {
+      async enviar() {
+        throw new Error("Twilio fora do ar");
+      },
+    };
+    const opcoes = { sessoes: servidor.sessoes, prazoMinutos: 10 };
+    assert.equal(
+      await listaEspera.verificarListaEspera({ ...opcoes, transporte: falho }),
+      0
+    );
+    const ofertasDe = async () =>
+      (
+        await servidor.pool.query(
+          `SELECT o.status FROM lista_espera_ofertas o
+           JOIN lista_espera le ON le.id = o.lista_espera_id
+           JOIN clientes c ON c.id = le.cliente_id
+           WHERE c.telefone = ?`,
+          [esperando]
+        )
+      )[0];
+    assert.deepEqual(await ofertasDe(), []);
+    assert.equal(await servidor.sessoes.get(`1:${esperando}`), undefined);
+
+    // Com o envio de volta, a mesma vaga é oferecida
+    await listaEspera.verificarListaEspera({ ...opcoes, transporte });
+    await esperarMensagem(esperando, /Vagou um horário/);
+    assert.deepEqual(await ofertasDe(), [{ status: "pendente" }]);
+  });
+
+  it("quem muda de assunto na oferta deixa a vaga para o próximo", async () => {
+    const dono = "whatsapp:+5511910000006";
+    const primeiro = "whatsapp:+5511910000007";
+    const segundo = "whatsapp:+5511910000008";
+    await servidor.conversar(dono, ["corte", "amanhã 12:00", "sim"]);
+    for (const remetente of [primeiro, segundo]) {
+      await servidor.conversar(remetente, [
+        "corte",
+        "amanhã 12:00",
+        "lista de espera",
+      ]);
+    }
+
+    await servidor.conversar(dono, ["quero cancelar", "sim"]);
+    await esperarMensagem(primeiro, /Vagou um horário/);
+    // Começa outro agendamento em vez de responder à oferta
+    await servidor.enviar(primeiro, "corte");
+
+    const [[oferta]] = await servidor.pool.query(
+      `SELECT o.status FROM lista_espera_ofertas o
+       JOIN lista_espera le ON le.id = o.lista_espera_id
+       JOIN clientes c ON c.id = le.cliente_id
+       WHERE c.telefone = ?`,
+      [primeiro]
+    );
+    assert.equal(oferta.status, "recusada");
+    await esperarMensagem(segundo, /Vagou um horário/);
+  });
+});
@@ -0,0 +1,204 @@
+// politica.test.js
+// Política de cancelamento e reagendamento (services/politica.js): as regras
+// isoladas, a recusa explicada no chat e a exceção pela API administrativa.
+// ambiente.js define 2 horas de antecedência e 1 reagendamento por agendamento.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+const {
+  verificarPolitica,
+  descreverPolitica,
+} = require("../services/politica");
+
+const REGRAS = [
+  { padrao: /\bcancelar\b/i, intent: "cancelar_agendamento" },
+  { padrao: /\b(remarcar|reagendar)\b/i, intent: "reagendar_agendamento" },
+];
+
+describe("verificarPolitica", () => {
+  const barbearia = {
+    politica: { antecedenciaMinimaHoras: 2, maxReagendamentos: 1 },
+  };
+  const agora = new Date(2025, 4, 28, 15, 0);
+  const as = (hora) => ({ dia_horario: new Date(2025, 4, 28, hora, 0) });
+
+  it("permite mudar com antecedência", () => {
+    assert.equal(verificarPolitica(barbearia, as(17), "cancelar", agora), null);
+    assert.equal(
+      verificarPolitica(barbearia, as(18), "reagendar", agora),
+      null
+    );
+  });
+
+  it("recusa agendamentos passados e em cima da hora", () => {
+    assert.match(
+      verificarPolitica(barbearia, as(14), "cancelar", agora),
+      /já passou e não pode mais ser cancelado/
+    );
+    assert.match(
+      verificarPolitica(barbearia, as(16), "reagendar", agora),
+      /Reagendamentos só podem ser feitos até 2 horas antes/
+    );
+  });
+
+  it("limita os reagendamentos, mas não os cancelamentos", () => {
+    const reagendado = { ...as(18), reagendamentos: 1 };
+    assert.match(
+      verificarPolitica(barbearia, reagendado, "reagendar", agora),
+      /já foi reagendado 1 vez/
+    );
+    assert.equal(
+      verificarPolitica(barbearia, reagendado, "cancelar", agora),
+      null
+    );
+  });
+
+  it("regras zeradas ficam desligadas", () => {
+    const livre = {
+      politica: { antecedenciaMinimaHoras: 0, maxReagendamentos: 0 },
+    };
+    const reagendado = { ...as(16), reagendamentos: 5 };
+    assert.equal(
+      verificarPolitica(livre, reagendado, "reagendar", agora),
+      null
+    );
+    assert.equal(descreverPolitica(livre), "");
+  });
+});
+
+describe("política pelo /webhook e pela API administrativa", () => {
+  let servidor;
+  let proximoAgendamento = 1;
+
+  before(async () => {
+    servidor = await iniciarServidor({ regras: REGRAS });
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  // Cliente novo com um Corte daqui a `minutos` minutos (negativo: passado)
+  async function agendarDaqui(minutos, { reagendamentos = 0 } = {}) {
+    const numero = proximoAgendamento++;
+    const telefone = `whatsapp:+551192000000${numero}`;
+    // Os segundos deixam o horário fora da grade de servidor.js e único
+    const inicio = new Date(Date.now() + minutos * 60 * 1000);
+    inicio.setSeconds(numero, 0);
+    const { pool } = servidor;
+    const [cliente] = await pool.query(
+      "INSERT INTO clientes (barbearia_id, nome, telefone) VALUES (1, 'Bia', ?)",
+      [telefone]
+    );
+    const [horario] = await pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel)
+       VALUES (1, ?, 'hoje', FALSE)`,
+      [inicio]
+    );
+    const [agendamento] = await pool.query(
+      `INSERT INTO agendamentos
+         (cliente_id, horario_id, status, data_agendamento, reagendamentos)
+       VALUES (?, ?, 'ativo', NOW(), ?)`,
+      [cliente.insertId, horario.insertId, reagendamentos]
+    );
+    await pool.query(
+      "INSERT INTO agendamentos_servicos (agendamento_id, servico_id) VALUES (?, 1)",
+      [agendamento.insertId]
+    );
+    await pool.query(
+      "INSERT INTO agendamentos_horarios (agendamento_id, horario_id) VALUES (?, ?)",
+      [agendamento.insertId, horario.insertId]
+    );
+    return {
+      telefone,
+      clienteId: cliente.insertId,
+      agendamentoId: agendamento.insertId,
+    };
+  }
+
+  async function statusDe(agendamentoId) {
+    const [[agendamento]] = await servidor.pool.query(
+      "SELECT status, cancelamento_tardio FROM agendamentos WHERE id = ?",
+      [agendamentoId]
+    );
+    return agendamento;
+  }
+
+  it("explica por que não dá para cancelar em cima da hora", async () => {
+    const { telefone, agendamentoId } = await agendarDaqui(60);
+    const resposta = await servidor.enviar(telefone, "quero cancelar");
+    assert.match(
+      resposta,
+      /Cancelamentos só podem ser feitos até 2 horas antes/
+    );
+    assert.match(resposta, /Nossa política:/);
+    assert.match(resposta, /fale diretamente com a barbearia/);
+    assert.equal((await statusDe(agendamentoId)).status, "ativo");
+  });
+
+  it("não reagenda agendamentos passados nem acima do limite", async () => {
+    const passado = await agendarDaqui(-60);
+    assert.match(
+      await servidor.enviar(passado.telefone, "quero remarcar"),
+      /já passou e não pode mais ser reagendado/
+    );
+
+    const reagendado = await agendarDaqui(24 * 60, { reagendamentos: 1 });
+    assert.match(
+      await servidor.enviar(reagendado.telefone, "quero remarcar"),
+      /já foi reagendado 1 vez, o máximo permitido/
+    );
+  });
+
+  it("a administração não agenda nem move para um horário que já passou", async () => {
+    const inicio = new Date(Date.now() - 60 * 60 * 1000);
+    inicio.setSeconds(59, 0);
+    const [livre] = await servidor.pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel)
+       VALUES (1, ?, 'hoje', TRUE)`,
+      [inicio]
+    );
+    const horarioId = livre.insertId;
+
+    const novo = await servidor.admin("POST", "/agendamentos", {
+      telefone: "whatsapp:+5511920000099",
+      horarioId,
+      servicoIds: [1],
+    });
+    assert.equal(novo.status, 409);
+    assert.match(novo.corpo.error, /já passou/);
+
+    const { agendamentoId } = await agendarDaqui(24 * 60);
+    const movido = await servidor.admin(
+      "POST",
+      `/agendamentos/${agendamentoId}/reagendar`,
+      { horarioId }
+    );
+    assert.equal(movido.status, 409);
+    assert.match(movido.corpo.error, /já passou/);
+
+    const [[horario]] = await servidor.pool.query(
+      "SELECT disponivel FROM horarios_disponiveis WHERE id = ?",
+      [horarioId]
+    );
+    assert.equal(Number(horario.disponivel), 1);
+  });
+
+  it("a administração força o cancelamento e ele conta contra o cliente", async () => {
+    const { clienteId, agendamentoId } = await agendarDaqui(60);
+    const caminho = `/agendamentos/${agendamentoId}/cancelar`;
+
+    const recusa = await servidor.admin("POST", caminho);
+    assert.equal(recusa.status, 409);
+    assert.equal(recusa.corpo.politica, true);
+
+    const forcado = await servidor.admin("POST", caminho, { forcar: true });
+    assert.equal(forcado.status, 200);
+    const agendamento = await statusDe(agendamentoId);
+    assert.equal(agendamento.status, "cancelado");
+    assert.equal(Number(agendamento.cancelamento_tardio), 1);
+
+    const cliente = await servidor.admin("GET", `/clientes/${clienteId}`);
+    assert.equal(Number(cliente.corpo.cancelamentos_tardios), 1);
+  });
+});
@@ -0,0 +1,243 @@
+// presenca.test.js
+// Comparecimento e faltas: a marcação pelo painel, a marcação automática
+// (services/presenca.js) e o que a política exige de quem acumula faltas.
+// ambiente.js não muda os padrões: 2 faltas exigem confirmar o lembrete até
+// 3 horas antes.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+
+const REGRAS = [
+  {
+    padrao: /\bcorte\b/i,
+    intent: "escolha_servico",
+    parametros: { servico: "Corte" },
+  },
+];
+
+describe("presença e faltas", () => {
+  let servidor;
+  let transporte;
+  let verificarPresencas;
+  let proximoAgendamento = 1;
+
+  before(async () => {
+    servidor = await iniciarServidor({ regras: REGRAS });
+    // Depois do servidor: os controllers precisam do banco em memória
+    const { criarTransporteFake } = require("../services/mensageiro");
+    const presenca = require("../services/presenca");
+    transporte = criarTransporteFake();
+    verificarPresencas = () =>
+      presenca.verificarPresencas({ transporte, sessoes: servidor.sessoes });
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  async function novoCliente() {
+    const telefone = `whatsapp:+551193000000${proximoAgendamento}`;
+    const [cliente] = await servidor.pool.query(
+      "INSERT INTO clientes (barbearia_id, nome, telefone) VALUES (1, 'Caio', ?)",
+      [telefone]
+    );
+    return { telefone, clienteId: cliente.insertId };
+  }
+
+  // Corte daqui a `minutos` minutos (negativo: passado), fora da grade de
+  // horários de servidor.js
+  async function agendarDaqui(
+    clienteId,
+    minutos,
+    { status = "ativo", lembrete = false } = {}
+  ) {
+    const numero = proximoAgendamento++;
+    const inicio = new Date(Date.now() + minutos * 60 * 1000);
+    inicio.setSeconds(numero, 0);
+    const { pool } = servidor;
+    const [horario] = await pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel)
+       VALUES (1, ?, 'hoje', FALSE)`,
+      [inicio]
+    );
+    const [agendamento] = await pool.query(
+      `INSERT INTO agendamentos (cliente_id, horario_id, status, data_agendamento)
+       VALUES (?, ?, ?, NOW())`,
+      [clienteId, horario.insertId, status]
+    );
+    const id = agendamento.insertId;
+    await pool.query(
+      "INSERT INTO agendamentos_servicos (agendamento_id, servico_id) VALUES (?, 1)",
+      [id]
+    );
+    await pool.query(
+      "INSERT INTO agendamentos_horarios (agendamento_id, horario_id) VALUES (?, ?)",
+      [id, horario.insertId]
+    );
+    if (lembrete) {
+      await pool.query(
+        "INSERT INTO lembretes_enviados (agendamento_id, tipo, enviado_em) VALUES (?, '24h', NOW())",
+        [id]
+      );
+    }
+    return id;
+  }
+
+  async function agendamento(id) {
+    const [[linha]] = await servidor.pool.query(
+      `SELECT status, presenca_automatica, cancelamento_tardio
+       FROM agendamentos WHERE id = ?`,
+      [id]
+    );
+    return linha;
+  }
+
+  it("o dono marca o comparecimento de agendamentos que já aconteceram", async () => {
+    const { clienteId } = await novoCliente();
+    const passado = await agendarDaqui(clienteId, -60);
+    const futuro = await agendarDaqui(clienteId, 24 * 60);
+
+    const falta = await servidor.admin(
+      "POST",
+      `/agendamentos/${passado}/presenca`,
+      { status: "faltou" }
+    );
+    assert.equal(falta.status, 200);
+    assert.equal((await agendamento(passado)).status, "faltou");
+
+    const cedo = await servidor.admin(
+      "POST",
+      `/agendamentos/${futuro}/presenca`,
+      { status: "concluido" }
+    );
+    assert.equal(cedo.status, 409);
+    const invalido = await servidor.admin(
+      "POST",
+      `/agendamentos/${passado}/presenca`,
+      { status: "ativo" }
+    );
+    assert.equal(invalido.status, 400);
+
+    const cliente = await servidor.admin("GET", `/clientes/${clienteId}`);
+    assert.equal(Number(cliente.corpo.faltas), 1);
+  });
+
+  it("marca sozinho os agendamentos antigos que ninguém marcou", async () => {
+    const { clienteId } = await novoCliente();
+    const semResposta = await agendarDaqui(clienteId, -24 * 60, {
+      lembrete: true,
+    });
+    const semLembrete = await agendarDaqui(clienteId, -24 * 60);
+    const recente = await agendarDaqui(clienteId, -60, { lembrete: true });
+    const confirmado = await agendarDaqui(clienteId, -24 * 60, {
+      lembrete: true,
+    });
+    await servidor.pool.query(
+      "UPDATE agendamentos SET confirmado_em = NOW() WHERE id = ?",
+      [confirmado]
+    );
+
+    await verificarPresencas();
+    // A primeira falta do cliente: não havia nenhuma antes
+    assert.equal((await agendamento(semResposta)).status, "faltou");
+    assert.equal((await agendamento(confirmado)).status, "concluido");
+    assert.equal((await agendamento(semLembrete)).status, "concluido");
+    assert.equal(
+      Number((await agendamento(semLembrete)).presenca_automatica),
+      1
+    );
+    assert.equal((await agendamento(recente)).status, "ativo");
+  });
+
+  it("quem acumula faltas é avisado e perde o horário sem confirmação", async () => {
+    const { telefone, clienteId } = await novoCliente();
+    await agendarDaqui(clienteId, -48 * 60, { status: "faltou" });
+    await agendarDaqui(clienteId, -72 * 60, { status: "faltou" });
+
+    await servidor.enviar(telefone, "corte");
+    await servidor.enviar(telefone, "amanhã 15:00");
+    const confirmacao = await servidor.enviar(telefone, "sim");
+    assert.match(confirmacao, /✅ Agendamento confirmado/);
+    assert.match(confirmacao, /Como há 2 faltas registradas/);
+
+    const proximo = await agendarDaqui(clienteId, 2 * 60, { lembrete: true });
+    await verificarPresencas();
+    const liberado = await agendamento(proximo);
+    assert.equal(liberado.status, "cancelado");
+    assert.equal(Number(liberado.cancelamento_tardio), 0);
+    assert.ok(
+      transporte.enviadas.some(
+        (m) =>
+          m.para === telefone &&
+          /não recebemos a confirmação de presença/.test(m.texto)
+      )
+    );
+  });
+});
+
+describe("bloqueio do agendamento pelo chat", () => {
+  const barbearia = {
+    id: 1,
+    nome: "Navalha",
+    textos: {},
+    politica: {
+      antecedenciaMinimaHoras: 2,
+      maxReagendamentos: 2,
+      limiteFaltas: 2,
+      aposLimiteFaltas: "bloquear",
+      prazoConfirmacaoHoras: 3,
+    },
+  };
+
+  it("recusa o agendamento de quem passou do limite de faltas", async () => {
+    // Aqui dentro: carregar conversa/ antes do servidor ligaria o banco real
+    const { criarMotor } = require("../conversa");
+    const motor = criarMotor({
+      encontrarServicoPorNome: async () => ({ id: 1, nome: "Corte" }),
+      encontrarServicosNoTexto: async () => [{ id: 1, nome: "Corte" }],
+      contarFaltas: async () => 3,
+    });
+    const { resposta, estado } = await motor.processar({
+      msg: "corte",
+      intent: "escolha_servico",
+      parametros: {},
+      estado: undefined,
+      barbearia,
+      cliente: { id: 1, nome: "Caio" },
+      chave: "1:teste",
+    });
+    assert.match(resposta, /os agendamentos pelo chat estão suspensos/);
+    assert.equal(estado, null);
+  });
+
+  it("também não cria série para quem passou do limite", async () => {
+    const { criarMotor } = require("../conversa");
+    let seriesCriadas = 0;
+    const motor = criarMotor({
+      contarFaltas: async () => 3,
+      listarAgendamentosAtivos: async () => [
+        {
+          id: 7,
+          servico: "Corte",
+          dia_horario: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        },
+      ],
+      criarSerie: async () => {
+        seriesCriadas++;
+        return { success: true, agendados: [], indisponiveis: [] };
+      },
+    });
+    const { resposta, estado } = await motor.processar({
+      msg: "toda semana, 4 vezes",
+      intent: "criar_serie",
+      parametros: {},
+      estado: undefined,
+      barbearia,
+      cliente: { id: 1, nome: "Caio" },
+      chave: "1:teste",
+    });
+    assert.match(resposta, /os agendamentos pelo chat estão suspensos/);
+    assert.equal(estado, null);
+    assert.equal(seriesCriadas, 0);
+  });
+});
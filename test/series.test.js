@@ -0,0 +1,294 @@
+// series.test.js
+// Agendamentos recorrentes: a leitura do pedido ("toda semana, 3 vezes"), a
+// série criada pelo chat e pelo painel, com as datas ocupadas de fora, e o
+// cancelamento de um horário ou da série toda.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { iniciarServidor } = require("./apoio/servidor");
+const { interpretarRecorrencia } = require("../nlu/dataHora");
+
+const REGRAS = [
+  {
+    padrao: /\bcorte\b/i,
+    intent: "escolha_servico",
+    parametros: { servico: "Corte" },
+  },
+  { padrao: /\bcancelar\b/i, intent: "cancelar_agendamento" },
+];
+
+describe("interpretarRecorrencia", () => {
+  const agora = new Date(2026, 9, 19, 10, 0);
+
+  it("lê o intervalo e quantas vezes", () => {
+    assert.deepEqual(interpretarRecorrencia("a cada 2 semanas, 4 vezes"), {
+      intervaloSemanas: 2,
+      ocorrencias: 4,
+    });
+    assert.deepEqual(interpretarRecorrencia("de 15 em 15 dias"), {
+      intervaloSemanas: 2,
+    });
+    assert.deepEqual(interpretarRecorrencia("toda semana, cinco vezes"), {
+      intervaloSemanas: 1,
+      ocorrencias: 5,
+    });
+  });
+
+  it("lê até quando, incluindo o dia citado", () => {
+    assert.deepEqual(interpretarRecorrencia("quinzenal até 20/12", agora), {
+      intervaloSemanas: 2,
+      ate: new Date(2026, 11, 21),
+    });
+    assert.deepEqual(interpretarRecorrencia("mensal por 2 meses", agora), {
+      intervaloSemanas: 4,
+      ate: new Date(2026, 11, 20),
+    });
+  });
+
+  it("ignora respostas que não falam de recorrência", () => {
+    assert.equal(interpretarRecorrencia("sim"), null);
+    assert.equal(interpretarRecorrencia("amanhã às 15h"), null);
+  });
+});
+
+describe("séries de agendamentos", () => {
+  let servidor;
+
+  before(async () => {
+    servidor = await iniciarServidor({ regras: REGRAS });
+  });
+
+  after(async () => {
+    await servidor.encerrar();
+  });
+
+  function diaAs(dias, hora) {
+    const hoje = new Date();
+    return new Date(
+      hoje.getFullYear(),
+      hoje.getMonth(),
+      hoje.getDate() + dias,
+      hora
+    );
+  }
+
+  // Horário além dos dias que servidor.js cadastra
+  async function criarHorario(data, disponivel = true) {
+    const [horario] = await servidor.pool.query(
+      `INSERT INTO horarios_disponiveis (barbeiro_id, dia_horario, dia_semana, disponivel)
+       VALUES (1, ?, 'futuro', ?)`,
+      [data, disponivel]
+    );
+    return horario.insertId;
+  }
+
+  async function agendamentosDoCliente(telefone) {
+    const [rows] = await servidor.pool.query(
+      `SELECT a.id, a.status, a.serie_id
+       FROM agendamentos a
+       JOIN clientes c ON c.id = a.cliente_id
+       JOIN horarios_disponiveis h ON h.id = a.horario_id
+       WHERE c.telefone = ?
+       ORDER BY h.dia_horario`,
+      [telefone]
+    );
+    return rows;
+  }
+
+  it("confere o pedido antes de agendar", () => {
+    const { validarRecorrencia } = require("../controllers/serieController");
+    const inicio = diaAs(1, 15);
+    assert.equal(
+      validarRecorrencia(inicio, { intervaloSemanas: 1, ocorrencias: 3 }),
+      null
+    );
+    assert.match(
+      validarRecorrencia(inicio, { intervaloSemanas: 1, ocorrencias: 20 }),
+      /no máximo 12 datas/
+    );
+    assert.match(
+      validarRecorrencia(inicio, { intervaloSemanas: 1 }),
+      /quantas vezes ou até quando/
+    );
+    assert.match(
+      validarRecorrencia(inicio, { intervaloSemanas: 2, ate: diaAs(5, 0) }),
+      /não cabe nenhuma repetição/
+    );
+  });
+
+  it("repete pelo chat o horário marcado e cancela um ou a série toda", async () => {
+    const telefone = "whatsapp:+5511950000001";
+    await servidor.enviar(telefone, "corte");
+    await servidor.enviar(telefone, "amanhã 15:00");
+    const confirmacao = await servidor.enviar(telefone, "sim");
+    assert.match(confirmacao, /Para repetir esse horário/);
+
+    await criarHorario(diaAs(8, 15));
+    await criarHorario(diaAs(15, 15), false);
+    assert.match(
+      await servidor.enviar(telefone, "quero toda semana"),
+      /toda semana quantas vezes/
+    );
+    const serie = await servidor.enviar(telefone, "3 vezes");
+    assert.match(serie, /🔁 Pronto! \*Corte\* toda semana/);
+    assert.match(serie, /Estas datas não estavam livres e ficaram de fora/);
+
+    const agendamentos = await agendamentosDoCliente(telefone);
+    assert.equal(agendamentos.length, 2);
+    assert.ok(
+      agendamentos.every((a) => a.serie_id === agendamentos[0].serie_id)
+    );
+
+    const lista = await servidor.enviar(telefone, "cancelar");
+    assert.match(lista, /1\. \*Corte\* em .* 🔁/);
+    assert.match(
+      await servidor.enviar(telefone, "1"),
+      /faz parte de uma série \(toda semana\)/
+    );
+    assert.match(
+      await servidor.enviar(telefone, "1"),
+      /✅ Agendamento de \*Corte\* cancelado/
+    );
+    assert.deepEqual(
+      (await agendamentosDoCliente(telefone)).map((a) => a.status),
+      ["cancelado", "ativo"]
+    );
+
+    assert.match(
+      await servidor.enviar(telefone, "cancelar"),
+      /O que deseja cancelar\?/
+    );
+    assert.match(
+      await servidor.enviar(telefone, "a série toda"),
+      /✅ Série de \*Corte\* cancelada \(1 horário cancelado\)/
+    );
+    const [[registro]] = await servidor.pool.query(
+      "SELECT status FROM series_agendamentos WHERE id = ?",
+      [agendamentos[0].serie_id]
+    );
+    assert.equal(registro.status, "cancelada");
+  });
+
+  it("sem agendamento marcado, explica como repetir", async () => {
+    assert.match(
+      await servidor.enviar("whatsapp:+5511950000002", "a cada 2 semanas"),
+      /marque o primeiro agendamento/
+    );
+  });
+
+  it("dois pedidos ao mesmo tempo não abrem duas séries do mesmo agendamento", async () => {
+    const telefone = "whatsapp:+5511950000004";
+    await servidor.enviar(telefone, "corte");
+    await servidor.enviar(telefone, "amanhã 17:00");
+    await servidor.enviar(telefone, "sim");
+    await criarHorario(diaAs(8, 17));
+    const [agendamento] = await agendamentosDoCliente(telefone);
+
+    const { criarSerie } = require("../controllers/serieController");
+    const {
+      listarBarbeariasAtivas,
+    } = require("../controllers/barbeariaController");
+    const [barbearia] = await listarBarbeariasAtivas();
+    const pedido = {
+      agendamentoId: agendamento.id,
+      intervaloSemanas: 1,
+      ocorrencias: 2,
+    };
+    const resultados = await Promise.all([
+      criarSerie(barbearia, pedido),
+      criarSerie(barbearia, pedido),
+    ]);
+    assert.deepEqual(resultados.map((r) => r.success).sort(), [false, true]);
+    const [series] = await servidor.pool.query(
+      `SELECT s.id FROM series_agendamentos s
+       JOIN clientes c ON c.id = s.cliente_id
+       WHERE c.telefone = ?`,
+      [telefone]
+    );
+    assert.equal(series.length, 1);
+  });
+
+  it("o dono cria e cancela séries pelo painel", async () => {
+    const [[primeiro]] = await servidor.pool.query(
+      "SELECT id FROM horarios_disponiveis WHERE dia_horario = ?",
+      [diaAs(2, 11)]
+    );
+    await criarHorario(diaAs(9, 11));
+    const pedido = {
+      telefone: "whatsapp:+5511950000003",
+      nome: "Rui",
+      horarioId: primeiro.id,
+      servicoIds: [1],
+      intervaloSemanas: 1,
+    };
+
+    const incompleto = await servidor.admin("POST", "/series", pedido);
+    assert.equal(incompleto.status, 400);
+
+    const criada = await servidor.admin("POST", "/series", {
+      ...pedido,
+      ocorrencias: 2,
+    });
+    assert.equal(criada.status, 201);
+    assert.equal(criada.corpo.agendados.length, 2);
+    assert.deepEqual(criada.corpo.indisponiveis, []);
+
+    const lista = await servidor.admin(
+      "GET",
+      `/agendamentos?clienteId=${criada.corpo.clienteId}`
+    );
+    assert.ok(lista.corpo.every((a) => a.serie_id === criada.corpo.serieId));
+
+    const cancelada = await servidor.admin(
+      "POST",
+      `/series/${criada.corpo.serieId}/cancelar`
+    );
+    assert.equal(cancelada.status, 200);
+    assert.equal(cancelada.corpo.cancelados.length, 2);
+    const denovo = await servidor.admin(
+      "POST",
+      `/series/${criada.corpo.serieId}/cancelar`
+    );
+    assert.equal(denovo.status, 404);
+  });
+
+  it("a série segue ativa enquanto alguma data não pôde ser cancelada", async () => {
+    // Daqui a 1 hora: dentro da antecedência mínima de ambiente.js
+    const daquiAPouco = new Date(Date.now() + 60 * 60 * 1000);
+    daquiAPouco.setSeconds(0, 0);
+    const primeiro = await criarHorario(daquiAPouco);
+    const proxima = new Date(daquiAPouco);
+    // Duas semanas depois, além da grade de servidor.js
+    proxima.setDate(proxima.getDate() + 14);
+    await criarHorario(proxima);
+    const criada = await servidor.admin("POST", "/series", {
+      telefone: "whatsapp:+5511950000005",
+      nome: "Lia",
+      horarioId: primeiro,
+      servicoIds: [1],
+      intervaloSemanas: 2,
+      ocorrencias: 2,
+    });
+    assert.equal(criada.status, 201);
+    assert.equal(criada.corpo.agendados.length, 2);
+    const caminho = `/series/${criada.corpo.serieId}/cancelar`;
+    const statusDaSerie = async () =>
+      (
+        await servidor.pool.query(
+          "SELECT status FROM series_agendamentos WHERE id = ?",
+          [criada.corpo.serieId]
+        )
+      )[0][0].status;
+
+    const parcial = await servidor.admin("POST", caminho);
+    assert.equal(parcial.status, 200);
+    assert.equal(parcial.corpo.encerrada, false);
+    assert.equal(parcial.corpo.cancelados.length, 1);
+    assert.equal(parcial.corpo.recusados.length, 1);
+    assert.equal(await statusDaSerie(), "ativa");
+
+    const forcado = await servidor.admin("POST", caminho, { forcar: true });
+    assert.equal(forcado.status, 200);
+    assert.equal(forcado.corpo.encerrada, true);
+    assert.equal(await statusDaSerie(), "cancelada");
+  });
+});
@@ -0,0 +1,43 @@
+// sessoes.test.js
+// Expiração das sessões: o aviso de "sessão expirou" sobrevive à limpeza
+// periódica, que só apaga as sessões vencidas há mais tempo.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  criarStoreMemoria,
+  criarGerenciadorSessoes,
+} = require("../services/sessoes");
+
+const HORA_MS = 60 * 60 * 1000;
+
+describe("criarGerenciadorSessoes", () => {
+  const estado = { confirmationStep: "awaiting_date_time" };
+
+  it("avisa a expiração mesmo com a limpeza rodando antes da mensagem", async () => {
+    const store = criarStoreMemoria();
+    const sessoes = criarGerenciadorSessoes(store);
+    await store.salvar("1:ana", estado, new Date(Date.now() - HORA_MS));
+
+    assert.equal(await sessoes.limparExpiradas(), 0);
+    assert.deepEqual(await sessoes.obter("1:ana"), {
+      estado: undefined,
+      expirada: true,
+    });
+    // O aviso sai uma vez só
+    assert.deepEqual(await sessoes.obter("1:ana"), {
+      estado: undefined,
+      expirada: false,
+    });
+  });
+
+  it("a limpeza apaga as vencidas há mais que a margem", async () => {
+    const store = criarStoreMemoria();
+    const sessoes = criarGerenciadorSessoes(store, { margemAvisoMinutos: 60 });
+    await store.salvar("1:ana", estado, new Date(Date.now() - 2 * HORA_MS));
+    await store.salvar("1:bia", estado, new Date(Date.now() + HORA_MS));
+
+    assert.equal(await sessoes.limparExpiradas(), 1);
+    assert.equal((await sessoes.obter("1:ana")).expirada, false);
+    assert.deepEqual((await sessoes.obter("1:bia")).estado, estado);
+  });
+});
@@ -0,0 +1,25 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatarData } = require("../utils");
+
+describe("formatarData", () => {
+  it("formata com o dia da semana em maiúscula", () => {
+    assert.equal(
+      formatarData(new Date(2025, 4, 30, 9, 0)),
+      "Sexta-feira, 30/05/2025, 09:00"
+    );
+  });
+
+  it("aceita a data como texto", () => {
+    assert.equal(
+      formatarData("2025-06-01T14:30:00"),
+      "Domingo, 01/06/2025, 14:30"
+    );
+  });
+
+  it("devolve 'Data inválida' para o que não é data", (t) => {
+    t.mock.method(console, "error", () => {});
+    assert.equal(formatarData("amanhã"), "Data inválida");
+    assert.equal(formatarData(undefined), "Data inválida");
+  });
+});
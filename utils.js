@@ -10,3 +10,66 @@ function formatarDataHorarioBr(dateString) {
 
   return new Intl.DateTimeFormat("pt-BR", opcoes).format(date);
 }
+
+/**
+ * Formata um objeto Date para uma string legível em português.
+ * @param {Date|string} dia_horario - O objeto Date ou string de data/hora.
+ * @returns {string} Data e hora formatadas (ex: "Sexta-feira, 30/05/2025, 09:00").
+ */
+function formatarData(dia_horario) {
+  const data = new Date(dia_horario);
+  if (isNaN(data.getTime())) {
+    console.error(
+      "ERRO: Data inválida fornecida para formatarData:",
+      dia_horario
+    );
+    return "Data inválida";
+  }
+
+  const options = {
+    weekday: "long",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+  };
+  const formattedDate = new Intl.DateTimeFormat("pt-BR", options).format(data);
+  // Capitaliza a primeira letra do dia da semana
+  return formattedDate.charAt(0).toUpperCase() + formattedDate.slice(1);
+}
+
+/**
+ * Formata uma data local como "AAAA-MM-DD".
+ * @param {Date} data - Data.
+ * @returns {string} Data formatada.
+ */
+function chaveData(data) {
+  const mes = String(data.getMonth() + 1).padStart(2, "0");
+  const dia = String(data.getDate()).padStart(2, "0");
+  return `${data.getFullYear()}-${mes}-${dia}`;
+}
+
+/**
+ * Minúsculas, sem acentos e sem pontuação (exceto ":" e "/", usados em horas
+ * e datas), com espaços simples.
+ * @param {string} texto - Mensagem do cliente.
+ * @returns {string} Texto normalizado.
+ */
+function normalizarTexto(texto) {
+  return (texto || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w:/\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+module.exports = {
+  formatarDataHorarioBr,
+  formatarData,
+  chaveData,
+  normalizarTexto,
+};